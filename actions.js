@@ -214,7 +214,7 @@
             }
             case 'progress-notice-dismiss': {
                 try {
-                    localStorage.setItem('dismissedProgressNotice', '1');
+                    (window.StorageAdapter || localStorage).setItem('dismissedProgressNotice', '1');
                 } catch (e) {
                     // ignore
                 }
@@ -284,6 +284,108 @@
                 safeCall(window.Storage && window.Storage.importProgress);
                 return;
             }
+            case 'storage-export': {
+                if (window.Storage && typeof window.Storage.exportProgress === 'function') {
+                    safeCall(window.Storage.exportProgress.bind(window.Storage));
+                }
+                return;
+            }
+            case 'profile-create': {
+                if (window.LearnerProfiles) {
+                    safeCall(window.LearnerProfiles.createFromForm.bind(window.LearnerProfiles));
+                }
+                return;
+            }
+            case 'profile-switch': {
+                const profileId = el.getAttribute('data-profile-id');
+                if (profileId && window.LearnerProfiles) {
+                    safeCall(window.LearnerProfiles.switchTo.bind(window.LearnerProfiles), profileId);
+                }
+                return;
+            }
+            case 'profile-pin': {
+                const profileId = el.getAttribute('data-profile-id');
+                if (profileId && window.LearnerProfiles) {
+                    safeCall(window.LearnerProfiles.changePinFromPrompt.bind(window.LearnerProfiles), profileId);
+                }
+                return;
+            }
+            case 'profile-delete': {
+                const profileId = el.getAttribute('data-profile-id');
+                if (profileId && window.LearnerProfiles) {
+                    safeCall(window.LearnerProfiles.remove.bind(window.LearnerProfiles), profileId);
+                }
+                return;
+            }
+            case 'sync-save-config': {
+                if (window.ProgressSync) {
+                    safeCall(window.ProgressSync.saveFromForm.bind(window.ProgressSync));
+                }
+                return;
+            }
+            case 'sync-now': {
+                if (window.ProgressSync) {
+                    safeCall(window.ProgressSync.syncNow.bind(window.ProgressSync));
+                }
+                return;
+            }
+            case 'sync-disconnect': {
+                if (window.ProgressSync && confirm('Stop syncing this device? Progress already on this device is kept.')) {
+                    safeCall(window.ProgressSync.disconnect.bind(window.ProgressSync));
+                }
+                return;
+            }
+            case 'sync-clear-conflicts': {
+                if (window.ProgressSync) {
+                    safeCall(window.ProgressSync.clearConflicts.bind(window.ProgressSync));
+                }
+                return;
+            }
+            case 'integrity-verify': {
+                if (window.ProgressIntegrity) {
+                    safeCall(window.ProgressIntegrity.verifyFromForm.bind(window.ProgressIntegrity));
+                }
+                return;
+            }
+            case 'calibration-run': {
+                if (window.ItemCalibration) {
+                    safeCall(window.ItemCalibration.runFromForm.bind(window.ItemCalibration));
+                }
+                return;
+            }
+            case 'calibration-download': {
+                if (window.ItemCalibration) {
+                    safeCall(window.ItemCalibration.download.bind(window.ItemCalibration), el.getAttribute('data-file'));
+                }
+                return;
+            }
+            case 'mistake-answer': {
+                const index = parseInt(el.getAttribute('data-mistake-index'), 10);
+                const option = parseInt(el.getAttribute('data-option'), 10);
+                if (Number.isFinite(index) && Number.isFinite(option) && window.MistakeReview) {
+                    safeCall(window.MistakeReview.answer.bind(window.MistakeReview), index, option);
+                }
+                return;
+            }
+            case 'mistake-check': {
+                const index = parseInt(el.getAttribute('data-mistake-index'), 10);
+                if (Number.isFinite(index) && window.MistakeReview) {
+                    safeCall(window.MistakeReview.check.bind(window.MistakeReview), index);
+                }
+                return;
+            }
+            case 'quiz-form-lookup': {
+                if (window.QuizModule) {
+                    safeCall(window.QuizModule.showFormFromCode.bind(window.QuizModule));
+                }
+                return;
+            }
+            case 'print-sheet': {
+                if (window.PrintSheets) {
+                    safeCall(window.PrintSheets.printFromForm.bind(window.PrintSheets));
+                }
+                return;
+            }
             case 'onboarding-show': {
                 safeCall(window.OnboardingModule && window.OnboardingModule.show);
                 return;
@@ -350,6 +452,10 @@
                 return;
             }
             case 'module-exit': {
+                if (window.ExamMode && window.ExamMode.blocksNavigation()) {
+                    window.ExamMode.explainLock();
+                    return;
+                }
                 const ok = confirm('Exit module? Your progress is saved.');
                 if (ok && window.Navigation && typeof window.Navigation.showSection === 'function') {
                     safeCall(window.Navigation.showSection.bind(window.Navigation), 'guide');
@@ -427,6 +533,77 @@
                 }
                 return;
             }
+            case 'benchmark-build': {
+                if (window.ClassBenchmarks) {
+                    safeCall(window.ClassBenchmarks.runFromForm.bind(window.ClassBenchmarks));
+                }
+                return;
+            }
+            case 'benchmark-download': {
+                if (window.ClassBenchmarks) {
+                    safeCall(window.ClassBenchmarks.download.bind(window.ClassBenchmarks));
+                }
+                return;
+            }
+            case 'exam-start': {
+                if (window.ModuleLearning && typeof window.ModuleLearning.beginExam === 'function') {
+                    safeCall(window.ModuleLearning.beginExam.bind(window.ModuleLearning));
+                }
+                return;
+            }
+            case 'exam-submit': {
+                if (window.ModuleLearning && typeof window.ModuleLearning.submitExam === 'function') {
+                    safeCall(window.ModuleLearning.submitExam.bind(window.ModuleLearning), false);
+                }
+                return;
+            }
+            case 'exam-config-load': {
+                if (window.ExamMode) {
+                    safeCall(window.ExamMode.fillConfigForm.bind(window.ExamMode));
+                }
+                return;
+            }
+            case 'exam-config-download': {
+                if (window.ExamMode) {
+                    safeCall(window.ExamMode.downloadConfig.bind(window.ExamMode));
+                }
+                return;
+            }
+            case 'module-test-check': {
+                const idx = parseInt(el.getAttribute('data-question-index'), 10);
+                const testType = el.getAttribute('data-test-type');
+                if (Number.isFinite(idx) && window.ModuleLearning && typeof window.ModuleLearning.checkInteractiveAnswer === 'function') {
+                    safeCall(window.ModuleLearning.checkInteractiveAnswer.bind(window.ModuleLearning), idx, testType);
+                }
+                return;
+            }
+            case 'test-confidence': {
+                const idx = parseInt(el.getAttribute('data-question-index'), 10);
+                const level = parseInt(el.getAttribute('data-confidence'), 10);
+                const testType = el.getAttribute('data-test-type');
+                if (Number.isFinite(idx) && Number.isFinite(level) && window.ModuleLearning && typeof window.ModuleLearning.selectConfidence === 'function') {
+                    safeCall(window.ModuleLearning.selectConfidence.bind(window.ModuleLearning), idx, testType, level);
+                }
+                return;
+            }
+            case 'module-confidence-toggle': {
+                if (window.ModuleLearning && typeof window.ModuleLearning.toggleConfidenceMode === 'function') {
+                    safeCall(window.ModuleLearning.toggleConfidenceMode.bind(window.ModuleLearning));
+                }
+                return;
+            }
+            case 'confidence-toggle': {
+                if (window.ConfidenceScoring) {
+                    safeCall(window.ConfidenceScoring.toggle.bind(window.ConfidenceScoring));
+                }
+                return;
+            }
+            case 'question-move': {
+                if (window.QuestionTypes) {
+                    safeCall(window.QuestionTypes.move.bind(window.QuestionTypes), el, el.getAttribute('data-direction'));
+                }
+                return;
+            }
             case 'module-start-quick-review': {
                 const moduleId = el.getAttribute('data-module-id');
                 if (window.ModuleLearning && typeof window.ModuleLearning.startQuickReview === 'function') {
@@ -460,6 +637,19 @@
                 }
                 return;
             }
+            case 'module-gtvh-lab-joke': {
+                const jokeId = el.getAttribute('data-joke-id');
+                if (jokeId && window.ModuleLearning) {
+                    safeCall(window.ModuleLearning.showGTVHLabJoke.bind(window.ModuleLearning), jokeId);
+                }
+                return;
+            }
+            case 'module-roleplay-save': {
+                if (window.ModuleLearning) {
+                    safeCall(window.ModuleLearning.saveRolePlay.bind(window.ModuleLearning));
+                }
+                return;
+            }
             case 'module-retake-module': {
                 const moduleId = el.getAttribute('data-module-id');
                 if (window.ModuleLearning && typeof window.ModuleLearning.retakeModule === 'function') {
@@ -537,18 +727,48 @@
                 safeCall(window.resetGTVHForm);
                 return;
             }
-            case 'call-fn': {
-                const fnName = el.getAttribute('data-fn');
-                const allowed = new Set([
-                    'checkSO1', 'checkSO2', 'checkLM1', 'checkLM2',
-                    'checkSITA1', 'checkSITA2', 'checkNS1', 'checkNS2',
-                    'checkLA1', 'checkLA2', 'checkComplete'
-                ]);
-                if (!fnName || !allowed.has(fnName)) {
-                    console.warn('Blocked function call:', fnName);
-                    return;
+            case 'gtvh-exercise-check': {
+                const exerciseId = el.getAttribute('data-exercise-id');
+                if (exerciseId && window.GTVHExercises) {
+                    safeCall(window.GTVHExercises.check.bind(window.GTVHExercises), exerciseId);
+                }
+                return;
+            }
+            case 'joke-gtvh-save': {
+                const jokeId = el.getAttribute('data-joke-id');
+                if (jokeId && window.GTVHJokeAnalysis) {
+                    safeCall(window.GTVHJokeAnalysis.save.bind(window.GTVHJokeAnalysis), jokeId, el.getAttribute('data-form') || undefined);
+                    // A save inside the module GTVH lab may unlock its Next button
+                    if (el.closest('.gtvh-lab') && window.ModuleLearning) {
+                        safeCall(window.ModuleLearning.updateGTVHLabStatus.bind(window.ModuleLearning));
+                    }
+                }
+                return;
+            }
+            case 'joke-gtvh-compare': {
+                const jokeId = el.getAttribute('data-joke-id');
+                if (jokeId && window.GTVHJokeAnalysis) {
+                    safeCall(window.GTVHJokeAnalysis.compare.bind(window.GTVHJokeAnalysis), jokeId, el.getAttribute('data-form') || undefined);
+                }
+                return;
+            }
+            case 'joke-gtvh-export': {
+                if (window.GTVHJokeAnalysis) {
+                    safeCall(window.GTVHJokeAnalysis.download.bind(window.GTVHJokeAnalysis));
+                }
+                return;
+            }
+            case 'gtvh-explorer-group': {
+                if (window.GTVHExplorer) {
+                    safeCall(window.GTVHExplorer.setGroupBy.bind(window.GTVHExplorer), el.getAttribute('data-group'));
+                }
+                return;
+            }
+            case 'gtvh-explorer-open': {
+                const jokeId = el.getAttribute('data-joke-id');
+                if (jokeId && window.GTVHExplorer) {
+                    safeCall(window.GTVHExplorer.open.bind(window.GTVHExplorer), jokeId);
                 }
-                safeCall(window[fnName]);
                 return;
             }
             default:
@@ -0,0 +1,342 @@
+/**
+ * ADAPTIVE PLACEMENT MODULE
+ *
+ * Purpose: Computerized adaptive testing (CAT) engine and skill profile behind the placement test
+ *
+ * Responsibilities:
+ * - Give every placement item a difficulty on a logit scale (calibrated `difficulty`
+ *   when the item has one, otherwise the value configured for its CEFR level)
+ * - Estimate ability after each answer (Rasch model, expected a posteriori with a
+ *   standard normal prior) together with its standard error
+ * - Pick the most informative unanswered item, spreading items across skills
+ * - Decide when to stop: the estimate is precise and stable, or its whole confidence
+ *   band already falls inside one level
+ * - Turn the estimate into a CEFR level, a confidence band, a starting module and
+ *   the sub-units of that module the learner has already shown they can do
+ * - Build a per-skill profile and a personalised module path, which can add the
+ *   elective modules (5-6) or start with them when the learner is already strong
+ *
+ * Pure functions only: no DOM, no storage. PlacementModule (assessment.js) drives it.
+ *
+ * Configuration lives in placement-test.json under `adaptive`:
+ *   { minItems, maxItems, stopStandardError, stopChange,
+ *     levels: [{ level, difficulty, upTo?, module }] }   (levels ordered easy -> hard)
+ * A learner is placed at the hardest level whose items they answer correctly at least
+ * half the time, so by default a level ends where the next level's difficulty begins.
+ *
+ * The skill profile is configured under `profile`:
+ *   { strongPercent, skills: { id: { label } }, electives: [{ module, minLevel, skills }] }
+ * An elective is started first when the learner reaches minLevel and is strong in all of
+ * its skills, added to the path when either holds, and left for later otherwise.
+ *
+ * Dependencies: none
+ * Used by: PlacementModule (assessment.js)
+ */
+
+(function() {
+    'use strict';
+
+    // 90% confidence band
+    const CONFIDENCE_Z = 1.645;
+    const GRID_MIN = -4;
+    const GRID_MAX = 4;
+    const GRID_STEP = 0.05;
+    // Candidates within this share of the best item's information count as equally good
+    const NEAR_BEST_INFORMATION = 0.9;
+    // A skill needs at least this many answers before it can count as strong
+    const MIN_ANSWERS_FOR_STRONG = 2;
+    const DEFAULT_STRONG_PERCENT = 75;
+
+    const DEFAULT_CONFIG = {
+        minItems: 6,
+        maxItems: 12,
+        stopStandardError: 0.6,
+        stopChange: 0.25,
+        levels: [
+            { level: 'A1-A2', difficulty: -1.5, module: 'module-1' },
+            { level: 'B1', difficulty: -0.5, module: 'module-2' },
+            { level: 'B2', difficulty: 0.5, module: 'module-3' },
+            { level: 'C1', difficulty: 1.5, module: 'module-4' }
+        ]
+    };
+
+    const GRID = [];
+    for (let theta = GRID_MIN; theta <= GRID_MAX + 1e-9; theta += GRID_STEP) {
+        GRID.push(Math.round(theta * 100) / 100);
+    }
+
+    function probabilityCorrect(theta, difficulty) {
+        return 1 / (1 + Math.exp(difficulty - theta));
+    }
+
+    function round2(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    const AdaptivePlacement = {
+        CONFIDENCE_Z,
+
+        /**
+         * Merge the JSON `adaptive` block over the defaults
+         * @param {Object} [adaptive] - placementTest.adaptive from placement-test.json
+         * @returns {Object} Complete configuration
+         */
+        config: function(adaptive) {
+            const source = adaptive && typeof adaptive === 'object' ? adaptive : {};
+            const merged = Object.assign({}, DEFAULT_CONFIG);
+            ['minItems', 'maxItems', 'stopStandardError', 'stopChange'].forEach(key => {
+                if (Number.isFinite(source[key]) && source[key] > 0) merged[key] = source[key];
+            });
+            if (Array.isArray(source.levels) && source.levels.length) {
+                merged.levels = source.levels.filter(level => level && typeof level.level === 'string' && Number.isFinite(level.difficulty));
+            }
+            merged.maxItems = Math.max(merged.minItems, merged.maxItems);
+            return merged;
+        },
+
+        /**
+         * Difficulty of an item in logits
+         * @param {Object} item - Placement question
+         * @param {Object} config - From config()
+         * @returns {number}
+         */
+        itemDifficulty: function(item, config) {
+            if (item && Number.isFinite(item.difficulty)) return item.difficulty;
+            const level = config.levels.find(entry => entry.level === (item && item.level));
+            return level ? level.difficulty : 0;
+        },
+
+        /**
+         * Expected a posteriori ability estimate
+         * @param {Array<{difficulty: number, correct: boolean, credit?: number}>} responses -
+         *   credit (0–1) is partial credit from matching, ordering and cloze items
+         * @returns {{theta: number, standardError: number}}
+         */
+        estimateAbility: function(responses) {
+            let total = 0;
+            let mean = 0;
+            let squares = 0;
+            GRID.forEach(theta => {
+                let weight = Math.exp(-theta * theta / 2);
+                responses.forEach(response => {
+                    const p = probabilityCorrect(theta, response.difficulty);
+                    const credit = Number.isFinite(response.credit) ? response.credit : (response.correct ? 1 : 0);
+                    weight *= Math.pow(p, credit) * Math.pow(1 - p, 1 - credit);
+                });
+                total += weight;
+                mean += theta * weight;
+                squares += theta * theta * weight;
+            });
+            const theta = mean / total;
+            return { theta, standardError: Math.sqrt(Math.max(0, squares / total - theta * theta)) };
+        },
+
+        /**
+         * Choose the next item: among the items with (nearly) the most Fisher information
+         * at the current estimate, the one whose skill has been asked least, then file order
+         * @param {Array} items - All placement questions
+         * @param {number[]} askedIndexes - Indexes already administered
+         * @param {number} theta - Current ability estimate
+         * @param {Object} config - From config()
+         * @returns {number} Index into items, or -1 when the pool is exhausted
+         */
+        selectNextItem: function(items, askedIndexes, theta, config) {
+            const asked = new Set(askedIndexes);
+            const coverage = {};
+            askedIndexes.forEach(index => {
+                const key = items[index] && (items[index].skill || items[index].strand);
+                if (key) coverage[key] = (coverage[key] || 0) + 1;
+            });
+
+            const candidates = [];
+            items.forEach((item, index) => {
+                if (asked.has(index)) return;
+                const p = probabilityCorrect(theta, this.itemDifficulty(item, config));
+                candidates.push({ index, information: p * (1 - p), covered: coverage[item.skill || item.strand] || 0 });
+            });
+            if (!candidates.length) return -1;
+
+            const bestInformation = Math.max(...candidates.map(candidate => candidate.information));
+            let best = null;
+            candidates
+                .filter(candidate => candidate.information >= bestInformation * NEAR_BEST_INFORMATION)
+                .forEach(candidate => {
+                    if (!best || candidate.covered < best.covered ||
+                        (candidate.covered === best.covered && candidate.information > best.information)) {
+                        best = candidate;
+                    }
+                });
+            return best.index;
+        },
+
+        /**
+         * Whether testing can stop
+         * @param {Array<{theta: number, standardError: number}>} history - Estimate after each answer
+         * @param {number} remaining - Unanswered items left in the pool
+         * @param {Object} config - From config()
+         * @returns {boolean}
+         */
+        shouldStop: function(history, remaining, config) {
+            const count = history.length;
+            if (remaining <= 0 || count >= config.maxItems) return true;
+            if (count < config.minItems) return false;
+            const latest = history[count - 1];
+            const previous = history[count - 2];
+            const stable = latest.standardError <= config.stopStandardError &&
+                (!previous || Math.abs(latest.theta - previous.theta) <= config.stopChange);
+            const margin = CONFIDENCE_Z * latest.standardError;
+            const settled = this.levelForAbility(latest.theta - margin, config) === this.levelForAbility(latest.theta + margin, config);
+            return stable || settled;
+        },
+
+        /**
+         * Level entry an ability falls into
+         * @returns {Object} Entry from config.levels
+         */
+        levelForAbility: function(theta, config) {
+            const levels = config.levels;
+            for (let i = 0; i < levels.length - 1; i++) {
+                const upTo = Number.isFinite(levels[i].upTo) ? levels[i].upTo : levels[i + 1].difficulty;
+                if (theta < upTo) return levels[i];
+            }
+            return levels[levels.length - 1];
+        },
+
+        /**
+         * Summarize a finished adaptive test
+         * @param {Array} items - All placement questions
+         * @param {Array<{index: number, correct: boolean}>} responses - In the order asked
+         * @param {Array} modules - modules.json entries (for sub-unit ids and titles)
+         * @param {Object} config - From config()
+         * @returns {{ability: number, standardError: number, level: string, levelRange: string[],
+         *   recommendedModule: string, skipSubUnits: Array<{id: string, title: string, strand: string}>}}
+         */
+        summarize: function(items, responses, modules, config) {
+            const estimate = this.estimateAbility(responses.map(response => ({
+                difficulty: this.itemDifficulty(items[response.index], config),
+                correct: response.correct,
+                credit: response.credit
+            })));
+            const level = this.levelForAbility(estimate.theta, config);
+            const low = this.levelForAbility(estimate.theta - CONFIDENCE_Z * estimate.standardError, config);
+            const high = this.levelForAbility(estimate.theta + CONFIDENCE_Z * estimate.standardError, config);
+
+            return {
+                ability: round2(estimate.theta),
+                standardError: round2(estimate.standardError),
+                level: level.level,
+                levelRange: [low.level, high.level],
+                recommendedModule: level.module,
+                skipSubUnits: this.subUnitsToSkip(items, responses, modules, level, config)
+            };
+        },
+
+        /**
+         * Sub-units of the starting module whose strand the learner already handled:
+         * every item of that strand asked at or above the module's level was answered correctly
+         * @returns {Array<{id: string, title: string, strand: string}>}
+         */
+        subUnitsToSkip: function(items, responses, modules, level, config) {
+            const module = (Array.isArray(modules) ? modules : []).find(entry => entry && entry.id === level.module);
+            if (!module || !Array.isArray(module.subUnits)) return [];
+
+            const evidence = {};
+            responses.forEach(response => {
+                const item = items[response.index];
+                if (!item || !item.strand || this.itemDifficulty(item, config) < level.difficulty) return;
+                const entry = evidence[item.strand] || (evidence[item.strand] = { asked: 0, correct: 0 });
+                entry.asked++;
+                if (response.correct) entry.correct++;
+            });
+
+            return module.subUnits
+                .map(subUnit => {
+                    const strand = String(subUnit.id).slice(module.id.length + 1);
+                    return { id: subUnit.id, title: subUnit.title, strand };
+                })
+                .filter(subUnit => evidence[subUnit.strand] && evidence[subUnit.strand].asked === evidence[subUnit.strand].correct);
+        },
+
+        /**
+         * Per-skill results, in the order the skills are declared
+         * @param {Array} items - All placement questions
+         * @param {Array<{index: number, correct: boolean}>} responses - Answered items
+         * @param {Object} profileConfig - placementTest.profile
+         * @returns {Object<string, {label: string, asked: number, correct: number, percent: number|null, strong: boolean}>}
+         */
+        skillProfile: function(items, responses, profileConfig) {
+            const skills = profileConfig && profileConfig.skills ? profileConfig.skills : {};
+            const strongPercent = Number.isFinite(profileConfig && profileConfig.strongPercent)
+                ? profileConfig.strongPercent
+                : DEFAULT_STRONG_PERCENT;
+
+            const profile = {};
+            Object.keys(skills).forEach(skill => {
+                profile[skill] = { label: skills[skill].label || skill, asked: 0, correct: 0, percent: null, strong: false };
+            });
+            responses.forEach(response => {
+                const item = items[response.index];
+                const entry = item && profile[item.skill];
+                if (!entry) return;
+                entry.asked++;
+                if (response.correct) entry.correct++;
+            });
+            Object.keys(profile).forEach(skill => {
+                const entry = profile[skill];
+                if (!entry.asked) return;
+                entry.percent = Math.round((entry.correct / entry.asked) * 100);
+                entry.strong = entry.asked >= MIN_ANSWERS_FOR_STRONG && entry.percent >= strongPercent;
+            });
+            return profile;
+        },
+
+        /**
+         * Personalised module path: the core modules from the placement level upward,
+         * with electives started first, added after their prerequisites, or left for later
+         * @param {string} coreModule - Module the placement level points to
+         * @param {Object} skillProfile - From skillProfile()
+         * @param {Object} profileConfig - placementTest.profile
+         * @param {Array} modules - modules.json entries (for prerequisites)
+         * @param {Object} config - From config()
+         * @returns {{path: string[], recommendedModule: string,
+         *   electives: Array<{module: string, status: string, minLevel: string, strongSkills: string[]}>}}
+         *   status is 'skip-to', 'include' or 'later'
+         */
+        recommendPath: function(coreModule, skillProfile, profileConfig, modules, config) {
+            const levels = config.levels;
+            const core = levels.map(level => level.module);
+            const levelIndex = Math.max(0, core.indexOf(coreModule));
+            const path = core.slice(levelIndex);
+            const moduleList = Array.isArray(modules) ? modules : [];
+
+            const electives = (profileConfig && Array.isArray(profileConfig.electives) ? profileConfig.electives : []).map(elective => {
+                const minIndex = levels.findIndex(level => level.level === elective.minLevel);
+                const reachesLevel = minIndex === -1 || levelIndex >= minIndex;
+                const strongSkills = elective.skills.filter(skill => skillProfile[skill] && skillProfile[skill].strong);
+                let status = 'later';
+                if (reachesLevel && strongSkills.length === elective.skills.length) {
+                    status = 'skip-to';
+                } else if (reachesLevel || strongSkills.length) {
+                    status = 'include';
+                }
+                return { module: elective.module, status, minLevel: elective.minLevel, strongSkills };
+            });
+
+            electives.filter(elective => elective.status === 'include').forEach(elective => {
+                const module = moduleList.find(entry => entry && entry.id === elective.module);
+                const prerequisites = module && Array.isArray(module.prerequisites) ? module.prerequisites : [];
+                const after = Math.max(-1, ...prerequisites.map(id => path.indexOf(id)));
+                // After its last prerequisite still ahead, otherwise right after the starting module
+                path.splice(after >= 0 ? after + 1 : Math.min(1, path.length), 0, elective.module);
+            });
+            electives.filter(elective => elective.status === 'skip-to').reverse().forEach(elective => {
+                path.unshift(elective.module);
+            });
+
+            return { path, recommendedModule: path[0], electives };
+        }
+    };
+
+    window.AdaptivePlacement = AdaptivePlacement;
+
+})();
@@ -118,8 +118,11 @@
             console.log('🚀 Initializing application...');
 
             try {
-                // Wait for data to load
+                // Wait for data and saved progress (IndexedDB opens asynchronously)
                 await this.waitForData();
+                if (window.Storage && window.Storage.ready) {
+                    await window.Storage.ready;
+                }
 
                 // Apply saved teacher mode before rendering modules
                 TeacherMode.apply(window.State && window.State.teacherModeEnabled, {
@@ -136,6 +139,16 @@
                 // Handle initial navigation
                 this.handleInitialNavigation();
 
+                // Reopen an exam that was still running when the page was closed
+                if (window.ExamMode) {
+                    window.ExamMode.resumePending();
+                }
+
+                // Class score lists from the sync server, for post-test comparisons (non-blocking)
+                if (window.ClassBenchmarks) {
+                    window.ClassBenchmarks.refreshFromServer();
+                }
+
                 // Show onboarding if needed
                 // this.checkOnboarding(); // Disabled - users can manually trigger via "Restart Tutorial" button
 
@@ -187,6 +200,16 @@
             if (window.NavigationBanner) {
                 window.NavigationBanner.update();
             }
+
+            // Teacher's exam settings form starts from the loaded exam-config.json
+            if (window.ExamMode) {
+                window.ExamMode.fillConfigForm();
+            }
+
+            // Tests the teacher can print
+            if (window.PrintSheets) {
+                window.PrintSheets.fillForm();
+            }
         },
 
         /**
@@ -4,15 +4,16 @@
  * Purpose: Handle all testing and quiz functionality
  *
  * Responsibilities:
- * - Render quizzes (beginner, intermediate, advanced)
- * - Handle quiz submissions and grading
- * - Render placement test
+ * - Render quizzes (beginner, intermediate, advanced) as seeded forms drawn from each level's pool
+ * - Rebuild a learner's quiz form from its code for teachers
+ * - Handle quiz submissions and grading (partial credit for matching, ordering and cloze items)
+ * - Render placement test (adaptive by default, or all questions in fixed order)
  * - Score and analyze test results
  * - Update progress based on quiz scores
  * - Provide feedback on answers
  *
- * Dependencies: State, DataLoader, UI
- * Used by: App module and quiz event handlers
+ * Dependencies: State, DataLoader, UI, AdaptivePlacement, QuestionTypes
+ * Used by: App module, quiz event handlers, PrintSheets (print-sheets.js)
  */
 
 (function() {
@@ -21,7 +22,44 @@
     // Ensure these globals always exist, even if init order changes.
     window.PlacementModule = window.PlacementModule || {};
     if (!window.PlacementModule.state) {
-        window.PlacementModule.state = { currentQuestion: 0, answers: [], score: 0 };
+        window.PlacementModule.state = { currentQuestion: 0, answers: [], score: 0, mode: 'fixed', asked: [], estimates: [] };
+    }
+
+    // ========================================
+    // QUIZ FORMS
+    // ========================================
+    // Every attempt draws a form from the level's pool. The form is fully determined by
+    // level + seed (and the quiz data), so a teacher can rebuild it from its code.
+    const QUIZ_LEVELS = ['beginner', 'intermediate', 'advanced'];
+    const FORM_CODE_PATTERN = /^(all|beginner|intermediate|advanced)-([0-9a-f]{8})$/;
+    const DEFAULT_ALL_LEVELS_ITEMS = 6;
+
+    // mulberry32: small, and gives the same sequence in every browser
+    function seededRandom(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function shuffled(list, random) {
+        const copy = list.slice();
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    function newFormSeed() {
+        const value = window.crypto && window.crypto.getRandomValues
+            ? window.crypto.getRandomValues(new Uint32Array(1))[0]
+            : Math.floor(Math.random() * 4294967296);
+        return value.toString(16).padStart(8, '0');
     }
 
     // ========================================
@@ -30,6 +68,7 @@
     const QuizModule = {
         currentLevel: 'all',
         currentAnswers: [],
+        currentForm: null,
 
         init: function() {
             this.renderQuizOptions();
@@ -67,7 +106,67 @@
             this.renderQuiz(level);
         },
 
-        renderQuiz: function(level) {
+        /**
+         * Items per attempt and option shuffling (quizzes.json `forms`)
+         * @returns {{itemsPerAttempt: Object<string, number>, shuffleOptions: boolean}}
+         */
+        formSettings: function() {
+            const forms = (window.DATA && window.DATA.quizzes && window.DATA.quizzes.forms) || {};
+            return {
+                itemsPerAttempt: forms.itemsPerAttempt || {},
+                shuffleOptions: forms.shuffleOptions !== false
+            };
+        },
+
+        /**
+         * Draw a quiz form: items from the level pool(s), then option order per item
+         * @param {string} level - 'all' | 'beginner' | 'intermediate' | 'advanced'
+         * @param {string} seed - 8 hex digits
+         * @returns {{level: string, seed: string, code: string, questions: Array}} Questions are copies;
+         *   shuffled single-choice items carry optionOrder (original index per shown option) and a remapped correct
+         */
+        buildForm: function(level, seed) {
+            const quizzes = (window.DATA && window.DATA.quizzes) || {};
+            const settings = this.formSettings();
+            const random = seededRandom(parseInt(seed, 16));
+            const draw = (pool, count) => shuffled(Array.isArray(pool) ? pool : [], random).slice(0, count);
+
+            let questions;
+            if (level === 'all') {
+                // Spread the items evenly over the levels, easier levels first
+                const total = settings.itemsPerAttempt.all || DEFAULT_ALL_LEVELS_ITEMS;
+                questions = [];
+                QUIZ_LEVELS.forEach((poolLevel, i) => {
+                    const share = Math.floor(total / QUIZ_LEVELS.length) + (i < total % QUIZ_LEVELS.length ? 1 : 0);
+                    questions.push(...draw(quizzes[poolLevel], share));
+                });
+            } else {
+                const pool = Array.isArray(quizzes[level]) ? quizzes[level] : [];
+                questions = draw(pool, settings.itemsPerAttempt[level] || pool.length);
+            }
+            questions = this.orderByDifficulty(questions).map(q => this.shuffleOptions(q, random, settings.shuffleOptions));
+            return { level, seed, code: `${level}-${seed}`, questions };
+        },
+
+        /**
+         * Copy a question with its options in a random order and the correct index remapped
+         * @param {Object} question - Pool question (left untouched)
+         * @param {Function} random - Seeded generator from seededRandom()
+         * @param {boolean} enabled - quizzes.json forms.shuffleOptions
+         * @returns {Object} Copy with optionOrder (null when not shuffled)
+         */
+        shuffleOptions: function(question, random, enabled) {
+            const copy = Object.assign({}, question, { optionOrder: null });
+            const choice = !window.QuestionTypes || window.QuestionTypes.isChoice(question);
+            if (!enabled || !choice || !Array.isArray(question.options)) return copy;
+            const order = shuffled(question.options.map((option, index) => index), random);
+            copy.options = order.map(index => question.options[index]);
+            copy.correct = order.indexOf(question.correct);
+            copy.optionOrder = order;
+            return copy;
+        },
+
+        renderQuiz: function(level, seed) {
             if (!window.DATA || !window.DATA.quizzes) {
                 console.warn('Quiz data not loaded');
                 return;
@@ -76,30 +175,26 @@
             const container = document.getElementById('quiz-container');
             if (!container) return;
 
-            let questions = [];
-
-            // Get questions based on level
-            if (level === 'all') {
-                questions = [
-                    ...window.DATA.quizzes.beginner.slice(0, 2),
-                    ...window.DATA.quizzes.intermediate.slice(0, 2),
-                    ...window.DATA.quizzes.advanced.slice(0, 2)
-                ];
-            } else {
-                questions = window.DATA.quizzes[level] || [];
-            }
+            // A fresh form on every render (new level or retry) unless a seed is given
+            this.currentForm = this.buildForm(level, seed || newFormSeed());
+            this.currentForm.startedAt = Date.now();
+            const questions = this.currentForm.questions;
 
             // Reset answers
             this.currentAnswers = questions.map(() => ({ selected: null, correct: null }));
 
             // Build quiz HTML
-            let html = '<div class="quiz-questions">';
+            let html = `<p class="quiz-form-code">Form <code>${this.currentForm.code}</code></p>`;
+            html += '<div class="quiz-questions">';
 
+            const types = window.QuestionTypes;
             questions.forEach((q, index) => {
+                const interactive = types && !types.isChoice(q);
                 html += `
                     <div class="quiz-question" data-question-index="${index}">
                         <h4>Question ${index + 1}</h4>
                         <p class="question-stem">${this.sanitizeHTML(q.question)}</p>
+                        ${interactive ? types.renderInput(q, `quiz-${index}`) : `
                         <div class="quiz-options">
                             ${q.options.map((option, optIndex) => `
                                 <label class="quiz-option">
@@ -111,12 +206,15 @@
                                     <span>${this.sanitizeHTML(option)}</span>
                                 </label>
                             `).join('')}
-                        </div>
+                        </div>`}
                         <div class="quiz-feedback" id="feedback-${index}"></div>
                     </div>
                 `;
 
                 // Store correct answer
+                this.currentAnswers[index].question = q;
+                this.currentAnswers[index].interactive = interactive;
+                this.currentAnswers[index].id = q.id;
                 this.currentAnswers[index].correct = q.correct;
                 this.currentAnswers[index].explanation = q.explanation || '';
             });
@@ -153,6 +251,20 @@
             }
         },
 
+        /**
+         * Easiest items first once calibrated difficulties exist (see ItemCalibration).
+         * Uncalibrated items keep their authored order.
+         * @param {Array} questions - Quiz items
+         * @returns {Array} New ordered array
+         */
+        orderByDifficulty: function(questions) {
+            if (!questions.some(q => Number.isFinite(q.difficulty))) return questions.slice();
+            return questions
+                .map((q, index) => ({ q, index, d: Number.isFinite(q.difficulty) ? q.difficulty : 0 }))
+                .sort((a, b) => (a.d - b.d) || (a.index - b.index))
+                .map(entry => entry.q);
+        },
+
         selectAnswer: function(questionIndex, optionIndex) {
             this.currentAnswers[questionIndex].selected = optionIndex;
         },
@@ -160,13 +272,41 @@
         checkAnswers: function() {
             let correct = 0;
             const total = this.currentAnswers.length;
+            const types = window.QuestionTypes;
 
             this.currentAnswers.forEach((ans, index) => {
                 const feedback = document.getElementById(`feedback-${index}`);
                 const questionDiv = document.querySelector(`[data-question-index="${index}"]`);
                 const options = questionDiv.querySelectorAll('.quiz-option');
 
+                if (ans.interactive) {
+                    const response = types.readResponse(questionDiv, ans.question);
+                    if (!types.isComplete(ans.question, response)) {
+                        ans.selected = null;
+                        ans.credit = 0;
+                        if (feedback) {
+                            feedback.className = 'quiz-feedback show warning';
+                            feedback.textContent = '⚠ Please complete every part';
+                        }
+                        return;
+                    }
+                    ans.selected = response;
+                    ans.credit = types.score(ans.question, response);
+                    correct += ans.credit;
+                    types.markResult(questionDiv, ans.question, response);
+                    if (feedback) {
+                        const full = ans.credit === 1;
+                        feedback.className = `quiz-feedback show ${full ? 'correct' : 'incorrect'}`;
+                        feedback.textContent = full
+                            ? `✓ Correct! ${ans.explanation}`
+                            : `${ans.credit > 0 ? '◐ Partly correct' : '✗ Incorrect'} (${types.describeCredit(ans.question, response)}). ` +
+                              `Answer: ${types.describeCorrect(ans.question)}. ${ans.explanation}`;
+                    }
+                    return;
+                }
+
                 if (ans.selected === null) {
+                    ans.credit = 0;
                     if (feedback) {
                         feedback.className = 'quiz-feedback show warning';
                         feedback.textContent = '⚠ Please select an answer';
@@ -175,6 +315,7 @@
                 }
 
                 const isCorrect = ans.selected === ans.correct;
+                ans.credit = isCorrect ? 1 : 0;
                 if (isCorrect) correct++;
 
                 // Mark correct/incorrect options
@@ -196,12 +337,29 @@
                 }
             });
 
-            // Calculate score
+            // Calculate score (matching, ordering and cloze items add partial credit)
             const score = Math.round((correct / total) * 100);
+            correct = Math.round(correct * 100) / 100;
 
-            // Save score
+            // Save the attempt with every answer
             if (window.ProgressHelper) {
-                window.ProgressHelper.addQuizScore(score);
+                // Choices are recorded against the original option order, not the shuffled one
+                window.ProgressHelper.addAttempt({
+                    source: 'quiz',
+                    level: this.currentForm.level,
+                    seed: this.currentForm.seed,
+                    durationMs: Date.now() - this.currentForm.startedAt,
+                    score,
+                    items: this.currentAnswers
+                        .filter(ans => ans.id)
+                        .map(ans => ({
+                            id: ans.id,
+                            answer: Number.isInteger(ans.selected) && ans.question.optionOrder
+                                ? ans.question.optionOrder[ans.selected]
+                                : ans.selected,
+                            credit: ans.credit
+                        }))
+                });
             }
 
             // Show results
@@ -215,9 +373,13 @@
             const feedbackP = document.createElement('p');
             feedbackP.className = 'feedback';
             feedbackP.textContent = this.getScoreFeedback(score);
+            const formP = document.createElement('p');
+            formP.className = 'quiz-form-code';
+            formP.textContent = `Form code: ${this.currentForm.code} (your teacher can use it to see this exact quiz)`;
             resultBox.appendChild(heading);
             resultBox.appendChild(scoreP);
             resultBox.appendChild(feedbackP);
+            resultBox.appendChild(formP);
 
             const container = document.getElementById('quiz-container');
             container.insertBefore(resultBox, container.firstChild);
@@ -262,6 +424,55 @@
             }
         },
 
+        /**
+         * Rebuild a form from its code
+         * @param {string} code - e.g. 'intermediate-3f9a0c12' (case and surrounding spaces ignored)
+         * @returns {Object|null} Form as from buildForm(), null for a malformed code
+         */
+        formFromCode: function(code) {
+            const match = FORM_CODE_PATTERN.exec(String(code || '').trim().toLowerCase());
+            return match ? this.buildForm(match[1], match[2]) : null;
+        },
+
+        /**
+         * Draw a new form for a level with a fresh seed (printed quizzes)
+         * @param {string} level - 'all' | 'beginner' | 'intermediate' | 'advanced'
+         * @returns {Object} Form as from buildForm()
+         */
+        newForm: function(level) {
+            return this.buildForm(level, newFormSeed());
+        },
+
+        /**
+         * Teacher view: rebuild the form a learner saw from its code (e.g. 'intermediate-3f9a0c12')
+         * and list its questions in order with the options as shown and the answer key
+         */
+        showFormFromCode: function() {
+            const input = document.getElementById('quiz-form-lookup-code');
+            const preview = document.getElementById('quiz-form-preview');
+            if (!preview) return;
+            const code = input ? input.value : '';
+            if (!FORM_CODE_PATTERN.test(String(code).trim().toLowerCase())) {
+                preview.textContent = 'Enter a form code like intermediate-3f9a0c12 (shown with the learner\'s quiz result).';
+                return;
+            }
+            if (!window.DATA || !window.DATA.quizzes) {
+                preview.textContent = 'Quiz data is still loading. Try again in a moment.';
+                return;
+            }
+
+            const form = this.formFromCode(code);
+            const types = window.QuestionTypes;
+            const items = form.questions.map((q, index) => {
+                const answer = types && !types.isChoice(q)
+                    ? `<p style="margin: 4px 0 0 0;">✓ ${this.sanitizeHTML(types.describeCorrect(q))}</p>`
+                    : `<ol type="A" style="margin: 4px 0 0 20px; padding: 0;">${q.options.map((option, optIndex) =>
+                        `<li${optIndex === q.correct ? ' style="font-weight: 700; color: #059669;"' : ''}>${this.sanitizeHTML(option)}${optIndex === q.correct ? ' ✓' : ''}</li>`).join('')}</ol>`;
+                return `<li style="margin-bottom: 12px;"><strong>${this.sanitizeHTML(q.question)}</strong> <small>(${this.sanitizeHTML(q.id || '')})</small>${answer}</li>`;
+            }).join('');
+            preview.innerHTML = `<p>Form <code>${form.code}</code>: ${form.questions.length} question(s), in the order the learner saw them.</p><ol style="margin: 0 0 0 20px; padding: 0;">${items}</ol>`;
+        },
+
         sanitizeHTML: function(str) {
             const temp = document.createElement('div');
             temp.textContent = str;
@@ -295,9 +506,21 @@
         PlacementModule.init = function() {
             this.state.currentQuestion = 0;
             this.state.answers = [];
+            this.state.asked = [];
+            this.state.estimates = [];
             this.showIntro();
         };
 
+        // Adaptive unless the learner asked for the full test (or the engine failed to load)
+        PlacementModule.chooseMode = function() {
+            const fullLength = document.getElementById('placement-full-length');
+            return window.AdaptivePlacement && !(fullLength && fullLength.checked) ? 'adaptive' : 'fixed';
+        };
+
+        PlacementModule.adaptiveConfig = function() {
+            return window.AdaptivePlacement.config(window.DATA?.placementTest?.adaptive);
+        };
+
         PlacementModule.showIntro = function() {
             const intro = document.getElementById('placement-intro');
             const quiz = document.getElementById('placement-quiz');
@@ -335,15 +558,21 @@
                 return;
             }
 
-            this.state.currentQuestion = 0;
             this.state.answers = [];
+            this.state.estimates = [];
+            this.state.startedAt = Date.now();
+            this.state.mode = this.chooseMode();
+            this.state.currentQuestion = this.state.mode === 'adaptive'
+                ? window.AdaptivePlacement.selectNextItem(this.questions, [], 0, this.adaptiveConfig())
+                : 0;
+            this.state.asked = [this.state.currentQuestion];
             const intro = document.getElementById('placement-intro');
             const quiz = document.getElementById('placement-quiz');
             const results = document.getElementById('placement-results');
             if (intro) intro.style.display = 'none';
             if (quiz) quiz.style.display = 'block';
             if (results) results.style.display = 'none';
-            this.loadQuestion(0);
+            this.loadQuestion(this.state.currentQuestion);
             if (window.State) {
                 window.State.userProgress.placementCompleted = false;
                 window.Storage.save();
@@ -354,11 +583,16 @@
             const question = this.questions[index];
             if (!question) return;
 
-            // Update progress
+            // Update progress (adaptive tests count asked items against the item limit)
+            const adaptive = this.state.mode === 'adaptive';
+            const position = adaptive ? this.state.asked.length : index + 1;
+            const total = adaptive ? this.adaptiveConfig().maxItems : this.questions.length;
             const currentEl = document.getElementById('placement-current');
-            if (currentEl) currentEl.textContent = index + 1;
+            if (currentEl) currentEl.textContent = position;
+            const totalEl = document.getElementById('placement-total');
+            if (totalEl) totalEl.textContent = adaptive ? `up to ${total}` : String(total);
 
-            const progress = ((index + 1) / this.questions.length) * 100;
+            const progress = (position / total) * 100;
             const progressBar = document.getElementById('placement-progress-bar');
             if (progressBar) progressBar.style.width = progress + '%';
 
@@ -374,11 +608,11 @@
             }
 
             // Update question text (Uzbek version when UZB is selected and a translation exists)
-            const prefLang = localStorage.getItem('preferredLanguage') || 'en';
+            const prefLang = (window.StorageAdapter || localStorage).getItem('preferredLanguage') || 'en';
             const useUz = prefLang === 'uz';
             const questionText = document.getElementById('placement-question-text');
             if (questionText) {
-                questionText.textContent = (useUz && question.stemUz) ? question.stemUz : question.stem;
+                questionText.textContent = (useUz && question.stemUz) ? question.stemUz : (question.stem || question.question);
                 if (useUz && !question.stemUz) {
                     const uzNote = document.createElement('div');
                     uzNote.style.cssText = 'font-size:0.8em;color:#6b7280;font-weight:400;margin-top:8px;';
@@ -387,9 +621,19 @@
                 }
             }
 
-            // Create options
+            // Create options (matching, ordering and cloze items bring their own answer area)
             const optionsContainer = document.getElementById('placement-options');
-            if (optionsContainer) {
+            const types = window.QuestionTypes;
+            if (optionsContainer && types && !types.isChoice(question)) {
+                optionsContainer.className = 'placement-options placement-interactive';
+                optionsContainer.innerHTML = types.renderInput(question, `placement-${index}`);
+                if (!this._interactiveBound) {
+                    this._interactiveBound = true;
+                    const onEdit = () => this.updateInteractiveAnswer();
+                    optionsContainer.addEventListener('change', onEdit);
+                    optionsContainer.addEventListener('input', onEdit);
+                }
+            } else if (optionsContainer) {
                 optionsContainer.replaceChildren();
                 optionsContainer.className = 'placement-options';
 
@@ -442,15 +686,38 @@
             const nextBtn = document.getElementById('placement-next-btn');
             if (nextBtn) {
                 nextBtn.disabled = true;
-                // Update button text for last question
-                if (index === this.questions.length - 1) {
+                // Update button text for last question (an adaptive test decides after each answer)
+                if (this.state.mode !== 'adaptive' && index === this.questions.length - 1) {
                     nextBtn.textContent = 'See Results';
                 } else {
                     nextBtn.textContent = 'Next';
                 }
             }
+            if (types && !types.isChoice(question)) this.updateInteractiveAnswer();
         },
 
+        // Store a matching/ordering/cloze response once every part is filled in
+        PlacementModule.updateInteractiveAnswer = function() {
+            const question = this.questions[this.state.currentQuestion];
+            const container = document.getElementById('placement-options');
+            if (!question || !container || !window.QuestionTypes) return;
+            const response = window.QuestionTypes.readResponse(container, question);
+            const complete = window.QuestionTypes.isComplete(question, response);
+            this.state.answers[this.state.currentQuestion] = complete ? response : undefined;
+            const nextBtn = document.getElementById('placement-next-btn');
+            if (nextBtn) nextBtn.disabled = !complete;
+        };
+
+        // Credit (0–1) earned on a question; partial for matching, ordering and cloze
+        PlacementModule.creditFor = function(index) {
+            const question = this.questions[index];
+            const answer = this.state.answers[index];
+            if (!question) return 0;
+            return window.QuestionTypes
+                ? window.QuestionTypes.score(question, answer)
+                : (answer === question.correct ? 1 : 0);
+        };
+
         PlacementModule.selectOption = function(optIndex) {
             // Store answer
             this.state.answers[this.state.currentQuestion] = optIndex;
@@ -470,6 +737,10 @@
         };
 
         PlacementModule.nextQuestion = function() {
+            if (this.state.mode === 'adaptive') {
+                this.nextAdaptiveQuestion();
+                return;
+            }
             if (this.state.currentQuestion < this.questions.length - 1) {
                 this.state.currentQuestion++;
                 this.loadQuestion(this.state.currentQuestion);
@@ -478,6 +749,28 @@
             }
         };
 
+        // Re-estimate ability, then either stop or ask the most informative remaining item
+        PlacementModule.nextAdaptiveQuestion = function() {
+            const engine = window.AdaptivePlacement;
+            const config = this.adaptiveConfig();
+            const responses = this.state.asked.map(index => {
+                const credit = this.creditFor(index);
+                return { difficulty: engine.itemDifficulty(this.questions[index], config), correct: credit === 1, credit };
+            });
+            const estimate = engine.estimateAbility(responses);
+            this.state.estimates.push(estimate);
+
+            const remaining = this.questions.length - this.state.asked.length;
+            if (engine.shouldStop(this.state.estimates, remaining, config)) {
+                this.showResults();
+                return;
+            }
+
+            this.state.currentQuestion = engine.selectNextItem(this.questions, this.state.asked, estimate.theta, config);
+            this.state.asked.push(this.state.currentQuestion);
+            this.loadQuestion(this.state.currentQuestion);
+        };
+
         PlacementModule.showResults = function() {
             const quiz = document.getElementById('placement-quiz');
             const results = document.getElementById('placement-results');
@@ -493,19 +786,27 @@
                 'C1': { correct: 0, total: 0 }
             };
 
-            this.questions.forEach((q, i) => {
-                if (levelScores[q.level]) {
+            const adaptive = this.state.mode === 'adaptive';
+            const askedIndexes = adaptive ? this.state.asked : this.questions.map((q, i) => i);
+            const responses = askedIndexes.map(i => {
+                const credit = this.creditFor(i);
+                return { index: i, correct: credit === 1, credit };
+            });
+            responses.forEach(response => {
+                const q = this.questions[response.index];
+                if (q && levelScores[q.level]) {
                     levelScores[q.level].total++;
-                    if (this.state.answers[i] === q.correct) {
-                        correct++;
-                        levelScores[q.level].correct++;
-                    }
+                    correct += response.credit;
+                    levelScores[q.level].correct += response.credit;
                 }
             });
+            correct = Math.round(correct * 100) / 100;
 
             // Display score
             const scoreEl = document.getElementById('placement-score');
             if (scoreEl) scoreEl.textContent = correct;
+            const scoreTotalEl = document.getElementById('placement-score-total');
+            if (scoreTotalEl) scoreTotalEl.textContent = `out of ${askedIndexes.length} correct`;
 
             // Determine recommended level
             let recommendedModule = 'module-1';
@@ -513,15 +814,44 @@
             let recommendedDesc = 'Start with the basics of literal vs figurative meaning';
 
             const scoring = window.DATA?.placementTest?.scoring || {};
-            for (const moduleId in scoring) {
-                const range = scoring[moduleId];
-                if (correct >= range.min && correct <= range.max) {
-                    recommendedModule = moduleId;
-                    recommendedLabel = range.label;
-                    recommendedDesc = range.description;
-                    break;
+            let summary = null;
+            if (adaptive) {
+                // The raw-count bands assume every question was asked, so place by ability instead
+                summary = window.AdaptivePlacement.summarize(this.questions, responses, window.DATA?.modules, this.adaptiveConfig());
+                recommendedModule = summary.recommendedModule;
+                if (scoring[recommendedModule]) {
+                    recommendedLabel = scoring[recommendedModule].label;
+                    recommendedDesc = scoring[recommendedModule].description;
+                }
+            } else {
+                for (const moduleId in scoring) {
+                    const range = scoring[moduleId];
+                    if (Math.round(correct) >= range.min && Math.round(correct) <= range.max) {
+                        recommendedModule = moduleId;
+                        recommendedLabel = range.label;
+                        recommendedDesc = range.description;
+                        break;
+                    }
                 }
             }
+            this.renderAdaptiveSummary(summary);
+
+            // Skill profile and personalised path (may add, or start with, the elective modules)
+            const profileConfig = window.DATA?.placementTest?.profile;
+            let skillProfile = null;
+            let plan = null;
+            let startsWithElective = false;
+            if (window.AdaptivePlacement && profileConfig) {
+                skillProfile = window.AdaptivePlacement.skillProfile(this.questions, responses, profileConfig);
+                plan = window.AdaptivePlacement.recommendPath(recommendedModule, skillProfile, profileConfig, window.DATA?.modules, this.adaptiveConfig());
+                if (plan.recommendedModule !== recommendedModule) {
+                    startsWithElective = true;
+                    recommendedModule = plan.recommendedModule;
+                    const startModule = this.findModule(recommendedModule);
+                    if (startModule) recommendedDesc = `Start with ${startModule.title}: your skill profile shows you are ready for it.`;
+                }
+            }
+            this.renderSkillProfile(skillProfile, plan);
 
             const levelResult = document.getElementById('placement-level-result');
             const levelDesc = document.getElementById('placement-level-description');
@@ -532,7 +862,10 @@
             let encouragementText = '';
             let meaningText = '';
 
-            if (recommendedModule === 'module-1') {
+            if (startsWithElective) {
+                encouragementText = 'Impressive! Your skill profile shows you are ready for a specialist module.';
+                meaningText = 'We recommend going straight to ' + (this.findModule(recommendedModule)?.title || recommendedModule) + '. The core modules stay on your path below, so you can work through them next. 🧭';
+            } else if (recommendedModule === 'module-1') {
                 encouragementText = 'Perfect starting point! You\'re at the beginning of an exciting journey into pragmatic competence.';
                 meaningText = 'We\'ll start with the fundamentals and build your skills step by step. 🌱';
             } else if (recommendedModule === 'module-2') {
@@ -563,6 +896,7 @@
 
                 for (const level in levelScores) {
                     const data = levelScores[level];
+                    if (adaptive && data.total === 0) continue;
                     const percent = data.total > 0 ? Math.round((data.correct / data.total) * 100) : 0;
 
                     const row = document.createElement('div');
@@ -580,7 +914,7 @@
                     const scoreSpan = document.createElement('span');
                     scoreSpan.style.color = '#6366f1';
                     scoreSpan.style.fontWeight = '600';
-                    scoreSpan.textContent = `${data.correct}/${data.total} (${percent}%)`;
+                    scoreSpan.textContent = `${Math.round(data.correct * 100) / 100}/${data.total} (${percent}%)`;
 
                     row.appendChild(levelSpan);
                     row.appendChild(scoreSpan);
@@ -590,18 +924,191 @@
 
             // Save results
             if (window.State) {
-                window.State.moduleMastery.placementTest = {
+                const placement = {
                     completed: true,
                     score: correct,
                     recommendedModule: recommendedModule,
-                    dateTaken: new Date().toISOString()
+                    dateTaken: Date.now(),
+                    mode: this.state.mode,
+                    itemsAnswered: askedIndexes.length,
+                    // Response per item in the order asked: option index, or the matching/ordering/cloze
+                    // array (used for item calibration)
+                    responses: askedIndexes
+                        .filter(i => this.questions[i].id && (Number.isInteger(this.state.answers[i]) || Array.isArray(this.state.answers[i])))
+                        .map(i => ({ id: this.questions[i].id, choice: this.state.answers[i] }))
                 };
+                if (plan) {
+                    placement.path = plan.path;
+                    placement.skillProfile = {};
+                    Object.keys(skillProfile).forEach(skill => {
+                        placement.skillProfile[skill] = { asked: skillProfile[skill].asked, correct: skillProfile[skill].correct };
+                    });
+                }
+                if (summary) {
+                    placement.ability = summary.ability;
+                    placement.standardError = summary.standardError;
+                    placement.levelRange = summary.levelRange;
+                    placement.skipSubUnits = summary.skipSubUnits.map(subUnit => subUnit.id);
+                }
+                window.State.moduleMastery.placementTest = placement;
+                // Open the starting module straight away, even when it is past the learner's completed modules
+                const startProgress = window.State.moduleMastery.modules && window.State.moduleMastery.modules[recommendedModule];
+                if (startProgress) startProgress.unlocked = true;
                 window.State.userProgress.placementCompleted = true;
                 window.Storage.save();
+                window.Storage.saveMastery();
+                if (window.ProgressHelper) {
+                    window.ProgressHelper.addAttempt({
+                        source: 'placement',
+                        durationMs: Date.now() - (this.state.startedAt || Date.now()),
+                        score: askedIndexes.length ? Math.round((correct / askedIndexes.length) * 100) : 0,
+                        items: responses
+                            .filter(response => this.questions[response.index].id)
+                            .map(response => ({
+                                id: this.questions[response.index].id,
+                                answer: this.state.answers[response.index],
+                                credit: response.credit
+                            }))
+                    });
+                }
+                if (window.ProgressIntegrity) {
+                    window.ProgressIntegrity.recordTestEvent({ type: 'placement', score: correct, total: askedIndexes.length });
+                }
             }
             this.state.score = correct;
         };
 
+        PlacementModule.findModule = function(moduleId) {
+            return (window.DATA?.modules || []).find(module => module.id === moduleId) || null;
+        };
+
+        // Skill bars and the recommended module path (hidden when the data has no profile)
+        PlacementModule.renderSkillProfile = function(skillProfile, plan) {
+            const container = document.getElementById('placement-skill-profile');
+            if (!container) return;
+            container.replaceChildren();
+            container.style.display = skillProfile ? 'block' : 'none';
+            if (!skillProfile) return;
+
+            const heading = document.createElement('h4');
+            heading.style.margin = '0 0 12px 0';
+            heading.style.color = '#374151';
+            heading.textContent = '🧩 Your Skill Profile:';
+            container.appendChild(heading);
+
+            Object.keys(skillProfile).forEach(skill => {
+                const entry = skillProfile[skill];
+                const row = document.createElement('div');
+                row.style.background = 'white';
+                row.style.borderRadius = '8px';
+                row.style.padding = '10px 16px';
+                row.style.marginBottom = '8px';
+
+                const top = document.createElement('div');
+                top.style.display = 'flex';
+                top.style.justifyContent = 'space-between';
+                const name = document.createElement('span');
+                name.style.fontWeight = '600';
+                name.textContent = entry.label + (entry.strong ? ' ⭐' : '');
+                const value = document.createElement('span');
+                value.style.color = '#6366f1';
+                value.style.fontWeight = '600';
+                value.textContent = entry.asked ? `${entry.correct}/${entry.asked} (${entry.percent}%)` : 'not assessed';
+                top.appendChild(name);
+                top.appendChild(value);
+                row.appendChild(top);
+
+                const track = document.createElement('div');
+                track.className = 'progress-bar';
+                track.style.marginTop = '6px';
+                track.setAttribute('role', 'progressbar');
+                track.setAttribute('aria-label', entry.label);
+                track.setAttribute('aria-valuemin', '0');
+                track.setAttribute('aria-valuemax', '100');
+                track.setAttribute('aria-valuenow', String(entry.percent || 0));
+                const fill = document.createElement('div');
+                fill.className = 'progress-fill';
+                fill.style.width = (entry.percent || 0) + '%';
+                track.appendChild(fill);
+                row.appendChild(track);
+                container.appendChild(row);
+            });
+
+            if (!plan) return;
+            const pathHeading = document.createElement('h4');
+            pathHeading.style.margin = '20px 0 8px 0';
+            pathHeading.style.color = '#374151';
+            pathHeading.textContent = '🗺️ Your Personal Path:';
+            container.appendChild(pathHeading);
+
+            const list = document.createElement('ol');
+            list.style.margin = '0';
+            list.style.paddingLeft = '24px';
+            list.style.lineHeight = '1.7';
+            plan.path.forEach(moduleId => {
+                const module = this.findModule(moduleId);
+                const elective = plan.electives.find(entry => entry.module === moduleId);
+                const item = document.createElement('li');
+                item.textContent = (module ? module.title : moduleId) +
+                    (elective ? (elective.status === 'skip-to' ? ' (you are ready for this now)' : ' (elective)') : '');
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+
+            plan.electives.filter(elective => elective.status === 'later').forEach(elective => {
+                const module = this.findModule(elective.module);
+                const note = document.createElement('p');
+                note.style.margin = '8px 0 0 0';
+                note.style.fontSize = '0.9em';
+                note.style.color = '#6b7280';
+                note.textContent = `Later: ${module ? module.title : elective.module} is recommended once you reach ${elective.minLevel}.`;
+                container.appendChild(note);
+            });
+        };
+
+        // Confidence band and skippable sub-units (adaptive mode only; hidden otherwise)
+        PlacementModule.renderAdaptiveSummary = function(summary) {
+            const container = document.getElementById('placement-adaptive-summary');
+            if (!container) return;
+            container.replaceChildren();
+            container.style.display = summary ? 'block' : 'none';
+            if (!summary) return;
+
+            const band = document.createElement('p');
+            band.style.margin = '0 0 8px 0';
+            band.style.color = '#374151';
+            const [low, high] = summary.levelRange;
+            band.textContent = low === high
+                ? `📏 We are confident your level is ${summary.level}.`
+                : `📏 Most likely ${summary.level}; with 90% confidence somewhere between ${low} and ${high}.`;
+            container.appendChild(band);
+
+            const detail = document.createElement('p');
+            detail.style.margin = '0 0 8px 0';
+            detail.style.fontSize = '0.9em';
+            detail.style.color = '#6b7280';
+            detail.textContent = `Ability estimate ${summary.ability.toFixed(2)} ± ${summary.standardError.toFixed(2)} after ${this.state.asked.length} questions.`;
+            container.appendChild(detail);
+
+            if (!summary.skipSubUnits.length) return;
+            const heading = document.createElement('p');
+            heading.style.margin = '8px 0 4px 0';
+            heading.style.fontWeight = '600';
+            heading.style.color = '#065f46';
+            const module = this.findModule(summary.recommendedModule);
+            heading.textContent = `⏭️ You already handled these, so you can skip them in ${module ? module.title : summary.recommendedModule}:`;
+            container.appendChild(heading);
+            const list = document.createElement('ul');
+            list.style.margin = '0';
+            list.style.paddingLeft = '20px';
+            summary.skipSubUnits.forEach(subUnit => {
+                const item = document.createElement('li');
+                item.textContent = subUnit.title;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        };
+
         PlacementModule.retake = function() {
             this.init();
         };
@@ -0,0 +1,385 @@
+/**
+ * CLASS BENCHMARKS MODULE
+ *
+ * Purpose: Compare a learner's post-test score with real results from their class
+ *
+ * Responsibilities:
+ * - Hold per-module score distributions from two sources:
+ *   data/benchmarks.json, published by the teacher from the class's exported progress files, and
+ *   the class sync server (GET {endpoint}/benchmarks, see sync-server/server.js), cached on this device
+ * - Percentile, median and average pre→post improvement for one module
+ * - Teacher tools: build benchmarks.json from exported progress files, preview it and download it
+ *
+ * Distributions are anonymous lists of scores. A module needs results from at least
+ * MIN_LEARNERS learners before it is compared at all; otherwise learners are told plainly
+ * that no comparison is available.
+ *
+ * Dataset: { source: 'none' | 'class-exports' | 'sync-server', generatedAt?, learners,
+ *   modules: { [moduleId]: { scores: number[], gains?: number[] } } }
+ *
+ * Dependencies: window.DATA (benchmarks), Storage (validateProgressImport), ProgressSync, escapeHTML (security.js)
+ * Used by: module-learning.js (post-test results), app.js, actions.js (benchmark-build, benchmark-download)
+ */
+
+(function() {
+    'use strict';
+
+    const MIN_LEARNERS = 5;
+    const CACHE_KEY = 'classBenchmarks';
+    const SERVER_REFRESH_MS = 60 * 60 * 1000;
+    const REQUEST_TIMEOUT_MS = 15000;
+
+    const store = window.StorageAdapter || window.localStorage;
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function sortedNumbers(values) {
+        return (Array.isArray(values) ? values : []).filter(Number.isFinite).slice().sort((a, b) => a - b);
+    }
+
+    // Value at fraction q (0–1) of a sorted list, interpolating between neighbours
+    function quantile(sorted, q) {
+        if (!sorted.length) return null;
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+    }
+
+    function mean(values) {
+        return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+    }
+
+    const ClassBenchmarks = {
+        MIN_LEARNERS: MIN_LEARNERS,
+        lastBuilt: null,
+
+        /**
+         * Completed module test scores in one learner's progress
+         * @param {Object} moduleMastery - Validated moduleMastery
+         * @returns {Object} moduleId → { post, pre } (pre is null without a completed pre-test)
+         */
+        moduleScores: function(moduleMastery) {
+            const scores = {};
+            const modules = moduleMastery && isPlainObject(moduleMastery.modules) ? moduleMastery.modules : {};
+            Object.keys(modules).forEach(moduleId => {
+                const module = modules[moduleId];
+                const post = module && module.postTest;
+                if (!post || post.completed !== true || !Number.isFinite(post.score)) return;
+                const pre = module.preTest;
+                scores[moduleId] = {
+                    post: post.score,
+                    pre: pre && pre.completed === true && Number.isFinite(pre.score) ? pre.score : null
+                };
+            });
+            return scores;
+        },
+
+        /**
+         * Turn per-learner scores into a dataset; modules with too few learners are left out
+         * so no one's result can be singled out
+         * @param {Array<Object>} learners - Output of moduleScores() per learner
+         * @param {string} source - 'class-exports' | 'sync-server'
+         * @returns {Object} Dataset (see header)
+         */
+        build: function(learners, source) {
+            const modules = {};
+            learners.forEach(scores => {
+                Object.keys(scores).forEach(moduleId => {
+                    const entry = modules[moduleId] || (modules[moduleId] = { scores: [], gains: [] });
+                    entry.scores.push(scores[moduleId].post);
+                    if (scores[moduleId].pre !== null) {
+                        entry.gains.push(scores[moduleId].post - scores[moduleId].pre);
+                    }
+                });
+            });
+            const dataset = { source, generatedAt: new Date().toISOString(), learners: learners.length, modules: {} };
+            Object.keys(modules).sort().forEach(moduleId => {
+                const entry = modules[moduleId];
+                if (entry.scores.length < MIN_LEARNERS) return;
+                dataset.modules[moduleId] = { scores: sortedNumbers(entry.scores) };
+                if (entry.gains.length >= MIN_LEARNERS) {
+                    dataset.modules[moduleId].gains = sortedNumbers(entry.gains);
+                }
+            });
+            return dataset;
+        },
+
+        /**
+         * Share of scores strictly below a score
+         * @param {number} score - 0-100
+         * @param {number[]} scores - Class scores
+         * @returns {number|null} Whole percent, null without scores
+         */
+        percentile: function(score, scores) {
+            const list = sortedNumbers(scores);
+            if (!list.length) return null;
+            return Math.round(100 * list.filter(value => value < score).length / list.length);
+        },
+
+        /**
+         * Datasets this device knows about, preferred first
+         * @returns {Array<Object>}
+         */
+        datasets: function() {
+            const datasets = [];
+            const cached = this.readCache();
+            if (cached) datasets.push(cached.dataset);
+            const published = window.DATA && window.DATA.benchmarks;
+            if (isPlainObject(published) && isPlainObject(published.modules)) datasets.push(published);
+            return datasets;
+        },
+
+        /**
+         * Compare a learner's post-test with the class
+         * @param {string} moduleId - Module id
+         * @param {number} score - Learner's post-test score (0-100)
+         * @param {number|null} gain - Learner's post-test minus pre-test score, when known
+         * @returns {{available: boolean, count: number, source?: string, generatedAt?: string, percentile?: number,
+         *   median?: number, quartiles?: number[], meanGain?: number|null, gainCount?: number, gainPercentile?: number|null}}
+         *   available is false when no dataset has enough results for the module
+         */
+        compare: function(moduleId, score, gain) {
+            const datasets = this.datasets();
+            let count = 0;
+            for (const dataset of datasets) {
+                const entry = dataset.modules[moduleId];
+                const scores = sortedNumbers(entry && entry.scores);
+                count = Math.max(count, scores.length);
+                if (scores.length < MIN_LEARNERS) continue;
+                const gains = sortedNumbers(entry.gains);
+                return {
+                    available: true,
+                    count: scores.length,
+                    source: dataset.source,
+                    generatedAt: typeof dataset.generatedAt === 'string' ? dataset.generatedAt : null,
+                    percentile: this.percentile(score, scores),
+                    median: quantile(scores, 0.5),
+                    quartiles: [quantile(scores, 0.25), quantile(scores, 0.75)],
+                    meanGain: gains.length >= MIN_LEARNERS ? mean(gains) : null,
+                    gainCount: gains.length,
+                    gainPercentile: gains.length >= MIN_LEARNERS && Number.isFinite(gain) ? this.percentile(gain, gains) : null
+                };
+            }
+            return { available: false, count };
+        },
+
+        /**
+         * Where a comparison's numbers come from, for learners
+         * @returns {string} e.g. 'learners on your class sync server'
+         */
+        describeSource: function(comparison) {
+            const date = comparison.generatedAt ? new Date(comparison.generatedAt).toLocaleDateString() : '';
+            if (comparison.source === 'sync-server') {
+                return `learners on your class sync server${date ? ` (as of ${date})` : ''}`;
+            }
+            return `learners in your class${date ? ` (results collected ${date})` : ''}`;
+        },
+
+        // ========================================
+        // SYNC SERVER
+        // ========================================
+        readCache: function() {
+            try {
+                const cached = JSON.parse(store.getItem(CACHE_KEY) || 'null');
+                return isPlainObject(cached) && this.isDataset(cached.dataset) ? cached : null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        isDataset: function(value) {
+            if (!isPlainObject(value) || !isPlainObject(value.modules)) return false;
+            if (!window.DataSchema || !window.DataSchema.SCHEMAS.benchmarks) return true;
+            let valid = true;
+            window.DataSchema.validateValue(value, window.DataSchema.SCHEMAS.benchmarks.spec, '', severity => {
+                if (severity === 'error') valid = false;
+            });
+            return valid;
+        },
+
+        /**
+         * Fetch class distributions from the configured sync server (at most once an hour)
+         * @param {boolean} [force] - Ignore the refresh interval
+         * @returns {Promise<boolean>} true when fresh numbers were stored
+         */
+        refreshFromServer: async function(force) {
+            const config = window.ProgressSync && window.ProgressSync.config;
+            if (!config || !config.endpoint) return false;
+            const cached = this.readCache();
+            if (!force && cached && cached.endpoint === config.endpoint && Date.now() - cached.fetchedAt < SERVER_REFRESH_MS) {
+                return false;
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+            try {
+                const response = await fetch(config.endpoint + '/benchmarks', { signal: controller.signal, cache: 'no-store' });
+                if (!response.ok) return false;
+                const dataset = await response.json();
+                if (!this.isDataset(dataset)) {
+                    console.warn('Sync server sent malformed benchmarks; ignored.');
+                    return false;
+                }
+                store.setItem(CACHE_KEY, JSON.stringify({ endpoint: config.endpoint, fetchedAt: Date.now(), dataset }));
+                return true;
+            } catch (e) {
+                console.warn('Could not fetch class benchmarks:', e);
+                return false;
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+
+        // ========================================
+        // TEACHER TOOLS
+        // ========================================
+        /**
+         * Read export files into one set of module scores per learner (newest export per learner and device)
+         * @param {Array<{name: string, text: string}>} files - File names and contents
+         * @returns {{learners: Array<Object>, skipped: string[]}}
+         */
+        readExports: function(files) {
+            const byLearner = new Map();
+            const skipped = [];
+            files.forEach(({ name, text }) => {
+                let parsed;
+                try {
+                    parsed = JSON.parse(text);
+                } catch (e) {
+                    skipped.push(`${name}: not valid JSON`);
+                    return;
+                }
+                const result = window.Storage.validateProgressImport(parsed);
+                if (!result.ok) {
+                    skipped.push(`${name}: ${result.error}`);
+                    return;
+                }
+                const scores = this.moduleScores(result.value.moduleMastery);
+                if (!Object.keys(scores).length) {
+                    skipped.push(`${name}: no completed post-tests`);
+                    return;
+                }
+                const learnerName = typeof parsed.profileName === 'string' ? parsed.profileName : name;
+                const device = parsed.integrity && typeof parsed.integrity.keyId === 'string' ? parsed.integrity.keyId : name;
+                const key = `${learnerName}|${device}`;
+                const createdAt = Date.parse(parsed.createdAt) || 0;
+                const previous = byLearner.get(key);
+                if (previous) {
+                    skipped.push(`${createdAt >= previous.createdAt ? previous.file : name}: older export of ${learnerName}`);
+                    if (createdAt < previous.createdAt) return;
+                }
+                byLearner.set(key, { file: name, createdAt, scores });
+            });
+            return { learners: Array.from(byLearner.values()).map(entry => entry.scores), skipped };
+        },
+
+        /**
+         * Preview a built dataset in #benchmark-report
+         * @param {Object} dataset - Output of build()
+         * @param {string[]} skipped - Files that were not used, with the reason
+         * @param {Object} learnerCounts - moduleId → learners with a completed post-test (including left-out modules)
+         */
+        renderReport: function(dataset, skipped, learnerCounts) {
+            const container = document.getElementById('benchmark-report');
+            if (!container) return;
+            const escape = window.escapeHTML || (value => String(value));
+
+            const skippedHtml = skipped.length
+                ? `<details style="margin-bottom: 12px;"><summary>${skipped.length} file(s) skipped</summary><ul style="margin: 6px 0 0 20px; padding: 0;">${skipped.map(reason => `<li>${escape(reason)}</li>`).join('')}</ul></details>`
+                : '';
+
+            const moduleIds = Object.keys(learnerCounts).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+            const rows = moduleIds.map(moduleId => {
+                const module = ((window.DATA && window.DATA.modules) || []).find(m => m.id === moduleId);
+                const label = `<code>${escape(moduleId)}</code>${module ? `<br><small>${escape(module.title)}</small>` : ''}`;
+                const entry = dataset.modules[moduleId];
+                if (!entry) {
+                    return `
+                    <tr style="border-top: 1px solid #e5e7eb; vertical-align: top;">
+                        <td>${label}</td><td>${learnerCounts[moduleId]}</td>
+                        <td colspan="3" style="color: #b45309;">Left out: fewer than ${MIN_LEARNERS} learners</td>
+                    </tr>`;
+                }
+                const gains = entry.gains || [];
+                const meanGain = mean(gains);
+                return `
+                    <tr style="border-top: 1px solid #e5e7eb; vertical-align: top;">
+                        <td>${label}</td>
+                        <td>${entry.scores.length}</td>
+                        <td>${quantile(entry.scores, 0.5)}%</td>
+                        <td>${quantile(entry.scores, 0.25)}–${quantile(entry.scores, 0.75)}%</td>
+                        <td>${gains.length ? `${meanGain > 0 ? '+' : ''}${meanGain} <small>(${gains.length})</small>` : '—'}</td>
+                    </tr>`;
+            }).join('');
+
+            const published = Object.keys(dataset.modules).length;
+            container.innerHTML = `
+                ${skippedHtml}
+                <p><strong>${dataset.learners}</strong> learner(s); <strong>${published}</strong> module(s) have enough results to publish.</p>
+                <p style="font-size: 0.9rem; opacity: 0.8;">Middle half = 25th–75th percentile of post-test scores · improvement = post-test minus pre-test, for learners who took both. Modules with fewer than ${MIN_LEARNERS} learners are left out so no one's score can be picked out.</p>
+                ${published ? '<div style="margin: 8px 0 12px 0;"><button type="button" class="nav-btn" data-action="benchmark-download" style="padding: 8px 14px; cursor: pointer;">⬇️ benchmarks.json</button> Replace <code>data/benchmarks.json</code> on the site with it.</div>' : ''}
+                <div style="overflow-x: auto;">
+                    <table style="border-collapse: collapse; width: 100%; font-size: 0.9rem;">
+                        <thead><tr style="text-align: left;"><th>Module</th><th>Learners</th><th>Median</th><th>Middle half</th><th>Avg. improvement (n)</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`;
+        },
+
+        /**
+         * Build a dataset from the files chosen in #benchmark-files and preview it
+         */
+        runFromForm: async function() {
+            const input = document.getElementById('benchmark-files');
+            const container = document.getElementById('benchmark-report');
+            try {
+                const files = Array.from((input && input.files) || []);
+                if (!files.length) throw new Error('Choose one or more progress export files first.');
+                if (!window.Storage) throw new Error('The app is still loading. Try again in a moment.');
+                const contents = [];
+                const tooLarge = [];
+                for (const file of files) {
+                    if (file.size > window.Storage.IMPORT_MAX_BYTES) {
+                        tooLarge.push(`${file.name}: too large to be a progress export`);
+                        continue;
+                    }
+                    contents.push({ name: file.name, text: await file.text() });
+                }
+                const { learners, skipped } = this.readExports(contents);
+                if (!learners.length) throw new Error('None of the files contained a completed post-test.');
+                const learnerCounts = {};
+                learners.forEach(scores => Object.keys(scores).forEach(moduleId => {
+                    learnerCounts[moduleId] = (learnerCounts[moduleId] || 0) + 1;
+                }));
+                this.lastBuilt = this.build(learners, 'class-exports');
+                this.renderReport(this.lastBuilt, tooLarge.concat(skipped), learnerCounts);
+            } catch (e) {
+                if (container) {
+                    container.textContent = e.message;
+                }
+            }
+        },
+
+        /**
+         * Download the last built dataset as benchmarks.json
+         */
+        download: function() {
+            if (!this.lastBuilt) return;
+            const blob = new Blob([JSON.stringify(this.lastBuilt, null, 4) + '\n'], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'benchmarks.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    };
+
+    window.ClassBenchmarks = ClassBenchmarks;
+
+})();
@@ -0,0 +1,306 @@
+/**
+ * CONFIDENCE SCORING MODULE
+ *
+ * Purpose: Optional confidence rating for module pre/post-test answers, with marks that
+ * reward well-judged confidence and a calibration chart in the Progress section
+ *
+ * Responsibilities:
+ * - Remember whether the learner wants to rate their confidence (per profile, like the language)
+ * - Confidence-based marks (certainty-based marking, Gardner-Medwin): being sure and right earns
+ *   most, being sure and wrong costs most, so guessing honestly pays
+ * - Rating buttons for a test question, the marking scheme, per-answer marks and a test summary
+ * - Calibration from the attempt history: how often answers at each confidence level were right,
+ *   and the skills where the learner is overconfident or underconfident
+ *
+ * Ratings are 1 (guessing), 2 (fairly sure) and 3 (certain). Module tests keep the ratings of a
+ * test in progress in moduleMastery (preTest/postTest.confidence) and each finished test's
+ * ratings in userProgress.quizAttempts items (`confidence`). The ordinary percentage score
+ * is unchanged; the confidence-weighted score is shown next to it.
+ *
+ * Dependencies: State, window.DATA, MistakeReview (questionsById), escapeHTML (security.js)
+ * Used by: module-learning.js (pre/post-tests, test-confidence), ui.js (ProgressModule.update),
+ *          actions.js (confidence-toggle)
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'confidenceMode';
+    // Fewer rated answers than this for a skill are not enough to call it over- or underconfident
+    const MIN_TOPIC_ANSWERS = 4;
+
+    const store = window.StorageAdapter || window.localStorage;
+
+    // right/wrong: marks for a fully right or fully wrong answer. low–high: the share of answers
+    // that should be right at this level (above 67% "fairly sure" pays, above 80% "certain" does)
+    const LEVELS = [
+        { value: 1, label: 'Guessing', right: 1, wrong: 0, low: 0, high: 67 },
+        { value: 2, label: 'Fairly sure', right: 2, wrong: -2, low: 67, high: 80 },
+        { value: 3, label: 'Certain', right: 3, wrong: -6, low: 80, high: 100 }
+    ];
+
+    function escape(value) {
+        return window.escapeHTML ? window.escapeHTML(value) : String(value == null ? '' : value);
+    }
+
+    function signed(value) {
+        const rounded = Math.round(value * 10) / 10;
+        return (rounded > 0 ? '+' : (rounded < 0 ? '−' : '')) + Math.abs(rounded);
+    }
+
+    const ConfidenceScoring = {
+        LEVELS: LEVELS,
+
+        isEnabled: function() {
+            return store.getItem(STORAGE_KEY) === 'on';
+        },
+
+        setEnabled: function(enabled) {
+            store.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+        },
+
+        level: function(value) {
+            return LEVELS.find(level => level.value === value) || null;
+        },
+
+        /**
+         * Marks for one answer; partial credit earns the matching share of the right/wrong marks
+         * @param {number} credit - 0–1
+         * @param {number} confidence - 1–3
+         * @returns {number|null} null when the answer was not rated
+         */
+        mark: function(credit, confidence) {
+            const level = this.level(confidence);
+            if (!level || !Number.isFinite(credit)) return null;
+            return Math.round((credit * level.right + (1 - credit) * level.wrong) * 100) / 100;
+        },
+
+        /**
+         * Confidence-weighted result of a set of answers
+         * @param {Array<{credit: number, confidence: number|null}>} items
+         * @returns {{rated: number, points: number, max: number, accuracy: number|null}} accuracy: % right among rated answers
+         */
+        summarize: function(items) {
+            const rated = items.filter(item => this.level(item.confidence) && Number.isFinite(item.credit));
+            const points = rated.reduce((sum, item) => sum + this.mark(item.credit, item.confidence), 0);
+            return {
+                rated: rated.length,
+                points: Math.round(points * 10) / 10,
+                max: rated.length * LEVELS[LEVELS.length - 1].right,
+                accuracy: rated.length ? Math.round(100 * rated.reduce((sum, item) => sum + item.credit, 0) / rated.length) : null
+            };
+        },
+
+        // ========================================
+        // TEST VIEWS
+        // ========================================
+        /**
+         * On/off switch
+         * @param {string} [action] - data-action; 'confidence-toggle' (Progress) unless a test view handles it
+         * @returns {string} HTML
+         */
+        toggleHTML: function(action) {
+            const on = this.isEnabled();
+            return `<button type="button" class="confidence-toggle" data-action="${action || 'confidence-toggle'}" aria-pressed="${on}">` +
+                `🎯 Rate my confidence: <strong>${on ? 'On' : 'Off'}</strong></button>`;
+        },
+
+        /**
+         * Marking scheme shown above a test in confidence mode
+         * @returns {string} HTML
+         */
+        schemeHTML: function() {
+            const rows = LEVELS.map(level =>
+                `<li><strong>${escape(level.label)}</strong>: ${signed(level.right)} if right, ${level.wrong ? signed(level.wrong) : '0'} if wrong</li>`).join('');
+            return '<div class="confidence-scheme"><p>Before you answer, say how sure you are. ' +
+                'Being certain and wrong costs the most, so only choose “Certain” when you really are; ' +
+                'your usual score does not change.</p><ul>' + rows + '</ul></div>';
+        },
+
+        /**
+         * Rating buttons for one question (data-action="test-confidence")
+         * @param {number} questionIndex - Index in the test
+         * @param {string} testType - 'preTest' | 'postTest'
+         * @param {number|null} selected - Current rating
+         * @returns {string} HTML
+         */
+        inputHTML: function(questionIndex, testType, selected) {
+            const buttons = LEVELS.map(level =>
+                `<button type="button" class="confidence-option" data-action="test-confidence" data-question-index="${questionIndex}" ` +
+                `data-test-type="${testType}" data-confidence="${level.value}" aria-pressed="${selected === level.value}">${escape(level.label)}</button>`).join('');
+            return `<div class="confidence-input" role="group" aria-label="How sure are you?" data-confidence-question="${questionIndex}">` +
+                `<span class="confidence-prompt">How sure are you?</span>${buttons}</div>`;
+        },
+
+        /**
+         * Line under an answer's feedback, e.g. "Certain and right: +3"
+         * @returns {string} HTML ('' when not rated)
+         */
+        markHTML: function(credit, confidence) {
+            const level = this.level(confidence);
+            const mark = this.mark(credit, confidence);
+            if (!level || mark === null) return '';
+            const verdict = credit === 1 ? 'right' : (credit > 0 ? 'partly right' : 'wrong');
+            return `<div class="confidence-mark">🎯 ${escape(level.label)} and ${verdict}: <strong>${signed(mark)}</strong></div>`;
+        },
+
+        /**
+         * Confidence-weighted score for a finished test
+         * @param {Array<{credit: number, confidence: number|null}>} items
+         * @returns {string} HTML ('' when nothing was rated)
+         */
+        summaryHTML: function(items) {
+            const summary = this.summarize(items);
+            if (!summary.rated) return '';
+            const unrated = items.length - summary.rated;
+            return '<div class="confidence-summary">' +
+                `<strong>🎯 Confidence-weighted score: ${signed(summary.points)} of ${summary.max} points</strong>` +
+                `<div>${summary.rated} rated answer(s)${unrated ? `, ${unrated} not rated` : ''}. ` +
+                'See Progress → Confidence Calibration for where your confidence matches your answers.</div></div>';
+        },
+
+        /**
+         * Switch confidence rating on or off from the Progress section (data-action="confidence-toggle")
+         */
+        toggle: function() {
+            this.setEnabled(!this.isEnabled());
+            this.renderChart();
+        },
+
+        // ========================================
+        // CALIBRATION
+        // ========================================
+        /**
+         * Rated answers in the attempt history, with the skill they practise
+         * @param {Object} progress - userProgress
+         * @param {Object} data - window.DATA
+         * @returns {Array<{confidence: number, credit: number, topic: string}>}
+         */
+        ratedAnswers: function(progress, data) {
+            const questions = window.MistakeReview ? window.MistakeReview.questionsById(data) : new Map();
+            const skills = (data && data.placementTest && data.placementTest.profile && data.placementTest.profile.skills) || {};
+            const modules = (data && data.modules) || [];
+            const answers = [];
+            ((progress && progress.quizAttempts) || []).forEach(attempt => {
+                attempt.items.forEach(item => {
+                    if (!this.level(item.confidence)) return;
+                    const question = questions.get(item.id);
+                    const credit = Number.isFinite(item.credit) ? item.credit
+                        : (question && window.QuestionTypes ? window.QuestionTypes.score(question, item.answer) : null);
+                    if (credit === null) return;
+                    let topic = 'Other questions';
+                    if (question && question.skill) {
+                        topic = skills[question.skill] && skills[question.skill].label ? skills[question.skill].label : question.skill;
+                    } else if (attempt.moduleId) {
+                        const module = modules.find(m => m.id === attempt.moduleId);
+                        topic = module ? module.title : attempt.moduleId;
+                    }
+                    answers.push({ confidence: item.confidence, credit, topic });
+                });
+            });
+            return answers;
+        },
+
+        /**
+         * How well confidence matched results, per level and per skill
+         * @param {Array} answers - From ratedAnswers()
+         * @returns {{levels: Array, topics: Array}} levels: { level, count, accuracy };
+         *   topics: { topic, count, accuracy, low, high, verdict: 'over'|'under'|'calibrated'|'few' }, most miscalibrated first
+         */
+        calibration: function(answers) {
+            const accuracy = list => list.length ? Math.round(100 * list.reduce((sum, a) => sum + a.credit, 0) / list.length) : null;
+
+            const levels = LEVELS.map(level => {
+                const list = answers.filter(answer => answer.confidence === level.value);
+                return { level, count: list.length, accuracy: accuracy(list) };
+            });
+
+            const byTopic = new Map();
+            answers.forEach(answer => {
+                if (!byTopic.has(answer.topic)) byTopic.set(answer.topic, []);
+                byTopic.get(answer.topic).push(answer);
+            });
+            const topics = Array.from(byTopic.entries()).map(([topic, list]) => {
+                // The range of results the stated confidence promised, averaged over the answers
+                const low = Math.round(list.reduce((sum, a) => sum + this.level(a.confidence).low, 0) / list.length);
+                const high = Math.round(list.reduce((sum, a) => sum + this.level(a.confidence).high, 0) / list.length);
+                const right = accuracy(list);
+                let verdict = 'calibrated';
+                if (list.length < MIN_TOPIC_ANSWERS) verdict = 'few';
+                else if (right < low) verdict = 'over';
+                else if (right > high) verdict = 'under';
+                return { topic, count: list.length, accuracy: right, low, high, verdict, gap: right < low ? low - right : Math.max(0, right - high) };
+            });
+            const order = { over: 0, under: 1, calibrated: 2, few: 3 };
+            topics.sort((a, b) => (order[a.verdict] - order[b.verdict]) || (b.gap - a.gap) || a.topic.localeCompare(b.topic));
+            return { levels, topics };
+        },
+
+        /**
+         * Calibration chart in the Progress section (#confidence-calibration)
+         */
+        renderChart: function() {
+            const container = document.getElementById('confidence-calibration');
+            if (!container || !window.State) return;
+
+            const answers = this.ratedAnswers(window.State.userProgress, window.DATA);
+            const intro = `<p>${this.toggleHTML()}</p>`;
+            if (!answers.length) {
+                container.innerHTML = intro + '<p style="color: #666;">Turn on confidence rating and take a module pre-test or post-test. ' +
+                    'Each answer is then rated as a guess, fairly sure or certain, and this chart shows whether your confidence matches how often you are right.</p>';
+                return;
+            }
+
+            const { levels, topics } = this.calibration(answers);
+            const bars = levels.map(({ level, count, accuracy }) => {
+                const bar = count
+                    ? `<div class="calibration-fill" style="width: ${accuracy}%;"></div><span class="calibration-value">${accuracy}% right</span>`
+                    : '<span class="calibration-value">not used yet</span>';
+                return `
+                    <div class="calibration-row">
+                        <div class="calibration-label">${escape(level.label)} <small>(${count})</small></div>
+                        <div class="calibration-track" title="Well judged: ${level.low}–${level.high}% right">
+                            <div class="calibration-band" style="left: ${level.low}%; width: ${level.high - level.low}%;"></div>
+                            ${bar}
+                        </div>
+                    </div>`;
+            }).join('');
+
+            const verdicts = {
+                over: '⚠️ Overconfident',
+                under: '🔎 Underconfident',
+                calibrated: '✅ Well judged',
+                few: 'Too few answers yet'
+            };
+            const rows = topics.map(topic => `
+                    <tr>
+                        <td>${escape(topic.topic)}</td>
+                        <td>${topic.count}</td>
+                        <td>${topic.accuracy}%</td>
+                        <td>${topic.low}–${topic.high}%</td>
+                        <td class="calibration-${topic.verdict}">${verdicts[topic.verdict]}</td>
+                    </tr>`).join('');
+
+            const over = topics.filter(topic => topic.verdict === 'over').map(topic => topic.topic);
+            const under = topics.filter(topic => topic.verdict === 'under').map(topic => topic.topic);
+            const advice = [
+                over.length ? `You are often surer than your answers justify in <strong>${over.map(escape).join(', ')}</strong>: slow down and check the context before choosing “Certain”.` : '',
+                under.length ? `You know more than you think in <strong>${under.map(escape).join(', ')}</strong>: trust yourself a little more there.` : ''
+            ].filter(Boolean).map(text => `<p>${text}</p>`).join('');
+
+            container.innerHTML = `${intro}
+                <p>How often your answers were right at each confidence level. The shaded part of each bar is the well-judged range.</p>
+                <div class="calibration-chart">${bars}</div>
+                ${advice}
+                <div style="overflow-x: auto;">
+                    <table class="calibration-table">
+                        <thead><tr><th>Skill</th><th>Rated answers</th><th>Right</th><th>Your confidence promised</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`;
+        }
+    };
+
+    window.ConfidenceScoring = ConfidenceScoring;
+
+})();
@@ -0,0 +1,1332 @@
+/**
+ * DATA SCHEMA MODULE
+ *
+ * Purpose: Declare the expected shape of every data/*.json file and check the
+ * loaded data against it before learners ever see a broken screen.
+ *
+ * Responsibilities:
+ * - Declarative schemas for jokes, activities, quizzes, modules, placement test, module theory, GTVH exercises and GTVH concepts
+ * - Cross-reference checks (subUnit and module step joke/activity ids, prerequisites, placement score bands, adaptive levels, skill profile, module test skills, GTVH exercise jokes and sections)
+ * - Build a structured integrity report (exposed via DataLoader.getIntegrityReport())
+ * - Render the report as a panel in `?dev=1` mode
+ *
+ * Dependencies: None (loaded before data.js)
+ * Used by: DataLoader
+ */
+
+(function() {
+    'use strict';
+
+    const CEFR_LEVEL = /^(A1|A2|B1|B2|C1|C2)(-(A1|A2|B1|B2|C1|C2))?$/;
+
+    // The six GTVH Knowledge Resources
+    const GTVH_RESOURCES = ['SO', 'LM', 'SI', 'TA', 'NS', 'LA'];
+
+    // Vocabularies of the structured joke annotations (jokes.json `gtvh`); labels live in gtvh-explorer.js
+    const GTVH_BASIC_OPPOSITIONS = ['actual/non-actual', 'normal/abnormal', 'possible/impossible'];
+    const GTVH_MECHANISMS = ['polysemy', 'homophony', 'syntactic-ambiguity', 'idiom-literalization', 'literal-interpretation',
+        'frame-shift', 'garden-path', 'implicature', 'irony', 'understatement', 'exaggeration', 'self-contradiction',
+        'faulty-reasoning', 'juxtaposition', 'false-choice', 'personification', 'register-clash'];
+    const GTVH_NARRATIVES = ['riddle', 'one-liner', 'dialogue', 'narrative', 'list', 'translation'];
+
+    // Module step types registered in module-learning.js
+    const MODULE_STEP_TYPES = ['preTest', 'theory', 'jokes', 'activities', 'gtvhLab', 'rolePlay', 'postTest', 'reflection'];
+
+    // ========================================
+    // SCHEMAS
+    // ========================================
+    // Field spec keys:
+    //   type        'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object' | 'record' | 'any'
+    //   required    true, or a function(parent) => boolean for conditional fields
+    //   nonEmpty    strings must contain non-whitespace
+    //   enum        allowed values
+    //   pattern     RegExp for strings
+    //   min / max   numeric bounds
+    //   minItems    array length lower bound
+    //   items       spec for array elements
+    //   properties  specs for object fields (unknown fields are reported as warnings)
+    //   values      spec for every value of a record (free-form keys)
+    //   check       function(value, parent) => string|string[]|null for custom rules
+
+    // Text shown in English and, where translated, Uzbek: { en, uz }
+    const LOCALIZED_TEXT = {
+        type: 'object',
+        properties: {
+            en: { type: 'string', required: true, nonEmpty: true },
+            uz: { type: 'string', nonEmpty: true }
+        }
+    };
+    const LOCALIZED_TEXT_REQUIRED = Object.assign({}, LOCALIZED_TEXT, { required: true });
+
+    // Matching, ordering and cloze questions (question-types.js) use these fields instead of options/correct
+    const QUESTION_TYPE_FIELDS = {
+        type: { type: 'string', enum: ['choice', 'matching', 'ordering', 'cloze'] },
+        pairs: {
+            type: 'array',
+            required: requiredForType('matching'),
+            minItems: 2,
+            items: {
+                type: 'object',
+                properties: {
+                    prompt: { type: 'string', required: true, nonEmpty: true },
+                    match: { type: 'string', required: true, nonEmpty: true }
+                }
+            }
+        },
+        distractors: { type: 'array', items: { type: 'string', nonEmpty: true } },
+        sequence: { type: 'array', required: requiredForType('ordering'), minItems: 2, items: { type: 'string', nonEmpty: true } },
+        text: { type: 'string', required: requiredForType('cloze'), nonEmpty: true },
+        blanks: {
+            type: 'array',
+            required: requiredForType('cloze'),
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    answers: { type: 'array', required: true, minItems: 1, items: { type: 'string', nonEmpty: true } },
+                    options: { type: 'array', minItems: 2, items: { type: 'string', nonEmpty: true } }
+                }
+            }
+        }
+    };
+
+    const TEST_QUESTION = {
+        type: 'object',
+        properties: Object.assign({
+            id: { type: 'string', required: true, nonEmpty: true },
+            stem: { type: 'string', required: true, nonEmpty: true },
+            options: { type: 'array', required: isChoiceQuestion, minItems: 2, items: { type: 'string', nonEmpty: true } },
+            correct: { type: 'integer', required: isChoiceQuestion, min: 0 },
+            explanation: { type: 'string' },
+            skill: { type: 'string', nonEmpty: true },
+            difficulty: { type: 'number', min: -6, max: 6 }
+        }, QUESTION_TYPE_FIELDS),
+        check: checkQuestion
+    };
+
+    const SCHEMAS = {
+        jokes: {
+            file: 'data/jokes.json',
+            spec: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', required: true, pattern: /^joke-\d+$/ },
+                        text: { type: 'string', required: true, nonEmpty: true },
+                        analysis: { type: 'string', required: true, nonEmpty: true },
+                        analysisUz: { type: 'string', nonEmpty: true },
+                        type: { type: 'string', required: true, enum: ['pun', 'riddle', 'dialogue', 'anecdote', 'cultural'] },
+                        level: { type: 'string', required: true, pattern: CEFR_LEVEL },
+                        learningPoints: { type: 'array', required: true, minItems: 1, items: { type: 'string', nonEmpty: true } },
+                        // Model GTVH analysis, compared with the learner's own in the Joke Library
+                        gtvhAnalysis: {
+                            type: 'object',
+                            properties: GTVH_RESOURCES.reduce((props, kr) => {
+                                props[kr] = { type: 'string', required: true, nonEmpty: true };
+                                return props;
+                            }, {})
+                        },
+                        // Structured GTVH annotation, used to group and compare jokes
+                        gtvh: {
+                            type: 'object',
+                            properties: {
+                                so: {
+                                    type: 'object',
+                                    required: true,
+                                    properties: {
+                                        scripts: {
+                                            type: 'array',
+                                            required: true,
+                                            minItems: 2,
+                                            items: { type: 'string', nonEmpty: true },
+                                            check: scripts => scripts.length > 2 ? 'a script opposition has exactly two scripts' : null
+                                        },
+                                        basic: { type: 'string', required: true, enum: GTVH_BASIC_OPPOSITIONS }
+                                    }
+                                },
+                                lm: { type: 'string', required: true, enum: GTVH_MECHANISMS },
+                                si: { type: 'array', required: true, minItems: 1, items: { type: 'string', pattern: /^[a-z][a-z-]*$/ } },
+                                ta: { type: 'string', required: true, nonEmpty: true },
+                                ns: { type: 'string', required: true, enum: GTVH_NARRATIVES },
+                                la: { type: 'string', required: true, nonEmpty: true }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+
+        activities: {
+            file: 'data/activities.json',
+            spec: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', required: true, pattern: /^act-\d+$/ },
+                        level: { type: 'string', required: true, pattern: CEFR_LEVEL },
+                        difficulty: { type: 'string', required: true, enum: ['easy', 'medium', 'hard'] },
+                        title: { type: 'string', required: true, nonEmpty: true },
+                        description: { type: 'string', required: true },
+                        task: { type: 'string', required: true, nonEmpty: true },
+                        pragmaticFocus: { type: 'string', required: true },
+                        tags: { type: 'array', required: true, items: { type: 'string', nonEmpty: true } },
+                        responseType: { type: 'string', required: true, enum: ['text-short', 'text-long', 'multi', 'choice'] },
+                        responseLabel: { type: 'string', required: true },
+                        responseHint: { type: 'string' },
+                        choices: {
+                            type: 'array',
+                            minItems: 2,
+                            items: { type: 'string', nonEmpty: true },
+                            required: function(activity) {
+                                return activity.responseType === 'multi' || activity.responseType === 'choice';
+                            }
+                        },
+                        minSelections: { type: 'integer', min: 1 },
+                        exampleAnswer: { type: 'string' },
+                        minWords: { type: 'integer', min: 0 },
+                        minChars: { type: 'integer', min: 0 }
+                    },
+                    check: function(activity) {
+                        if (Array.isArray(activity.choices) &&
+                            Number.isInteger(activity.minSelections) &&
+                            activity.minSelections > activity.choices.length) {
+                            return `minSelections (${activity.minSelections}) exceeds the number of choices (${activity.choices.length})`;
+                        }
+                        return null;
+                    }
+                }
+            }
+        },
+
+        quizzes: {
+            file: 'data/quizzes.json',
+            spec: {
+                type: 'object',
+                properties: ['beginner', 'intermediate', 'advanced'].reduce((props, level) => {
+                    props[level] = {
+                        type: 'array',
+                        required: true,
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            properties: Object.assign({
+                                id: { type: 'string', required: true, pattern: new RegExp(`^quiz-${level}-\\d+$`) },
+                                question: { type: 'string', required: true, nonEmpty: true },
+                                options: { type: 'array', required: isChoiceQuestion, minItems: 2, items: { type: 'string', nonEmpty: true } },
+                                correct: { type: 'integer', required: isChoiceQuestion, min: 0 },
+                                explanation: { type: 'string', required: true },
+                                difficulty: { type: 'number', min: -6, max: 6 }
+                            }, QUESTION_TYPE_FIELDS),
+                            check: checkQuestion
+                        }
+                    };
+                    return props;
+                }, {
+                    forms: {
+                        type: 'object',
+                        properties: {
+                            itemsPerAttempt: {
+                                type: 'object',
+                                properties: ['all', 'beginner', 'intermediate', 'advanced'].reduce((props, level) => {
+                                    props[level] = { type: 'integer', min: 1 };
+                                    return props;
+                                }, {})
+                            },
+                            shuffleOptions: { type: 'boolean' }
+                        },
+                        check: (forms, quizzes) => {
+                            const counts = forms.itemsPerAttempt;
+                            if (!isPlainObject(counts) || !isPlainObject(quizzes)) return null;
+                            return Object.keys(counts)
+                                .filter(level => Array.isArray(quizzes[level]) && counts[level] > quizzes[level].length)
+                                .map(level => `itemsPerAttempt.${level} (${counts[level]}) exceeds the ${level} pool (${quizzes[level].length} questions)`);
+                        }
+                    }
+                })
+            }
+        },
+
+        modules: {
+            file: 'data/modules.json',
+            spec: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', required: true, pattern: /^module-\d+$/ },
+                        title: { type: 'string', required: true, nonEmpty: true },
+                        subtitle: { type: 'string' },
+                        level: { type: 'string', required: true, pattern: CEFR_LEVEL },
+                        icon: { type: 'string' },
+                        color: { type: 'string', pattern: /^#[0-9a-fA-F]{3,8}$/ },
+                        estimatedTime: { type: 'string' },
+                        prerequisites: { type: 'array', required: true, items: { type: 'string', pattern: /^module-\d+$/ } },
+                        subUnits: {
+                            type: 'array',
+                            required: true,
+                            minItems: 1,
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string', required: true, nonEmpty: true },
+                                    title: { type: 'string', required: true, nonEmpty: true },
+                                    focus: { type: 'string' },
+                                    skills: { type: 'array', items: { type: 'string', nonEmpty: true } },
+                                    jokeIds: {
+                                        type: 'array',
+                                        items: { type: 'string', pattern: /^joke-\d+$/ },
+                                        required: function(subUnit) { return !Array.isArray(subUnit.jokeIndices); }
+                                    },
+                                    activityIds: {
+                                        type: 'array',
+                                        items: { type: 'string', pattern: /^act-\d+$/ },
+                                        required: function(subUnit) { return !Array.isArray(subUnit.activityIndices); }
+                                    },
+                                    // Deprecated: array positions, converted to ids by DataLoader
+                                    jokeIndices: { type: 'array', items: { type: 'integer', min: 0 } },
+                                    activityIndices: { type: 'array', items: { type: 'integer', min: 0 } }
+                                }
+                            }
+                        },
+                        preTest: {
+                            type: 'object',
+                            required: true,
+                            properties: {
+                                instructions: { type: 'string' },
+                                questions: { type: 'array', required: true, items: TEST_QUESTION }
+                            }
+                        },
+                        postTest: {
+                            type: 'object',
+                            required: true,
+                            properties: {
+                                instructions: { type: 'string' },
+                                questions: { type: 'array', required: true, minItems: 1, items: TEST_QUESTION }
+                            }
+                        },
+                        reflection: {
+                            type: 'object',
+                            properties: {
+                                prompts: { type: 'array', items: { type: 'string', nonEmpty: true } }
+                            }
+                        },
+                        // Without a list the module runs theory, jokes, activities, postTest, reflection
+                        steps: {
+                            type: 'array',
+                            minItems: 1,
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    type: { type: 'string', required: true, enum: MODULE_STEP_TYPES },
+                                    name: { type: 'string', nonEmpty: true },
+                                    duration: { type: 'string', nonEmpty: true },
+                                    minutes: { type: 'integer', min: 0 },
+                                    icon: { type: 'string', nonEmpty: true },
+                                    // gtvhLab
+                                    jokeIds: { type: 'array', minItems: 1, items: { type: 'string', pattern: /^joke-\d+$/ } },
+                                    minAnalyses: { type: 'integer', min: 1 },
+                                    // rolePlay
+                                    scenario: { type: 'string', required: requiredForType('rolePlay'), nonEmpty: true },
+                                    roles: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                name: { type: 'string', required: true, nonEmpty: true },
+                                                brief: { type: 'string', required: true, nonEmpty: true }
+                                            }
+                                        }
+                                    },
+                                    prompts: { type: 'array', items: { type: 'string', nonEmpty: true } }
+                                }
+                            },
+                            // Step progress is kept per type, so a type may appear only once
+                            check: steps => {
+                                const types = steps.map(step => step && step.type);
+                                return types
+                                    .filter((type, i) => types.indexOf(type) !== i)
+                                    .map(type => `step type "${type}" is listed more than once`);
+                            }
+                        }
+                    }
+                }
+            }
+        },
+
+        placementTest: {
+            file: 'data/placement-test.json',
+            spec: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    questions: {
+                        type: 'array',
+                        required: true,
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            properties: Object.assign({
+                                id: { type: 'string', required: true, nonEmpty: true },
+                                question: { type: 'string', required: true, nonEmpty: true },
+                                stem: { type: 'string', nonEmpty: true },
+                                stemUz: { type: 'string', nonEmpty: true },
+                                options: { type: 'array', required: isChoiceQuestion, minItems: 2, items: { type: 'string', nonEmpty: true } },
+                                optionsUz: { type: 'array', items: { type: 'string', nonEmpty: true } },
+                                correct: { type: 'integer', required: isChoiceQuestion, min: 0 },
+                                level: { type: 'string', required: true, pattern: CEFR_LEVEL },
+                                strand: { type: 'string', enum: ['meaning', 'speech', 'polite', 'culture'] },
+                                skill: { type: 'string', nonEmpty: true },
+                                difficulty: { type: 'number', min: -6, max: 6 },
+                                explanation: { type: 'string' }
+                            }, QUESTION_TYPE_FIELDS),
+                            check: function(question) {
+                                const messages = checkQuestion(question);
+                                if (Array.isArray(question.optionsUz) && Array.isArray(question.options) &&
+                                    question.optionsUz.length !== question.options.length) {
+                                    messages.push(`optionsUz has ${question.optionsUz.length} entries but options has ${question.options.length}`);
+                                }
+                                return messages;
+                            }
+                        }
+                    },
+                    adaptive: {
+                        type: 'object',
+                        properties: {
+                            minItems: { type: 'integer', min: 1 },
+                            maxItems: { type: 'integer', min: 1 },
+                            stopStandardError: { type: 'number', min: 0 },
+                            stopChange: { type: 'number', min: 0 },
+                            levels: {
+                                type: 'array',
+                                minItems: 1,
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        level: { type: 'string', required: true, pattern: CEFR_LEVEL },
+                                        difficulty: { type: 'number', required: true },
+                                        upTo: { type: 'number' },
+                                        module: { type: 'string', required: true, nonEmpty: true }
+                                    }
+                                }
+                            }
+                        },
+                        check: function(adaptive) {
+                            return Number.isInteger(adaptive.minItems) && Number.isInteger(adaptive.maxItems) && adaptive.minItems > adaptive.maxItems
+                                ? `minItems (${adaptive.minItems}) is greater than maxItems (${adaptive.maxItems})`
+                                : null;
+                        }
+                    },
+                    profile: {
+                        type: 'object',
+                        properties: {
+                            strongPercent: { type: 'number', min: 0, max: 100 },
+                            skills: {
+                                type: 'record',
+                                required: true,
+                                values: {
+                                    type: 'object',
+                                    properties: {
+                                        label: { type: 'string', required: true, nonEmpty: true }
+                                    }
+                                }
+                            },
+                            electives: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        module: { type: 'string', required: true, nonEmpty: true },
+                                        minLevel: { type: 'string', required: true, pattern: CEFR_LEVEL },
+                                        skills: { type: 'array', required: true, minItems: 1, items: { type: 'string', nonEmpty: true } }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    scoring: {
+                        type: 'record',
+                        required: true,
+                        values: {
+                            type: 'object',
+                            properties: {
+                                label: { type: 'string', required: true, nonEmpty: true },
+                                description: { type: 'string' },
+                                min: { type: 'integer', required: true, min: 0 },
+                                max: { type: 'integer', required: true, min: 0 }
+                            },
+                            check: function(band) {
+                                return Number.isInteger(band.min) && Number.isInteger(band.max) && band.min > band.max
+                                    ? `min (${band.min}) is greater than max (${band.max})`
+                                    : null;
+                            }
+                        }
+                    }
+                }
+            }
+        },
+
+        moduleTheory: {
+            file: 'data/module-theory.json',
+            spec: {
+                type: 'object',
+                properties: {
+                    version: { type: 'integer', min: 1 },
+                    modules: {
+                        type: 'record',
+                        required: true,
+                        values: {
+                            type: 'object',
+                            properties: {
+                                theorySections: {
+                                    type: 'array',
+                                    required: true,
+                                    minItems: 1,
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            id: { type: 'string', required: true, nonEmpty: true },
+                                            title: { type: 'string', required: true, nonEmpty: true },
+                                            simpleExplanation: { type: 'string' },
+                                            examples: {
+                                                type: 'array',
+                                                items: {
+                                                    type: 'object',
+                                                    properties: {
+                                                        label: { type: 'string' },
+                                                        html: { type: 'string', required: true, nonEmpty: true }
+                                                    }
+                                                }
+                                            },
+                                            // Legacy free-form HTML, only rendered when none of the structured fields are set
+                                            body: { type: 'string' },
+                                            widget: { type: 'string', enum: ['gtvh-analyzer'] },
+                                            keyPoints: { type: 'array', items: { type: 'string', nonEmpty: true } },
+                                            details: { type: 'string' }
+                                        },
+                                        check: function(section) {
+                                            const hasContent = ['simpleExplanation', 'body', 'details', 'widget'].some(key => {
+                                                return typeof section[key] === 'string' && section[key].trim();
+                                            }) || (Array.isArray(section.examples) && section.examples.length > 0);
+                                            return hasContent ? null : 'section has no simpleExplanation, examples, widget, body or details';
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+
+        examConfig: {
+            file: 'data/exam-config.json',
+            spec: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean', required: true },
+                    // Only needed while exam mode is on (the loader's fallback for a missing file has none)
+                    examId: { type: 'string', required: config => config.enabled === true, pattern: /^[a-z0-9][a-z0-9-]{0,63}$/ },
+                    title: { type: 'string', nonEmpty: true },
+                    modules: { type: 'array', items: { type: 'string', pattern: /^module-\d+$/ } },
+                    timeLimitMinutes: { type: 'integer', min: 0, max: 240 },
+                    singleAttempt: { type: 'boolean' },
+                    hideExplanations: { type: 'boolean' },
+                    lockNavigation: { type: 'boolean' }
+                }
+            }
+        },
+
+        benchmarks: {
+            file: 'data/benchmarks.json',
+            spec: {
+                type: 'object',
+                properties: {
+                    source: { type: 'string', required: true, enum: ['none', 'class-exports', 'sync-server'] },
+                    generatedAt: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}T/ },
+                    learners: { type: 'integer', required: true, min: 0 },
+                    modules: {
+                        type: 'record',
+                        required: true,
+                        values: {
+                            type: 'object',
+                            properties: {
+                                scores: { type: 'array', required: true, minItems: 1, items: { type: 'number', min: 0, max: 100 } },
+                                gains: { type: 'array', items: { type: 'number', min: -100, max: 100 } }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+
+        gtvhExercises: {
+            file: 'data/gtvh-exercises.json',
+            spec: {
+                type: 'object',
+                properties: {
+                    version: { type: 'integer', min: 1 },
+                    exercises: {
+                        type: 'array',
+                        required: true,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'string', required: true, pattern: /^[a-z0-9][a-z0-9-]{0,63}$/ },
+                                module: { type: 'string', required: true, pattern: /^module-\d+$/ },
+                                section: { type: 'string', required: true, nonEmpty: true },
+                                resources: { type: 'array', required: true, minItems: 1, items: { type: 'string', enum: GTVH_RESOURCES } },
+                                jokeIds: { type: 'array', required: true, minItems: 1, items: { type: 'string', nonEmpty: true } },
+                                anyOrder: { type: 'boolean' },
+                                prompt: LOCALIZED_TEXT_REQUIRED,
+                                fields: {
+                                    type: 'array',
+                                    required: true,
+                                    minItems: 1,
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            id: { type: 'string', required: true, nonEmpty: true },
+                                            label: LOCALIZED_TEXT_REQUIRED,
+                                            input: { type: 'string', required: true, enum: ['text', 'textarea', 'choice'] },
+                                            minLength: { type: 'integer', min: 1 },
+                                            concepts: { type: 'array', required: field => field.input !== 'choice', minItems: 1, items: { type: 'string', nonEmpty: true } },
+                                            match: { type: 'string', enum: ['any', 'all'] },
+                                            options: {
+                                                type: 'array',
+                                                required: field => field.input === 'choice',
+                                                minItems: 2,
+                                                items: {
+                                                    type: 'object',
+                                                    properties: {
+                                                        value: { type: 'string', required: true, nonEmpty: true },
+                                                        label: LOCALIZED_TEXT_REQUIRED,
+                                                        hint: LOCALIZED_TEXT
+                                                    }
+                                                }
+                                            },
+                                            accept: { type: 'array', required: field => field.input === 'choice', minItems: 1, items: { type: 'string', nonEmpty: true } },
+                                            hint: LOCALIZED_TEXT
+                                        },
+                                        check: function(field) {
+                                            if (field.input !== 'choice' || !Array.isArray(field.options) || !Array.isArray(field.accept)) return null;
+                                            const values = field.options.map(option => option && option.value);
+                                            return field.accept.filter(value => !values.includes(value))
+                                                .map(value => `accepted value "${value}" is not one of the options`);
+                                        }
+                                    }
+                                },
+                                concepts: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            id: { type: 'string', required: true, nonEmpty: true },
+                                            keywords: {
+                                                type: 'array',
+                                                required: true,
+                                                minItems: 1,
+                                                items: {
+                                                    type: 'any',
+                                                    check: function(keyword) {
+                                                        const ok = (typeof keyword === 'string' && keyword.trim()) ||
+                                                            (Array.isArray(keyword) && keyword.length > 0 && keyword.every(part => typeof part === 'string' && part.trim()));
+                                                        return ok ? null : 'keyword must be a non-empty string or a list of non-empty strings';
+                                                    }
+                                                }
+                                            }
+                                        }
+                                    }
+                                },
+                                feedback: {
+                                    type: 'array',
+                                    required: true,
+                                    minItems: 1,
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            min: { type: 'number', required: true, min: 0, max: 1 },
+                                            kind: { type: 'string', required: true, enum: ['success', 'warning'] },
+                                            message: LOCALIZED_TEXT_REQUIRED,
+                                            showModel: { type: 'boolean' }
+                                        }
+                                    },
+                                    check: function(tiers) {
+                                        return tiers.some(tier => tier && tier.min === 0) ? null : 'no feedback tier with min 0, so some results get no message';
+                                    }
+                                },
+                                emptyMessage: LOCALIZED_TEXT,
+                                modelAnswer: LOCALIZED_TEXT_REQUIRED
+                            },
+                            check: function(exercise) {
+                                if (!Array.isArray(exercise.fields)) return null;
+                                const conceptIds = Array.isArray(exercise.concepts) ? exercise.concepts.map(concept => concept && concept.id) : [];
+                                const messages = [];
+                                exercise.fields.forEach(field => {
+                                    (field && Array.isArray(field.concepts) ? field.concepts : []).forEach(id => {
+                                        if (!conceptIds.includes(id)) messages.push(`field "${field.id}" uses undefined concept "${id}"`);
+                                    });
+                                });
+                                return messages;
+                            }
+                        }
+                    }
+                }
+            }
+        },
+
+        gtvhConcepts: {
+            file: 'data/gtvh-concepts.json',
+            spec: {
+                type: 'object',
+                properties: {
+                    version: { type: 'integer', min: 1 },
+                    concepts: {
+                        type: 'array',
+                        required: true,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'string', required: true, pattern: /^[a-z0-9][a-z0-9-]{0,63}$/ },
+                                label: LOCALIZED_TEXT_REQUIRED,
+                                terms: {
+                                    type: 'object',
+                                    required: true,
+                                    properties: {
+                                        en: { type: 'array', required: true, minItems: 1, items: { type: 'string', nonEmpty: true } },
+                                        uz: { type: 'array', items: { type: 'string', nonEmpty: true } }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    function isChoiceQuestion(question) {
+        return !question.type || question.type === 'choice';
+    }
+
+    function requiredForType(type) {
+        return question => question.type === type;
+    }
+
+    // Answer-key consistency for every question type
+    function checkQuestion(question) {
+        const messages = [];
+        const indexProblem = checkCorrectIndex(question);
+        if (indexProblem) messages.push(indexProblem);
+
+        if (question.type === 'matching' && Array.isArray(question.pairs)) {
+            const prompts = question.pairs.map(pair => pair && pair.prompt);
+            if (new Set(prompts).size !== prompts.length) messages.push('pairs repeat a prompt');
+        }
+        if (question.type === 'ordering' && Array.isArray(question.sequence) &&
+            new Set(question.sequence).size !== question.sequence.length) {
+            messages.push('sequence repeats a part, so more than one order would be correct');
+        }
+        if (question.type === 'cloze' && typeof question.text === 'string' && Array.isArray(question.blanks)) {
+            const gaps = question.text.split('___').length - 1;
+            if (gaps !== question.blanks.length) {
+                messages.push(`text has ${gaps} blank(s) (___) but blanks has ${question.blanks.length} entries`);
+            }
+            question.blanks.forEach((blank, index) => {
+                if (!blank || !Array.isArray(blank.options) || !Array.isArray(blank.answers)) return;
+                const missing = blank.answers.filter(answer => !blank.options.includes(answer));
+                if (missing.length) messages.push(`blanks[${index}] answer(s) ${missing.map(a => `"${a}"`).join(', ')} not among its options`);
+            });
+        }
+        return messages;
+    }
+
+    function checkCorrectIndex(question) {
+        if (!Array.isArray(question.options) || !Number.isInteger(question.correct)) return null;
+        return question.correct >= question.options.length
+            ? `correct (${question.correct}) points past the last option (${question.options.length - 1})`
+            : null;
+    }
+
+    // ========================================
+    // VALIDATOR
+    // ========================================
+
+    function describeType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function matchesType(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object':
+            case 'record': return isPlainObject(value);
+            default: return true;
+        }
+    }
+
+    function joinPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        return path ? `${path}.${key}` : key;
+    }
+
+    /**
+     * Validate a value against a field spec, collecting issues
+     * @param {*} value - Value to check
+     * @param {Object} spec - Field spec (see SCHEMAS)
+     * @param {string} path - Dotted path used in messages
+     * @param {Function} report - report(severity, path, message)
+     * @param {Object} [parent] - Containing object (for conditional rules)
+     */
+    function validateValue(value, spec, path, report, parent) {
+        if (!matchesType(value, spec.type)) {
+            report('error', path, `expected ${spec.type}, got ${describeType(value)}`);
+            return;
+        }
+
+        if (spec.type === 'string') {
+            if (spec.nonEmpty && !value.trim()) {
+                report('error', path, 'must not be empty');
+            }
+            if (spec.pattern && !spec.pattern.test(value)) {
+                report('error', path, `"${value}" does not match ${spec.pattern}`);
+            }
+        }
+
+        if (spec.enum && !spec.enum.includes(value)) {
+            report('error', path, `"${value}" is not one of: ${spec.enum.join(', ')}`);
+        }
+
+        if (spec.type === 'integer' || spec.type === 'number') {
+            if (typeof spec.min === 'number' && value < spec.min) {
+                report('error', path, `${value} is below the minimum ${spec.min}`);
+            }
+            if (typeof spec.max === 'number' && value > spec.max) {
+                report('error', path, `${value} is above the maximum ${spec.max}`);
+            }
+        }
+
+        if (spec.type === 'array') {
+            if (typeof spec.minItems === 'number' && value.length < spec.minItems) {
+                report('error', path, `needs at least ${spec.minItems} item(s), has ${value.length}`);
+            }
+            if (spec.items) {
+                value.forEach((item, index) => validateValue(item, spec.items, joinPath(path, index), report, value));
+            }
+        }
+
+        if (spec.type === 'object' && spec.properties) {
+            Object.keys(spec.properties).forEach(key => {
+                const childSpec = spec.properties[key];
+                const present = Object.prototype.hasOwnProperty.call(value, key) && value[key] !== undefined;
+                if (!present) {
+                    const required = typeof childSpec.required === 'function'
+                        ? childSpec.required(value)
+                        : childSpec.required === true;
+                    if (required) report('error', joinPath(path, key), 'is required');
+                    return;
+                }
+                validateValue(value[key], childSpec, joinPath(path, key), report, value);
+            });
+
+            Object.keys(value).forEach(key => {
+                if (!Object.prototype.hasOwnProperty.call(spec.properties, key)) {
+                    report('warning', joinPath(path, key), 'unknown field');
+                }
+            });
+        }
+
+        if (spec.type === 'record' && spec.values) {
+            Object.keys(value).forEach(key => {
+                validateValue(value[key], spec.values, joinPath(path, key), report, value);
+            });
+        }
+
+        if (typeof spec.check === 'function') {
+            const result = spec.check(value, parent);
+            const messages = Array.isArray(result) ? result : (result ? [result] : []);
+            messages.forEach(message => report('error', path, message));
+        }
+    }
+
+    // ========================================
+    // CROSS-REFERENCE CHECKS
+    // ========================================
+
+    function checkUniqueIds(list, path, report) {
+        if (!Array.isArray(list)) return;
+        const seen = new Map();
+        list.forEach((item, index) => {
+            if (!item || typeof item.id !== 'string') return;
+            if (seen.has(item.id)) {
+                report('error', joinPath(path, index) + '.id', `duplicate id "${item.id}" (first used at index ${seen.get(item.id)})`);
+            } else {
+                seen.set(item.id, index);
+            }
+        });
+    }
+
+    function checkModuleReferences(data, reportFor) {
+        const modules = Array.isArray(data.modules) ? data.modules : [];
+        const jokeCount = Array.isArray(data.jokes) ? data.jokes.length : 0;
+        const activityCount = Array.isArray(data.activities) ? data.activities.length : 0;
+        const moduleIds = new Set(modules.map(module => module && module.id));
+        const jokeIds = new Set((Array.isArray(data.jokes) ? data.jokes : []).map(joke => joke && joke.id));
+        const activityIds = new Set((Array.isArray(data.activities) ? data.activities : []).map(activity => activity && activity.id));
+        const report = reportFor('modules');
+
+        modules.forEach((module, moduleIndex) => {
+            if (!isPlainObject(module)) return;
+            const base = `[${moduleIndex}]`;
+
+            (Array.isArray(module.prerequisites) ? module.prerequisites : []).forEach((prereq, i) => {
+                if (prereq === module.id) {
+                    report('error', `${base}.prerequisites[${i}]`, `module "${module.id}" lists itself as a prerequisite`);
+                } else if (!moduleIds.has(prereq)) {
+                    report('error', `${base}.prerequisites[${i}]`, `unknown module "${prereq}"`);
+                }
+            });
+
+            (Array.isArray(module.subUnits) ? module.subUnits : []).forEach((subUnit, s) => {
+                if (!isPlainObject(subUnit)) return;
+                const subPath = `${base}.subUnits[${s}]`;
+                (Array.isArray(subUnit.jokeIds) ? subUnit.jokeIds : []).forEach((id, i) => {
+                    if (typeof id === 'string' && !jokeIds.has(id)) {
+                        report('error', `${subPath}.jokeIds[${i}]`, `joke "${id}" does not exist in jokes.json`);
+                    }
+                });
+                (Array.isArray(subUnit.activityIds) ? subUnit.activityIds : []).forEach((id, i) => {
+                    if (typeof id === 'string' && !activityIds.has(id)) {
+                        report('error', `${subPath}.activityIds[${i}]`, `activity "${id}" does not exist in activities.json`);
+                    }
+                });
+
+                (Array.isArray(subUnit.jokeIndices) ? subUnit.jokeIndices : []).forEach((index, i) => {
+                    if (Number.isInteger(index) && index >= jokeCount) {
+                        report('error', `${subPath}.jokeIndices[${i}]`, `joke index ${index} is past the end of jokes.json (${jokeCount} jokes)`);
+                    }
+                });
+                (Array.isArray(subUnit.activityIndices) ? subUnit.activityIndices : []).forEach((index, i) => {
+                    if (Number.isInteger(index) && index >= activityCount) {
+                        report('error', `${subPath}.activityIndices[${i}]`, `activity index ${index} is past the end of activities.json (${activityCount} activities)`);
+                    }
+                });
+                if (Array.isArray(subUnit.jokeIndices) || Array.isArray(subUnit.activityIndices)) {
+                    report('warning', subPath, 'jokeIndices/activityIndices are deprecated; reference content by jokeIds/activityIds');
+                }
+            });
+
+            (Array.isArray(module.steps) ? module.steps : []).forEach((step, s) => {
+                if (!isPlainObject(step)) return;
+                const stepJokes = Array.isArray(step.jokeIds) ? step.jokeIds : [];
+                stepJokes.forEach((id, i) => {
+                    if (typeof id === 'string' && !jokeIds.has(id)) {
+                        report('error', `${base}.steps[${s}].jokeIds[${i}]`, `joke "${id}" does not exist in jokes.json`);
+                    }
+                });
+                if (stepJokes.length && Number.isInteger(step.minAnalyses) && step.minAnalyses > stepJokes.length) {
+                    report('warning', `${base}.steps[${s}].minAnalyses`, `asks for ${step.minAnalyses} analyses of ${stepJokes.length} jokes`);
+                }
+            });
+
+            const testIds = new Map();
+            ['preTest', 'postTest'].forEach(testType => {
+                const questions = module[testType] && Array.isArray(module[testType].questions) ? module[testType].questions : [];
+                questions.forEach((question, q) => {
+                    if (!question || typeof question.id !== 'string') return;
+                    if (testIds.has(question.id)) {
+                        report('error', `${base}.${testType}.questions[${q}].id`, `duplicate question id "${question.id}" (also in ${testIds.get(question.id)})`);
+                    } else {
+                        testIds.set(question.id, testType);
+                    }
+                });
+            });
+        });
+
+        // Cycles in the prerequisite graph would leave modules permanently locked
+        const byId = new Map(modules.filter(isPlainObject).map(module => [module.id, module]));
+        const visiting = new Set();
+        const done = new Set();
+        const visit = (id, trail) => {
+            if (done.has(id) || !byId.has(id)) return;
+            if (visiting.has(id)) {
+                report('error', `${id}.prerequisites`, `prerequisite cycle: ${trail.concat(id).join(' → ')}`);
+                return;
+            }
+            visiting.add(id);
+            const prereqs = byId.get(id).prerequisites;
+            (Array.isArray(prereqs) ? prereqs : []).forEach(next => {
+                if (next !== id) visit(next, trail.concat(id));
+            });
+            visiting.delete(id);
+            done.add(id);
+        };
+        byId.forEach((module, id) => visit(id, []));
+    }
+
+    function checkPlacementScoring(data, reportFor) {
+        const placement = data.placementTest;
+        if (!isPlainObject(placement) || !isPlainObject(placement.scoring) || !Array.isArray(placement.questions)) return;
+
+        const report = reportFor('placementTest');
+        const moduleIds = new Set((Array.isArray(data.modules) ? data.modules : []).map(module => module && module.id));
+        const maxScore = placement.questions.length;
+        const bands = Object.keys(placement.scoring)
+            .map(key => Object.assign({ key }, placement.scoring[key]))
+            .filter(band => Number.isInteger(band.min) && Number.isInteger(band.max));
+
+        Object.keys(placement.scoring).forEach(key => {
+            if (!moduleIds.has(key)) {
+                report('error', `scoring.${key}`, `"${key}" is not a module id in modules.json`);
+            }
+        });
+
+        // Every possible raw score 0..maxScore must map to exactly one band
+        const gaps = [];
+        for (let score = 0; score <= maxScore; score++) {
+            const matches = bands.filter(band => score >= band.min && score <= band.max);
+            if (matches.length === 0) {
+                gaps.push(score);
+            } else if (matches.length > 1) {
+                report('error', 'scoring', `score ${score} falls in several bands: ${matches.map(band => band.key).join(', ')}`);
+            }
+        }
+        if (gaps.length) {
+            report('error', 'scoring', `no band covers score(s) ${gaps.join(', ')} (possible scores: 0-${maxScore})`);
+        }
+
+        bands.forEach(band => {
+            if (band.max > maxScore) {
+                report('warning', `scoring.${band.key}.max`, `${band.max} is above the highest possible score (${maxScore})`);
+            }
+        });
+
+        checkAdaptiveLevels(placement, moduleIds, report);
+        checkSkillProfile(placement, moduleIds, report);
+    }
+
+    // Adaptive levels must name real modules, run easy -> hard, and cover every question level
+    function checkAdaptiveLevels(placement, moduleIds, report) {
+        const levels = isPlainObject(placement.adaptive) && Array.isArray(placement.adaptive.levels)
+            ? placement.adaptive.levels.filter(isPlainObject)
+            : null;
+        if (!levels) return;
+
+        levels.forEach((level, index) => {
+            if (typeof level.module === 'string' && !moduleIds.has(level.module)) {
+                report('error', `adaptive.levels[${index}].module`, `"${level.module}" is not a module id in modules.json`);
+            }
+            const previous = levels[index - 1];
+            if (previous && Number.isFinite(previous.difficulty) && Number.isFinite(level.difficulty) && level.difficulty <= previous.difficulty) {
+                report('error', `adaptive.levels[${index}].difficulty`, `levels must get harder: ${level.difficulty} follows ${previous.difficulty}`);
+            }
+        });
+
+        const configured = new Set(levels.map(level => level.level));
+        placement.questions.forEach((question, index) => {
+            if (isPlainObject(question) && !Number.isFinite(question.difficulty) && question.level && !configured.has(question.level)) {
+                report('warning', `questions[${index}].level`, `"${question.level}" has no adaptive difficulty; the item is treated as average (0)`);
+            }
+        });
+    }
+
+    // Question skills and elective rules must refer to declared skills, modules and levels
+    function checkSkillProfile(placement, moduleIds, report) {
+        const profile = placement.profile;
+        if (!isPlainObject(profile) || !isPlainObject(profile.skills)) return;
+
+        const skills = new Set(Object.keys(profile.skills));
+        const adaptiveLevels = isPlainObject(placement.adaptive) && Array.isArray(placement.adaptive.levels)
+            ? new Set(placement.adaptive.levels.filter(isPlainObject).map(level => level.level))
+            : null;
+
+        placement.questions.forEach((question, index) => {
+            if (!isPlainObject(question)) return;
+            if (typeof question.skill === 'string' && !skills.has(question.skill)) {
+                report('error', `questions[${index}].skill`, `"${question.skill}" is not declared in profile.skills`);
+            } else if (question.skill === undefined) {
+                report('warning', `questions[${index}].skill`, 'question has no skill, so it is left out of the skill profile');
+            }
+        });
+
+        skills.forEach(skill => {
+            if (!placement.questions.some(question => isPlainObject(question) && question.skill === skill)) {
+                report('warning', `profile.skills.${skill}`, `no placement question measures "${skill}"`);
+            }
+        });
+
+        (Array.isArray(profile.electives) ? profile.electives : []).forEach((elective, index) => {
+            if (!isPlainObject(elective)) return;
+            if (typeof elective.module === 'string' && !moduleIds.has(elective.module)) {
+                report('error', `profile.electives[${index}].module`, `"${elective.module}" is not a module id in modules.json`);
+            }
+            if (adaptiveLevels && typeof elective.minLevel === 'string' && !adaptiveLevels.has(elective.minLevel)) {
+                report('error', `profile.electives[${index}].minLevel`, `"${elective.minLevel}" is not one of the adaptive levels`);
+            }
+            (Array.isArray(elective.skills) ? elective.skills : []).forEach(skill => {
+                if (!skills.has(skill)) {
+                    report('error', `profile.electives[${index}].skills`, `"${skill}" is not declared in profile.skills`);
+                }
+            });
+        });
+    }
+
+    function checkTheoryReferences(data, reportFor) {
+        const theory = data.moduleTheory;
+        if (!isPlainObject(theory) || !isPlainObject(theory.modules)) return;
+
+        const report = reportFor('moduleTheory');
+        const modules = Array.isArray(data.modules) ? data.modules : [];
+        const moduleIds = new Set(modules.map(module => module && module.id));
+
+        Object.keys(theory.modules).forEach(moduleId => {
+            if (!moduleIds.has(moduleId)) {
+                report('warning', `modules.${moduleId}`, `theory for unknown module "${moduleId}"`);
+            }
+            const sections = theory.modules[moduleId] && theory.modules[moduleId].theorySections;
+            checkUniqueIds(sections, `modules.${moduleId}.theorySections`, report);
+        });
+
+        moduleIds.forEach(moduleId => {
+            if (moduleId && !theory.modules[moduleId]) {
+                report('warning', 'modules', `module "${moduleId}" has no theory sections`);
+            }
+        });
+    }
+
+    function checkExamModules(data, reportFor) {
+        const config = data.examConfig;
+        if (!isPlainObject(config) || !Array.isArray(config.modules)) return;
+
+        const report = reportFor('examConfig');
+        const moduleIds = new Set((Array.isArray(data.modules) ? data.modules : []).map(module => module && module.id));
+        config.modules.forEach((moduleId, index) => {
+            if (!moduleIds.has(moduleId)) {
+                report('error', `modules.${index}`, `exam for unknown module "${moduleId}"`);
+            }
+        });
+    }
+
+    // Module test skills use the placement profile's skill names (confidence calibration groups by them)
+    function checkModuleQuestionSkills(data, reportFor) {
+        const profile = isPlainObject(data.placementTest) ? data.placementTest.profile : null;
+        if (!isPlainObject(profile) || !isPlainObject(profile.skills) || !Array.isArray(data.modules)) return;
+
+        const report = reportFor('modules');
+        data.modules.forEach((module, moduleIndex) => {
+            if (!isPlainObject(module)) return;
+            ['preTest', 'postTest'].forEach(testType => {
+                const questions = isPlainObject(module[testType]) && Array.isArray(module[testType].questions) ? module[testType].questions : [];
+                questions.forEach((question, index) => {
+                    if (isPlainObject(question) && typeof question.skill === 'string' && !profile.skills[question.skill]) {
+                        report('warning', `[${moduleIndex}].${testType}.questions[${index}].skill`,
+                            `"${question.skill}" is not declared in placement-test.json profile.skills`);
+                    }
+                });
+            });
+        });
+    }
+
+    function checkBenchmarkModules(data, reportFor) {
+        const benchmarks = data.benchmarks;
+        if (!isPlainObject(benchmarks) || !isPlainObject(benchmarks.modules)) return;
+
+        const report = reportFor('benchmarks');
+        const moduleIds = new Set((Array.isArray(data.modules) ? data.modules : []).map(module => module && module.id));
+        Object.keys(benchmarks.modules).forEach(moduleId => {
+            if (!moduleIds.has(moduleId)) {
+                report('warning', `modules.${moduleId}`, `benchmarks for unknown module "${moduleId}"`);
+            }
+        });
+    }
+
+    // GTVH exercises point at jokes and at the theory section they are shown in
+    function checkGTVHExercises(data, reportFor) {
+        const exercises = isPlainObject(data.gtvhExercises) && Array.isArray(data.gtvhExercises.exercises) ? data.gtvhExercises.exercises : null;
+        if (!exercises) return;
+
+        const report = reportFor('gtvhExercises');
+        checkUniqueIds(exercises, 'exercises', report);
+        const jokeIds = new Set((Array.isArray(data.jokes) ? data.jokes : []).map(joke => joke && joke.id));
+        const theory = isPlainObject(data.moduleTheory) && isPlainObject(data.moduleTheory.modules) ? data.moduleTheory.modules : {};
+
+        exercises.forEach((exercise, index) => {
+            if (!isPlainObject(exercise)) return;
+            (Array.isArray(exercise.jokeIds) ? exercise.jokeIds : []).forEach((jokeId, i) => {
+                if (!jokeIds.has(jokeId)) {
+                    report('error', `exercises[${index}].jokeIds[${i}]`, `unknown joke "${jokeId}"`);
+                }
+            });
+            const sections = isPlainObject(theory[exercise.module]) && Array.isArray(theory[exercise.module].theorySections)
+                ? theory[exercise.module].theorySections : [];
+            if (typeof exercise.section === 'string' && !sections.some(section => section && section.id === exercise.section)) {
+                report('warning', `exercises[${index}].section`,
+                    `no theory section "${exercise.section}" in ${exercise.module}, so the exercise is never shown`);
+            }
+        });
+    }
+
+    // ========================================
+    // REPORT
+    // ========================================
+
+    /**
+     * Validate all loaded data files and build an integrity report
+     * @param {Object} data - { jokes, activities, quizzes, modules, placementTest, moduleTheory, examConfig, benchmarks, gtvhExercises, gtvhConcepts }
+     * @returns {Object} Report: { ok, generatedAt, errorCount, warningCount, files: { key: { file, itemCount, issues } }, issues }
+     */
+    function validateAll(data) {
+        const report = {
+            ok: true,
+            generatedAt: new Date().toISOString(),
+            errorCount: 0,
+            warningCount: 0,
+            files: {},
+            issues: []
+        };
+
+        const reportFor = (key) => {
+            const schema = SCHEMAS[key];
+            if (!report.files[key]) {
+                const value = data[key];
+                report.files[key] = {
+                    file: schema ? schema.file : key,
+                    itemCount: Array.isArray(value) ? value.length : (isPlainObject(value) ? Object.keys(value).length : 0),
+                    issues: []
+                };
+            }
+            return (severity, path, message) => {
+                const issue = { severity, file: report.files[key].file, path: path || '(root)', message };
+                report.files[key].issues.push(issue);
+                report.issues.push(issue);
+                if (severity === 'error') {
+                    report.errorCount++;
+                    report.ok = false;
+                } else {
+                    report.warningCount++;
+                }
+            };
+        };
+
+        Object.keys(SCHEMAS).forEach(key => {
+            const add = reportFor(key);
+            if (data[key] === undefined) {
+                add('error', '', 'file was not loaded');
+                return;
+            }
+            validateValue(data[key], SCHEMAS[key].spec, '', add);
+        });
+
+        checkUniqueIds(data.jokes, '', reportFor('jokes'));
+        checkUniqueIds(data.activities, '', reportFor('activities'));
+        checkUniqueIds(data.modules, '', reportFor('modules'));
+        if (isPlainObject(data.quizzes)) {
+            Object.keys(data.quizzes).forEach(level => {
+                checkUniqueIds(data.quizzes[level], level, reportFor('quizzes'));
+            });
+        }
+        if (isPlainObject(data.placementTest)) {
+            checkUniqueIds(data.placementTest.questions, 'questions', reportFor('placementTest'));
+        }
+        if (isPlainObject(data.gtvhConcepts)) {
+            checkUniqueIds(data.gtvhConcepts.concepts, 'concepts', reportFor('gtvhConcepts'));
+        }
+        checkModuleReferences(data, reportFor);
+        checkPlacementScoring(data, reportFor);
+        checkTheoryReferences(data, reportFor);
+        checkExamModules(data, reportFor);
+        checkModuleQuestionSkills(data, reportFor);
+        checkBenchmarkModules(data, reportFor);
+        checkGTVHExercises(data, reportFor);
+
+        return report;
+    }
+
+    function escapeHTML(value) {
+        const temp = document.createElement('div');
+        temp.textContent = value == null ? '' : String(value);
+        return temp.innerHTML;
+    }
+
+    /**
+     * Show the integrity report as a floating panel (dev mode only)
+     * @param {Object} report - Report from validateAll()
+     */
+    function renderReportPanel(report) {
+        if (!report || !document.body) return;
+
+        const existing = document.getElementById('data-integrity-panel');
+        if (existing) existing.remove();
+
+        const panel = document.createElement('div');
+        panel.id = 'data-integrity-panel';
+        panel.style.cssText = `
+            position: fixed;
+            right: 16px;
+            bottom: 16px;
+            width: min(520px, calc(100% - 32px));
+            max-height: 60vh;
+            overflow: auto;
+            background: ${report.ok ? '#ecfdf5' : '#fef2f2'};
+            color: ${report.ok ? '#065f46' : '#991b1b'};
+            border: 2px solid ${report.ok ? '#10b981' : '#dc2626'};
+            border-radius: 10px;
+            padding: 12px 16px;
+            box-shadow: 0 10px 25px rgba(0,0,0,0.2);
+            z-index: 10000;
+            font: 13px system-ui, sans-serif;
+        `;
+
+        const rows = Object.keys(report.files).map(key => {
+            const entry = report.files[key];
+            const errors = entry.issues.filter(issue => issue.severity === 'error').length;
+            const warnings = entry.issues.length - errors;
+            return `<tr><td>${escapeHTML(entry.file)}</td><td>${entry.itemCount}</td><td>${errors}</td><td>${warnings}</td></tr>`;
+        }).join('');
+
+        const issues = report.issues.slice(0, 200).map(issue => {
+            const icon = issue.severity === 'error' ? '❌' : '⚠️';
+            return `<li>${icon} <code>${escapeHTML(issue.file)} ${escapeHTML(issue.path)}</code>: ${escapeHTML(issue.message)}</li>`;
+        }).join('');
+
+        panel.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px;">
+                <strong>${report.ok ? '✅' : '⚠️'} Data integrity: ${report.errorCount} error(s), ${report.warningCount} warning(s)</strong>
+                <button type="button" data-action="dismiss-by-id" data-target-id="data-integrity-panel" style="background: transparent; border: 1px solid currentColor; color: inherit; border-radius: 6px; padding: 2px 8px; cursor: pointer;">✕</button>
+            </div>
+            <table style="width: 100%; margin-top: 8px; border-collapse: collapse; text-align: left;">
+                <thead><tr><th>File</th><th>Items</th><th>Errors</th><th>Warnings</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${issues ? `<details style="margin-top: 8px;"${report.ok ? '' : ' open'}><summary style="cursor: pointer; font-weight: 600;">Issues</summary><ul style="margin: 8px 0 0; padding-left: 18px;">${issues}</ul></details>` : ''}
+        `;
+
+        document.body.appendChild(panel);
+    }
+
+    // ========================================
+    // EXPOSE GLOBALLY
+    // ========================================
+    window.DataSchema = {
+        SCHEMAS: SCHEMAS,
+        validateValue: validateValue,
+        validateAll: validateAll,
+        renderReportPanel: renderReportPanel
+    };
+
+})();
@@ -5,7 +5,7 @@
  *
  * Responsibilities:
  * - Fetch JSON files asynchronously
- * - Handle loading errors gracefully
+ * - Handle loading errors gracefully (optional files fall back to defaults)
  * - Provide loading state indicators
  * - Expose data globally for other modules
  *
@@ -33,6 +33,61 @@
         return value;
     }
 
+    /**
+     * Convert legacy subUnit jokeIndices/activityIndices (array positions) into
+     * jokeIds/activityIds so module content no longer shifts when a joke or
+     * activity is inserted. SubUnits that already use ids are left alone.
+     * @param {Array} modules - modules.json
+     * @param {Array} jokes - jokes.json
+     * @param {Array} activities - activities.json
+     */
+    function normalizeSubUnitRefs(modules, jokes, activities) {
+        const idAt = (list, index) => (list[index] && typeof list[index].id === 'string' ? list[index].id : null);
+
+        (Array.isArray(modules) ? modules : []).forEach(module => {
+            (Array.isArray(module && module.subUnits) ? module.subUnits : []).forEach(subUnit => {
+                if (!Array.isArray(subUnit.jokeIds) && Array.isArray(subUnit.jokeIndices)) {
+                    subUnit.jokeIds = subUnit.jokeIndices.map(index => idAt(jokes, index)).filter(Boolean);
+                    console.warn(`⚠️ ${module.id}/${subUnit.id}: jokeIndices is deprecated, use jokeIds`);
+                }
+                if (!Array.isArray(subUnit.activityIds) && Array.isArray(subUnit.activityIndices)) {
+                    subUnit.activityIds = subUnit.activityIndices.map(index => idAt(activities, index)).filter(Boolean);
+                    console.warn(`⚠️ ${module.id}/${subUnit.id}: activityIndices is deprecated, use activityIds`);
+                }
+                delete subUnit.jokeIndices;
+                delete subUnit.activityIndices;
+            });
+        });
+    }
+
+    // Unique ids referenced by a module's subUnits, in order
+    function collectSubUnitIds(module, key) {
+        const ids = [];
+        (Array.isArray(module && module.subUnits) ? module.subUnits : []).forEach(subUnit => {
+            (Array.isArray(subUnit[key]) ? subUnit[key] : []).forEach(id => {
+                if (!ids.includes(id)) ids.push(id);
+            });
+        });
+        return ids;
+    }
+
+    // Files the app can run without (exam mode, class benchmarks, GTVH practice and matching),
+    // with the value used when one is missing or broken
+    const OPTIONAL_DEFAULTS = {
+        'data/exam-config.json': () => ({ enabled: false }),
+        'data/benchmarks.json': () => ({ source: 'none', learners: 0, modules: {} }),
+        'data/gtvh-exercises.json': () => ({ exercises: [] }),
+        'data/gtvh-concepts.json': () => ({ concepts: [] })
+    };
+
+    function isDevMode() {
+        try {
+            return new URLSearchParams(window.location.search || '').get('dev') === '1';
+        } catch (e) {
+            return false;
+        }
+    }
+
     function escapeHTML(value) {
         const temp = document.createElement('div');
         temp.textContent = value == null ? '' : String(value);
@@ -49,6 +104,9 @@
         isLoaded: false,
         loadError: null,
 
+        // Result of DataSchema.validateAll() for the last load
+        integrityReport: null,
+
         /**
          * Load a single JSON file
          * @param {string} path - Path to JSON file
@@ -74,6 +132,20 @@
             }
         },
 
+        /**
+         * Load a file listed in OPTIONAL_DEFAULTS; a missing or broken file is logged and replaced by its default
+         * @param {string} path - Path to JSON file
+         * @returns {Promise} Promise that resolves with the data, or the default
+         */
+        async loadOptionalJSON(path) {
+            try {
+                return await this.loadJSON(path);
+            } catch (error) {
+                console.warn(`⚠️ ${path} is unavailable; continuing without it.`, error.message);
+                return OPTIONAL_DEFAULTS[path]();
+            }
+        },
+
         /**
          * Load all data files
          * @returns {Promise} Promise that resolves when all data is loaded
@@ -99,13 +171,18 @@
             this.loadError = null;
 
             try {
-                // Load all JSON files in parallel
-              const [jokes, activities, quizzes, modules, placementTest] = await Promise.all([
+                // Load all JSON files in parallel; only the core files are required
+              const [jokes, activities, quizzes, modules, placementTest, moduleTheory, examConfig, benchmarks, gtvhExercises, gtvhConcepts] = await Promise.all([
     this.loadJSON('data/jokes.json'),
     this.loadJSON('data/activities.json'),
     this.loadJSON('data/quizzes.json'),
     this.loadJSON('data/modules.json'),
-    this.loadJSON('data/placement-test.json')
+    this.loadJSON('data/placement-test.json'),
+    this.loadJSON('data/module-theory.json'),
+    this.loadOptionalJSON('data/exam-config.json'),
+    this.loadOptionalJSON('data/benchmarks.json'),
+    this.loadOptionalJSON('data/gtvh-exercises.json'),
+    this.loadOptionalJSON('data/gtvh-concepts.json')
 ]);
                 // Expose data globally
                 window.DATA = {
@@ -114,6 +191,11 @@
                     quizzes: quizzes,
                     modules: modules,
                     placementTest: placementTest,
+                    moduleTheory: moduleTheory,
+                    examConfig: examConfig,
+                    benchmarks: benchmarks,
+                    gtvhExercises: gtvhExercises,
+                    gtvhConcepts: gtvhConcepts,
 
                     // Helper methods
                     getJokesByLevel: function(level) {
@@ -130,6 +212,59 @@
 
                     getModuleById: function(id) {
                         return this.modules.find(module => module.id === id);
+                    },
+
+                    getJokeById: function(id) {
+                        return this.jokes.find(joke => joke.id === id) || null;
+                    },
+
+                    getActivityById: function(id) {
+                        return this.activities.find(activity => activity.id === id) || null;
+                    },
+
+                    /**
+                     * Current position of a joke in jokes.json (for index-based views like the Joke Library)
+                     * @param {string} id - Joke id
+                     * @returns {number} Index, or -1 if unknown
+                     */
+                    getJokeIndex: function(id) {
+                        return this.jokes.findIndex(joke => joke.id === id);
+                    },
+
+                    getActivityIndex: function(id) {
+                        return this.activities.findIndex(activity => activity.id === id);
+                    },
+
+                    /**
+                     * Jokes referenced by a module's subUnits (unknown ids are skipped)
+                     * @param {Object|string} moduleOrId - Module object or id
+                     * @returns {Array} Joke objects, de-duplicated, in subUnit order
+                     */
+                    getModuleJokes: function(moduleOrId) {
+                        const module = typeof moduleOrId === 'string' ? this.getModuleById(moduleOrId) : moduleOrId;
+                        return collectSubUnitIds(module, 'jokeIds').map(id => this.getJokeById(id)).filter(Boolean);
+                    },
+
+                    /**
+                     * Activities referenced by a module's subUnits (unknown ids are skipped)
+                     * @param {Object|string} moduleOrId - Module object or id
+                     * @returns {Array} Activity objects, de-duplicated, in subUnit order
+                     */
+                    getModuleActivities: function(moduleOrId) {
+                        const module = typeof moduleOrId === 'string' ? this.getModuleById(moduleOrId) : moduleOrId;
+                        return collectSubUnitIds(module, 'activityIds').map(id => this.getActivityById(id)).filter(Boolean);
+                    },
+
+                    /**
+                     * Theory sections for a module (see data/module-theory.json)
+                     * @param {string} moduleId - Module ID, e.g. 'module-1'
+                     * @returns {Array} Section objects, empty if none are defined
+                     */
+                    getModuleTheory: function(moduleId) {
+                        const entry = this.moduleTheory && this.moduleTheory.modules
+                            ? this.moduleTheory.modules[moduleId]
+                            : null;
+                        return entry && Array.isArray(entry.theorySections) ? entry.theorySections : [];
                     }
                 };
 
@@ -141,6 +276,9 @@
                     activities: activities
                 };
 
+                this.runIntegrityCheck({ jokes, activities, quizzes, modules, placementTest, moduleTheory, examConfig, benchmarks, gtvhExercises, gtvhConcepts });
+                normalizeSubUnitRefs(modules, jokes, activities);
+
                 this.isLoaded = true;
                 this.isLoading = false;
 
@@ -163,13 +301,58 @@
                     activities: [],
                     quizzes: { beginner: [], intermediate: [], advanced: [] },
                     modules: [],
-                    placementTest: { questions: [] }
+                    placementTest: { questions: [] },
+                    moduleTheory: { modules: {} },
+                    examConfig: OPTIONAL_DEFAULTS['data/exam-config.json'](),
+                    benchmarks: OPTIONAL_DEFAULTS['data/benchmarks.json'](),
+                    gtvhExercises: OPTIONAL_DEFAULTS['data/gtvh-exercises.json'](),
+                    gtvhConcepts: OPTIONAL_DEFAULTS['data/gtvh-concepts.json']()
                 };
 
                 throw error;
             }
         },
 
+        /**
+         * Validate loaded data against DataSchema and store the report.
+         * Problems are reported, not thrown, so one bad entry does not take the whole app down.
+         * @param {Object} data - Raw data keyed like DataSchema.SCHEMAS
+         * @returns {Object|null} Integrity report
+         */
+        runIntegrityCheck(data) {
+            if (!window.DataSchema || typeof window.DataSchema.validateAll !== 'function') {
+                return null;
+            }
+
+            try {
+                this.integrityReport = window.DataSchema.validateAll(data);
+            } catch (error) {
+                console.error('Data integrity check failed to run:', error);
+                this.integrityReport = null;
+                return null;
+            }
+
+            const report = this.integrityReport;
+            if (report.ok) {
+                console.log(`✓ Data integrity: no errors (${report.warningCount} warning(s))`);
+            } else {
+                console.warn(`⚠️ Data integrity: ${report.errorCount} error(s), ${report.warningCount} warning(s)`, report.issues);
+            }
+
+            if (isDevMode() && typeof window.DataSchema.renderReportPanel === 'function') {
+                window.DataSchema.renderReportPanel(report);
+            }
+            return report;
+        },
+
+        /**
+         * Get the integrity report from the last load
+         * @returns {Object|null} Report, or null if data has not been validated
+         */
+        getIntegrityReport() {
+            return this.integrityReport;
+        },
+
         /**
          * Reload all data (clears cache)
          * @returns {Promise} Promise that resolves when data is reloaded
@@ -228,6 +411,11 @@
                                             <li>data/quizzes.json</li>
                                             <li>data/modules.json</li>
                                             <li>data/placement-test.json</li>
+                                            <li>data/module-theory.json</li>
+                                            <li>data/exam-config.json</li>
+                                            <li>data/benchmarks.json</li>
+                                            <li>data/gtvh-exercises.json</li>
+                                            <li>data/gtvh-concepts.json</li>
                                         </ul>
                                         <p style="margin-top: 8px;"><strong>Error stack:</strong></p>
                                         <pre style="background: #7f1d1d; color: #fecaca; padding: 8px; border-radius: 4px; overflow-x: auto; font-size: 0.85rem;">${escapeHTML(error.stack || error.message)}</pre>
@@ -0,0 +1,382 @@
+/**
+ * EXAM MODE MODULE
+ *
+ * Purpose: Run module post-tests as timed exams under rules set by the teacher
+ *
+ * Responsibilities:
+ * - Read the teacher's rules from data/exam-config.json (which modules, time limit,
+ *   single attempt, explanations hidden until submission, navigation locked)
+ * - Keep the exam record in moduleMastery.modules[id].exam, so a reload neither resets
+ *   the clock nor grants a second attempt
+ * - Run the countdown and submit automatically when time runs out
+ * - Log exam start and submission in the signed test event log (ProgressIntegrity), where the
+ *   teacher's verifier checks them
+ * - Teacher tools: build and download a new exam-config.json from a form
+ *
+ * Exam record: { examId, startedAt, deadline (null without a time limit), submittedAt?,
+ *   score?, answered?, total?, timedOut? }. A new examId in the config starts a fresh exam.
+ *
+ * Dependencies: State, Storage, window.DATA (examConfig), ProgressIntegrity, DataSchema, UI
+ * Used by: module-learning.js (post-test step), router.js (navigation lock), app.js,
+ *          actions.js (exam-start, exam-submit, exam-config-*)
+ */
+
+(function() {
+    'use strict';
+
+    const WARNINGS_AT_MS = [5 * 60 * 1000, 60 * 1000];
+    const CONFIG_FILE = 'exam-config.json';
+
+    function notify(message, type) {
+        if (window.UI && typeof window.UI.toast === 'function') {
+            window.UI.toast(message, type || 'info');
+        } else {
+            alert(message);
+        }
+    }
+
+    function formatClock(ms) {
+        const total = Math.max(0, Math.ceil(ms / 1000));
+        const minutes = Math.floor(total / 60);
+        const seconds = total % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    const ExamMode = {
+        session: null,      // { moduleId, rules, deadline, onExpire, warned }
+        timerId: null,
+
+        /**
+         * The loaded exam configuration, or null when exam mode is off
+         * @returns {Object|null}
+         */
+        config: function() {
+            const config = window.DATA && window.DATA.examConfig;
+            return config && config.enabled === true ? config : null;
+        },
+
+        /**
+         * Exam rules for a module's post-test
+         * @param {string} moduleId - e.g. 'module-2'
+         * @returns {{examId: string, title: string, timeLimitMinutes: number, singleAttempt: boolean,
+         *   hideExplanations: boolean, lockNavigation: boolean}|null} null when the post-test is not an exam
+         */
+        rulesFor: function(moduleId) {
+            const config = this.config();
+            if (!config) return null;
+            const modules = Array.isArray(config.modules) ? config.modules : [];
+            if (modules.length && !modules.includes(moduleId)) return null;
+            return {
+                examId: config.examId,
+                title: config.title || 'Exam',
+                timeLimitMinutes: Number.isFinite(config.timeLimitMinutes) ? config.timeLimitMinutes : 0,
+                singleAttempt: config.singleAttempt !== false,
+                hideExplanations: config.hideExplanations !== false,
+                lockNavigation: config.lockNavigation !== false
+            };
+        },
+
+        /**
+         * The module's exam record for the current examId
+         * @returns {Object|null}
+         */
+        recordFor: function(moduleId) {
+            const rules = this.rulesFor(moduleId);
+            const progress = window.State && window.State.moduleMastery.modules[moduleId];
+            const record = progress && progress.exam;
+            return rules && record && record.examId === rules.examId ? record : null;
+        },
+
+        /**
+         * @returns {string} 'none' (not an exam) | 'not-started' | 'in-progress' | 'submitted'
+         */
+        status: function(moduleId) {
+            if (!this.rulesFor(moduleId)) return 'none';
+            const record = this.recordFor(moduleId);
+            if (!record) return 'not-started';
+            return record.submittedAt ? 'submitted' : 'in-progress';
+        },
+
+        /**
+         * Whether the saved post-test must survive a module restart (exam running, or its one attempt used)
+         * @returns {boolean}
+         */
+        locksPostTest: function(moduleId) {
+            const status = this.status(moduleId);
+            return status === 'in-progress' || (status === 'submitted' && this.rulesFor(moduleId).singleAttempt);
+        },
+
+        isRunning: function(moduleId) {
+            return !!this.session && (moduleId === undefined || this.session.moduleId === moduleId);
+        },
+
+        /**
+         * Whether leaving the current exam is blocked right now
+         * @returns {boolean}
+         */
+        blocksNavigation: function() {
+            return !!this.session && this.session.rules.lockNavigation;
+        },
+
+        /**
+         * Tell the learner why navigation is blocked
+         */
+        explainLock: function() {
+            notify('Finish and submit your exam first. Navigation is locked until then.', 'warning');
+        },
+
+        /**
+         * Start a new exam attempt: store the record and log the start
+         * @param {string} moduleId - Module whose post-test is the exam
+         * @returns {boolean} false when no attempt is allowed
+         */
+        begin: function(moduleId) {
+            const rules = this.rulesFor(moduleId);
+            const progress = window.State && window.State.moduleMastery.modules[moduleId];
+            if (!rules || !progress) return false;
+            if (this.session && this.session.moduleId !== moduleId) {
+                notify('Submit the exam you have already started before starting another one.', 'warning');
+                return false;
+            }
+            if (this.status(moduleId) === 'in-progress') return false;
+            if (this.status(moduleId) === 'submitted' && rules.singleAttempt) {
+                notify('This exam allows only one attempt, and it has been submitted.', 'warning');
+                return false;
+            }
+
+            const startedAt = Date.now();
+            progress.exam = {
+                examId: rules.examId,
+                startedAt,
+                deadline: rules.timeLimitMinutes > 0 ? startedAt + rules.timeLimitMinutes * 60 * 1000 : null
+            };
+            progress.postTest = { completed: false, score: null, answers: [] };
+            window.Storage.saveMastery();
+            if (window.ProgressIntegrity) {
+                window.ProgressIntegrity.recordTestEvent({ type: 'examStart', moduleId, examId: rules.examId, score: null });
+            }
+            return true;
+        },
+
+        /**
+         * Run the clock for an exam in progress (also after a reload)
+         * @param {string} moduleId - Module id
+         * @param {Function} onExpire - Called once when time runs out
+         */
+        resume: function(moduleId, onExpire) {
+            const rules = this.rulesFor(moduleId);
+            const record = this.recordFor(moduleId);
+            if (!rules || !record || record.submittedAt) return;
+
+            this.stopTimer();
+            this.session = { moduleId, rules, deadline: record.deadline, onExpire, warned: [] };
+            if (!this._unloadBound) {
+                this._unloadBound = true;
+                window.addEventListener('beforeunload', (event) => {
+                    if (!this.session) return;
+                    event.preventDefault();
+                    event.returnValue = '';
+                });
+            }
+            if (record.deadline) {
+                this.timerId = setInterval(() => this.tick(), 1000);
+                this.tick();
+            }
+        },
+
+        tick: function() {
+            const session = this.session;
+            if (!session || !session.deadline) return;
+            const remaining = session.deadline - Date.now();
+            const clock = document.getElementById('exam-timer');
+            if (clock) clock.textContent = formatClock(remaining);
+
+            WARNINGS_AT_MS.forEach(limit => {
+                if (remaining <= limit && remaining > 0 && !session.warned.includes(limit)) {
+                    session.warned.push(limit);
+                    const alertEl = document.getElementById('exam-timer-alert');
+                    if (alertEl) alertEl.textContent = `${Math.round(limit / 60000)} minute(s) left.`;
+                }
+            });
+
+            if (remaining <= 0) {
+                const onExpire = session.onExpire;
+                this.stopTimer();
+                if (typeof onExpire === 'function') onExpire();
+            }
+        },
+
+        stopTimer: function() {
+            if (this.timerId) clearInterval(this.timerId);
+            this.timerId = null;
+        },
+
+        /**
+         * Close the exam: stamp the record, log the submission and release navigation
+         * @param {string} moduleId - Module id
+         * @param {{score: number, answered: number, total: number, timedOut: boolean}} result
+         */
+        finish: function(moduleId, result) {
+            const record = this.recordFor(moduleId);
+            this.stopTimer();
+            this.session = null;
+            if (!record || record.submittedAt) return;
+
+            record.submittedAt = Date.now();
+            record.score = result.score;
+            record.answered = result.answered;
+            record.total = result.total;
+            record.timedOut = result.timedOut === true;
+            window.Storage.saveMastery();
+            if (window.ProgressIntegrity) {
+                window.ProgressIntegrity.recordTestEvent({
+                    type: 'exam',
+                    moduleId,
+                    examId: record.examId,
+                    score: result.score,
+                    total: result.total,
+                    timedOut: record.timedOut
+                });
+            }
+        },
+
+        /**
+         * Open the module of an exam that was running when the page was closed
+         */
+        resumePending: function() {
+            if (!this.config() || !window.State || !window.ModuleLearning) return;
+            const moduleId = Object.keys(window.State.moduleMastery.modules || {})
+                .find(id => this.status(id) === 'in-progress');
+            if (moduleId) {
+                notify('Your exam is still running. It has been reopened.', 'warning');
+                window.ModuleLearning.start(moduleId);
+            }
+        },
+
+        // ========================================
+        // LEARNER VIEWS
+        // ========================================
+        describeRules: function(rules) {
+            return [
+                rules.timeLimitMinutes > 0 ? `You have ${rules.timeLimitMinutes} minutes; the exam is submitted automatically when time runs out.` : 'There is no time limit.',
+                rules.singleAttempt ? 'You get one attempt.' : 'You may take the exam again after submitting.',
+                rules.hideExplanations ? 'Feedback and explanations appear after you submit.' : 'Each answer is final once chosen.',
+                rules.lockNavigation ? 'You cannot leave the exam until you submit it.' : ''
+            ].filter(Boolean);
+        },
+
+        /**
+         * Start screen for an exam that has not begun
+         * @returns {string} HTML
+         */
+        introHTML: function(rules, moduleTitle) {
+            const escape = window.escapeHTML || (value => String(value));
+            return `
+                <div class="exam-intro">
+                    <div style="font-size: 3rem; margin-bottom: 16px;">📝</div>
+                    <h3>${escape(rules.title)}: ${escape(moduleTitle)}</h3>
+                    <p>This post-test is an exam set by your teacher.</p>
+                    <ul>${this.describeRules(rules).map(rule => `<li>${escape(rule)}</li>`).join('')}</ul>
+                    <button type="button" class="btn btn-primary" data-action="exam-start">Start exam</button>
+                </div>`;
+        },
+
+        /**
+         * Countdown bar shown above the exam questions
+         * @returns {string} HTML
+         */
+        barHTML: function(rules) {
+            const clock = rules.timeLimitMinutes > 0
+                ? '<span class="exam-clock">⏱️ <span id="exam-timer" role="timer" aria-label="Time left">--:--</span></span>'
+                : '<span class="exam-clock">No time limit</span>';
+            return `
+                <div class="exam-bar">
+                    ${clock}
+                    <span id="exam-timer-alert" class="exam-timer-alert" aria-live="assertive"></span>
+                    <span id="exam-answered" class="exam-answered"></span>
+                    <button type="button" class="btn btn-primary" data-action="exam-submit">Submit exam</button>
+                </div>`;
+        },
+
+        // ========================================
+        // TEACHER CONFIGURATION
+        // ========================================
+        /**
+         * Fill the teacher form from the loaded exam-config.json
+         */
+        fillConfigForm: function() {
+            const config = (window.DATA && window.DATA.examConfig) || {};
+            const set = (id, value) => {
+                const el = document.getElementById(id);
+                if (!el) return;
+                if (el.type === 'checkbox') el.checked = !!value;
+                else el.value = value == null ? '' : value;
+            };
+            set('exam-config-enabled', config.enabled === true);
+            set('exam-config-id', config.examId || '');
+            set('exam-config-title', config.title || '');
+            set('exam-config-modules', Array.isArray(config.modules) ? config.modules.join(', ') : '');
+            set('exam-config-time', Number.isFinite(config.timeLimitMinutes) ? config.timeLimitMinutes : 15);
+            set('exam-config-single', config.singleAttempt !== false);
+            set('exam-config-hide', config.hideExplanations !== false);
+            set('exam-config-lock', config.lockNavigation !== false);
+        },
+
+        /**
+         * Read the teacher form into an exam-config.json object
+         * @returns {Object}
+         */
+        readConfigForm: function() {
+            const value = id => {
+                const el = document.getElementById(id);
+                return el ? (el.type === 'checkbox' ? el.checked : String(el.value).trim()) : '';
+            };
+            const minutes = parseInt(value('exam-config-time'), 10);
+            return {
+                enabled: value('exam-config-enabled') === true,
+                examId: value('exam-config-id'),
+                title: value('exam-config-title') || 'Exam',
+                modules: String(value('exam-config-modules')).split(',').map(id => id.trim()).filter(Boolean),
+                timeLimitMinutes: Number.isFinite(minutes) ? minutes : 0,
+                singleAttempt: value('exam-config-single') === true,
+                hideExplanations: value('exam-config-hide') === true,
+                lockNavigation: value('exam-config-lock') === true
+            };
+        },
+
+        /**
+         * Check the form against the data schema and download it as exam-config.json
+         */
+        downloadConfig: function() {
+            const config = this.readConfigForm();
+            const status = document.getElementById('exam-config-status');
+            const issues = [];
+            if (window.DataSchema && window.DataSchema.SCHEMAS.examConfig) {
+                window.DataSchema.validateValue(config, window.DataSchema.SCHEMAS.examConfig.spec, '', (severity, path, message) => {
+                    if (severity === 'error') issues.push(path ? `${path}: ${message}` : message);
+                });
+            }
+            const knownModules = ((window.DATA && window.DATA.modules) || []).map(module => module.id);
+            config.modules.filter(id => knownModules.length && !knownModules.includes(id))
+                .forEach(id => issues.push(`unknown module "${id}"`));
+            if (issues.length) {
+                if (status) status.textContent = `Not downloaded: ${issues.join('; ')}.`;
+                return;
+            }
+
+            const blob = new Blob([JSON.stringify(config, null, 4) + '\n'], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = CONFIG_FILE;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            if (status) status.textContent = `Downloaded ${CONFIG_FILE}. Replace data/${CONFIG_FILE} on the site with it; learners get the new rules the next time they open the site.`;
+        }
+    };
+
+    window.ExamMode = ExamMode;
+
+})();
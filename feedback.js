@@ -7,6 +7,8 @@
     const MAX_NAME_LENGTH = 100;
     const MAX_EMAIL_LENGTH = 254;
     const MAX_MESSAGE_LENGTH = 5000;
+    // Language preference is per learner profile (see storage-adapter.js)
+    const languageStore = window.StorageAdapter || localStorage;
 
     // DOM Elements
     const form = document.getElementById('feedback-form');
@@ -34,8 +36,8 @@ function getCurrentLanguage() {
         if (btnEn && btnEn.classList.contains('active')) return 'en';
     }
 
-    // Fallback to localStorage if toggle not found
-    const stored = localStorage.getItem('preferredLanguage');
+    // Fallback to the saved preference if toggle not found
+    const stored = languageStore.getItem('preferredLanguage');
     if (stored === 'uz' || stored === 'en') return stored;
 
     return 'en';
@@ -46,7 +48,7 @@ function getCurrentLanguage() {
 // -------------------------------
     // 🌐 Global language state
     // -------------------------------
-    let currentLanguage = localStorage.getItem('preferredLanguage') || 'en';
+    let currentLanguage = languageStore.getItem('preferredLanguage') || 'en';
     function isUzbekLanguage() {
         return currentLanguage === 'uz';
     }
@@ -65,7 +67,7 @@ function getCurrentLanguage() {
     // -------------------------------
     // Language adaptation for the form
     // -------------------------------
-    const preferredLanguage = (localStorage.getItem('preferredLanguage') || 'en');
+    const preferredLanguage = (languageStore.getItem('preferredLanguage') || 'en');
     applyFeedbackLanguage(preferredLanguage);
         // React when the user clicks ENG / UZB buttons
     const languageToggle = document.getElementById('language-toggle');
@@ -85,7 +87,7 @@ function getCurrentLanguage() {
     function applyFeedbackLanguage(lang) {
                 // Keep language state in sync
         currentLanguage = lang || 'en';
-        localStorage.setItem('preferredLanguage', currentLanguage);
+        languageStore.setItem('preferredLanguage', currentLanguage);
         const isUzbek = isUzbekLanguage();
 
         // 🔵 1) Toggle heading + intro paragraph
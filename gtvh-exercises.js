@@ -0,0 +1,296 @@
+/**
+ * GTVH EXERCISES MODULE
+ *
+ * Purpose: One exercise engine for the short GTVH practice tasks in the module theory,
+ * driven by data/gtvh-exercises.json instead of a hand-written check function per task
+ *
+ * Responsibilities:
+ * - Render every exercise placed in a theory section (module + section id) under that section
+ * - Show the exercise's joke(s) from jokes.json, its prompt and its fields (free text or choice)
+ * - Check answers: a text field is right when it names its accepted concepts, a choice field when
+ *   an accepted option is picked; with anyOrder the text fields may be answered in any order
+ * - Pick the feedback tier for the share of right fields, add hints for the fields still wrong,
+ *   and show the model answer, in English or Uzbek
+ *
+ * Exercise: { id, module, section, resources: ['SO'|'LM'|'SI'|'TA'|'NS'|'LA'], jokeIds, anyOrder?,
+ *   prompt, fields: [{ id, label, input: 'text'|'textarea'|'choice', minLength?, concepts?, match?: 'any'|'all',
+ *   options?: [{ value, label, hint? }], accept?, hint? }], concepts?: [{ id, keywords }],
+ *   feedback: [{ min, kind: 'success'|'warning', message, showModel? }], emptyMessage?, modelAnswer }
+ * Texts are { en, uz }. A keyword is a string, or an array of strings that must all appear;
+ * keywords match at the start of a word, so "ambig" matches "ambiguous".
+ *
+ * Dependencies: window.DATA (gtvhExercises, jokes), escapeHTML (security.js)
+ * Used by: module-learning.js (theory sections), actions.js (gtvh-exercise-check)
+ */
+
+(function() {
+    'use strict';
+
+    const RESOURCE_NAMES = {
+        SO: 'Script Opposition',
+        LM: 'Logical Mechanism',
+        SI: 'Situation',
+        TA: 'Target',
+        NS: 'Narrative Strategy',
+        LA: 'Language'
+    };
+
+    const LABELS = {
+        en: {
+            practice: 'Practice',
+            choose: 'Choose...',
+            placeholder: 'Type your answer...',
+            check: 'Check',
+            stillMissing: 'Still missing:',
+            model: 'Model answer',
+            empty: '⚠️ Please answer every part first!'
+        },
+        uz: {
+            practice: 'Mashq',
+            choose: 'Tanlang...',
+            placeholder: 'Javobingizni yozing...',
+            check: 'Tekshirish',
+            stillMissing: 'Hali yetishmaydi:',
+            model: 'Namuna javob',
+            empty: '⚠️ Avval barcha qismlarga javob bering!'
+        }
+    };
+
+    const FEEDBACK_STYLES = {
+        success: { background: '#d4edda', border: '2px solid #28a745' },
+        warning: { background: '#fff3cd', border: '2px solid #ffc107' },
+        error: { background: '#f8d7da', border: '2px solid #dc3545' }
+    };
+
+    function escape(value) {
+        return window.escapeHTML ? window.escapeHTML(value) : String(value == null ? '' : value);
+    }
+
+    function normalize(value) {
+        return String(value || '').toLowerCase().replace(/[‘’ʻʼ`]/g, "'").replace(/\s+/g, ' ').trim();
+    }
+
+    function escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Keyword at the start of a word (letters, digits or an apostrophe before it do not count)
+    function hasWord(text, word) {
+        const needle = normalize(word);
+        return !!needle && new RegExp(`(^|[^\\p{L}\\p{N}'])${escapeRegExp(needle)}`, 'u').test(text);
+    }
+
+    function matchesKeyword(text, keyword) {
+        return Array.isArray(keyword) ? keyword.every(part => hasWord(text, part)) : hasWord(text, keyword);
+    }
+
+    function fieldDomId(exercise, field) {
+        return `gtvh-ex-${exercise.id}-${field.id}`;
+    }
+
+    // All orderings of a list (text fields of an anyOrder exercise; at most six)
+    function permutations(list) {
+        if (list.length <= 1) return [list.slice()];
+        const result = [];
+        list.forEach((item, i) => {
+            permutations(list.slice(0, i).concat(list.slice(i + 1))).forEach(rest => result.push([item].concat(rest)));
+        });
+        return result;
+    }
+
+    const GTVHExercises = {
+        LABELS: LABELS,
+
+        all: function() {
+            const data = window.DATA && window.DATA.gtvhExercises;
+            return data && Array.isArray(data.exercises) ? data.exercises : [];
+        },
+
+        get: function(exerciseId) {
+            return this.all().find(exercise => exercise.id === exerciseId) || null;
+        },
+
+        forSection: function(moduleId, sectionId) {
+            return this.all().filter(exercise => exercise.module === moduleId && exercise.section === sectionId);
+        },
+
+        language: function() {
+            const lang = (window.StorageAdapter || window.localStorage).getItem('preferredLanguage');
+            return lang === 'uz' ? 'uz' : 'en';
+        },
+
+        /**
+         * A { en, uz } text in the given language, English when there is no translation
+         */
+        text: function(value, lang) {
+            if (!value) return '';
+            if (typeof value === 'string') return value;
+            return value[lang] || value.en || '';
+        },
+
+        // ========================================
+        // CHECKING
+        // ========================================
+        /**
+         * Whether one answer satisfies a field
+         * @param {Object} exercise
+         * @param {Object} field
+         * @param {string} answer - Text, or the chosen option value
+         * @returns {boolean}
+         */
+        fieldCorrect: function(exercise, field, answer) {
+            if (field.input === 'choice') {
+                return Array.isArray(field.accept) && field.accept.includes(answer);
+            }
+            const text = normalize(answer);
+            const concepts = (field.concepts || []).map(id => (exercise.concepts || []).find(concept => concept.id === id)).filter(Boolean);
+            if (!concepts.length) return false;
+            const hit = concept => (concept.keywords || []).some(keyword => matchesKeyword(text, keyword));
+            return field.match === 'all' ? concepts.every(hit) : concepts.some(hit);
+        },
+
+        /**
+         * Check a set of answers
+         * @param {Object} exercise
+         * @param {Object} answers - { [fieldId]: string }
+         * @returns {{complete: boolean, correct: number, total: number, fields: Object<string, boolean>, tier: Object|null}}
+         */
+        evaluate: function(exercise, answers) {
+            const fields = exercise.fields || [];
+            const answerOf = field => String(answers[field.id] == null ? '' : answers[field.id]).trim();
+            const complete = fields.every(field => {
+                const answer = answerOf(field);
+                return field.input === 'choice' ? !!answer : answer.length >= (field.minLength || 1);
+            });
+            const result = { complete, correct: 0, total: fields.length, fields: {}, tier: null };
+            if (!complete) return result;
+
+            fields.forEach(field => {
+                result.fields[field.id] = this.fieldCorrect(exercise, field, answerOf(field));
+            });
+
+            // With anyOrder the text answers may fill the text fields in any order; keep the best assignment
+            const textFields = fields.filter(field => field.input !== 'choice');
+            if (exercise.anyOrder && textFields.length > 1) {
+                let best = null;
+                permutations(textFields).forEach(order => {
+                    const marks = textFields.map((field, i) => this.fieldCorrect(exercise, order[i], answerOf(field)));
+                    const count = marks.filter(Boolean).length;
+                    if (!best || count > best.count) best = { count, marks };
+                });
+                textFields.forEach((field, i) => { result.fields[field.id] = best.marks[i]; });
+            }
+
+            result.correct = fields.filter(field => result.fields[field.id]).length;
+            const share = result.total ? result.correct / result.total : 0;
+            const tiers = (exercise.feedback || []).slice().sort((a, b) => b.min - a.min);
+            result.tier = tiers.find(tier => share >= tier.min) || null;
+            return result;
+        },
+
+        /**
+         * Read the answers of an exercise on screen, check them and show the feedback
+         * (data-action="gtvh-exercise-check")
+         * @param {string} exerciseId
+         */
+        check: function(exerciseId) {
+            const exercise = this.get(exerciseId);
+            const feedbackEl = document.getElementById(`gtvh-ex-${exerciseId}-feedback`);
+            if (!exercise || !feedbackEl) return;
+
+            const lang = this.language();
+            const labels = LABELS[lang];
+            const answers = {};
+            (exercise.fields || []).forEach(field => {
+                const input = document.getElementById(fieldDomId(exercise, field));
+                answers[field.id] = input ? input.value : '';
+            });
+
+            const result = this.evaluate(exercise, answers);
+            if (!result.complete) {
+                this.showFeedback(feedbackEl, 'error', `<p>${escape(this.text(exercise.emptyMessage, lang) || labels.empty)}</p>`);
+                return;
+            }
+
+            const tier = result.tier || { kind: 'warning', message: null };
+            const message = this.text(tier.message, lang).replace(/\{correct\}/g, result.correct).replace(/\{total\}/g, result.total);
+            let html = message ? `<p>${escape(message)}</p>` : '';
+
+            // A hint per wrong field; a chosen option may carry its own
+            const hints = [];
+            (exercise.fields || []).forEach(field => {
+                if (result.fields[field.id]) return;
+                const option = field.input === 'choice' && (field.options || []).find(opt => opt.value === answers[field.id]);
+                const hint = this.text((option && option.hint) || field.hint, lang);
+                if (hint) hints.push(`<li><strong>${escape(this.text(field.label, lang))}:</strong> ${escape(hint)}</li>`);
+            });
+            if (hints.length) html += `<p>💡 ${escape(labels.stillMissing)}</p><ul>${hints.join('')}</ul>`;
+
+            if (tier.showModel && exercise.modelAnswer) {
+                html += `<p><strong>${escape(labels.model)}:</strong> ${escape(this.text(exercise.modelAnswer, lang))}</p>`;
+            }
+            this.showFeedback(feedbackEl, tier.kind, html);
+        },
+
+        showFeedback: function(feedbackEl, kind, html) {
+            const style = FEEDBACK_STYLES[kind] || FEEDBACK_STYLES.warning;
+            feedbackEl.style.display = 'block';
+            feedbackEl.style.background = style.background;
+            feedbackEl.style.border = style.border;
+            feedbackEl.innerHTML = html;
+        },
+
+        // ========================================
+        // RENDERING
+        // ========================================
+        /**
+         * Exercises placed in one theory section
+         * @param {string} moduleId
+         * @param {string} sectionId
+         * @returns {string} HTML ('' when the section has none)
+         */
+        sectionHTML: function(moduleId, sectionId) {
+            return this.forSection(moduleId, sectionId).map(exercise => this.exerciseHTML(exercise)).join('');
+        },
+
+        exerciseHTML: function(exercise) {
+            const lang = this.language();
+            const labels = LABELS[lang];
+            const jokes = (window.DATA && Array.isArray(window.DATA.jokes)) ? window.DATA.jokes : [];
+            const resources = (exercise.resources || []).map(code => `${escape(RESOURCE_NAMES[code] || code)} (${escape(code)})`).join(', ');
+
+            const jokesHTML = (exercise.jokeIds || []).map((jokeId, i, ids) => {
+                const joke = jokes.find(item => item.id === jokeId);
+                if (!joke) return '';
+                const number = ids.length > 1 ? `<strong>${i + 1}.</strong> ` : '';
+                return `<p class="gtvh-exercise-joke">${number}"${escape(joke.text)}"</p>`;
+            }).join('');
+
+            const fieldsHTML = (exercise.fields || []).map(field => {
+                const id = fieldDomId(exercise, field);
+                const label = `<label for="${escape(id)}">${escape(this.text(field.label, lang))}</label>`;
+                if (field.input === 'choice') {
+                    const options = (field.options || []).map(opt =>
+                        `<option value="${escape(opt.value)}">${escape(this.text(opt.label, lang))}</option>`).join('');
+                    return `<div class="gtvh-exercise-field">${label}<select id="${escape(id)}"><option value="">${escape(labels.choose)}</option>${options}</select></div>`;
+                }
+                if (field.input === 'textarea') {
+                    return `<div class="gtvh-exercise-field">${label}<textarea id="${escape(id)}" rows="3" placeholder="${escape(labels.placeholder)}"></textarea></div>`;
+                }
+                return `<div class="gtvh-exercise-field">${label}<input type="text" id="${escape(id)}" placeholder="${escape(labels.placeholder)}"></div>`;
+            }).join('');
+
+            return `
+                <div class="gtvh-exercise" data-exercise-id="${escape(exercise.id)}">
+                    <h4>✍️ ${escape(labels.practice)}: ${resources}</h4>
+                    ${jokesHTML}
+                    <p>${escape(this.text(exercise.prompt, lang))}</p>
+                    ${fieldsHTML}
+                    <button type="button" class="nav-btn" data-action="gtvh-exercise-check" data-exercise-id="${escape(exercise.id)}">${escape(labels.check)}</button>
+                    <div class="gtvh-exercise-feedback" id="gtvh-ex-${escape(exercise.id)}-feedback" role="status" aria-live="polite" style="display: none;"></div>
+                </div>`;
+        }
+    };
+
+    window.GTVHExercises = GTVHExercises;
+})();
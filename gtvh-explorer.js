@@ -0,0 +1,328 @@
+/**
+ * GTVH EXPLORER MODULE
+ *
+ * Purpose: Show how jokes relate through their structured GTVH annotations (jokes.json `gtvh`),
+ * so learners see that two very different jokes can share a script opposition or a mechanism
+ *
+ * Responsibilities:
+ * - Group the annotated jokes by script opposition, basic opposition or logical mechanism
+ * - Score how alike two jokes are, Knowledge Resource by Knowledge Resource
+ * - Rank the jokes most similar to the one on the joke card, naming what they share
+ * - Describe a joke's annotation in words (also used as the model analysis in gtvh-joke-analysis.js)
+ *
+ * Annotation: { so: { scripts: [a, b], basic }, lm, si: [tags], ta, ns, la }
+ * The similarity weights follow the GTVH hierarchy SO > LM > SI > TA > NS > LA: jokes that differ
+ * only in the lower resources are felt to be more alike (Ruch, Attardo & Raskin 1993).
+ *
+ * Dependencies: window.DATA (jokes), escapeHTML (security.js), JokeModule (ui.js)
+ * Used by: ui.js (JokeModule.renderJoke), actions.js (gtvh-explorer-* actions), gtvh-joke-analysis.js
+ */
+
+(function() {
+    'use strict';
+
+    const WEIGHTS = { SO: 0.30, LM: 0.25, SI: 0.15, TA: 0.12, NS: 0.10, LA: 0.08 };
+    const SIMILAR_LIMIT = 5;
+
+    const MECHANISMS = {
+        'polysemy': { en: 'Polysemy (one word, two meanings)', uz: "Polisemiya (bir so'z, ikki ma'no)" },
+        'homophony': { en: 'Homophony (same sound, different words)', uz: "Omofoniya (bir xil tovush, boshqa so'z)" },
+        'syntactic-ambiguity': { en: 'Syntactic ambiguity', uz: "Sintaktik ko'p ma'nolilik" },
+        'idiom-literalization': { en: 'Idiom taken literally', uz: "Iboraning tom ma'noda olinishi" },
+        'literal-interpretation': { en: 'Literal reading of an indirect meaning', uz: "Bilvosita ma'noni so'zma-so'z tushunish" },
+        'frame-shift': { en: 'Frame shift (answering a different question)', uz: 'Ramka almashishi (boshqa savolga javob)' },
+        'garden-path': { en: 'Garden path (the ending reinterprets the setup)', uz: "Chalg'itish (oxiri boshini qayta talqin qiladi)" },
+        'implicature': { en: 'Implicature (meaning more than is said)', uz: "Implikatura (aytilgandan ko'proq ma'no)" },
+        'irony': { en: 'Irony / sarcasm (saying the opposite)', uz: 'Kinoya / istehzo (teskarisini aytish)' },
+        'understatement': { en: 'Understatement', uz: 'Kamaytirib aytish' },
+        'exaggeration': { en: 'Exaggeration', uz: "Mubolag'a" },
+        'self-contradiction': { en: 'Self-contradiction (doing what you deny)', uz: "O'zini inkor qilish (inkor etganini qilish)" },
+        'faulty-reasoning': { en: 'Faulty reasoning', uz: "Noto'g'ri mantiq" },
+        'juxtaposition': { en: 'Juxtaposition (side-by-side contrast)', uz: 'Yonma-yon qiyoslash' },
+        'false-choice': { en: 'False choice (every answer loses)', uz: 'Soxta tanlov (har qanday javob yutqazadi)' },
+        'personification': { en: 'Personification', uz: 'Jonlantirish' },
+        'register-clash': { en: 'Register clash', uz: "Uslublar to'qnashuvi" }
+    };
+
+    const NARRATIVES = {
+        'riddle': { en: 'Riddle (question and answer)', uz: 'Topishmoq (savol–javob)' },
+        'one-liner': { en: 'One-liner', uz: 'Bir jumlali hazil' },
+        'dialogue': { en: 'Dialogue', uz: 'Dialog' },
+        'narrative': { en: 'Short story', uz: 'Qisqa hikoya' },
+        'list': { en: 'List / comparison', uz: "Ro'yxat / qiyoslash" },
+        'translation': { en: '"What they say" and its "translation"', uz: '"Aytilgan gap" va uning "tarjimasi"' }
+    };
+
+    const LABELS = {
+        en: {
+            title: 'GTVH Explorer',
+            intro: 'Every joke in the library is annotated with the six Knowledge Resources. Group jokes that share a resource, or see which jokes are built most like the one above.',
+            groupBy: 'Group jokes by',
+            groups: { so: 'Script opposition', basic: 'Basic opposition', lm: 'Logical mechanism' },
+            similarTitle: 'Jokes most like this one',
+            shares: 'Shares',
+            nothingShared: 'no Knowledge Resource',
+            notAnnotated: 'This joke has no GTVH annotation yet.',
+            jokes: 'jokes',
+            unique: 'Only one joke each',
+            open: 'Open',
+            resources: { SO: 'script opposition', LM: 'mechanism', SI: 'situation', TA: 'target', NS: 'narrative strategy', LA: 'language' },
+            noTarget: 'No target'
+        },
+        uz: {
+            title: 'GTVH tadqiqotchisi',
+            intro: "Kutubxonadagi har bir hazil oltita bilim manbai bo'yicha belgilangan. Umumiy manbaga ega hazillarni guruhlang yoki yuqoridagi hazilga eng o'xshash hazillarni ko'ring.",
+            groupBy: "Hazillarni guruhlash",
+            groups: { so: 'Skriptlar qarama-qarshiligi', basic: 'Asosiy qarama-qarshilik', lm: 'Mantiqiy mexanizm' },
+            similarTitle: "Shu hazilga eng o'xshashlari",
+            shares: 'Umumiy',
+            nothingShared: "umumiy bilim manbai yo'q",
+            notAnnotated: "Bu hazil hali GTVH bo'yicha belgilanmagan.",
+            jokes: 'ta hazil',
+            unique: 'Har biri bitta hazilda',
+            open: 'Ochish',
+            resources: { SO: 'skriptlar', LM: 'mexanizm', SI: 'vaziyat', TA: 'nishon', NS: 'hikoya strategiyasi', LA: 'til' },
+            noTarget: "Nishon yo'q"
+        }
+    };
+
+    function escape(value) {
+        return window.escapeHTML ? window.escapeHTML(value) : String(value == null ? '' : value);
+    }
+
+    function normalize(value) {
+        return String(value || '').toLowerCase().replace(/[‘’ʻʼ`]/g, "'").replace(/[^\p{L}\p{N}' ]+/gu, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    // Script pairs are unordered: "literal / idiomatic" is the same opposition as "idiomatic / literal"
+    function scriptKey(so) {
+        return (so && Array.isArray(so.scripts) ? so.scripts : []).map(normalize).sort().join(' / ');
+    }
+
+    function jaccard(a, b) {
+        const setA = new Set(a || []);
+        const setB = new Set(b || []);
+        if (!setA.size && !setB.size) return 0;
+        let shared = 0;
+        setA.forEach(item => { if (setB.has(item)) shared++; });
+        return shared / (setA.size + setB.size - shared);
+    }
+
+    const GTVHExplorer = {
+        WEIGHTS: WEIGHTS,
+        MECHANISMS: MECHANISMS,
+        NARRATIVES: NARRATIVES,
+        groupBy: 'so',
+
+        language: function() {
+            const lang = (window.StorageAdapter || window.localStorage).getItem('preferredLanguage');
+            return lang === 'uz' ? 'uz' : 'en';
+        },
+
+        annotated: function() {
+            const jokes = window.DATA && Array.isArray(window.DATA.jokes) ? window.DATA.jokes : [];
+            return jokes.filter(joke => joke && joke.gtvh && joke.gtvh.so);
+        },
+
+        // ========================================
+        // SIMILARITY
+        // ========================================
+        /**
+         * How alike two annotated jokes are, per Knowledge Resource
+         * @param {Object} a - Joke with `gtvh`
+         * @param {Object} b - Joke with `gtvh`
+         * @returns {{score: number, parts: Object, shared: string[]}} score 0–1; parts 0–1 per resource;
+         *   shared lists the resources that match fully (SO: same script pair)
+         */
+        similarity: function(a, b) {
+            const x = a.gtvh;
+            const y = b.gtvh;
+            const parts = {
+                // Same pair of scripts counts fully; only the same basic opposition counts a little
+                SO: scriptKey(x.so) === scriptKey(y.so) ? 1 : (x.so.basic === y.so.basic ? 0.3 : 0),
+                LM: x.lm === y.lm ? 1 : 0,
+                SI: jaccard(x.si, y.si),
+                TA: normalize(x.ta) === normalize(y.ta) ? 1 : 0,
+                NS: x.ns === y.ns ? 1 : 0,
+                LA: normalize(x.la) === normalize(y.la) ? 1 : 0
+            };
+            const score = Object.keys(WEIGHTS).reduce((sum, kr) => sum + WEIGHTS[kr] * parts[kr], 0);
+            return {
+                score: Math.round(score * 100) / 100,
+                parts,
+                shared: Object.keys(WEIGHTS).filter(kr => parts[kr] === 1 || (kr === 'SI' && parts.SI > 0))
+            };
+        },
+
+        /**
+         * The annotated jokes most like one joke, best first
+         * @param {string} jokeId
+         * @param {number} [limit]
+         * @returns {Array<{joke: Object, score: number, parts: Object, shared: string[]}>}
+         */
+        mostSimilar: function(jokeId, limit) {
+            const jokes = this.annotated();
+            const target = jokes.find(joke => joke.id === jokeId);
+            if (!target) return [];
+            return jokes
+                .filter(joke => joke.id !== jokeId)
+                .map(joke => Object.assign({ joke }, this.similarity(target, joke)))
+                .sort((p, q) => q.score - p.score || jokes.indexOf(p.joke) - jokes.indexOf(q.joke))
+                .slice(0, limit || SIMILAR_LIMIT);
+        },
+
+        /**
+         * Annotated jokes grouped by one resource, largest group first
+         * @param {string} by - 'so' (script pair) | 'basic' (basic opposition) | 'lm' (mechanism)
+         * @returns {Array<{key: string, label: string, jokes: Object[]}>}
+         */
+        groups: function(by) {
+            const lang = this.language();
+            const byKey = new Map();
+            this.annotated().forEach(joke => {
+                let key;
+                let label;
+                if (by === 'lm') {
+                    key = joke.gtvh.lm;
+                    label = this.label(MECHANISMS, key, lang);
+                } else if (by === 'basic') {
+                    key = joke.gtvh.so.basic;
+                    label = key;
+                } else {
+                    key = scriptKey(joke.gtvh.so);
+                    label = joke.gtvh.so.scripts.join(' ↔ ');
+                }
+                if (!byKey.has(key)) byKey.set(key, { key, label, jokes: [] });
+                byKey.get(key).jokes.push(joke);
+            });
+            return Array.from(byKey.values()).sort((a, b) => b.jokes.length - a.jokes.length || a.label.localeCompare(b.label));
+        },
+
+        label: function(vocabulary, key, lang) {
+            const entry = vocabulary[key];
+            return entry ? (entry[lang] || entry.en) : key;
+        },
+
+        /**
+         * A joke's annotation in words, one line per Knowledge Resource
+         * @param {Object} joke - Joke with `gtvh`
+         * @param {string} [lang]
+         * @returns {Object|null} { SO, LM, SI, TA, NS, LA }
+         */
+        describe: function(joke, lang) {
+            if (!joke || !joke.gtvh || !joke.gtvh.so) return null;
+            const language = lang || this.language();
+            const gtvh = joke.gtvh;
+            return {
+                SO: `"${gtvh.so.scripts[0]}" ↔ "${gtvh.so.scripts[1]}" (${gtvh.so.basic})`,
+                LM: this.label(MECHANISMS, gtvh.lm, language),
+                SI: (gtvh.si || []).join(', '),
+                TA: gtvh.ta === 'none' ? LABELS[language].noTarget : gtvh.ta,
+                NS: this.label(NARRATIVES, gtvh.ns, language),
+                LA: `"${gtvh.la}"`
+            };
+        },
+
+        // ========================================
+        // RENDERING
+        // ========================================
+        /**
+         * Render the explorer panel; the similar-jokes list follows the joke on the card
+         * @param {HTMLElement} container
+         * @param {Object} [joke] - The joke on the card
+         */
+        render: function(container, joke) {
+            if (!container) return;
+            const labels = LABELS[this.language()];
+            const details = container.querySelector('details');
+            const open = details ? details.open : false;
+            if (joke) this.currentJokeId = joke.id;
+
+            const groupButtons = Object.keys(labels.groups).map(by => `
+                <button type="button" class="filter-btn${by === this.groupBy ? ' active' : ''}" data-action="gtvh-explorer-group" data-group="${by}" aria-pressed="${by === this.groupBy}">${escape(labels.groups[by])}</button>`).join('');
+
+            container.innerHTML = `
+                <details class="gtvh-explorer"${open ? ' open' : ''}>
+                    <summary>🔭 ${escape(labels.title)}</summary>
+                    <p>${escape(labels.intro)}</p>
+                    <h4>${escape(labels.similarTitle)}</h4>
+                    <div id="gtvh-explorer-similar">${this.similarHTML(this.currentJokeId)}</div>
+                    <h4>${escape(labels.groupBy)}</h4>
+                    <div class="filter-buttons">${groupButtons}</div>
+                    <div id="gtvh-explorer-groups">${this.groupsHTML(this.groupBy)}</div>
+                </details>`;
+        },
+
+        setGroupBy: function(by) {
+            if (!['so', 'basic', 'lm'].includes(by)) return;
+            this.groupBy = by;
+            const container = document.getElementById('gtvh-explorer-container');
+            if (container) this.render(container);
+        },
+
+        jokeLinkHTML: function(joke) {
+            const labels = LABELS[this.language()];
+            const number = parseInt(joke.id.slice(5), 10);
+            return `<button type="button" class="gtvh-explorer-joke" data-action="gtvh-explorer-open" data-joke-id="${escape(joke.id)}" title="${escape(labels.open)} #${number}">
+                <span class="gtvh-explorer-number">#${number}</span> ${escape(joke.text)}</button>`;
+        },
+
+        similarHTML: function(jokeId) {
+            const lang = this.language();
+            const labels = LABELS[lang];
+            const joke = this.annotated().find(item => item.id === jokeId);
+            if (!joke) return `<p class="gtvh-explorer-note">${escape(labels.notAnnotated)}</p>`;
+
+            const items = this.mostSimilar(jokeId).map(match => {
+                const shared = match.shared.map(kr => `${kr} (${labels.resources[kr]})`).join(', ') || labels.nothingShared;
+                return `
+                    <li>
+                        ${this.jokeLinkHTML(match.joke)}
+                        <div class="gtvh-explorer-meta">
+                            <meter min="0" max="1" value="${match.score}" aria-label="${Math.round(match.score * 100)}%"></meter>
+                            ${Math.round(match.score * 100)}% · ${escape(labels.shares)}: ${escape(shared)}
+                        </div>
+                    </li>`;
+            }).join('');
+            return `<ol class="gtvh-explorer-list">${items}</ol>`;
+        },
+
+        groupsHTML: function(by) {
+            const labels = LABELS[this.language()];
+            const groups = this.groups(by);
+            const shared = groups.filter(group => group.jokes.length > 1);
+            const single = groups.filter(group => group.jokes.length === 1);
+
+            const groupHTML = (group, open) => `
+                <details class="gtvh-explorer-group"${open ? ' open' : ''}>
+                    <summary><strong>${escape(group.label)}</strong> · ${group.jokes.length} ${escape(labels.jokes)}</summary>
+                    <ul class="gtvh-explorer-list">${group.jokes.map(joke => `<li>${this.jokeLinkHTML(joke)}</li>`).join('')}</ul>
+                </details>`;
+
+            const singles = single.length
+                ? `<details class="gtvh-explorer-group">
+                        <summary>${escape(labels.unique)} · ${single.length} ${escape(labels.jokes)}</summary>
+                        <ul class="gtvh-explorer-list">${single.map(group => `<li><em>${escape(group.label)}</em>: ${this.jokeLinkHTML(group.jokes[0])}</li>`).join('')}</ul>
+                    </details>`
+                : '';
+            return shared.map((group, i) => groupHTML(group, i === 0)).join('') + singles;
+        },
+
+        /**
+         * Show a joke on the joke card and scroll to it
+         * @param {string} jokeId
+         */
+        open: function(jokeId) {
+            const jokes = window.DATA && Array.isArray(window.DATA.jokes) ? window.DATA.jokes : [];
+            const index = jokes.findIndex(joke => joke.id === jokeId);
+            if (index === -1 || !window.JokeModule) return;
+            window.JokeModule.renderJoke(index);
+            const jokeSection = document.getElementById('joke');
+            if (jokeSection && typeof jokeSection.scrollIntoView === 'function') {
+                jokeSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        }
+    };
+
+    window.GTVHExplorer = GTVHExplorer;
+})();
@@ -0,0 +1,288 @@
+/**
+ * GTVH JOKE ANALYSIS MODULE
+ *
+ * Purpose: Let learners write their own six-Knowledge-Resource (GTVH) analysis of any joke
+ * in the Joke Library, keep it, and set it beside a model analysis
+ *
+ * Responsibilities:
+ * - Render the analysis form (SO, LM, SI, TA, NS, LA) on the joke card, filled with the saved answers
+ * - Save it per joke id in State.userProgress.jokeAnalyses, next to jokeNotes, so it travels with
+ *   progress backups, merges and sync
+ * - Compare the learner's answers side by side with the joke's model analysis: its written gtvhAnalysis
+ *   from jokes.json, or else its structured `gtvh` annotation put into words (GTVHExplorer.describe)
+ * - Download every saved analysis as a plain-text file (with the joke texts) for a teacher or portfolio
+ *
+ * Dependencies: window.DATA (jokes), ProgressHelper, State (state.js), escapeHTML (security.js), UI.toast,
+ *   GTVHExplorer (optional)
+ * Used by: ui.js (JokeModule.renderJoke), module-learning.js (GTVH lab step), actions.js (joke-gtvh-* actions)
+ */
+
+(function() {
+    'use strict';
+
+    const RESOURCES = ['SO', 'LM', 'SI', 'TA', 'NS', 'LA'];
+    // Element ids of the form on the joke card; other forms (the module GTVH lab) pass their own prefix
+    const FORM_ID = 'joke-gtvh';
+
+    const LABELS = {
+        en: {
+            title: 'My GTVH Analysis',
+            intro: 'Analyse this joke with the six Knowledge Resources. Your analysis is saved with your progress.',
+            saved: 'saved',
+            savedAt: 'Saved',
+            notSaved: 'Not saved yet',
+            save: 'Save analysis',
+            compare: 'Compare with model analysis',
+            download: 'Download all my analyses',
+            noModel: 'There is no model analysis for this joke yet — compare your ideas with a classmate or your teacher.',
+            you: 'Your analysis',
+            model: 'Model analysis',
+            empty: '(not answered)',
+            savedToast: 'Analysis saved',
+            removedToast: 'Analysis removed',
+            nothingToExport: 'You have not saved any joke analyses yet',
+            resources: {
+                SO: ['Script Opposition', 'Which two scripts (ways of seeing the situation) clash?'],
+                LM: ['Logical Mechanism', 'What trick joins them: a pun, an idiom taken literally, misdirection...?'],
+                SI: ['Situation', 'Who is involved, and where or when does it happen?'],
+                TA: ['Target', 'Who or what is laughed at, if anyone?'],
+                NS: ['Narrative Strategy', 'Is it a riddle, a one-liner, a dialogue, a story...?'],
+                LA: ['Language', 'Which exact word or phrase carries the joke?']
+            }
+        },
+        uz: {
+            title: 'Mening GTVH tahlilim',
+            intro: "Bu hazilni oltita bilim manbai bo'yicha tahlil qiling. Tahlilingiz natijalaringiz bilan saqlanadi.",
+            saved: 'saqlangan',
+            savedAt: 'Saqlandi',
+            notSaved: 'Hali saqlanmagan',
+            save: 'Tahlilni saqlash',
+            compare: 'Namuna tahlil bilan solishtirish',
+            download: 'Barcha tahlillarimni yuklab olish',
+            noModel: "Bu hazil uchun hali namuna tahlil yo'q — fikrlaringizni sinfdoshingiz yoki o'qituvchingiz bilan solishtiring.",
+            you: 'Sizning tahlilingiz',
+            model: 'Namuna tahlil',
+            empty: '(javob yozilmagan)',
+            savedToast: 'Tahlil saqlandi',
+            removedToast: "Tahlil o'chirildi",
+            nothingToExport: 'Siz hali birorta hazil tahlilini saqlamagansiz',
+            resources: {
+                SO: ['Skriptlar qarama-qarshiligi', "Qaysi ikki skript (vaziyatni ko'rish usuli) to'qnashadi?"],
+                LM: ['Mantiqiy mexanizm', "Ularni qanday usul bog'laydi: so'z o'yini, iboraning tom ma'nosi, chalg'itish...?"],
+                SI: ['Vaziyat', 'Kimlar ishtirok etadi, qayerda yoki qachon sodir bo\'ladi?'],
+                TA: ['Nishon', 'Kim yoki nima ustidan kulinadi (agar shunday bo\'lsa)?'],
+                NS: ['Hikoya strategiyasi', 'Bu topishmoqmi, bir jumlali hazilmi, dialogmi, hikoyami...?'],
+                LA: ['Til', "Hazil aynan qaysi so'z yoki iborada?"]
+            }
+        }
+    };
+
+    function escape(value) {
+        return window.escapeHTML ? window.escapeHTML(value) : String(value == null ? '' : value);
+    }
+
+    function toast(message, type) {
+        if (window.UI && typeof window.UI.toast === 'function') {
+            window.UI.toast(message, type);
+        }
+    }
+
+    function formatDate(timestamp, lang) {
+        try {
+            return new Date(timestamp).toLocaleString(lang === 'uz' ? 'uz-UZ' : 'en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+        } catch (e) {
+            return new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ');
+        }
+    }
+
+    const GTVHJokeAnalysis = {
+        RESOURCES: RESOURCES,
+        LABELS: LABELS,
+
+        language: function() {
+            const lang = (window.StorageAdapter || window.localStorage).getItem('preferredLanguage');
+            return lang === 'uz' ? 'uz' : 'en';
+        },
+
+        getJoke: function(jokeId) {
+            const jokes = window.DATA && Array.isArray(window.DATA.jokes) ? window.DATA.jokes : [];
+            return jokes.find(joke => joke.id === jokeId) || null;
+        },
+
+        /**
+         * All saved analyses, keyed by joke id
+         * @returns {Object}
+         */
+        all: function() {
+            const progress = window.State && window.State.userProgress;
+            return progress && progress.jokeAnalyses && typeof progress.jokeAnalyses === 'object' ? progress.jokeAnalyses : {};
+        },
+
+        get: function(jokeId) {
+            return this.all()[jokeId] || null;
+        },
+
+        /**
+         * The model analysis to compare with, if the joke has one
+         * @param {Object} joke
+         * @returns {Object|null} { SO, LM, SI, TA, NS, LA }
+         */
+        modelAnalysis: function(joke) {
+            if (!joke) return null;
+            if (joke.gtvhAnalysis) return joke.gtvhAnalysis;
+            return window.GTVHExplorer ? window.GTVHExplorer.describe(joke, this.language()) : null;
+        },
+
+        /**
+         * Render the analysis form for one joke
+         * @param {HTMLElement} container
+         * @param {Object} joke - From jokes.json
+         * @param {string} [formId] - Prefix for the form's element ids, so two forms can be on the page
+         */
+        render: function(container, joke, formId = FORM_ID) {
+            if (!container || !joke) return;
+            const lang = this.language();
+            const labels = LABELS[lang];
+            const saved = this.get(joke.id) || {};
+            const count = Object.keys(this.all()).length;
+
+            const fields = RESOURCES.map(kr => {
+                const [name, question] = labels.resources[kr];
+                return `
+                    <div class="joke-gtvh-field">
+                        <label for="${formId}-${kr}"><strong>${escape(kr)}</strong> — ${escape(name)}</label>
+                        <p class="joke-gtvh-question">${escape(question)}</p>
+                        <textarea id="${formId}-${kr}" data-kr="${kr}" rows="2">${escape(saved[kr] || '')}</textarea>
+                    </div>`;
+            }).join('');
+
+            const hasModel = !!this.modelAnalysis(joke);
+            const compareButton = hasModel
+                ? `<button type="button" class="nav-btn" data-action="joke-gtvh-compare" data-joke-id="${escape(joke.id)}" data-form="${formId}">⚖️ ${escape(labels.compare)}</button>`
+                : '';
+
+            container.innerHTML = `
+                <details class="joke-gtvh" data-joke-id="${escape(joke.id)}"${saved.updatedAt ? ' open' : ''}>
+                    <summary>🧩 ${escape(labels.title)}${count ? ` <span class="joke-gtvh-count">(${count} ${escape(labels.saved)})</span>` : ''}</summary>
+                    <p>${escape(labels.intro)}</p>
+                    ${fields}
+                    <div class="joke-gtvh-actions">
+                        <button type="button" class="nav-btn" data-action="joke-gtvh-save" data-joke-id="${escape(joke.id)}" data-form="${formId}">💾 ${escape(labels.save)}</button>
+                        ${compareButton}
+                        <button type="button" class="nav-btn" data-action="joke-gtvh-export">⬇️ ${escape(labels.download)}</button>
+                    </div>
+                    <p class="joke-gtvh-status" id="${formId}-status" role="status" aria-live="polite">${escape(this.statusText(saved, lang))}</p>
+                    ${hasModel ? '' : `<p class="joke-gtvh-note">ℹ️ ${escape(labels.noModel)}</p>`}
+                    <div class="joke-gtvh-compare" id="${formId}-compare" hidden></div>
+                </details>`;
+        },
+
+        statusText: function(saved, lang) {
+            const labels = LABELS[lang];
+            return saved && saved.updatedAt ? `${labels.savedAt}: ${formatDate(saved.updatedAt, lang)}` : labels.notSaved;
+        },
+
+        /**
+         * The answers currently typed into the form
+         * @param {string} [formId]
+         * @returns {Object} { SO, LM, SI, TA, NS, LA }
+         */
+        readForm: function(formId = FORM_ID) {
+            const answers = {};
+            RESOURCES.forEach(kr => {
+                const field = document.getElementById(`${formId}-${kr}`);
+                answers[kr] = field ? field.value : '';
+            });
+            return answers;
+        },
+
+        save: function(jokeId, formId = FORM_ID) {
+            if (!jokeId || !window.ProgressHelper) return;
+            const lang = this.language();
+            const entry = window.ProgressHelper.saveJokeAnalysis(jokeId, this.readForm(formId));
+            const status = document.getElementById(`${formId}-status`);
+            if (status) status.textContent = this.statusText(entry, lang);
+            document.querySelectorAll('.joke-gtvh .joke-gtvh-count').forEach(count => {
+                count.textContent = `(${Object.keys(this.all()).length} ${LABELS[lang].saved})`;
+            });
+            toast(entry ? LABELS[lang].savedToast : LABELS[lang].removedToast, entry ? 'success' : 'info');
+
+            const comparison = document.getElementById(`${formId}-compare`);
+            if (comparison && !comparison.hidden) this.compare(jokeId, formId);
+        },
+
+        /**
+         * Show the learner's answers (as typed) beside the model analysis
+         * @param {string} jokeId
+         * @param {string} [formId]
+         */
+        compare: function(jokeId, formId = FORM_ID) {
+            const model = this.modelAnalysis(this.getJoke(jokeId));
+            const comparison = document.getElementById(`${formId}-compare`);
+            if (!model || !comparison) return;
+            const labels = LABELS[this.language()];
+            const answers = this.readForm(formId);
+
+            const rows = RESOURCES.map(kr => {
+                const mine = answers[kr].trim();
+                return `
+                    <tr>
+                        <th scope="row">${escape(kr)}<br><small>${escape(labels.resources[kr][0])}</small></th>
+                        <td${mine ? '' : ' class="joke-gtvh-empty"'}>${escape(mine || labels.empty)}</td>
+                        <td>${escape(model[kr] || '')}</td>
+                    </tr>`;
+            }).join('');
+
+            comparison.innerHTML = `
+                <table class="joke-gtvh-table">
+                    <thead><tr><th scope="col"></th><th scope="col">${escape(labels.you)}</th><th scope="col">${escape(labels.model)}</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>`;
+            comparison.hidden = false;
+        },
+
+        /**
+         * All saved analyses as plain text, in joke order
+         * @returns {string}
+         */
+        exportText: function() {
+            const saved = this.all();
+            const jokes = window.DATA && Array.isArray(window.DATA.jokes) ? window.DATA.jokes : [];
+            const names = LABELS.en.resources;
+            const ids = Object.keys(saved).sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10));
+
+            const lines = ['My GTVH joke analyses', `Exported ${new Date().toISOString().slice(0, 10)}`, ''];
+            ids.forEach(jokeId => {
+                const entry = saved[jokeId];
+                const joke = jokes.find(item => item.id === jokeId);
+                lines.push('='.repeat(60));
+                lines.push(`${jokeId}${joke ? `: ${joke.text}` : ''}`);
+                if (entry.updatedAt) lines.push(`Saved ${new Date(entry.updatedAt).toISOString().slice(0, 16).replace('T', ' ')}`);
+                lines.push('');
+                RESOURCES.forEach(kr => {
+                    lines.push(`${kr} (${names[kr][0]}): ${entry[kr] || '—'}`);
+                });
+                lines.push('');
+            });
+            return lines.join('\n');
+        },
+
+        download: function() {
+            if (!Object.keys(this.all()).length) {
+                toast(LABELS[this.language()].nothingToExport, 'info');
+                return;
+            }
+            const blob = new Blob([this.exportText()], { type: 'text/plain;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `gtvh-joke-analyses-${new Date().toISOString().slice(0, 10)}.txt`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    };
+
+    window.GTVHJokeAnalysis = GTVHJokeAnalysis;
+})();
@@ -0,0 +1,323 @@
+/**
+ * GTVH MATCHER MODULE
+ *
+ * Purpose: Decide which GTVH concepts a learner's free-text answer names, in English or Uzbek
+ *
+ * Responsibilities:
+ * - Split an answer into clauses and words (Uzbek o' / g' apostrophes kept, hyphens split)
+ * - Light suffix stemming for English and Uzbek, so "ambiguous" meets "ambiguity" and "kitoblarni" meets "kitob"
+ * - Tolerate small typos (edit distance 1 for words of 6+ letters, 2 for 9+), so "polisemy" still counts
+ * - Match multi-word terms with up to two words in between ("two different meanings")
+ * - Notice negation ("not a pun", "pun emas", "unambiguous") and report such concepts as ruled out, not named
+ * - Report which expected concepts were named, missed or ruled out, so feedback can say what is lacking
+ *
+ * Concepts come from data/gtvh-concepts.json (shared) plus any passed in by the caller (joke-specific):
+ *   { id, label: { en, uz }, terms: { en: string[], uz: string[] } }
+ * An expectation is a list of items; an item is a concept id, or a list of ids any one of which will do.
+ *
+ * Everything runs in the browser; answers are never sent anywhere.
+ *
+ * Dependencies: window.DATA (gtvhConcepts)
+ * Used by: module-learning.js (GTVH Interactive Analyzer)
+ */
+
+(function() {
+    'use strict';
+
+    // Words before a term (English, Uzbek "hech") or after it (Uzbek "emas", "yo'q") that negate it
+    const NEGATORS_BEFORE = ['not', 'no', 'non', 'never', 'without', 'neither', 'nor', 'hardly', 'cannot', 'hech'];
+    // English prefixes that turn a word into its opposite ("unambiguous"); such a word negates the term instead of matching it
+    const NEGATING_PREFIXES = ['non', 'un', 'in', 'im', 'il', 'ir'];
+    const NEGATORS_AFTER = ['emas', "yo'q", 'emasdir'];
+    const NEGATION_WINDOW_BEFORE = 3;
+    const NEGATION_WINDOW_AFTER = 2;
+    // Words allowed between the words of a multi-word term
+    const MAX_GAP = 2;
+
+    // Tried in order, first match wins; the stem must keep at least three letters
+    const EN_SUFFIXES = ['ational', 'ically', 'ations', 'ation', 'atively', 'ative', 'atic', 'ities', 'ity', 'ously', 'ous',
+        'ness', 'ment', 'ings', 'ing', 'edly', 'ed', 'ies', 'ly', 'ic', 'es', 'y', 's', 'e'];
+    const UZ_SUFFIXES = ['larining', 'laridan', 'larida', 'lariga', 'larning', 'lardan', 'larda', 'larga', 'larni', 'lari', 'lar',
+        'ning', 'dagi', 'dan', 'ga', 'ka', 'qa', 'da', 'ni', 'lik', 'si', 'i'];
+
+    const CLAUSE_BREAK = /[.;!?,:()]+|\s(?:but|however|lekin|ammo|biroq)\s/;
+
+    function normalize(value) {
+        return String(value || '').toLowerCase().replace(/[‘’ʻʼ`]/g, "'");
+    }
+
+    function tokenize(text) {
+        return normalize(text).split(/[^\p{L}\p{N}']+/u)
+            .map(word => word.replace(/^'+|'+$/g, ''))
+            .filter(Boolean);
+    }
+
+    function canStrip(stem, suffix) {
+        return stem.endsWith(suffix) && stem.length - suffix.length >= 3 && !(suffix === 's' && stem.endsWith('ss'));
+    }
+
+    function stripSuffixes(word, suffixes, passes) {
+        let stem = word;
+        for (let pass = 0; pass < passes; pass++) {
+            const suffix = suffixes.find(s => canStrip(stem, s));
+            if (!suffix) break;
+            stem = stem.slice(0, -suffix.length);
+        }
+        return stem;
+    }
+
+    // Every stem reachable by stripping any matching suffix on each pass. "xotini" (his wife) must reach
+    // "xotin" through "-i", even though the first-match rule would take "-ni" and leave "xoti"
+    function suffixVariants(word, suffixes, passes) {
+        const variants = [word];
+        let frontier = word.length <= 3 ? [] : [word];
+        for (let pass = 0; pass < passes && frontier.length; pass++) {
+            const next = [];
+            frontier.forEach(stem => suffixes.forEach(suffix => {
+                const shorter = stem.slice(0, -suffix.length);
+                if (canStrip(stem, suffix) && !variants.includes(shorter)) {
+                    variants.push(shorter);
+                    next.push(shorter);
+                }
+            }));
+            frontier = next;
+        }
+        return variants;
+    }
+
+    function stemEn(word) {
+        return word.length <= 3 ? word : stripSuffixes(word, EN_SUFFIXES, 2);
+    }
+
+    function stemUz(word) {
+        return word.length <= 3 ? word : stripSuffixes(word, UZ_SUFFIXES, 3);
+    }
+
+    // Optimal string alignment distance, giving up once it is over max
+    function distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows.push([i]);
+            for (let j = 1; j <= b.length; j++) {
+                if (i === 0) {
+                    rows[i][j] = j;
+                    continue;
+                }
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, rows[i - 2][j - 2] + 1);
+                }
+                rows[i][j] = value;
+            }
+            if (i > 0 && Math.min(...rows[i]) > max) return max + 1;
+        }
+        return rows[a.length][b.length];
+    }
+
+    function tolerance(length) {
+        return length >= 9 ? 2 : (length >= 6 ? 1 : 0);
+    }
+
+    // A word of the answer, with the stems it may stand for in either language
+    function prepareWord(word) {
+        return { word, stems: [stemEn(word)].concat(suffixVariants(word, UZ_SUFFIXES, 3)) };
+    }
+
+    // A word of a term, stemmed the way its own language is
+    function prepareTermWord(word, lang) {
+        return { word, stem: lang === 'uz' ? stemUz(word) : stemEn(word) };
+    }
+
+    // The opposite of a term word: a negating prefix the term itself does not start with, then the term word
+    function prefixNegates(answerWord, termWord) {
+        return NEGATING_PREFIXES.some(prefix => {
+            const rest = answerWord.word.slice(prefix.length);
+            return answerWord.word.startsWith(prefix) && !termWord.word.startsWith(prefix) && rest.length >= 4 &&
+                matchWord(prepareWord(rest), termWord) !== null;
+        });
+    }
+
+    /**
+     * @returns {'hit'|'negated'|null} 'negated' when the answer word is the term word with a negating prefix
+     */
+    function matchWord(answerWord, termWord) {
+        if (answerWord.word === termWord.word) return 'hit';
+        // Checked before the typo tolerance, which would otherwise let "unambiguous" pass for "ambiguity"
+        if (prefixNegates(answerWord, termWord)) return 'negated';
+        const max = tolerance(Math.min(answerWord.word.length, termWord.word.length));
+        return answerWord.stems.some(stem => stem === termWord.stem || (max > 0 && distance(stem, termWord.stem, max) <= max))
+            ? 'hit' : null;
+    }
+
+    function isNegator(word) {
+        return NEGATORS_BEFORE.includes(word) || word.endsWith("n't");
+    }
+
+    const GTVHMatcher = {
+        tokenize: tokenize,
+        stemEn: stemEn,
+        stemUz: stemUz,
+        distance: distance,
+
+        /**
+         * Shared concepts, with the caller's own concepts taking precedence
+         * @param {Array} [extra] - Joke-specific concepts
+         * @returns {Map<string, Object>}
+         */
+        library: function(extra) {
+            const shared = window.DATA && window.DATA.gtvhConcepts && Array.isArray(window.DATA.gtvhConcepts.concepts)
+                ? window.DATA.gtvhConcepts.concepts : [];
+            const byId = new Map();
+            shared.concat(Array.isArray(extra) ? extra : []).forEach(concept => {
+                if (concept && concept.id) byId.set(concept.id, concept);
+            });
+            return byId;
+        },
+
+        label: function(concept, lang) {
+            if (!concept) return '';
+            const label = concept.label || {};
+            return label[lang] || label.en || concept.id;
+        },
+
+        /**
+         * Split an answer into clauses of prepared words (negation never reaches across a clause)
+         * @param {string} text
+         * @returns {Array<Array<Object>>}
+         */
+        prepare: function(text) {
+            return normalize(text).split(CLAUSE_BREAK)
+                .map(clause => tokenize(clause).map(prepareWord))
+                .filter(clause => clause.length);
+        },
+
+        /**
+         * Find one term in a clause
+         * @returns {{start: number, end: number, prefixNegated: boolean}|null} Word positions of the first
+         *   occurrence; prefixNegated when one of its words carries a negating prefix ("unambiguous")
+         */
+        findTerm: function(clause, termWords) {
+            for (let start = 0; start < clause.length; start++) {
+                const first = matchWord(clause[start], termWords[0]);
+                if (!first) continue;
+                let prefixNegated = first === 'negated';
+                let position = start;
+                let found = true;
+                for (let k = 1; k < termWords.length && found; k++) {
+                    found = false;
+                    for (let next = position + 1; next <= Math.min(clause.length - 1, position + 1 + MAX_GAP); next++) {
+                        const result = matchWord(clause[next], termWords[k]);
+                        if (result) {
+                            prefixNegated = prefixNegated || result === 'negated';
+                            position = next;
+                            found = true;
+                            break;
+                        }
+                    }
+                }
+                if (found) return { start, end: position, prefixNegated };
+            }
+            return null;
+        },
+
+        negated: function(clause, found) {
+            if (found.prefixNegated) return true;
+            const before = clause.slice(Math.max(0, found.start - NEGATION_WINDOW_BEFORE), found.start);
+            const after = clause.slice(found.end + 1, found.end + 1 + NEGATION_WINDOW_AFTER);
+            return before.some(item => isNegator(item.word)) || after.some(item => NEGATORS_AFTER.includes(item.word));
+        },
+
+        /**
+         * How an answer treats one concept
+         * @param {Array} clauses - From prepare()
+         * @param {Object} concept
+         * @returns {'hit'|'negated'|null} A plain mention anywhere wins over a negated one
+         */
+        conceptStatus: function(clauses, concept) {
+            let status = null;
+            const terms = concept && concept.terms ? concept.terms : {};
+            Object.keys(terms).forEach(lang => {
+                (Array.isArray(terms[lang]) ? terms[lang] : []).forEach(term => {
+                    if (status === 'hit') return;
+                    const termWords = tokenize(term).map(word => prepareTermWord(word, lang));
+                    if (!termWords.length) return;
+                    clauses.forEach(clause => {
+                        if (status === 'hit') return;
+                        const found = this.findTerm(clause, termWords);
+                        if (found) status = this.negated(clause, found) ? 'negated' : 'hit';
+                    });
+                });
+            });
+            return status;
+        },
+
+        /**
+         * Compare an answer with the concepts it should name
+         * @param {string} text - Learner's answer
+         * @param {Array<string|string[]>} expected - Items; a list inside is a choice of concepts
+         * @param {Array} [extraConcepts] - Joke-specific concepts
+         * @returns {{score: number, items: Array<{concepts: string[], status: string, concept: string}>,
+         *   hits: string[], missed: string[], negated: string[]}} score 0–100; status 'hit' | 'negated' | 'missed'
+         */
+        match: function(text, expected, extraConcepts) {
+            const library = this.library(extraConcepts);
+            const clauses = this.prepare(text);
+            const items = (Array.isArray(expected) ? expected : []).map(item => {
+                const ids = (Array.isArray(item) ? item : [item]).filter(id => library.has(id));
+                const statuses = ids.map(id => ({ id, status: this.conceptStatus(clauses, library.get(id)) }));
+                const hit = statuses.find(entry => entry.status === 'hit');
+                const negated = statuses.find(entry => entry.status === 'negated');
+                if (hit) return { concepts: ids, status: 'hit', concept: hit.id };
+                if (negated) return { concepts: ids, status: 'negated', concept: negated.id };
+                return { concepts: ids, status: 'missed', concept: ids[0] };
+            }).filter(item => item.concepts.length);
+
+            const pick = status => items.filter(item => item.status === status).map(item => item.concept);
+            const hits = pick('hit');
+            return {
+                score: items.length ? Math.round(100 * hits.length / items.length) : 0,
+                items,
+                hits,
+                missed: pick('missed'),
+                negated: pick('negated')
+            };
+        }
+    };
+
+    window.GTVHMatcher = GTVHMatcher;
+
+    // Negation and typo-tolerance self-test (run in console)
+    window.__gtvhMatcherSelfTest = function() {
+        const concepts = [
+            { id: 'test-ambiguity', label: { en: 'Ambiguity' }, terms: { en: ['ambiguity', 'double meaning'], uz: ['ikki ma\'no'] } },
+            { id: 'test-pun', label: { en: 'Pun' }, terms: { en: ['pun'] } },
+            { id: 'test-polysemy', label: { en: 'Polysemy' }, terms: { en: ['polysemy'] } }
+        ];
+        const cases = [
+            ['ambiguous', 'test-ambiguity', 'hit'],
+            ['The joke is ambigous', 'test-ambiguity', 'hit'],
+            ['The punchline is unambiguous', 'test-ambiguity', 'negated'],
+            ['It is non-ambiguous', 'test-ambiguity', 'negated'],
+            ['It has no double meaning', 'test-ambiguity', 'negated'],
+            ['Bu yerda ikki ma\'no bor', 'test-ambiguity', 'hit'],
+            ['It is not a pun', 'test-pun', 'negated'],
+            ['It is not funny, but it is a pun', 'test-pun', 'hit'],
+            ['polisemy', 'test-polysemy', 'hit']
+        ];
+
+        let passed = 0;
+        for (const [text, id, expected] of cases) {
+            const result = GTVHMatcher.match(text, [id], concepts);
+            const status = result.items.length ? result.items[0].status : 'missed';
+            if (status === expected) {
+                passed++;
+                console.log('[PASS]', text, status);
+            } else {
+                console.error('[FAIL]', text, { expected, got: status });
+            }
+        }
+        console.log(`Self-test complete: ${passed}/${cases.length} cases matched expected outcomes.`);
+    };
+})();
@@ -140,7 +140,7 @@
 
         // Hide the local progress warning banner if the user dismissed it.
         try {
-            const dismissed = localStorage.getItem('dismissedProgressNotice') === '1';
+            const dismissed = (window.StorageAdapter || localStorage).getItem('dismissedProgressNotice') === '1';
             const banner = document.getElementById('local-progress-warning-banner');
             if (dismissed && banner) banner.style.display = 'none';
         } catch (e) {
@@ -0,0 +1,586 @@
+/**
+ * PROGRESS INTEGRITY MODULE
+ *
+ * Purpose: Make exported progress tamper-evident so teachers can trust what they grade.
+ *
+ * Responsibilities:
+ * - Keep a per-install ECDSA P-256 keypair (private key non-extractable, kept in IndexedDB)
+ * - Record test submissions in a hash-chained event log (per learner profile)
+ * - Sign exports, progress codes and multi-part QR backups; the public key travels with them
+ * - Verify a file in teacher mode: signature, hash chain, and whether the progress
+ *   agrees with the logged submissions (e.g. masteryAchieved without a passing post-test)
+ *
+ * A signed document is any JSON object with an `integrity` block:
+ *   { v: 1, alg: 'ECDSA-P256-SHA256', keyId, publicKey, signedAt, eventLog, signature }
+ * The signature covers the document without its `integrity` field, plus eventLog,
+ * signedAt and keyId, serialized with sorted keys.
+ *
+ * A learner can always generate a fresh key and re-sign edited data, so the verifier
+ * also remembers which key each learner name used before and flags a change of key.
+ *
+ * Dependencies: WebCrypto (secure context), StorageAdapter (event log)
+ * Used by: Storage.exportProgress, getProgressCode / QR backup (module-learning.js),
+ *          test grading (module-learning.js, assessment.js), actions.js (integrity-verify)
+ */
+
+(function() {
+    'use strict';
+
+    const KEY_DB_NAME = 'pragmatics-integrity';
+    const KEY_STORE_NAME = 'keys';
+    const DEVICE_KEY_ID = 'device';
+    const EVENT_LOG_KEY = 'testEventLog';
+    const KNOWN_KEYS_KEY = 'verifiedExportKeys';
+    const MAX_LOG_ENTRIES = 2000;
+    const MASTERY_THRESHOLD = 80;
+    const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+    const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+
+    const store = window.StorageAdapter || window.localStorage;
+
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // JSON with sorted keys: the exact bytes that get hashed and signed
+    function canonicalize(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(item => item === undefined ? 'null' : canonicalize(item)).join(',') + ']';
+        }
+        if (isPlainObject(value)) {
+            return '{' + Object.keys(value).filter(key => value[key] !== undefined).sort()
+                .map(key => JSON.stringify(key) + ':' + canonicalize(value[key])).join(',') + '}';
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function toBase64(buffer) {
+        return btoa(String.fromCharCode.apply(null, new Uint8Array(buffer)));
+    }
+
+    function fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    function subtle() {
+        return window.crypto && window.crypto.subtle ? window.crypto.subtle : null;
+    }
+
+    async function sha256Hex(text) {
+        return toHex(await subtle().digest('SHA-256', new TextEncoder().encode(text)));
+    }
+
+    function withoutIntegrity(documentValue) {
+        const copy = Object.assign({}, documentValue);
+        delete copy.integrity;
+        return copy;
+    }
+
+    function signedMessage(documentValue, block) {
+        return canonicalize({
+            document: withoutIntegrity(documentValue),
+            eventLog: block.eventLog,
+            signedAt: block.signedAt,
+            keyId: block.keyId
+        });
+    }
+
+    // Hash of a log entry: everything except the hash itself
+    function entryHash(entry) {
+        const body = Object.assign({}, entry);
+        delete body.hash;
+        return sha256Hex(canonicalize(body));
+    }
+
+    const ProgressIntegrity = {
+        keyPairPromise: null,
+        appendChain: Promise.resolve(),
+
+        isSupported: function() {
+            return !!subtle() && typeof indexedDB !== 'undefined';
+        },
+
+        // ========================================
+        // DEVICE KEY
+        // ========================================
+        openKeyDatabase: function() {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(KEY_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(KEY_STORE_NAME)) {
+                        request.result.createObjectStore(KEY_STORE_NAME);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        },
+
+        keyRequest: function(db, mode, operation) {
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(KEY_STORE_NAME, mode);
+                const request = operation(tx.objectStore(KEY_STORE_NAME));
+                tx.oncomplete = () => resolve(request.result);
+                tx.onabort = () => reject(tx.error);
+            });
+        },
+
+        /**
+         * Load this install's keypair, creating it on first use
+         * @returns {Promise<CryptoKeyPair>}
+         */
+        getKeyPair: function() {
+            if (!this.keyPairPromise) {
+                this.keyPairPromise = (async () => {
+                    if (!this.isSupported()) {
+                        throw new Error('Signing needs a secure (https) connection and IndexedDB.');
+                    }
+                    const db = await this.openKeyDatabase();
+                    try {
+                        const saved = await this.keyRequest(db, 'readonly', objectStore => objectStore.get(DEVICE_KEY_ID));
+                        if (saved && saved.privateKey && saved.publicKey) {
+                            return saved;
+                        }
+                        // The private key can sign but never be read back out of the browser
+                        const created = await subtle().generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+                        await this.keyRequest(db, 'readwrite', objectStore => objectStore.put(created, DEVICE_KEY_ID));
+                        return created;
+                    } finally {
+                        db.close();
+                    }
+                })();
+                this.keyPairPromise.catch(() => {
+                    this.keyPairPromise = null;
+                });
+            }
+            return this.keyPairPromise;
+        },
+
+        /**
+         * Short, human-comparable id of a public key
+         * @param {Object} jwk - Public key as JWK
+         * @returns {Promise<string>} e.g. '3f9a-0c41-77de-b210'
+         */
+        fingerprint: async function(jwk) {
+            const hex = await sha256Hex(canonicalize({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }));
+            return hex.slice(0, 16).match(/.{4}/g).join('-');
+        },
+
+        // ========================================
+        // TEST EVENT LOG (hash chain)
+        // ========================================
+        readLog: function() {
+            try {
+                const log = JSON.parse(store.getItem(EVENT_LOG_KEY) || '[]');
+                return Array.isArray(log) ? log : [];
+            } catch (e) {
+                console.warn('Test event log is unreadable:', e);
+                return [];
+            }
+        },
+
+        /**
+         * Append a test submission to the learner's hash-chained log
+         * @param {{type: string, moduleId?: string, score: number, total?: number, examId?: string, timedOut?: boolean}} event
+         *   type is 'preTest', 'postTest', 'placement', 'examStart' or 'exam'; score is what was saved to progress
+         * @returns {Promise<Object|null>} The stored entry, or null when hashing is unavailable
+         */
+        recordTestEvent: function(event) {
+            if (!subtle()) return Promise.resolve(null);
+
+            // Serialize appends so two quick submissions cannot fork the chain
+            const appending = this.appendChain.then(async () => {
+                const log = this.readLog();
+                const last = log[log.length - 1];
+                const entry = {
+                    seq: last ? last.seq + 1 : 1,
+                    type: String(event.type),
+                    moduleId: event.moduleId || null,
+                    score: Number.isFinite(event.score) ? event.score : null,
+                    total: Number.isFinite(event.total) ? event.total : null,
+                    at: Date.now(),
+                    prev: last ? last.hash : null
+                };
+                if (event.examId) entry.examId = String(event.examId);
+                if (event.timedOut === true) entry.timedOut = true;
+                entry.hash = await entryHash(entry);
+                log.push(entry);
+                store.setItem(EVENT_LOG_KEY, JSON.stringify(log.slice(-MAX_LOG_ENTRIES)));
+                return entry;
+            });
+            this.appendChain = appending.catch(error => {
+                console.warn('Could not record test event:', error);
+            });
+            return appending.catch(() => null);
+        },
+
+        /**
+         * Check that every entry hashes correctly and links to the one before it
+         * @param {Array} log - Event log
+         * @returns {Promise<string[]>} Problems found (empty when the chain is intact)
+         */
+        checkChain: async function(log) {
+            if (!Array.isArray(log)) return ['The event log is missing or malformed.'];
+            const problems = [];
+            for (let i = 0; i < log.length; i++) {
+                const entry = log[i];
+                if (!isPlainObject(entry)) {
+                    problems.push(`Event ${i + 1} is malformed.`);
+                    continue;
+                }
+                if (entry.hash !== await entryHash(entry)) {
+                    problems.push(`Event #${entry.seq} (${entry.type}) was edited after it was recorded.`);
+                }
+                if (i > 0) {
+                    const previous = log[i - 1];
+                    if (entry.prev !== previous.hash || entry.seq !== previous.seq + 1) {
+                        problems.push(`Event #${entry.seq} does not follow event #${previous.seq}: events were removed or reordered.`);
+                    }
+                    if (entry.at < previous.at) {
+                        problems.push(`Event #${entry.seq} is dated before the event it follows.`);
+                    }
+                }
+            }
+            return problems;
+        },
+
+        // ========================================
+        // SIGNING
+        // ========================================
+        /**
+         * Sign a document; the returned block is stored as `documentValue.integrity`
+         * @param {Object} documentValue - Export / progress code / QR backup object (without integrity)
+         * @returns {Promise<Object>} Integrity block
+         * @throws {Error} When WebCrypto or IndexedDB is unavailable
+         */
+        sign: async function(documentValue) {
+            const keyPair = await this.getKeyPair();
+            const publicJwk = await subtle().exportKey('jwk', keyPair.publicKey);
+            const publicKey = { kty: publicJwk.kty, crv: publicJwk.crv, x: publicJwk.x, y: publicJwk.y };
+            const block = {
+                v: 1,
+                alg: 'ECDSA-P256-SHA256',
+                keyId: await this.fingerprint(publicKey),
+                publicKey,
+                signedAt: new Date().toISOString(),
+                eventLog: this.readLog()
+            };
+            const signature = await subtle().sign(SIGNATURE_ALGORITHM, keyPair.privateKey,
+                new TextEncoder().encode(signedMessage(documentValue, block)));
+            block.signature = toBase64(signature);
+            return block;
+        },
+
+        /**
+         * Sign a document in place, leaving it unsigned (with a console warning) when signing is unavailable
+         * @param {Object} documentValue - Object to add `integrity` to
+         * @returns {Promise<Object>} The same object
+         */
+        attachSignature: async function(documentValue) {
+            try {
+                documentValue.integrity = await this.sign(documentValue);
+            } catch (e) {
+                console.warn('Export left unsigned:', e && e.message ? e.message : e);
+            }
+            return documentValue;
+        },
+
+        // ========================================
+        // VERIFICATION (teacher mode)
+        // ========================================
+        /**
+         * Pull the progress parts out of any supported document shape
+         * @returns {{kind: string, userProgress: Object|null, moduleMastery: Object|null, learnerName: string|null}|null}
+         */
+        describeDocument: function(documentValue) {
+            if (!isPlainObject(documentValue)) return null;
+            if (isPlainObject(documentValue.userProgress) && (documentValue.moduleMastery || documentValue.version)) {
+                return {
+                    kind: 'progress export',
+                    userProgress: documentValue.userProgress,
+                    moduleMastery: documentValue.moduleMastery || null,
+                    learnerName: typeof documentValue.profileName === 'string' ? documentValue.profileName : null
+                };
+            }
+            if (isPlainObject(documentValue.mastery) || isPlainObject(documentValue.state)) {
+                return { kind: 'progress code', userProgress: documentValue.state || null, moduleMastery: documentValue.mastery || null, learnerName: null };
+            }
+            if (documentValue.v === 2 && isPlainObject(documentValue.progress)) {
+                return {
+                    kind: 'QR backup',
+                    userProgress: documentValue.progress.userProgress || null,
+                    moduleMastery: documentValue.progress.mastery || null,
+                    learnerName: null
+                };
+            }
+            return null;
+        },
+
+        /**
+         * Compare saved results with the logged submissions
+         * @returns {Array<{level: string, message: string}>}
+         */
+        checkConsistency: function(described, eventLog) {
+            const issues = [];
+            const log = Array.isArray(eventLog) ? eventLog : [];
+            const lastEvent = (type, moduleId) => log.filter(entry => entry.type === type && (moduleId === undefined || entry.moduleId === moduleId)).pop();
+            const modules = described.moduleMastery && isPlainObject(described.moduleMastery.modules) ? described.moduleMastery.modules : {};
+
+            Object.keys(modules).forEach(moduleId => {
+                const module = modules[moduleId];
+                if (!isPlainObject(module)) return;
+                const postTest = isPlainObject(module.postTest) ? module.postTest : {};
+                const event = lastEvent('postTest', moduleId);
+
+                if (module.masteryAchieved === true) {
+                    if (!postTest.completed) {
+                        issues.push({ level: 'error', message: `${moduleId} is marked as mastered but its post-test was never completed.` });
+                    } else if (Number.isFinite(postTest.score) && postTest.score < MASTERY_THRESHOLD) {
+                        issues.push({ level: 'error', message: `${moduleId} is marked as mastered but its post-test score is ${postTest.score}% (mastery needs ${MASTERY_THRESHOLD}%).` });
+                    }
+                }
+                if (postTest.completed && Number.isFinite(postTest.score)) {
+                    if (!event) {
+                        issues.push({ level: 'warning', message: `${moduleId} post-test ${postTest.score}% has no recorded submission (older data, or restored from another device).` });
+                    } else if (event.score !== postTest.score) {
+                        issues.push({ level: 'error', message: `${moduleId} post-test shows ${postTest.score}% but the last recorded submission scored ${event.score}%.` });
+                    }
+                }
+                if (module.completed === true && module.unlocked !== true) {
+                    issues.push({ level: 'error', message: `${moduleId} is completed but was never unlocked.` });
+                }
+                if (isPlainObject(module.exam)) {
+                    issues.push(...this.checkExam(moduleId, module.exam, postTest, log));
+                }
+            });
+
+            const placement = described.moduleMastery && isPlainObject(described.moduleMastery.placementTest) ? described.moduleMastery.placementTest : null;
+            if (placement && placement.completed === true && Number.isFinite(placement.score)) {
+                const event = lastEvent('placement');
+                if (!event) {
+                    issues.push({ level: 'warning', message: `Placement test score ${placement.score} has no recorded submission.` });
+                } else if (event.score !== placement.score) {
+                    issues.push({ level: 'error', message: `Placement test shows ${placement.score} but the recorded submission scored ${event.score}.` });
+                }
+            }
+            return issues;
+        },
+
+        /**
+         * Compare a module's exam record with the logged exam start and submission
+         * @returns {Array<{level: string, message: string}>}
+         */
+        checkExam: function(moduleId, exam, postTest, log) {
+            const issues = [];
+            const entries = log.filter(entry => entry.moduleId === moduleId && entry.examId === exam.examId);
+            const starts = entries.filter(entry => entry.type === 'examStart').length;
+            const submission = entries.filter(entry => entry.type === 'exam').pop();
+
+            if (starts > 1) {
+                issues.push({ level: 'warning', message: `${moduleId} exam "${exam.examId}" was started ${starts} times.` });
+            }
+            if (!exam.submittedAt) {
+                issues.push({ level: 'warning', message: `${moduleId} exam "${exam.examId}" was started but never submitted.` });
+                return issues;
+            }
+            if (!submission) {
+                issues.push({ level: 'warning', message: `${moduleId} exam "${exam.examId}" has no recorded submission (older data, or restored from another device).` });
+                return issues;
+            }
+            if (submission.score !== exam.score) {
+                issues.push({ level: 'error', message: `${moduleId} exam shows ${exam.score}% but the recorded submission scored ${submission.score}%.` });
+            }
+            if (Number.isFinite(postTest.score) && postTest.score !== exam.score) {
+                issues.push({ level: 'error', message: `${moduleId} post-test shows ${postTest.score}% but the exam scored ${exam.score}%.` });
+            }
+            const retakes = log.filter(entry => entry.type === 'postTest' && entry.moduleId === moduleId && entry.seq > submission.seq).length;
+            if (retakes) {
+                issues.push({ level: 'warning', message: `${moduleId} post-test was submitted ${retakes} more time(s) after the exam.` });
+            }
+            return issues;
+        },
+
+        /**
+         * One line per exam record in the document, for the report
+         * @returns {string[]} e.g. 'module-2: 80% (time ran out)'
+         */
+        describeExams: function(described) {
+            const modules = described.moduleMastery && isPlainObject(described.moduleMastery.modules) ? described.moduleMastery.modules : {};
+            return Object.keys(modules).filter(moduleId => isPlainObject(modules[moduleId]) && isPlainObject(modules[moduleId].exam)).map(moduleId => {
+                const exam = modules[moduleId].exam;
+                if (!exam.submittedAt) return `${moduleId}: started, not submitted`;
+                const minutes = Math.max(1, Math.round((exam.submittedAt - exam.startedAt) / 60000));
+                return `${moduleId}: ${Number.isFinite(exam.score) ? exam.score + '%' : '—'} in ${minutes} min${exam.timedOut ? ' (time ran out)' : ''}`;
+            });
+        },
+
+        /**
+         * Verify a signed document
+         * @param {Object} documentValue - Parsed export / progress code / QR backup
+         * @returns {Promise<{kind: string, learnerName: string|null, signature: string, keyId: string|null,
+         *   signedAt: string|null, events: number, exams: string[], issues: Array<{level: string, message: string}>}>}
+         *   signature is 'valid', 'invalid' or 'missing'
+         */
+        verify: async function(documentValue) {
+            const described = this.describeDocument(documentValue);
+            if (!described) {
+                throw new Error('This file is not a progress export, progress code or QR backup from this site.');
+            }
+            if (!subtle()) {
+                throw new Error('Verification needs a secure (https) connection.');
+            }
+
+            const report = {
+                kind: described.kind,
+                learnerName: described.learnerName,
+                signature: 'missing',
+                keyId: null,
+                signedAt: null,
+                events: 0,
+                exams: this.describeExams(described),
+                issues: []
+            };
+
+            const block = documentValue.integrity;
+            if (!isPlainObject(block)) {
+                report.issues.push({ level: 'error', message: 'The file is not signed, so any part of it could have been edited.' });
+                report.issues.push(...this.checkConsistency(described, []));
+                return report;
+            }
+
+            report.signedAt = typeof block.signedAt === 'string' ? block.signedAt : null;
+            report.events = Array.isArray(block.eventLog) ? block.eventLog.length : 0;
+
+            try {
+                const publicKey = isPlainObject(block.publicKey) ? block.publicKey : {};
+                report.keyId = await this.fingerprint(publicKey);
+                const key = await subtle().importKey('jwk', Object.assign({}, publicKey, { ext: true }), KEY_ALGORITHM, false, ['verify']);
+                const valid = block.keyId === report.keyId && await subtle().verify(SIGNATURE_ALGORITHM, key,
+                    fromBase64(String(block.signature || '')), new TextEncoder().encode(signedMessage(documentValue, block)));
+                report.signature = valid ? 'valid' : 'invalid';
+            } catch (e) {
+                report.signature = 'invalid';
+            }
+            if (report.signature === 'invalid') {
+                report.issues.push({ level: 'error', message: 'The signature does not match: the file was edited after it was exported.' });
+            }
+
+            (await this.checkChain(block.eventLog)).forEach(message => report.issues.push({ level: 'error', message }));
+            report.issues.push(...this.checkConsistency(described, block.eventLog));
+
+            const keyChange = this.checkKnownKey(described.learnerName, report.keyId, report.signature === 'valid');
+            if (keyChange) report.issues.push(keyChange);
+            return report;
+        },
+
+        /**
+         * Remember which key signed each learner's exports on this (teacher's) device
+         * @returns {{level: string, message: string}|null} A warning when the learner's key changed
+         */
+        checkKnownKey: function(learnerName, keyId, trusted) {
+            if (!learnerName || !keyId) return null;
+            let known = {};
+            try {
+                known = JSON.parse(localStorage.getItem(KNOWN_KEYS_KEY) || '{}') || {};
+            } catch (e) {
+                known = {};
+            }
+            const name = learnerName.toLowerCase();
+            const seen = Array.isArray(known[name]) ? known[name] : [];
+            let issue = null;
+            if (seen.length && seen.indexOf(keyId) === -1) {
+                issue = { level: 'warning', message: `"${learnerName}" previously sent files signed by key ${seen[seen.length - 1]}; this one uses ${keyId}. Check they changed device.` };
+            }
+            if (trusted && seen.indexOf(keyId) === -1) {
+                known[name] = seen.concat(keyId).slice(-5);
+                try {
+                    localStorage.setItem(KNOWN_KEYS_KEY, JSON.stringify(known));
+                } catch (e) {
+                    console.warn('Could not remember learner key:', e);
+                }
+            }
+            return issue;
+        },
+
+        /**
+         * Parse a pasted/uploaded export: JSON file, QR backup JSON or base64 progress code
+         * @param {string} text
+         * @returns {Object} Parsed document
+         * @throws {Error} When the text is neither
+         */
+        parseInput: function(text) {
+            const trimmed = String(text || '').trim();
+            if (!trimmed) throw new Error('Choose a file or paste a progress code first.');
+            try {
+                return JSON.parse(trimmed);
+            } catch (e) {
+                try {
+                    return JSON.parse(decodeURIComponent(atob(trimmed)));
+                } catch (codeError) {
+                    throw new Error('Could not read this as a progress export or progress code.');
+                }
+            }
+        },
+
+        renderReport: function(report) {
+            const container = document.getElementById('integrity-report');
+            if (!container) return;
+            const escape = window.escapeHTML || (value => String(value));
+            const errors = report.issues.filter(issue => issue.level === 'error').length;
+            const verdict = errors
+                ? `<p style="color: var(--danger, #dc2626); font-weight: 700;">⚠️ Do not trust this file: ${errors} problem(s) found.</p>`
+                : (report.issues.length
+                    ? '<p style="color: #b45309; font-weight: 700;">🔍 Signature intact, but check the notes below.</p>'
+                    : '<p style="color: #059669; font-weight: 700;">✅ Signature valid and progress consistent with recorded test submissions.</p>');
+            const signatureLabel = { valid: '✅ valid', invalid: '❌ invalid', missing: '❌ not signed' }[report.signature];
+            const issues = report.issues.map(issue =>
+                `<li style="color: ${issue.level === 'error' ? 'var(--danger, #dc2626)' : '#b45309'};">${escape(issue.message)}</li>`).join('');
+
+            container.innerHTML = `
+                ${verdict}
+                <dl style="display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; margin: 0 0 12px 0;">
+                    <dt>Type</dt><dd style="margin: 0;">${escape(report.kind)}</dd>
+                    <dt>Learner</dt><dd style="margin: 0;">${escape(report.learnerName || '(not named)')}</dd>
+                    <dt>Signature</dt><dd style="margin: 0;">${signatureLabel}</dd>
+                    <dt>Device key</dt><dd style="margin: 0;"><code>${escape(report.keyId || '—')}</code></dd>
+                    <dt>Signed</dt><dd style="margin: 0;">${escape(report.signedAt ? new Date(report.signedAt).toLocaleString() : '—')}</dd>
+                    <dt>Test submissions</dt><dd style="margin: 0;">${report.events}</dd>
+                    ${report.exams && report.exams.length ? `<dt>Exams</dt><dd style="margin: 0;">${report.exams.map(line => escape(line)).join('<br>')}</dd>` : ''}
+                </dl>
+                ${issues ? `<ul style="margin: 0 0 0 20px; padding: 0; line-height: 1.6;">${issues}</ul>` : ''}`;
+        },
+
+        /**
+         * Read the verifier form (#integrity-file / #integrity-code) and show the report
+         */
+        verifyFromForm: async function() {
+            const fileInput = document.getElementById('integrity-file');
+            const codeInput = document.getElementById('integrity-code');
+            const container = document.getElementById('integrity-report');
+            try {
+                const file = fileInput && fileInput.files && fileInput.files[0];
+                if (file && window.Storage && file.size > window.Storage.IMPORT_MAX_BYTES) {
+                    throw new Error('This file is too large to be a progress export.');
+                }
+                const text = file ? await file.text() : (codeInput ? codeInput.value : '');
+                this.renderReport(await this.verify(this.parseInput(text)));
+            } catch (e) {
+                if (container) {
+                    container.textContent = e.message;
+                }
+            }
+        }
+    };
+
+    window.ProgressIntegrity = ProgressIntegrity;
+
+})();
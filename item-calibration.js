@@ -0,0 +1,552 @@
+/**
+ * ITEM CALIBRATION MODULE
+ *
+ * Purpose: Let a teacher calibrate question difficulty from a class's exported progress files.
+ *
+ * Responsibilities:
+ * - Read many learners' progress exports and collect each learner's response per item
+ *   (quiz attempts, module pre/post-tests, placement test); only a learner's first attempt counts
+ * - Score matching, ordering and cloze responses with their partial credit (QuestionTypes)
+ * - Classical item statistics: p-value (share correct) and corrected point-biserial
+ *   (correct vs. the learner's share correct on the other items)
+ * - A simple Rasch fit (joint maximum likelihood, items centred on 0 logits) with infit/outfit
+ * - Flag weak items and bad distractors (never chosen, or chosen by stronger learners than the key)
+ * - Offer calibrated copies of placement-test.json, quizzes.json and modules.json with a
+ *   `difficulty` (logits) on every item that had enough responses; AdaptivePlacement and
+ *   QuizModule.orderByDifficulty read that field
+ *
+ * Learners answer different subsets of items, so everything is computed on a sparse
+ * learner × item matrix. Exports from before quiz attempts were recorded still contribute
+ * their module tests and placement answers.
+ *
+ * Dependencies: Storage (validateProgressImport), QuestionTypes, window.DATA, escapeHTML (security.js)
+ * Used by: actions.js (calibration-run, calibration-download)
+ */
+
+(function() {
+    'use strict';
+
+    const MIN_RESPONSES = 10;          // fewer responses: statistics shown but not written back
+    const MIN_OTHER_ITEMS = 3;         // rest-score needs this many other answered items
+    const RARE_DISTRACTOR_SHARE = 0.05;
+    const EASY_P = 0.95;
+    const HARD_P = 0.2;
+    const WEAK_DISCRIMINATION = 0.2;
+    const FIT_RANGE = [0.7, 1.3];
+    const MAX_ITERATIONS = 100;
+    const CONVERGENCE = 0.001;
+    const DIFFICULTY_LIMIT = 6;        // matches the data-schema bounds for `difficulty`
+
+    // Calibrated copies keep each data file's own indentation
+    const DATA_FILES = {
+        placementTest: { file: 'placement-test.json', indent: 4 },
+        quizzes: { file: 'quizzes.json', indent: 2 },
+        modules: { file: 'modules.json', indent: 4 }
+    };
+
+    function mean(values) {
+        return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    }
+
+    function correlation(xs, ys) {
+        const mx = mean(xs);
+        const my = mean(ys);
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        xs.forEach((x, i) => {
+            sxy += (x - mx) * (ys[i] - my);
+            sxx += (x - mx) * (x - mx);
+            syy += (ys[i] - my) * (ys[i] - my);
+        });
+        return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+    }
+
+    function logistic(value) {
+        return 1 / (1 + Math.exp(-value));
+    }
+
+    function round(value, places) {
+        if (!Number.isFinite(value)) return null;
+        const factor = Math.pow(10, places);
+        return Math.round(value * factor) / factor;
+    }
+
+    const ItemCalibration = {
+        lastResult: null,
+
+        /**
+         * Every item with an id in the loaded data
+         * @param {Object} data - window.DATA
+         * @returns {Map<string, Object>} id → { id, source, label, stem, options, correct, file, item }
+         *          (options is empty for matching, ordering and cloze items)
+         */
+        buildItemBank: function(data) {
+            const bank = new Map();
+            const types = window.QuestionTypes;
+            const add = (item, source, label, file, stem) => {
+                if (!item || typeof item.id !== 'string') return;
+                const choice = !types || types.isChoice(item);
+                if (choice && !Array.isArray(item.options)) return;
+                bank.set(item.id, { id: item.id, source, label, stem, options: choice ? item.options : [], correct: item.correct, file, item });
+            };
+            const quizzes = (data && data.quizzes) || {};
+            Object.keys(quizzes).filter(level => Array.isArray(quizzes[level])).forEach(level => {
+                quizzes[level].forEach(q => add(q, 'quiz', `Quiz (${level})`, 'quizzes', q.question));
+            });
+            ((data && data.modules) || []).forEach(module => {
+                ['preTest', 'postTest'].forEach(testType => {
+                    const questions = module[testType] && module[testType].questions;
+                    (questions || []).forEach(q => add(q, testType, `${module.id} ${testType === 'preTest' ? 'pre-test' : 'post-test'}`, 'modules', q.stem));
+                });
+            });
+            const placement = (data && data.placementTest && data.placementTest.questions) || [];
+            placement.forEach(q => add(q, 'placement', `Placement (${q.level || '?'})`, 'placementTest', q.question));
+            return bank;
+        },
+
+        /**
+         * First response per item for one learner
+         * @param {Object} backup - Validated backup ({ userProgress, moduleMastery })
+         * @param {Object} data - window.DATA
+         * @returns {Map<string, number|Array>} item id → option index, or matching/ordering/cloze response
+         */
+        extractResponses: function(backup, data) {
+            const responses = new Map();
+            const record = (id, choice) => {
+                if (typeof id === 'string' && (Number.isInteger(choice) || Array.isArray(choice)) && !responses.has(id)) {
+                    responses.set(id, choice);
+                }
+            };
+
+            const attempts = ((backup.userProgress && backup.userProgress.quizAttempts) || [])
+                .slice()
+                .sort((a, b) => a.at - b.at);
+            // Quiz, module-test and placement attempts alike, so the earliest answer to each item wins
+            attempts.forEach(attempt => attempt.items.forEach(item => record(item.id, item.answer)));
+
+            const mastery = backup.moduleMastery || {};
+            ((data && data.modules) || []).forEach(module => {
+                const progress = mastery.modules && mastery.modules[module.id];
+                if (!progress) return;
+                ['preTest', 'postTest'].forEach(testType => {
+                    const questions = module[testType] && module[testType].questions;
+                    const saved = progress[testType];
+                    // Saved answers are positional; only a complete set lines up with the questions
+                    if (!questions || !saved || !saved.completed || !Array.isArray(saved.answers) ||
+                        saved.answers.length !== questions.length) return;
+                    questions.forEach((q, index) => record(q.id, saved.answers[index]));
+                });
+            });
+
+            const placement = mastery.placementTest;
+            if (placement && placement.completed && Array.isArray(placement.responses)) {
+                placement.responses.forEach(entry => record(entry.id, entry.choice));
+            }
+            return responses;
+        },
+
+        /**
+         * Read export files into one response record per learner
+         * @param {Array<{name: string, text: string}>} files - File names and contents
+         * @returns {{learners: Array, skipped: string[]}} learners: [{ name, responses }]
+         */
+        readExports: function(files) {
+            const byLearner = new Map();
+            const skipped = [];
+            files.forEach(({ name, text }) => {
+                let parsed;
+                try {
+                    parsed = JSON.parse(text);
+                } catch (e) {
+                    skipped.push(`${name}: not valid JSON`);
+                    return;
+                }
+                const result = window.Storage.validateProgressImport(parsed);
+                if (!result.ok) {
+                    skipped.push(`${name}: ${result.error}`);
+                    return;
+                }
+                const responses = this.extractResponses(result.value, window.DATA);
+                if (!responses.size) {
+                    skipped.push(`${name}: no recorded answers`);
+                    return;
+                }
+                // Several exports from the same learner and device: keep the newest one
+                const learnerName = typeof parsed.profileName === 'string' ? parsed.profileName : name;
+                const device = parsed.integrity && typeof parsed.integrity.keyId === 'string' ? parsed.integrity.keyId : name;
+                const key = `${learnerName}|${device}`;
+                const createdAt = Date.parse(parsed.createdAt) || 0;
+                const previous = byLearner.get(key);
+                if (previous) {
+                    skipped.push(`${createdAt >= previous.createdAt ? previous.file : name}: older export of ${learnerName}`);
+                    if (createdAt < previous.createdAt) return;
+                }
+                byLearner.set(key, { name: learnerName, file: name, createdAt, responses });
+            });
+            return { learners: Array.from(byLearner.values()), skipped };
+        },
+
+        /**
+         * Rasch difficulties by joint maximum likelihood.
+         * Learners and items with all-correct or all-wrong responses are set aside until none are left.
+         * @param {Array<Map<string, number>>} scored - Per learner: item id → credit (0–1, partial for matching/ordering/cloze)
+         * @returns {Map<string, Object>} id → { difficulty, se, infit, outfit }
+         */
+        fitRasch: function(scored) {
+            let persons = scored.map((responses, index) => ({ index, responses }));
+            let items = new Set();
+            persons.forEach(p => p.responses.forEach((x, id) => items.add(id)));
+
+            let changed = true;
+            while (changed) {
+                changed = false;
+                const keptItems = new Set();
+                const counts = new Map();
+                persons.forEach(p => p.responses.forEach((x, id) => {
+                    if (!items.has(id)) return;
+                    const c = counts.get(id) || { n: 0, correct: 0 };
+                    c.n++;
+                    c.correct += x;
+                    counts.set(id, c);
+                }));
+                counts.forEach((c, id) => {
+                    if (c.correct > 0 && c.correct < c.n) keptItems.add(id);
+                });
+                const keptPersons = persons.filter(p => {
+                    let n = 0;
+                    let correct = 0;
+                    p.responses.forEach((x, id) => {
+                        if (!keptItems.has(id)) return;
+                        n++;
+                        correct += x;
+                    });
+                    return correct > 0 && correct < n;
+                });
+                if (keptItems.size !== items.size || keptPersons.length !== persons.length) changed = true;
+                items = keptItems;
+                persons = keptPersons;
+            }
+            if (!items.size || !persons.length) return new Map();
+
+            const difficulty = new Map();
+            items.forEach(id => {
+                let n = 0;
+                let correct = 0;
+                persons.forEach(p => {
+                    if (!p.responses.has(id)) return;
+                    n++;
+                    correct += p.responses.get(id);
+                });
+                difficulty.set(id, Math.log((n - correct) / correct));
+            });
+            const ability = persons.map(p => {
+                let n = 0;
+                let correct = 0;
+                p.responses.forEach((x, id) => {
+                    if (!items.has(id)) return;
+                    n++;
+                    correct += x;
+                });
+                return Math.log(correct / (n - correct));
+            });
+            const clampStep = step => Math.max(-1, Math.min(1, step));
+
+            for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+                let largest = 0;
+                persons.forEach((p, k) => {
+                    let residual = 0;
+                    let information = 0;
+                    p.responses.forEach((x, id) => {
+                        if (!items.has(id)) return;
+                        const prob = logistic(ability[k] - difficulty.get(id));
+                        residual += x - prob;
+                        information += prob * (1 - prob);
+                    });
+                    const step = clampStep(residual / information);
+                    ability[k] += step;
+                    largest = Math.max(largest, Math.abs(step));
+                });
+                items.forEach(id => {
+                    let residual = 0;
+                    let information = 0;
+                    persons.forEach((p, k) => {
+                        if (!p.responses.has(id)) return;
+                        const prob = logistic(ability[k] - difficulty.get(id));
+                        residual += p.responses.get(id) - prob;
+                        information += prob * (1 - prob);
+                    });
+                    const step = clampStep(residual / information);
+                    difficulty.set(id, difficulty.get(id) - step);
+                    largest = Math.max(largest, Math.abs(step));
+                });
+                const centre = mean(Array.from(difficulty.values()));
+                difficulty.forEach((value, id) => difficulty.set(id, value - centre));
+                ability.forEach((value, k) => { ability[k] = value - centre; });
+                if (largest < CONVERGENCE) break;
+            }
+
+            const fit = new Map();
+            items.forEach(id => {
+                let information = 0;
+                let squaredResiduals = 0;
+                let standardized = 0;
+                let n = 0;
+                persons.forEach((p, k) => {
+                    if (!p.responses.has(id)) return;
+                    const prob = logistic(ability[k] - difficulty.get(id));
+                    const variance = prob * (1 - prob);
+                    const residual = p.responses.get(id) - prob;
+                    information += variance;
+                    squaredResiduals += residual * residual;
+                    standardized += (residual * residual) / variance;
+                    n++;
+                });
+                fit.set(id, {
+                    difficulty: difficulty.get(id),
+                    se: 1 / Math.sqrt(information),
+                    infit: squaredResiduals / information,
+                    outfit: standardized / n
+                });
+            });
+            return fit;
+        },
+
+        /**
+         * Item statistics and flags for a set of learners
+         * @param {Array} learners - From readExports()
+         * @param {Object} data - window.DATA
+         * @returns {Object} { learnerCount, responseCount, items: [...] } sorted by source then id
+         */
+        analyze: function(learners, data) {
+            const bank = this.buildItemBank(data);
+            const types = window.QuestionTypes;
+            const scored = learners.map(learner => {
+                const map = new Map();
+                learner.responses.forEach((choice, id) => {
+                    const entry = bank.get(id);
+                    if (!entry) return;
+                    map.set(id, types ? types.score(entry.item, choice) : (choice === entry.correct ? 1 : 0));
+                });
+                return map;
+            });
+            const rasch = this.fitRasch(scored);
+
+            const items = [];
+            let responseCount = 0;
+            bank.forEach(entry => {
+                const rows = [];
+                learners.forEach((learner, k) => {
+                    if (!learner.responses.has(entry.id) || !scored[k].has(entry.id)) return;
+                    const x = scored[k].get(entry.id);
+                    let otherN = 0;
+                    let otherCorrect = 0;
+                    scored[k].forEach((value, id) => {
+                        if (id === entry.id) return;
+                        otherN++;
+                        otherCorrect += value;
+                    });
+                    rows.push({ choice: learner.responses.get(entry.id), x, rest: otherN >= MIN_OTHER_ITEMS ? otherCorrect / otherN : null });
+                });
+                if (!rows.length) return;
+                responseCount += rows.length;
+
+                const n = rows.length;
+                const p = mean(rows.map(row => row.x));
+                const withRest = rows.filter(row => row.rest !== null);
+                const discrimination = withRest.length >= 3
+                    ? correlation(withRest.map(row => row.x), withRest.map(row => row.rest))
+                    : null;
+
+                const options = entry.options.map((text, index) => {
+                    const choosers = rows.filter(row => row.choice === index);
+                    const rests = choosers.filter(row => row.rest !== null).map(row => row.rest);
+                    return { index, text, key: index === entry.correct, count: choosers.length, share: choosers.length / n, meanRest: mean(rests), restCount: rests.length };
+                });
+                const keyOption = options[entry.correct];
+
+                const flags = [];
+                if (n < MIN_RESPONSES) flags.push(`only ${n} response(s); not calibrated`);
+                if (p >= EASY_P) flags.push('almost everyone answers correctly');
+                if (p <= HARD_P) flags.push('very few answer correctly — check the key');
+                if (discrimination !== null && discrimination < 0) {
+                    flags.push('negative discrimination: weaker learners do better on this item');
+                } else if (discrimination !== null && discrimination < WEAK_DISCRIMINATION) {
+                    flags.push('weak discrimination');
+                }
+                const fit = rasch.get(entry.id) || null;
+                if (fit && n >= MIN_RESPONSES && (fit.infit < FIT_RANGE[0] || fit.infit > FIT_RANGE[1] ||
+                    fit.outfit < FIT_RANGE[0] || fit.outfit > FIT_RANGE[1])) {
+                    flags.push(`Rasch misfit (infit ${fit.infit.toFixed(2)}, outfit ${fit.outfit.toFixed(2)})`);
+                }
+                options.forEach(option => {
+                    if (option.key) return;
+                    if (n >= MIN_RESPONSES && option.share < RARE_DISTRACTOR_SHARE) {
+                        option.flag = 'hardly anyone chooses this distractor';
+                    } else if (keyOption && option.restCount >= 2 && keyOption.restCount >= 2 &&
+                        option.meanRest > keyOption.meanRest) {
+                        option.flag = 'chosen by stronger learners than the correct answer';
+                    }
+                    if (option.flag) flags.push(`option ${String.fromCharCode(65 + option.index)}: ${option.flag}`);
+                });
+
+                items.push({
+                    id: entry.id,
+                    source: entry.source,
+                    label: entry.label,
+                    stem: entry.stem,
+                    file: entry.file,
+                    n,
+                    p,
+                    discrimination,
+                    difficulty: fit ? fit.difficulty : null,
+                    se: fit ? fit.se : null,
+                    infit: fit ? fit.infit : null,
+                    outfit: fit ? fit.outfit : null,
+                    calibrated: !!fit && n >= MIN_RESPONSES,
+                    options,
+                    flags
+                });
+            });
+            return { learnerCount: learners.length, responseCount, items };
+        },
+
+        /**
+         * Copy of one data file with calibrated `difficulty` written onto its items
+         * @param {string} key - 'placementTest' | 'quizzes' | 'modules'
+         * @param {Object} result - From analyze()
+         * @param {Object} data - window.DATA
+         * @returns {{json: string, count: number}} Serialized copy and number of items updated
+         */
+        buildCalibratedFile: function(key, result, data) {
+            const copy = JSON.parse(JSON.stringify(data[key]));
+            const calibrated = new Map(result.items
+                .filter(item => item.calibrated && item.file === key)
+                .map(item => [item.id, Math.max(-DIFFICULTY_LIMIT, Math.min(DIFFICULTY_LIMIT, round(item.difficulty, 2)))]));
+            let count = 0;
+            const apply = (list) => (list || []).forEach(item => {
+                if (item && calibrated.has(item.id)) {
+                    item.difficulty = calibrated.get(item.id);
+                    count++;
+                }
+            });
+            if (key === 'placementTest') {
+                apply(copy.questions);
+            } else if (key === 'quizzes') {
+                // Skip the 'forms' settings object; only the level pools hold questions
+                Object.keys(copy).filter(level => Array.isArray(copy[level])).forEach(level => apply(copy[level]));
+            } else if (key === 'modules') {
+                copy.forEach(module => {
+                    apply(module.preTest && module.preTest.questions);
+                    apply(module.postTest && module.postTest.questions);
+                });
+            }
+            return { json: JSON.stringify(copy, null, DATA_FILES[key].indent) + '\n', count };
+        },
+
+        renderReport: function(result, skipped) {
+            const container = document.getElementById('calibration-report');
+            if (!container) return;
+            const escape = window.escapeHTML || (value => String(value));
+            const fixed = (value, places) => (Number.isFinite(value) ? value.toFixed(places) : '—');
+
+            const skippedHtml = skipped.length
+                ? `<details style="margin-bottom: 12px;"><summary>${skipped.length} file(s) skipped</summary><ul style="margin: 6px 0 0 20px; padding: 0;">${skipped.map(reason => `<li>${escape(reason)}</li>`).join('')}</ul></details>`
+                : '';
+
+            const downloads = Object.keys(DATA_FILES).map(key => {
+                const count = result.items.filter(item => item.calibrated && item.file === key).length;
+                return count
+                    ? `<button type="button" class="nav-btn" data-action="calibration-download" data-file="${key}" style="padding: 8px 14px; cursor: pointer;">⬇️ ${DATA_FILES[key].file} (${count} item${count === 1 ? '' : 's'})</button>`
+                    : '';
+            }).join('');
+
+            const rows = result.items.map(item => {
+                const options = item.options.map(option => {
+                    const letter = String.fromCharCode(65 + option.index);
+                    const style = option.key ? 'font-weight: 700; color: #059669;' : (option.flag ? 'color: var(--danger, #dc2626);' : '');
+                    return `<span title="${escape(option.text)}" style="${style}">${letter} ${Math.round(option.share * 100)}%</span>`;
+                }).join(' · ');
+                const flags = item.flags.length
+                    ? `<ul style="margin: 4px 0 0 18px; padding: 0; color: #b45309;">${item.flags.map(flag => `<li>${escape(flag)}</li>`).join('')}</ul>`
+                    : '';
+                return `
+                    <tr style="border-top: 1px solid #e5e7eb; vertical-align: top;">
+                        <td><code>${escape(item.id)}</code><br><small>${escape(item.label)}</small></td>
+                        <td>${item.n}</td>
+                        <td>${fixed(item.p, 2)}</td>
+                        <td>${fixed(item.discrimination, 2)}</td>
+                        <td>${fixed(item.difficulty, 2)}${Number.isFinite(item.se) ? ` <small>±${item.se.toFixed(2)}</small>` : ''}</td>
+                        <td>${fixed(item.infit, 2)} / ${fixed(item.outfit, 2)}</td>
+                        <td><div style="max-width: 320px;">${escape(item.stem || '')}</div><div style="margin-top: 4px;">${options}</div>${flags}</td>
+                    </tr>`;
+            }).join('');
+
+            const flagged = result.items.filter(item => item.flags.length).length;
+            container.innerHTML = `
+                ${skippedHtml}
+                <p><strong>${result.learnerCount}</strong> learner(s), <strong>${result.responseCount}</strong> responses, <strong>${result.items.length}</strong> item(s) answered; ${flagged} item(s) flagged.</p>
+                <p style="font-size: 0.9rem; opacity: 0.8;">p = share correct · r = corrected point-biserial · difficulty in logits (0 = average item) · fit = infit / outfit mean-square (0.7–1.3 is fine). Items with fewer than ${MIN_RESPONSES} responses are not written back.</p>
+                ${downloads ? `<div style="display: flex; flex-wrap: wrap; gap: 8px; margin: 8px 0 12px 0;">${downloads}</div>` : ''}
+                <div style="overflow-x: auto;">
+                    <table style="border-collapse: collapse; width: 100%; font-size: 0.9rem;">
+                        <thead><tr style="text-align: left;"><th>Item</th><th>n</th><th>p</th><th>r</th><th>Difficulty</th><th>Fit</th><th>Question and option choices</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`;
+        },
+
+        /**
+         * Read the chosen export files, analyze them and show the report
+         */
+        runFromForm: async function() {
+            const input = document.getElementById('calibration-files');
+            const container = document.getElementById('calibration-report');
+            try {
+                const files = Array.from((input && input.files) || []);
+                if (!files.length) throw new Error('Choose one or more progress export files first.');
+                if (!window.DATA || !window.Storage) throw new Error('Question data is still loading. Try again in a moment.');
+                const maxBytes = window.Storage.IMPORT_MAX_BYTES;
+                const contents = [];
+                const tooLarge = [];
+                for (const file of files) {
+                    if (file.size > maxBytes) {
+                        tooLarge.push(`${file.name}: too large to be a progress export`);
+                        continue;
+                    }
+                    contents.push({ name: file.name, text: await file.text() });
+                }
+                const { learners, skipped } = this.readExports(contents);
+                if (!learners.length) throw new Error('None of the files contained recorded answers.');
+                this.lastResult = this.analyze(learners, window.DATA);
+                this.renderReport(this.lastResult, tooLarge.concat(skipped));
+            } catch (e) {
+                if (container) {
+                    container.textContent = e.message;
+                }
+            }
+        },
+
+        /**
+         * Download a calibrated copy of one data file
+         * @param {string} key - 'placementTest' | 'quizzes' | 'modules'
+         */
+        download: function(key) {
+            if (!this.lastResult || !DATA_FILES[key] || !window.DATA) return;
+            const { json, count } = this.buildCalibratedFile(key, this.lastResult, window.DATA);
+            if (!count) return;
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = DATA_FILES[key].file;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    };
+
+    window.ItemCalibration = ItemCalibration;
+
+})();
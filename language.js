@@ -8,10 +8,12 @@
 
     const STORAGE_KEY = 'preferredLanguage';
     const DEFAULT_LANG = 'en';
+    // Scoped to the active learner profile when the storage adapter is present
+    const store = window.StorageAdapter || localStorage;
 
     // Initialize language on page load
     function initLanguage() {
-        const savedLang = localStorage.getItem(STORAGE_KEY) || DEFAULT_LANG;
+        const savedLang = store.getItem(STORAGE_KEY) || DEFAULT_LANG;
         setLanguage(savedLang);
         updateActiveButton(savedLang);
     }
@@ -37,7 +39,7 @@
         }
 
         // Save preference
-        localStorage.setItem(STORAGE_KEY, lang);
+        store.setItem(STORAGE_KEY, lang);
 
         // Update HTML lang attribute (for accessibility)
         document.documentElement.lang = lang;
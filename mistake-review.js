@@ -0,0 +1,211 @@
+/**
+ * MISTAKE REVIEW MODULE
+ *
+ * Purpose: "Review my mistakes" in the Progress section
+ *
+ * Responsibilities:
+ * - Find the questions whose latest recorded answer was wrong (or only partly right), across
+ *   quizzes, module pre/post-tests and the placement test (userProgress.quizAttempts)
+ * - Replay each one: the learner answers again, then sees the correct answer, what they
+ *   answered last time and the explanation
+ *
+ * Replays are practice only and are not recorded; a question leaves the list once it is
+ * answered correctly in a later quiz or test.
+ *
+ * Dependencies: State, window.DATA, QuestionTypes, escapeHTML (security.js)
+ * Used by: ui.js (ProgressModule.update), actions.js (mistake-answer, mistake-check)
+ */
+
+(function() {
+    'use strict';
+
+    const MAX_SHOWN = 15;
+
+    function formatDuration(ms) {
+        if (!Number.isFinite(ms) || ms <= 0) return '';
+        const minutes = Math.round(ms / 60000);
+        return minutes < 1 ? 'under a minute' : `${minutes} min`;
+    }
+
+    const MistakeReview = {
+        items: [],
+
+        /**
+         * Every question in the loaded data, by id
+         * @param {Object} data - window.DATA
+         * @returns {Map<string, Object>} id → question
+         */
+        questionsById: function(data) {
+            const byId = new Map();
+            const add = list => (Array.isArray(list) ? list : []).forEach(q => {
+                if (q && typeof q.id === 'string') byId.set(q.id, q);
+            });
+            const quizzes = (data && data.quizzes) || {};
+            Object.keys(quizzes).forEach(level => add(quizzes[level]));
+            ((data && data.modules) || []).forEach(module => {
+                add(module.preTest && module.preTest.questions);
+                add(module.postTest && module.postTest.questions);
+            });
+            add(data && data.placementTest && data.placementTest.questions);
+            return byId;
+        },
+
+        /**
+         * Where an attempt came from, for the card heading
+         * @param {Object} attempt - Attempt record
+         * @param {Object} data - window.DATA
+         * @returns {string} e.g. 'Quiz (beginner)', 'Module 2: Irony · post-test'
+         */
+        attemptLabel: function(attempt, data) {
+            if (attempt.source === 'placement') return 'Placement test';
+            if (attempt.source === 'preTest' || attempt.source === 'postTest') {
+                const module = ((data && data.modules) || []).find(m => m.id === attempt.moduleId);
+                return `${module ? module.title : attempt.moduleId} · ${attempt.source === 'preTest' ? 'pre-test' : 'post-test'}`;
+            }
+            return `Quiz (${attempt.level === 'all' ? 'all levels' : attempt.level})`;
+        },
+
+        /**
+         * Questions whose most recent answer earned less than full credit, newest first
+         * @param {Object} progress - userProgress
+         * @param {Object} data - window.DATA
+         * @returns {Array} [{ question, answer, credit, attempt, label }]
+         */
+        collect: function(progress, data) {
+            const questions = this.questionsById(data);
+            const seen = new Set();
+            const mistakes = [];
+            const attempts = ((progress && progress.quizAttempts) || []).slice().sort((a, b) => b.at - a.at);
+            attempts.forEach(attempt => {
+                attempt.items.forEach(item => {
+                    if (seen.has(item.id)) return;
+                    seen.add(item.id);
+                    const question = questions.get(item.id);
+                    if (!question) return;
+                    // Records from before attempt history kept no credit
+                    const credit = Number.isFinite(item.credit) ? item.credit : window.QuestionTypes.score(question, item.answer);
+                    if (credit < 1) {
+                        mistakes.push({ question, answer: item.answer, credit, attempt, label: this.attemptLabel(attempt, data) });
+                    }
+                });
+            });
+            return mistakes;
+        },
+
+        /**
+         * What the learner answered last time, as text
+         * @returns {string}
+         */
+        describeAnswer: function(question, answer) {
+            const types = window.QuestionTypes;
+            if (answer === null || answer === undefined) return '(no answer)';
+            if (!types.isChoice(question)) return types.describeCredit(question, answer);
+            const option = (question.options || [])[answer];
+            return option == null ? '(no answer)' : `${String.fromCharCode(65 + answer)}. ${option}`;
+        },
+
+        render: function() {
+            const container = document.getElementById('mistake-review');
+            if (!container || !window.State || !window.DATA || !window.QuestionTypes) return;
+
+            const all = this.collect(window.State.userProgress, window.DATA);
+            this.items = all.slice(0, MAX_SHOWN);
+            if (!this.items.length) {
+                container.innerHTML = '<p style="color: #666;">No mistakes to review. Questions you miss in quizzes, module tests or the placement test will appear here.</p>';
+                return;
+            }
+
+            const types = window.QuestionTypes;
+            const cards = this.items.map((mistake, index) => {
+                const q = mistake.question;
+                const meta = [
+                    mistake.label,
+                    new Date(mistake.attempt.at).toLocaleDateString(),
+                    formatDuration(mistake.attempt.durationMs)
+                ].filter(Boolean).map(part => window.escapeHTML(part)).join(' · ');
+                const replay = types.isChoice(q)
+                    ? `<div class="quiz-options">${q.options.map((option, optIndex) =>
+                        `<button type="button" class="quiz-option mistake-option" data-action="mistake-answer" data-mistake-index="${index}" data-option="${optIndex}">${window.escapeHTML(`${String.fromCharCode(65 + optIndex)}. ${option}`)}</button>`).join('')}</div>`
+                    : `${types.renderInput(q, `review-${index}`)}<button type="button" class="btn btn-secondary qt-check-btn" data-action="mistake-check" data-mistake-index="${index}">Check answer</button>`;
+                return `
+                    <div class="quiz-question mistake-card" data-mistake-index="${index}">
+                        <p class="mistake-meta">${meta}</p>
+                        <p class="question-stem">${window.escapeHTML(q.stem || q.question)}</p>
+                        ${replay}
+                        <div class="quiz-feedback" id="mistake-feedback-${index}" aria-live="polite"></div>
+                    </div>`;
+            }).join('');
+
+            const more = all.length > this.items.length
+                ? `<p style="color: #666;">Showing the ${this.items.length} most recent of ${all.length} questions to review.</p>`
+                : '';
+            container.innerHTML = `<p>Answer each question again, then compare with the explanation. Questions you get right in a later quiz or test drop off this list.</p>${cards}${more}`;
+        },
+
+        /**
+         * Replay a multiple-choice mistake (data-action="mistake-answer")
+         * @param {number} index - Card index
+         * @param {number} option - Chosen option index
+         */
+        answer: function(index, option) {
+            const mistake = this.items[index];
+            const card = document.querySelector(`.mistake-card[data-mistake-index="${index}"]`);
+            if (!mistake || !card || !Number.isInteger(option)) return;
+            card.querySelectorAll('.mistake-option').forEach((button, optIndex) => {
+                button.disabled = true;
+                if (optIndex === mistake.question.correct) button.classList.add('correct');
+                else if (optIndex === option) button.classList.add('incorrect');
+            });
+            this.showFeedback(index, window.QuestionTypes.score(mistake.question, option));
+        },
+
+        /**
+         * Replay a matching, ordering or cloze mistake (data-action="mistake-check")
+         * @param {number} index - Card index
+         */
+        check: function(index) {
+            const mistake = this.items[index];
+            const card = document.querySelector(`.mistake-card[data-mistake-index="${index}"]`);
+            if (!mistake || !card) return;
+            const types = window.QuestionTypes;
+            const response = types.readResponse(card, mistake.question);
+            if (!types.isComplete(mistake.question, response)) {
+                const feedback = document.getElementById(`mistake-feedback-${index}`);
+                if (feedback) {
+                    feedback.className = 'quiz-feedback show warning';
+                    feedback.textContent = '⚠ Please complete every part';
+                }
+                return;
+            }
+            types.markResult(card, mistake.question, response);
+            const button = card.querySelector('[data-action="mistake-check"]');
+            if (button) button.disabled = true;
+            this.showFeedback(index, types.score(mistake.question, response));
+        },
+
+        /**
+         * Verdict, correct answer, last answer and explanation under a replayed card
+         * @param {number} index - Card index
+         * @param {number} credit - 0–1 for the replay answer
+         */
+        showFeedback: function(index, credit) {
+            const mistake = this.items[index];
+            const feedback = document.getElementById(`mistake-feedback-${index}`);
+            if (!mistake || !feedback) return;
+            const q = mistake.question;
+            const verdict = credit === 1 ? '✓ Right this time!' : (credit > 0 ? '◐ Partly right.' : '✗ Not quite.');
+            const explanation = q.explanation ||
+                (mistake.attempt.moduleId ? 'Review the theory section of this module for the idea behind it.' : '');
+            feedback.className = `quiz-feedback show ${credit === 1 ? 'correct' : 'incorrect'}`;
+            feedback.innerHTML = [
+                `<strong>${window.escapeHTML(verdict)}</strong>`,
+                `Answer: ${window.escapeHTML(window.QuestionTypes.describeCorrect(q))}`,
+                `Last time: ${window.escapeHTML(this.describeAnswer(q, mistake.answer))}`,
+                explanation ? window.escapeHTML(explanation) : ''
+            ].filter(Boolean).map(line => `<div>${line}</div>`).join('');
+        }
+    };
+
+    window.MistakeReview = MistakeReview;
+
+})();
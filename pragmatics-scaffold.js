@@ -327,9 +327,9 @@
         scaffoldVisible: true,
 
         init: function() {
-            // Load from localStorage
+            // Load from storage (teacher mode is per learner profile)
             try {
-                this.teacherModeEnabled = localStorage.getItem('teacherMode') === 'true';
+                this.teacherModeEnabled = (window.StorageAdapter || localStorage).getItem('teacherMode') === 'true';
                 this.scaffoldVisible = localStorage.getItem('scaffoldVisible') !== 'false';
             } catch (e) {
                 this.teacherModeEnabled = false;
@@ -339,7 +339,7 @@
 
         toggleTeacherMode: function() {
             this.teacherModeEnabled = !this.teacherModeEnabled;
-            localStorage.setItem('teacherMode', this.teacherModeEnabled);
+            (window.StorageAdapter || localStorage).setItem('teacherMode', this.teacherModeEnabled);
 
             // Update UI
             this.updateTeacherModeUI();
@@ -0,0 +1,376 @@
+/**
+ * PRINT SHEETS MODULE
+ *
+ * Purpose: Paper versions of quizzes, module pre/post-tests and the placement test
+ *
+ * Responsibilities:
+ * - Build a student sheet (name/date lines, numbered questions, answer bubbles) and a separate
+ *   answer key (quick-marking grid, correct answers, explanations) for any test in the data
+ * - Quizzes: print a new seeded form, or reprint an existing one from its form code; the code
+ *   appears on both sheets so the key always matches
+ * - Use stemUz/optionsUz and Uzbek sheet headings when Uzbek is the active language
+ * - Open the sheets in a print window (print or "Save as PDF"), or download them as an
+ *   HTML file when pop-ups are blocked
+ *
+ * Everything is generated in the browser from window.DATA; nothing is sent anywhere.
+ *
+ * Dependencies: window.DATA, QuizModule (assessment.js), QuestionTypes, escapeHTML (security.js)
+ * Used by: app.js (fillForm), actions.js (print-sheet)
+ */
+
+(function() {
+    'use strict';
+
+    const QUIZ_LEVEL_LABELS = {
+        all: 'All Levels',
+        beginner: 'Beginner (A1-A2)',
+        intermediate: 'Intermediate (B1)',
+        advanced: 'Advanced (B2-C1)'
+    };
+
+    const LABELS = {
+        en: {
+            name: 'Name',
+            date: 'Date',
+            group: 'Class',
+            score: 'Score',
+            form: 'Form',
+            questions: count => `${count} question(s)`,
+            choiceHint: 'Circle the letter of the best answer.',
+            answerKey: 'Answer key',
+            forTeacher: 'For the teacher',
+            quickCheck: 'Quick check',
+            answer: 'Answer',
+            explanation: 'Explanation',
+            englishOnly: ''
+        },
+        uz: {
+            name: 'Ism, familiya',
+            date: 'Sana',
+            group: 'Sinf',
+            score: 'Ball',
+            form: 'Variant',
+            questions: count => `${count} ta savol`,
+            choiceHint: "Eng to'g'ri javob harfini doiraga oling.",
+            answerKey: 'Javoblar kaliti',
+            forTeacher: "O'qituvchi uchun",
+            quickCheck: 'Tez tekshirish',
+            answer: 'Javob',
+            explanation: 'Izoh',
+            englishOnly: 'Bu savol inglizcha beriladi.'
+        }
+    };
+
+    const PRINT_CSS = `
+        @page { margin: 16mm; }
+        body { font-family: Georgia, 'Times New Roman', serif; color: #111; font-size: 11.5pt; line-height: 1.45; margin: 0; }
+        h1 { font-size: 16pt; margin: 0 0 4px 0; }
+        .ps-meta { color: #444; margin: 0 0 12px 0; font-size: 10pt; }
+        .ps-fields { display: flex; gap: 24px; margin: 0 0 14px 0; }
+        .ps-fields span { flex: 1; border-bottom: 1px solid #111; padding-bottom: 2px; }
+        .ps-instructions { font-style: italic; margin: 0 0 12px 0; }
+        .ps-questions { padding-left: 22px; margin: 0; }
+        .ps-question { margin: 0 0 14px 0; break-inside: avoid; page-break-inside: avoid; }
+        .ps-question p { margin: 0 0 4px 0; }
+        .ps-note { font-size: 9pt; color: #555; }
+        .ps-options, .qt-paper-options { list-style: none; padding: 0; margin: 4px 0 0 6px; }
+        .ps-options li, .qt-paper-options li { margin: 2px 0; }
+        .ps-bubble { display: inline-block; width: 1.6em; }
+        .qt-hint { font-size: 9.5pt; color: #444; }
+        .qt-paper-match td { padding: 2px 14px 2px 0; }
+        .qt-paper-line { white-space: nowrap; }
+        .ps-key { break-before: page; page-break-before: always; }
+        .ps-key:first-child { break-before: auto; page-break-before: auto; }
+        h2 { font-size: 12pt; margin: 0 0 6px 0; }
+        .ps-grid { border-collapse: collapse; margin: 0 0 16px 0; font-size: 10pt; }
+        .ps-grid th, .ps-grid td { border: 1px solid #999; padding: 3px 8px; text-align: left; }
+        .ps-key-item { margin: 0 0 10px 0; break-inside: avoid; page-break-inside: avoid; }
+        .ps-key-item p { margin: 0 0 2px 0; }
+        .ps-id { color: #666; font-size: 9pt; }
+    `;
+
+    function escape(value) {
+        return window.escapeHTML ? window.escapeHTML(value) : String(value == null ? '' : value);
+    }
+
+    const PrintSheets = {
+        /**
+         * Every printable test in the loaded data
+         * @param {Object} data - window.DATA
+         * @returns {Array<{value: string, label: string}>} value: 'quiz:<level>' | 'module:<id>:preTest|postTest' | 'placement'
+         */
+        sources: function(data) {
+            const sources = [];
+            if (data && data.quizzes) {
+                Object.keys(QUIZ_LEVEL_LABELS).forEach(level => {
+                    sources.push({ value: `quiz:${level}`, label: `Quiz: ${QUIZ_LEVEL_LABELS[level]}` });
+                });
+            }
+            ((data && data.modules) || []).forEach(module => {
+                ['preTest', 'postTest'].forEach(testType => {
+                    if (!module[testType] || !Array.isArray(module[testType].questions)) return;
+                    sources.push({
+                        value: `module:${module.id}:${testType}`,
+                        label: `${module.title}: ${testType === 'preTest' ? 'pre-test' : 'post-test'}`
+                    });
+                });
+            });
+            if (data && data.placementTest && Array.isArray(data.placementTest.questions)) {
+                sources.push({ value: 'placement', label: `Placement test (all ${data.placementTest.questions.length} questions)` });
+            }
+            return sources;
+        },
+
+        /**
+         * Questions and headings for one source
+         * @param {string} source - A value from sources()
+         * @param {string} [formCode] - Quiz form to reprint; its level wins over the selected one
+         * @returns {{title: string, code: string|null, instructions: string, questions: Array}}
+         * @throws {Error} For an unknown source or a malformed form code
+         */
+        resolve: function(source, formCode) {
+            const data = window.DATA || {};
+            const parts = String(source || '').split(':');
+
+            if (parts[0] === 'quiz' && QUIZ_LEVEL_LABELS[parts[1]] && window.QuizModule) {
+                const code = String(formCode || '').trim();
+                const form = code ? window.QuizModule.formFromCode(code) : window.QuizModule.newForm(parts[1]);
+                if (!form) throw new Error(`"${code}" is not a quiz form code (e.g. intermediate-3f9a0c12).`);
+                return { title: `Quiz: ${QUIZ_LEVEL_LABELS[form.level]}`, code: form.code, instructions: '', questions: form.questions };
+            }
+
+            if (parts[0] === 'module') {
+                const module = (data.modules || []).find(m => m.id === parts[1]);
+                const test = module && (parts[2] === 'preTest' || parts[2] === 'postTest') ? module[parts[2]] : null;
+                if (test && Array.isArray(test.questions)) {
+                    return {
+                        title: `${module.title}: ${parts[2] === 'preTest' ? 'Pre-test' : 'Post-test'}`,
+                        code: null,
+                        instructions: test.instructions || '',
+                        questions: test.questions
+                    };
+                }
+            }
+
+            if (parts[0] === 'placement' && data.placementTest && Array.isArray(data.placementTest.questions)) {
+                return {
+                    title: data.placementTest.title || 'Placement Test',
+                    code: null,
+                    instructions: data.placementTest.description || '',
+                    questions: data.placementTest.questions
+                };
+            }
+
+            throw new Error('That test is not available. Reload the page and try again.');
+        },
+
+        /**
+         * Active interface language
+         * @returns {string} 'en' | 'uz'
+         */
+        language: function() {
+            const lang = (window.StorageAdapter || window.localStorage).getItem('preferredLanguage');
+            return lang === 'uz' ? 'uz' : 'en';
+        },
+
+        /**
+         * Stem and options in the sheet language (Uzbek only where a translation exists)
+         * @param {Object} question - May be a quiz form copy with optionOrder
+         * @param {string} lang - 'en' | 'uz'
+         * @returns {{stem: string, options: string[]|undefined, english: boolean}} english: Uzbek sheet, English item
+         */
+        localize: function(question, lang) {
+            const uz = lang === 'uz';
+            const stem = uz && question.stemUz ? question.stemUz : (question.stem || question.question);
+            let options = question.options;
+            if (uz && Array.isArray(question.optionsUz) && Array.isArray(options) && question.optionsUz.length === options.length) {
+                options = Array.isArray(question.optionOrder)
+                    ? question.optionOrder.map(index => question.optionsUz[index])
+                    : question.optionsUz;
+            }
+            return { stem, options, english: uz && !question.stemUz };
+        },
+
+        /**
+         * Title line shared by both sheets
+         * @param {Object} sheet - From resolve()
+         * @param {string} lang - 'en' | 'uz'
+         * @param {string} heading - e.g. 'Answer key (For the teacher)'; '' on the student sheet
+         * @returns {string} HTML
+         */
+        headerHTML: function(sheet, lang, heading) {
+            const t = LABELS[lang];
+            const meta = [heading, sheet.code ? `${t.form} ${sheet.code}` : '', t.questions(sheet.questions.length)]
+                .filter(Boolean).map(escape).join(' · ');
+            return `<h1>${escape(sheet.title)}</h1><p class="ps-meta">${meta}</p>`;
+        },
+
+        /**
+         * Student sheet
+         * @param {Object} sheet - From resolve()
+         * @param {string} lang - 'en' | 'uz'
+         * @returns {string} HTML section
+         */
+        studentHTML: function(sheet, lang) {
+            const t = LABELS[lang];
+            const types = window.QuestionTypes;
+            const items = sheet.questions.map(question => {
+                const text = this.localize(question, lang);
+                const note = text.english && t.englishOnly ? `<p class="ps-note">${escape(t.englishOnly)}</p>` : '';
+                const answer = types && !types.isChoice(question)
+                    ? types.renderPaper(question)
+                    : `<ul class="ps-options">${(text.options || []).map((option, i) =>
+                        `<li><span class="ps-bubble">○</span>${String.fromCharCode(65 + i)}. ${escape(option)}</li>`).join('')}</ul>`;
+                return `<li class="ps-question"><p>${escape(text.stem)}</p>${note}${answer}</li>`;
+            }).join('');
+            const instructions = [sheet.instructions, sheet.questions.some(q => !types || types.isChoice(q)) ? t.choiceHint : '']
+                .filter(Boolean).map(escape).join(' ');
+            return `<section class="ps-student">
+                ${this.headerHTML(sheet, lang, '')}
+                <div class="ps-fields"><span>${escape(t.name)}:</span><span>${escape(t.group)}:</span><span>${escape(t.date)}:</span></div>
+                <div class="ps-fields"><span>${escape(t.score)}: &nbsp;&nbsp;&nbsp;&nbsp; / ${sheet.questions.length}</span></div>
+                ${instructions ? `<p class="ps-instructions">${instructions}</p>` : ''}
+                <ol class="ps-questions">${items}</ol>
+            </section>`;
+        },
+
+        /**
+         * Answer key: a grid for quick marking, then each answer with its explanation
+         * @param {Object} sheet - From resolve()
+         * @param {string} lang - 'en' | 'uz'
+         * @returns {string} HTML section
+         */
+        keyHTML: function(sheet, lang) {
+            const t = LABELS[lang];
+            const types = window.QuestionTypes;
+            const keyFor = (question, text) => {
+                if (types && !types.isChoice(question)) {
+                    return `${types.describePaperKey(question)} (${types.describeCorrect(question)})`;
+                }
+                const option = (text.options || [])[question.correct];
+                return option == null ? '' : `${String.fromCharCode(65 + question.correct)}. ${option}`;
+            };
+
+            const grid = sheet.questions.map((question, i) => {
+                const short = types && !types.isChoice(question)
+                    ? types.describePaperKey(question)
+                    : String.fromCharCode(65 + question.correct);
+                return `<tr><td>${i + 1}</td><td>${escape(short)}</td></tr>`;
+            }).join('');
+
+            const items = sheet.questions.map((question, i) => {
+                const text = this.localize(question, lang);
+                const id = [question.id, question.skill].filter(Boolean).join(' · ');
+                return `<div class="ps-key-item">
+                    <p><strong>${i + 1}.</strong> ${escape(text.stem)}${id ? ` <span class="ps-id">(${escape(id)})</span>` : ''}</p>
+                    <p>✓ <strong>${escape(t.answer)}:</strong> ${escape(keyFor(question, text))}</p>
+                    ${question.explanation ? `<p><em>${escape(t.explanation)}:</em> ${escape(question.explanation)}</p>` : ''}
+                </div>`;
+            }).join('');
+
+            return `<section class="ps-key">
+                ${this.headerHTML(sheet, lang, `${t.answerKey} (${t.forTeacher})`)}
+                <h2>${escape(t.quickCheck)}</h2>
+                <table class="ps-grid"><thead><tr><th>#</th><th>${escape(t.answer)}</th></tr></thead><tbody>${grid}</tbody></table>
+                ${items}
+            </section>`;
+        },
+
+        /**
+         * Complete printable document
+         * @param {Object} sheet - From resolve()
+         * @param {{student: boolean, key: boolean}} parts - Sheets to include; the key starts on a new page
+         * @param {string} lang - 'en' | 'uz'
+         * @returns {string} HTML document
+         */
+        documentHTML: function(sheet, parts, lang) {
+            const t = LABELS[lang];
+            const title = `${sheet.title}${sheet.code ? ` (${sheet.code})` : ''}${parts.student ? '' : ` · ${t.answerKey}`}`;
+            return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)}</title>
+<style>${PRINT_CSS}</style>
+</head>
+<body>
+${parts.student ? this.studentHTML(sheet, lang) : ''}
+${parts.key ? this.keyHTML(sheet, lang) : ''}
+</body>
+</html>
+`;
+        },
+
+        /**
+         * Show a document in a print window, or download it when the window cannot be opened
+         * @param {string} html - From documentHTML()
+         * @param {string} fileName - Used for the download fallback
+         * @returns {string} 'printed' | 'downloaded'
+         */
+        output: function(html, fileName) {
+            const win = window.open('', '_blank');
+            if (win && win.document) {
+                win.document.open();
+                win.document.write(html);
+                win.document.close();
+                win.focus();
+                win.print();
+                return 'printed';
+            }
+            const blob = new Blob([html], { type: 'text/html' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            return 'downloaded';
+        },
+
+        // ========================================
+        // TEACHER FORM
+        // ========================================
+        /**
+         * List the available tests in #print-source
+         */
+        fillForm: function() {
+            const select = document.getElementById('print-source');
+            if (!select) return;
+            select.innerHTML = this.sources(window.DATA).map(source =>
+                `<option value="${escape(source.value)}">${escape(source.label)}</option>`).join('');
+        },
+
+        /**
+         * Print the test chosen in the teacher form (data-action="print-sheet")
+         */
+        printFromForm: function() {
+            const status = document.getElementById('print-status');
+            const value = id => {
+                const el = document.getElementById(id);
+                return el ? String(el.value).trim() : '';
+            };
+            try {
+                const source = value('print-source');
+                const sheet = this.resolve(source, source.startsWith('quiz:') ? value('print-form-code') : '');
+                const include = value('print-parts') || 'both';
+                const parts = { student: include !== 'key', key: include !== 'student' };
+                const lang = this.language();
+                const fileName = `${(sheet.code || source.replace(/:/g, '-')).replace(/[^a-z0-9-]/gi, '')}-${include}.html`;
+                const result = this.output(this.documentHTML(sheet, parts, lang), fileName);
+                if (status) {
+                    status.textContent = (result === 'printed'
+                        ? 'Opened in a print window. Choose "Save as PDF" as the printer to get a PDF.'
+                        : 'Pop-ups are blocked, so the sheets were downloaded as an HTML file; open it and print.') +
+                        (sheet.code ? ` Quiz form ${sheet.code}: enter this code to reprint the same form or its answer key.` : '');
+                }
+            } catch (e) {
+                if (status) status.textContent = e.message;
+            }
+        }
+    };
+
+    window.PrintSheets = PrintSheets;
+
+})();
@@ -0,0 +1,372 @@
+/**
+ * LEARNER PROFILES MODULE
+ *
+ * Purpose: Let several learners share one device (classroom tablets) without
+ * mixing up their progress.
+ *
+ * Responsibilities:
+ * - Keep a device-wide registry of named profiles in localStorage ('learnerProfiles')
+ * - Provide the key prefix StorageAdapter uses to namespace per-learner keys
+ * - Optional PIN per profile (stored as a salted SHA-256 hash), settable and changeable later
+ * - Render the profile switcher in Settings
+ *
+ * The built-in 'default' profile uses unprefixed keys, so progress saved before
+ * profiles existed belongs to it without any migration. Switching profiles reloads
+ * the page so every module starts from the new learner's data.
+ *
+ * Dependencies: None (loaded before storage-adapter.js)
+ * Used by: StorageAdapter, Storage.exportProgress, actions.js (profile-* actions)
+ */
+
+(function() {
+    'use strict';
+
+    const REGISTRY_KEY = 'learnerProfiles';
+    const DEFAULT_PROFILE_ID = 'default';
+    const MAX_PROFILES = 40;
+    const MAX_NAME_LENGTH = 40;
+    const PIN_PATTERN = /^\d{4,8}$/;
+
+    function defaultRegistry() {
+        return {
+            version: 1,
+            activeId: DEFAULT_PROFILE_ID,
+            profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Learner 1', pinHash: null, createdAt: null }]
+        };
+    }
+
+    function isValidProfile(profile) {
+        return profile && typeof profile === 'object' &&
+            typeof profile.id === 'string' && /^[\w-]{1,40}$/.test(profile.id) &&
+            typeof profile.name === 'string';
+    }
+
+    const LearnerProfiles = {
+        DEFAULT_PROFILE_ID: DEFAULT_PROFILE_ID,
+        registry: null,
+
+        loadRegistry: function() {
+            let registry = null;
+            try {
+                registry = JSON.parse(localStorage.getItem(REGISTRY_KEY) || 'null');
+            } catch (e) {
+                console.warn('Learner profile registry is unreadable; starting with the default profile.', e);
+            }
+
+            if (!registry || !Array.isArray(registry.profiles)) {
+                registry = defaultRegistry();
+            }
+            registry.profiles = registry.profiles.filter(isValidProfile).slice(0, MAX_PROFILES);
+            if (!registry.profiles.some(profile => profile.id === DEFAULT_PROFILE_ID)) {
+                registry.profiles.unshift(defaultRegistry().profiles[0]);
+            }
+            if (!registry.profiles.some(profile => profile.id === registry.activeId)) {
+                registry.activeId = DEFAULT_PROFILE_ID;
+            }
+
+            this.registry = registry;
+            return registry;
+        },
+
+        saveRegistry: function() {
+            try {
+                localStorage.setItem(REGISTRY_KEY, JSON.stringify(this.registry));
+                return true;
+            } catch (e) {
+                console.error('Failed to save learner profiles:', e);
+                return false;
+            }
+        },
+
+        /**
+         * @returns {Array<{id: string, name: string, pinHash: string|null, createdAt: string|null}>}
+         */
+        list: function() {
+            return this.registry.profiles.slice();
+        },
+
+        getProfile: function(id) {
+            return this.registry.profiles.find(profile => profile.id === id) || null;
+        },
+
+        getActive: function() {
+            return this.getProfile(this.registry.activeId);
+        },
+
+        /**
+         * Prefix for per-learner storage keys
+         * @param {string} id - Profile id (defaults to the active profile)
+         * @returns {string} '' for the default profile, otherwise 'profile.<id>.'
+         */
+        keyPrefix: function(id = this.registry.activeId) {
+            return id === DEFAULT_PROFILE_ID ? '' : 'profile.' + id + '.';
+        },
+
+        /**
+         * Hash a PIN with the profile id as salt
+         * @param {string} id - Profile id
+         * @param {string} pin - 4-8 digits
+         * @returns {Promise<string>} Hex digest
+         */
+        hashPin: async function(id, pin) {
+            if (!window.crypto || !window.crypto.subtle) {
+                throw new Error('PINs need a secure (https) connection.');
+            }
+            const bytes = new TextEncoder().encode('pragmatics-profile:' + id + ':' + pin);
+            const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+            return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+        },
+
+        /**
+         * Check a PIN against a profile (true for profiles without one)
+         * @param {Object} profile - Registry entry
+         * @param {string} pin - Entered PIN
+         * @returns {Promise<boolean>}
+         */
+        verifyPin: async function(profile, pin) {
+            if (!profile.pinHash) return true;
+            return (await this.hashPin(profile.id, String(pin || '').trim())) === profile.pinHash;
+        },
+
+        /**
+         * Ask for and check a profile's PIN (resolves true for profiles without one)
+         * @param {Object} profile - Registry entry
+         * @returns {Promise<boolean>}
+         */
+        confirmPin: async function(profile) {
+            if (!profile.pinHash) return true;
+            const pin = prompt(`Enter the PIN for "${profile.name}":`);
+            if (pin === null) return false;
+            const ok = await this.verifyPin(profile, pin);
+            if (!ok) {
+                this.toast('Incorrect PIN.', 'error');
+            }
+            return ok;
+        },
+
+        /**
+         * Add a profile
+         * @param {string} name - Display name
+         * @param {string} pin - Optional 4-8 digit PIN ('' for none)
+         * @returns {Promise<Object>} The new registry entry
+         * @throws {Error} On invalid input or when the profile limit is reached
+         */
+        create: async function(name, pin = '') {
+            const cleanName = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+            if (!cleanName) {
+                throw new Error('Please enter a name for the learner.');
+            }
+            if (this.registry.profiles.some(profile => profile.name.toLowerCase() === cleanName.toLowerCase())) {
+                throw new Error(`A learner called "${cleanName}" already exists.`);
+            }
+            if (this.registry.profiles.length >= MAX_PROFILES) {
+                throw new Error(`This device already has ${MAX_PROFILES} learners. Remove one first.`);
+            }
+            const cleanPin = String(pin || '').trim();
+            if (cleanPin && !PIN_PATTERN.test(cleanPin)) {
+                throw new Error('A PIN must be 4 to 8 digits.');
+            }
+
+            const id = 'p-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+            const profile = {
+                id,
+                name: cleanName,
+                pinHash: cleanPin ? await this.hashPin(id, cleanPin) : null,
+                createdAt: new Date().toISOString()
+            };
+            this.registry.profiles.push(profile);
+            this.saveRegistry();
+            return profile;
+        },
+
+        /**
+         * Add, change or remove a profile's PIN
+         * @param {string} id - Profile id
+         * @param {string} newPin - 4-8 digit PIN ('' to remove the PIN)
+         * @param {string} currentPin - The existing PIN (ignored when the profile has none)
+         * @returns {Promise<Object>} The updated registry entry
+         * @throws {Error} On an unknown profile, a wrong current PIN or an invalid new PIN
+         */
+        setPin: async function(id, newPin, currentPin = '') {
+            const profile = this.getProfile(id);
+            if (!profile) {
+                throw new Error('That learner no longer exists on this device.');
+            }
+            if (!(await this.verifyPin(profile, currentPin))) {
+                throw new Error('Incorrect PIN.');
+            }
+            const cleanPin = String(newPin || '').trim();
+            if (cleanPin && !PIN_PATTERN.test(cleanPin)) {
+                throw new Error('A PIN must be 4 to 8 digits.');
+            }
+
+            profile.pinHash = cleanPin ? await this.hashPin(id, cleanPin) : null;
+            this.saveRegistry();
+            return profile;
+        },
+
+        /**
+         * Ask for the current and new PIN of the active profile and save the change
+         * @param {string} id - Profile id (must be the active profile)
+         * @returns {Promise<boolean>} false when cancelled or rejected
+         */
+        changePinFromPrompt: async function(id) {
+            const profile = this.getProfile(id);
+            if (!profile || id !== this.registry.activeId) return false;
+
+            let currentPin = '';
+            if (profile.pinHash) {
+                currentPin = prompt(`Enter the current PIN for "${profile.name}":`);
+                if (currentPin === null) return false;
+                if (!(await this.verifyPin(profile, currentPin))) {
+                    this.toast('Incorrect PIN.', 'error');
+                    return false;
+                }
+            }
+
+            const newPin = prompt(profile.pinHash
+                ? 'Enter a new 4-8 digit PIN, or leave it empty to remove the PIN:'
+                : `Choose a 4-8 digit PIN for "${profile.name}":`);
+            if (newPin === null || (!newPin.trim() && !profile.pinHash)) return false;
+            if (newPin.trim()) {
+                const repeated = prompt('Enter the new PIN again:');
+                if (repeated === null) return false;
+                if (repeated.trim() !== newPin.trim()) {
+                    this.toast('The PINs did not match. Nothing was changed.', 'error');
+                    return false;
+                }
+            }
+
+            try {
+                await this.setPin(id, newPin, currentPin);
+            } catch (e) {
+                this.toast(e.message, 'error');
+                return false;
+            }
+            this.render();
+            this.toast(profile.pinHash ? `PIN saved for ${profile.name}` : `PIN removed for ${profile.name}`, 'success');
+            return true;
+        },
+
+        /**
+         * Make another profile active and reload into it
+         * @param {string} id - Profile id
+         * @returns {Promise<boolean>} false when cancelled or the PIN was wrong
+         */
+        switchTo: async function(id) {
+            const profile = this.getProfile(id);
+            if (!profile || id === this.registry.activeId) return false;
+            if (!(await this.confirmPin(profile))) return false;
+
+            // Let pending IndexedDB writes for the current learner land first
+            if (window.StorageAdapter && typeof window.StorageAdapter.flush === 'function') {
+                await window.StorageAdapter.flush();
+            }
+            this.registry.activeId = id;
+            this.saveRegistry();
+            location.reload();
+            return true;
+        },
+
+        /**
+         * Delete a profile and all of its stored data
+         * @param {string} id - Profile id (not the default or active profile)
+         * @returns {Promise<boolean>}
+         */
+        remove: async function(id) {
+            const profile = this.getProfile(id);
+            if (!profile || id === DEFAULT_PROFILE_ID || id === this.registry.activeId) return false;
+            if (!confirm(`Delete "${profile.name}" and all of their progress on this device? This cannot be undone.`)) {
+                return false;
+            }
+            if (!(await this.confirmPin(profile))) return false;
+
+            if (window.StorageAdapter && typeof window.StorageAdapter.removeKeysWithPrefix === 'function') {
+                window.StorageAdapter.removeKeysWithPrefix(this.keyPrefix(id));
+            }
+            this.registry.profiles = this.registry.profiles.filter(entry => entry.id !== id);
+            this.saveRegistry();
+            this.render();
+            this.toast(`Removed ${profile.name}`, 'success');
+            return true;
+        },
+
+        toast: function(message, type = 'info') {
+            if (window.UI && typeof window.UI.toast === 'function') {
+                window.UI.toast(message, type);
+            } else if (type === 'error') {
+                alert(message);
+            } else {
+                console.log(message);
+            }
+        },
+
+        /**
+         * Read the "add learner" form in Settings and create a profile
+         */
+        createFromForm: async function() {
+            const nameInput = document.getElementById('profile-new-name');
+            const pinInput = document.getElementById('profile-new-pin');
+            try {
+                const profile = await this.create(nameInput ? nameInput.value : '', pinInput ? pinInput.value : '');
+                if (nameInput) nameInput.value = '';
+                if (pinInput) pinInput.value = '';
+                this.render();
+                this.toast(`Added ${profile.name}`, 'success');
+            } catch (e) {
+                this.toast(e.message, 'error');
+            }
+        },
+
+        /**
+         * Render the profile switcher into #profile-switcher
+         */
+        render: function() {
+            const container = document.getElementById('profile-switcher');
+            if (!container) return;
+
+            const escape = window.escapeHTML || (value => String(value));
+            const activeId = this.registry.activeId;
+            const rows = this.registry.profiles.map(profile => {
+                const isActive = profile.id === activeId;
+                const lock = profile.pinHash ? ' <span title="PIN protected" aria-label="PIN protected">🔒</span>' : '';
+                let actions = '';
+                if (isActive) {
+                    actions = `<button type="button" class="nav-btn" data-action="profile-pin" data-profile-id="${escape(profile.id)}" style="padding: 6px 14px;">${profile.pinHash ? 'Change PIN' : 'Set PIN'}</button>` +
+                        ' <span style="color: #059669; font-weight: 600;">Active</span>';
+                } else {
+                    actions = `<button type="button" class="nav-btn" data-action="profile-switch" data-profile-id="${escape(profile.id)}" style="padding: 6px 14px;">Switch</button>`;
+                    if (profile.id !== DEFAULT_PROFILE_ID) {
+                        actions += ` <button type="button" class="nav-btn" data-action="profile-delete" data-profile-id="${escape(profile.id)}" style="padding: 6px 14px; background: var(--danger); color: white;" aria-label="Delete ${escape(profile.name)}">Delete</button>`;
+                    }
+                }
+                return `
+                    <li style="display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 10px 0; border-bottom: 1px solid #e5e7eb;">
+                        <span style="font-weight: ${isActive ? '700' : '500'};">👤 ${escape(profile.name)}${lock}</span>
+                        <span>${actions}</span>
+                    </li>`;
+            }).join('');
+
+            container.innerHTML = `
+                <ul style="list-style: none; margin: 0 0 16px 0; padding: 0;">${rows}</ul>
+                <div style="display: flex; gap: 8px; flex-wrap: wrap; align-items: center;">
+                    <label for="profile-new-name" class="sr-only">Learner name</label>
+                    <input type="text" id="profile-new-name" maxlength="${MAX_NAME_LENGTH}" placeholder="New learner name" style="padding: 8px 10px; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <label for="profile-new-pin" class="sr-only">Optional PIN</label>
+                    <input type="password" id="profile-new-pin" inputmode="numeric" maxlength="8" placeholder="PIN (optional)" autocomplete="new-password" style="padding: 8px 10px; border: 1px solid #d1d5db; border-radius: 6px; width: 140px;">
+                    <button type="button" class="nav-btn" data-action="profile-create" style="padding: 8px 16px; background: #6366f1; color: white;">Add Learner</button>
+                </div>`;
+        }
+    };
+
+    LearnerProfiles.loadRegistry();
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => LearnerProfiles.render());
+    } else {
+        LearnerProfiles.render();
+    }
+
+    window.LearnerProfiles = LearnerProfiles;
+
+})();
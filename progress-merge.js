@@ -0,0 +1,494 @@
+/**
+ * PROGRESS MERGE MODULE
+ *
+ * Purpose: Combine progress from a backup (file import, QR code, progress code)
+ * with the progress already on this device instead of overwriting it.
+ *
+ * Responsibilities:
+ * - Merge two progress snapshots: union read/completed/favourite sets, keep the best
+ *   test score per module, keep both reflections when they differ, keep the newer GTVH joke analysis
+ *   and keep module steps (GTVH lab, role-play) done on either side
+ * - Describe what a restore would change ("+12 jokes read", "module-3 post-test 80% → 90%")
+ * - Ask the learner to choose Merge or Replace in a preview dialog before anything is saved
+ *
+ * Both inputs must already be migrated and validated (Storage.validateUserProgress /
+ * Storage.validateModuleMastery); the merge never mutates them.
+ *
+ * Dependencies: Storage, State (state.js)
+ * Used by: Storage.confirmRestore (file import, restoreFromCode and QR restore)
+ */
+
+(function() {
+    'use strict';
+
+    const NOTE_SEPARATOR = '\n\n— merged from backup —\n';
+    const MAX_REFLECTION_ENTRIES = 200;
+
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    // JSON with sorted keys, so equal objects compare equal regardless of key order
+    function stableStringify(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(stableStringify).join(',') + ']';
+        }
+        if (isPlainObject(value)) {
+            return '{' + Object.keys(value).filter(key => value[key] !== undefined).sort()
+                .map(key => JSON.stringify(key) + ':' + stableStringify(value[key])).join(',') + '}';
+        }
+        return value === undefined ? 'null' : JSON.stringify(value);
+    }
+
+    function union(current, incoming) {
+        const seen = new Set();
+        return [].concat(current || [], incoming || []).filter(item => {
+            const key = stableStringify(item);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }).map(clone);
+    }
+
+    // Score histories have no ids: keep the shared prefix once, then both devices' additions
+    function mergeHistory(current, incoming) {
+        const a = Array.isArray(current) ? current : [];
+        const b = Array.isArray(incoming) ? incoming : [];
+        let shared = 0;
+        while (shared < a.length && shared < b.length && stableStringify(a[shared]) === stableStringify(b[shared])) {
+            shared++;
+        }
+        return clone(a.concat(b.slice(shared)));
+    }
+
+    // Free-text notes per key; differing texts are both kept
+    function mergeNotes(current, incoming) {
+        const merged = Object.assign({}, clone(current) || {});
+        Object.keys(incoming || {}).forEach(key => {
+            const mine = merged[key];
+            const theirs = incoming[key];
+            if (typeof mine !== 'string' || !mine.trim()) {
+                merged[key] = clone(theirs);
+            } else if (typeof theirs === 'string' && theirs.trim() && mine.indexOf(theirs) === -1 && theirs.indexOf(mine) === -1) {
+                merged[key] = mine + NOTE_SEPARATOR + theirs;
+            }
+        });
+        return merged;
+    }
+
+    // Whole analyses per joke: the one edited last wins, since half of one with half of another makes no sense
+    function mergeAnalyses(current, incoming) {
+        const merged = Object.assign({}, clone(current) || {});
+        Object.keys(incoming || {}).forEach(jokeId => {
+            const mine = merged[jokeId];
+            const theirs = incoming[jokeId];
+            if (!isPlainObject(mine) || (isPlainObject(theirs) && (theirs.updatedAt || 0) > (mine.updatedAt || 0))) {
+                merged[jokeId] = clone(theirs);
+            }
+        });
+        return merged;
+    }
+
+    // Progress of module step types without a field of their own: done on either side stays done,
+    // and the record completed last brings its notes
+    function mergeSteps(current, incoming) {
+        const merged = Object.assign({}, clone(current) || {});
+        Object.keys(incoming || {}).forEach(type => {
+            const mine = merged[type];
+            const theirs = incoming[type];
+            if (!isPlainObject(theirs)) return;
+            if (!isPlainObject(mine)) {
+                merged[type] = clone(theirs);
+                return;
+            }
+            const newer = (theirs.completedAt || 0) > (mine.completedAt || 0) ? theirs : mine;
+            merged[type] = Object.assign(clone(newer), { completed: mine.completed === true || theirs.completed === true });
+        });
+        return merged;
+    }
+
+    function hasContent(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        if (isPlainObject(value)) return Object.keys(value).length > 0;
+        return typeof value === 'string' ? value.length > 0 : !!value;
+    }
+
+    function laterOf(a, b) {
+        if (a === null || a === undefined) return b;
+        if (b === null || b === undefined) return a;
+        return a >= b ? a : b;
+    }
+
+    function earlierOf(a, b) {
+        if (!Number.isFinite(a)) return Number.isFinite(b) ? b : a;
+        if (!Number.isFinite(b)) return a;
+        return Math.min(a, b);
+    }
+
+    // Best completed attempt wins; ties go to the more recent attempt
+    function mergeTest(current, incoming) {
+        const a = isPlainObject(current) ? current : {};
+        const b = isPlainObject(incoming) ? incoming : {};
+        if (!b.completed) return clone(current);
+        if (!a.completed) return clone(incoming);
+        const scoreA = Number.isFinite(a.score) ? a.score : -1;
+        const scoreB = Number.isFinite(b.score) ? b.score : -1;
+        if (scoreB > scoreA || (scoreB === scoreA && (b.completedAt || 0) > (a.completedAt || 0))) {
+            return clone(incoming);
+        }
+        return clone(current);
+    }
+
+    // A submitted exam wins over one still running; otherwise the earlier start stands,
+    // so a second device cannot restart the clock
+    function mergeExam(current, incoming) {
+        if (!isPlainObject(incoming)) return clone(current);
+        if (!isPlainObject(current) || current.examId !== incoming.examId) {
+            return (isPlainObject(current) && (current.startedAt || 0) > (incoming.startedAt || 0)) ? clone(current) : clone(incoming);
+        }
+        if (Boolean(current.submittedAt) !== Boolean(incoming.submittedAt)) {
+            return clone(current.submittedAt ? current : incoming);
+        }
+        return clone((incoming.startedAt || 0) < (current.startedAt || 0) ? incoming : current);
+    }
+
+    function mergeReflections(current, incoming) {
+        const a = isPlainObject(current) ? current : {};
+        const b = isPlainObject(incoming) ? incoming : {};
+        const responsesA = a.reflection && a.reflection.responses;
+        const responsesB = b.reflection && b.reflection.responses;
+
+        // Every distinct reflection is kept in the history; the newest one is shown as the current answer
+        const history = union(union(a.reflectionData, b.reflectionData), [responsesA, responsesB].filter(hasContent));
+
+        let responses = clone(responsesA);
+        if (!hasContent(responsesA) || (hasContent(responsesB) &&
+            String((responsesB && responsesB.timestamp) || '') > String((responsesA && responsesA.timestamp) || ''))) {
+            responses = clone(responsesB);
+        }
+
+        return {
+            reflection: {
+                completed: !!((a.reflection && a.reflection.completed) || (b.reflection && b.reflection.completed)),
+                responses: responses === undefined ? {} : responses
+            },
+            reflectionData: history.slice(-MAX_REFLECTION_ENTRIES)
+        };
+    }
+
+    function mergeModule(current, incoming) {
+        if (!isPlainObject(incoming)) return clone(current);
+        if (!isPlainObject(current)) return clone(incoming);
+
+        const merged = clone(current);
+        ['unlocked', 'started', 'completed', 'masteryAchieved'].forEach(flag => {
+            merged[flag] = current[flag] === true || incoming[flag] === true;
+        });
+        merged.masteryScore = Math.max(current.masteryScore || 0, incoming.masteryScore || 0);
+        merged.timeSpent = Math.max(current.timeSpent || 0, incoming.timeSpent || 0);
+        merged.lastAccessed = laterOf(current.lastAccessed, incoming.lastAccessed);
+        merged.completionDate = earlierOf(current.completionDate, incoming.completionDate);
+        const lastReviewDate = laterOf(current.lastReviewDate, incoming.lastReviewDate);
+        if (lastReviewDate !== undefined) merged.lastReviewDate = lastReviewDate;
+
+        merged.preTest = mergeTest(current.preTest, incoming.preTest);
+        merged.postTest = mergeTest(current.postTest, incoming.postTest);
+        const exam = mergeExam(current.exam, incoming.exam);
+        if (exam !== undefined) merged.exam = exam;
+
+        const theoryA = current.theory || {};
+        const theoryB = incoming.theory || {};
+        merged.theory = {
+            completed: theoryA.completed === true || theoryB.completed === true,
+            sectionsRead: union(theoryA.sectionsRead, theoryB.sectionsRead)
+        };
+
+        const jokesA = current.jokes || {};
+        const jokesB = incoming.jokes || {};
+        merged.jokes = {
+            analyzed: union(jokesA.analyzed, jokesB.analyzed),
+            notes: mergeNotes(jokesA.notes, jokesB.notes)
+        };
+
+        const activitiesA = current.activities || {};
+        const activitiesB = incoming.activities || {};
+        merged.activities = {
+            completed: union(activitiesA.completed, activitiesB.completed),
+            notes: mergeNotes(activitiesA.notes, activitiesB.notes)
+        };
+        if (activitiesA.completedFlag === true || activitiesB.completedFlag === true) {
+            merged.activities.completedFlag = true;
+        }
+
+        if (isPlainObject(current.steps) || isPlainObject(incoming.steps)) {
+            merged.steps = mergeSteps(current.steps, incoming.steps);
+        }
+
+        const reflections = mergeReflections(current, incoming);
+        merged.reflection = reflections.reflection;
+        if (reflections.reflectionData.length) {
+            merged.reflectionData = reflections.reflectionData;
+        }
+        return merged;
+    }
+
+    function percent(score) {
+        return Number.isFinite(score) ? score + '%' : '—';
+    }
+
+    function countChange(label, before, after) {
+        const added = (after || []).filter(item => !(before || []).includes(item)).length;
+        const removed = (before || []).filter(item => !(after || []).includes(item)).length;
+        const changes = [];
+        if (added) changes.push(`+${added} ${label}`);
+        if (removed) changes.push(`−${removed} ${label}`);
+        return changes;
+    }
+
+    function noteChanges(label, before, after) {
+        const keys = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+        const changed = Array.from(keys).filter(key => (before || {})[key] !== (after || {})[key]).length;
+        return changed ? [`${changed} ${label} changed`] : [];
+    }
+
+    function analysisChanges(before, after) {
+        const keys = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+        const changed = Array.from(keys)
+            .filter(key => stableStringify((before || {})[key]) !== stableStringify((after || {})[key])).length;
+        return changed ? [`${changed} GTVH joke analysis(es) changed`] : [];
+    }
+
+    const ProgressMerge = {
+        /**
+         * Merge two userProgress objects
+         * @param {Object} current - Progress on this device
+         * @param {Object} incoming - Progress from the backup
+         * @returns {Object} New merged object
+         */
+        mergeUserProgress: function(current, incoming) {
+            if (!isPlainObject(incoming)) return clone(current);
+            if (!isPlainObject(current)) return clone(incoming);
+
+            const merged = clone(current);
+            merged.jokesRead = union(current.jokesRead, incoming.jokesRead);
+            merged.activitiesCompleted = union(current.activitiesCompleted, incoming.activitiesCompleted);
+            merged.favoriteJokes = union(current.favoriteJokes, incoming.favoriteJokes);
+            merged.quizScores = mergeHistory(current.quizScores, incoming.quizScores);
+            merged.quizAttempts = union(current.quizAttempts, incoming.quizAttempts)
+                .sort((a, b) => (a.at || 0) - (b.at || 0));
+            merged.jokeNotes = mergeNotes(current.jokeNotes, incoming.jokeNotes);
+            merged.jokeAnalyses = mergeAnalyses(current.jokeAnalyses, incoming.jokeAnalyses);
+            merged.activityNotes = mergeNotes(current.activityNotes, incoming.activityNotes);
+            merged.learningPath = current.learningPath || incoming.learningPath || null;
+            ['onboardingComplete', 'hasVisitedBefore', 'placementCompleted'].forEach(flag => {
+                merged[flag] = current[flag] === true || incoming[flag] === true;
+            });
+            return merged;
+        },
+
+        /**
+         * Merge two moduleMastery objects
+         * @param {Object} current - Mastery on this device
+         * @param {Object} incoming - Mastery from the backup
+         * @returns {Object} New merged object
+         */
+        mergeModuleMastery: function(current, incoming) {
+            if (!isPlainObject(incoming)) return clone(current);
+            if (!isPlainObject(current)) return clone(incoming);
+
+            const merged = clone(current);
+            const placementA = current.placementTest || {};
+            const placementB = incoming.placementTest || {};
+            if (placementB.completed && (!placementA.completed || (placementB.dateTaken || 0) > (placementA.dateTaken || 0))) {
+                merged.placementTest = clone(placementB);
+            }
+
+            merged.modules = {};
+            const moduleIds = new Set(Object.keys(current.modules || {}).concat(Object.keys(incoming.modules || {})));
+            moduleIds.forEach(moduleId => {
+                merged.modules[moduleId] = mergeModule((current.modules || {})[moduleId], (incoming.modules || {})[moduleId]);
+            });
+            return merged;
+        },
+
+        /**
+         * Merge saved activity answers ({ moduleId: { answerKey: entry } }); newer entries win
+         * @returns {Object} New merged object
+         */
+        mergeActivityAnswers: function(current, incoming) {
+            const merged = clone(current) || {};
+            Object.keys(incoming || {}).forEach(moduleId => {
+                const answers = merged[moduleId] || {};
+                Object.keys(incoming[moduleId]).forEach(key => {
+                    const mine = answers[key];
+                    const theirs = incoming[moduleId][key];
+                    if (!mine || String(theirs.timestamp || '') > String(mine.timestamp || '')) {
+                        answers[key] = clone(theirs);
+                    }
+                });
+                merged[moduleId] = answers;
+            });
+            return merged;
+        },
+
+        /**
+         * Compute the result of restoring a backup in either mode
+         * @param {{userProgress?: Object, moduleMastery?: Object, activityAnswers?: Object}} current
+         * @param {{userProgress?: Object, moduleMastery?: Object, activityAnswers?: Object}} incoming - Missing parts leave the current data alone
+         * @param {string} mode - 'merge' or 'replace'
+         * @returns {{userProgress: Object, moduleMastery: Object, activityAnswers: Object}}
+         */
+        combine: function(current, incoming, mode) {
+            const pick = (key, merge) => {
+                if (!incoming[key]) return clone(current[key]);
+                return mode === 'merge' ? merge.call(this, current[key], incoming[key]) : clone(incoming[key]);
+            };
+            return {
+                userProgress: pick('userProgress', this.mergeUserProgress),
+                moduleMastery: pick('moduleMastery', this.mergeModuleMastery),
+                activityAnswers: pick('activityAnswers', this.mergeActivityAnswers)
+            };
+        },
+
+        /**
+         * Human-readable list of differences between two snapshots
+         * @param {Object} before - { userProgress, moduleMastery }
+         * @param {Object} after - { userProgress, moduleMastery }
+         * @returns {string[]} e.g. ['+12 jokes read', 'module-3 post-test 80% → 90%']
+         */
+        describeChanges: function(before, after) {
+            const progressA = (before && before.userProgress) || {};
+            const progressB = (after && after.userProgress) || {};
+            const changes = [].concat(
+                countChange('jokes read', progressA.jokesRead, progressB.jokesRead),
+                countChange('activities completed', progressA.activitiesCompleted, progressB.activitiesCompleted),
+                countChange('favourite jokes', progressA.favoriteJokes, progressB.favoriteJokes),
+                noteChanges('joke note(s)', progressA.jokeNotes, progressB.jokeNotes),
+                analysisChanges(progressA.jokeAnalyses, progressB.jokeAnalyses),
+                noteChanges('activity note(s)', progressA.activityNotes, progressB.activityNotes)
+            );
+            const quizDelta = (progressB.quizScores || []).length - (progressA.quizScores || []).length;
+            if (quizDelta) changes.push(`${quizDelta > 0 ? '+' : '−'}${Math.abs(quizDelta)} quiz scores`);
+            const attemptDelta = (progressB.quizAttempts || []).length - (progressA.quizAttempts || []).length;
+            if (attemptDelta) changes.push(`${attemptDelta > 0 ? '+' : '−'}${Math.abs(attemptDelta)} quiz/test attempts`);
+
+            const modulesA = ((before && before.moduleMastery) || {}).modules || {};
+            const modulesB = ((after && after.moduleMastery) || {}).modules || {};
+            Object.keys(modulesB).forEach(moduleId => {
+                const a = modulesA[moduleId] || {};
+                const b = modulesB[moduleId] || {};
+                const moduleChanges = [];
+                [['preTest', 'pre-test'], ['postTest', 'post-test']].forEach(([key, label]) => {
+                    const scoreA = a[key] && a[key].completed ? a[key].score : null;
+                    const scoreB = b[key] && b[key].completed ? b[key].score : null;
+                    if (scoreA !== scoreB) moduleChanges.push(`${label} ${percent(scoreA)} → ${percent(scoreB)}`);
+                });
+                if (!!a.completed !== !!b.completed) moduleChanges.push(b.completed ? 'completed' : 'no longer completed');
+                if (!!a.unlocked !== !!b.unlocked) moduleChanges.push(b.unlocked ? 'unlocked' : 'locked');
+                moduleChanges.push(...countChange('theory sections', (a.theory || {}).sectionsRead, (b.theory || {}).sectionsRead));
+                moduleChanges.push(...countChange('jokes analysed', (a.jokes || {}).analyzed, (b.jokes || {}).analyzed));
+                moduleChanges.push(...countChange('activities', (a.activities || {}).completed, (b.activities || {}).completed));
+                const stepsDone = steps => Object.keys(steps || {}).filter(type => steps[type] && steps[type].completed);
+                moduleChanges.push(...countChange('lab and role-play steps', stepsDone(a.steps), stepsDone(b.steps)));
+                const reflectionDelta = (b.reflectionData || []).length - (a.reflectionData || []).length;
+                if (reflectionDelta) moduleChanges.push(`${reflectionDelta > 0 ? '+' : '−'}${Math.abs(reflectionDelta)} reflections`);
+                moduleChanges.forEach(change => changes.push(`${moduleId} ${change}`));
+            });
+            return changes;
+        },
+
+        /**
+         * Show the Merge / Replace preview and resolve with the learner's choice
+         * @param {Object} incoming - Validated backup parts ({ userProgress, moduleMastery, activityAnswers })
+         * @param {Object} options - { sourceLabel: 'QR code' | 'backup file' | 'progress code' }
+         * @returns {Promise<{mode: string, result: Object}|null>} null when cancelled
+         */
+        confirmRestore: function(incoming, options = {}) {
+            const current = {
+                userProgress: State.userProgress,
+                moduleMastery: State.moduleMastery,
+                activityAnswers: incoming.activityAnswers ? Storage.collectActivityAnswers() : {}
+            };
+            const results = {
+                merge: this.combine(current, incoming, 'merge'),
+                replace: this.combine(current, incoming, 'replace')
+            };
+
+            return new Promise(resolve => {
+                const escape = window.escapeHTML || (value => String(value));
+                const sourceLabel = options.sourceLabel || 'backup';
+                const overlay = document.createElement('div');
+                overlay.className = 'qr-modal progress-merge-modal';
+                overlay.setAttribute('role', 'dialog');
+                overlay.setAttribute('aria-modal', 'true');
+                overlay.setAttribute('aria-labelledby', 'progress-merge-title');
+                overlay.style.cssText = 'display:flex; position:fixed; inset:0; background: rgba(0,0,0,0.7); align-items:center; justify-content:center; z-index: 10000;';
+
+                const renderList = mode => {
+                    const changes = this.describeChanges(current, results[mode]);
+                    if (!changes.length) return '<li>No changes: this device already has everything in the ' + escape(sourceLabel) + '.</li>';
+                    return changes.map(change => `<li>${escape(change)}</li>`).join('');
+                };
+
+                overlay.innerHTML = `
+                    <div class="qr-modal-content" style="background: var(--bg-primary, white); padding: 24px; border-radius: 12px; max-width: 560px; width: 92%; max-height: 85vh; overflow-y: auto; box-shadow: 0 10px 40px rgba(0,0,0,0.3);">
+                        <h4 id="progress-merge-title" style="margin: 0 0 8px 0; color: var(--text-primary); font-size: 1.25rem;">Restore progress from ${escape(sourceLabel)}</h4>
+                        <fieldset style="border: none; padding: 0; margin: 0 0 12px 0;">
+                            <legend style="margin-bottom: 8px; color: var(--text-secondary);">How should it be combined with the progress on this device?</legend>
+                            <label style="display: block; margin-bottom: 6px;"><input type="radio" name="progress-merge-mode" value="merge" checked> <strong>Merge</strong> (keep work from both devices)</label>
+                            <label style="display: block;"><input type="radio" name="progress-merge-mode" value="replace"> <strong>Replace</strong> (use only the ${escape(sourceLabel)})</label>
+                        </fieldset>
+                        <h5 style="margin: 0 0 6px 0;">What will change</h5>
+                        <ul id="progress-merge-changes" aria-live="polite" style="margin: 0 0 16px 20px; padding: 0; line-height: 1.6;">${renderList('merge')}</ul>
+                        <div style="display: flex; gap: 8px; justify-content: flex-end; flex-wrap: wrap;">
+                            <button type="button" class="nav-btn" data-merge-choice="cancel" style="background: #6b7280; color: white;">Cancel</button>
+                            <button type="button" class="nav-btn" data-merge-choice="confirm" style="background: #10b981; color: white; font-weight: 600;">Restore</button>
+                        </div>
+                    </div>`;
+
+                const selectedMode = () => {
+                    const checked = overlay.querySelector('input[name="progress-merge-mode"]:checked');
+                    return checked ? checked.value : 'merge';
+                };
+                const finish = choice => {
+                    document.removeEventListener('keydown', onKeyDown);
+                    overlay.remove();
+                    if (choice === 'confirm') {
+                        const mode = selectedMode();
+                        resolve({ mode, result: results[mode] });
+                    } else {
+                        resolve(null);
+                    }
+                };
+                const onKeyDown = event => {
+                    if (event.key === 'Escape') finish('cancel');
+                };
+
+                overlay.addEventListener('change', event => {
+                    if (event.target && event.target.name === 'progress-merge-mode') {
+                        overlay.querySelector('#progress-merge-changes').innerHTML = renderList(selectedMode());
+                    }
+                });
+                overlay.addEventListener('click', event => {
+                    const button = event.target.closest('[data-merge-choice]');
+                    if (button) {
+                        finish(button.getAttribute('data-merge-choice'));
+                    } else if (event.target === overlay) {
+                        finish('cancel');
+                    }
+                });
+                document.addEventListener('keydown', onKeyDown);
+                document.body.appendChild(overlay);
+                const firstOption = overlay.querySelector('input[name="progress-merge-mode"]');
+                if (firstOption) firstOption.focus();
+            });
+        }
+    };
+
+    window.ProgressMerge = ProgressMerge;
+
+})();
@@ -0,0 +1,400 @@
+/**
+ * QUESTION TYPES MODULE
+ *
+ * Purpose: Matching, ordering and cloze questions alongside the single-choice format.
+ *
+ * Responsibilities:
+ * - Render the answer area for each type (keyboard accessible: native selects and text
+ *   inputs, move up/down buttons for ordering)
+ * - Read the learner's response back from the page
+ * - Score a response with partial credit (0–1) and describe the correct answer
+ * - Mark which parts of a response were right after checking
+ * - Paper versions of the answer area and of the answer key, for printed tests
+ *
+ * Question shapes (any question may also carry question/stem, explanation, id):
+ *   choice   { options: [...], correct: 2 }                       response: option index
+ *   matching { type: 'matching', pairs: [{ prompt, match }], distractors?: [...] }
+ *                                                                 response: chosen match per prompt
+ *   ordering { type: 'ordering', sequence: [...] (correct order) } response: sequence indexes in the learner's order
+ *   cloze    { type: 'cloze', text: 'A ___ walks into…', blanks: [{ answers: [...], options?: [...] }] }
+ *                                                                 response: text per blank
+ *
+ * Dependencies: escapeHTML (security.js)
+ * Used by: QuizModule and PlacementModule (assessment.js), module pre/post-tests
+ *          (module-learning.js), actions.js (question-move), PrintSheets (print-sheets.js)
+ */
+
+(function() {
+    'use strict';
+
+    const TYPES = ['choice', 'matching', 'ordering', 'cloze'];
+    const BLANK = '___';
+
+    function escape(value) {
+        return window.escapeHTML ? window.escapeHTML(value) : String(value == null ? '' : value);
+    }
+
+    // Case, spacing, curly quotes and trailing punctuation do not matter in typed answers
+    function normalize(value) {
+        return String(value == null ? '' : value)
+            .replace(/[‘’]/g, "'")
+            .replace(/[“”]/g, '"')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/^["'(]+|["'.,!?;:)]+$/g, '');
+    }
+
+    // Small deterministic hash so a question is always shuffled the same way
+    function hash(text) {
+        let h = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 16777619);
+        }
+        return h >>> 0;
+    }
+
+    const QuestionTypes = {
+        TYPES: TYPES,
+
+        /**
+         * @param {Object} question
+         * @returns {string} One of TYPES ('choice' when no type is given)
+         */
+        typeOf: function(question) {
+            const type = question && question.type;
+            return TYPES.includes(type) ? type : 'choice';
+        },
+
+        isChoice: function(question) {
+            return this.typeOf(question) === 'choice';
+        },
+
+        /**
+         * Options offered in every matching dropdown: all matches plus distractors, alphabetical
+         * @returns {string[]}
+         */
+        matchOptions: function(question) {
+            const all = (question.pairs || []).map(pair => pair.match).concat(question.distractors || []);
+            return Array.from(new Set(all)).sort((a, b) => a.localeCompare(b));
+        },
+
+        /**
+         * Starting order for an ordering question: a fixed shuffle that is never already correct
+         * @returns {number[]} Sequence indexes
+         */
+        initialOrder: function(question) {
+            const count = (question.sequence || []).length;
+            const order = Array.from({ length: count }, (_, i) => i);
+            if (count < 2) return order;
+            let seed = hash(String(question.id || question.sequence.join('|')));
+            for (let i = count - 1; i > 0; i--) {
+                seed = Math.imul(seed ^ (seed >>> 15), 2246822507) >>> 0;
+                const j = seed % (i + 1);
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            if (order.every((value, i) => value === i)) order.reverse();
+            return order;
+        },
+
+        /**
+         * Answer area for a matching, ordering or cloze question
+         * @param {Object} question
+         * @param {string} key - Unique per question on the page (used for element ids)
+         * @returns {string} HTML ('' for single-choice questions, which each host renders itself)
+         */
+        renderInput: function(question, key) {
+            const type = this.typeOf(question);
+            const open = `<div class="qt-input qt-${type}" data-question-type="${type}" data-qt-key="${escape(key)}">`;
+
+            if (type === 'matching') {
+                const options = this.matchOptions(question);
+                const rows = (question.pairs || []).map((pair, i) => {
+                    const id = `qt-${key}-match-${i}`;
+                    return `
+                        <div class="qt-row" data-qt-part="${i}">
+                            <label for="${id}" class="qt-prompt">${escape(pair.prompt)}</label>
+                            <select id="${id}" data-qt-field="${i}">
+                                <option value="">Choose…</option>
+                                ${options.map(option => `<option value="${escape(option)}">${escape(option)}</option>`).join('')}
+                            </select>
+                        </div>`;
+                }).join('');
+                return `${open}<p class="qt-hint">Match each item on the left with one on the right.</p>${rows}</div>`;
+            }
+
+            if (type === 'ordering') {
+                const count = (question.sequence || []).length;
+                const items = this.initialOrder(question).map(index => {
+                    const text = escape(question.sequence[index]);
+                    return `
+                        <li class="qt-row" data-qt-item="${index}">
+                            <span class="qt-item-text">${text}</span>
+                            <span class="qt-move">
+                                <button type="button" class="qt-move-btn" data-action="question-move" data-direction="up" aria-label="Move up: ${text}">↑</button>
+                                <button type="button" class="qt-move-btn" data-action="question-move" data-direction="down" aria-label="Move down: ${text}">↓</button>
+                            </span>
+                        </li>`;
+                }).join('');
+                return `${open}<p class="qt-hint">Put the ${count} parts in the right order with the ↑ and ↓ buttons.</p>` +
+                    `<ol class="qt-order-list">${items}</ol><div class="qt-status" aria-live="polite"></div></div>`;
+            }
+
+            if (type === 'cloze') {
+                const pieces = String(question.text || '').split(BLANK);
+                let html = '<p class="qt-cloze-text">';
+                pieces.forEach((piece, i) => {
+                    html += escape(piece);
+                    if (i >= pieces.length - 1) return;
+                    const blank = (question.blanks || [])[i] || {};
+                    const label = `Blank ${i + 1}`;
+                    html += `<span class="qt-blank" data-qt-part="${i}">`;
+                    if (Array.isArray(blank.options) && blank.options.length) {
+                        html += `<select data-qt-field="${i}" aria-label="${label}"><option value="">…</option>` +
+                            blank.options.map(option => `<option value="${escape(option)}">${escape(option)}</option>`).join('') +
+                            '</select>';
+                    } else {
+                        html += `<input type="text" data-qt-field="${i}" aria-label="${label}" autocomplete="off" spellcheck="false" size="12">`;
+                    }
+                    html += '</span>';
+                });
+                return `${open}<p class="qt-hint">Fill in the missing word(s).</p>${html}</p></div>`;
+            }
+
+            return '';
+        },
+
+        /**
+         * Current response shown in a rendered answer area
+         * @param {Element} root - Element containing the .qt-input (or the .qt-input itself)
+         * @param {Object} question
+         * @returns {Array|null} Response (see module comment); null if there is no answer area
+         */
+        readResponse: function(root, question) {
+            const area = root && (root.matches && root.matches('.qt-input') ? root : root.querySelector('.qt-input'));
+            if (!area) return null;
+            const type = this.typeOf(question);
+            if (type === 'ordering') {
+                return Array.from(area.querySelectorAll('[data-qt-item]'))
+                    .map(item => parseInt(item.getAttribute('data-qt-item'), 10));
+            }
+            const values = [];
+            area.querySelectorAll('[data-qt-field]').forEach(field => {
+                values[parseInt(field.getAttribute('data-qt-field'), 10)] = String(field.value || '');
+            });
+            return values;
+        },
+
+        /**
+         * Has every part been answered?
+         * @returns {boolean}
+         */
+        isComplete: function(question, response) {
+            const type = this.typeOf(question);
+            if (type === 'choice') return Number.isInteger(response);
+            if (!Array.isArray(response)) return false;
+            if (type === 'ordering') return response.length === (question.sequence || []).length;
+            const parts = type === 'matching' ? (question.pairs || []).length : (question.blanks || []).length;
+            return response.length === parts && response.every(value => String(value || '').trim() !== '');
+        },
+
+        /**
+         * Which parts of a response are right
+         * @returns {boolean[]} One entry per pair / blank / adjacent pair of the sequence
+         */
+        partResults: function(question, response) {
+            const type = this.typeOf(question);
+            const list = Array.isArray(response) ? response : [];
+            if (type === 'matching') {
+                return (question.pairs || []).map((pair, i) => normalize(list[i]) === normalize(pair.match) && normalize(list[i]) !== '');
+            }
+            if (type === 'ordering') {
+                // Each neighbour pair in the right relative order earns credit, so one misplaced part costs little
+                const count = (question.sequence || []).length;
+                const results = [];
+                for (let i = 0; i < count - 1; i++) {
+                    results.push(Number.isInteger(list[i]) && list[i + 1] === list[i] + 1);
+                }
+                return results;
+            }
+            if (type === 'cloze') {
+                return (question.blanks || []).map((blank, i) =>
+                    normalize(list[i]) !== '' && (blank.answers || []).some(answer => normalize(answer) === normalize(list[i])));
+            }
+            return [response === question.correct];
+        },
+
+        /**
+         * Partial credit for a response
+         * @returns {number} 0–1, rounded to two decimals
+         */
+        score: function(question, response) {
+            if (this.isChoice(question)) {
+                return Number.isInteger(response) && response === question.correct ? 1 : 0;
+            }
+            const results = this.partResults(question, response);
+            if (!results.length) return 0;
+            return Math.round((results.filter(Boolean).length / results.length) * 100) / 100;
+        },
+
+        /**
+         * Plain-text correct answer for feedback
+         * @returns {string}
+         */
+        describeCorrect: function(question) {
+            const type = this.typeOf(question);
+            if (type === 'matching') {
+                return (question.pairs || []).map(pair => `${pair.prompt} → ${pair.match}`).join('; ');
+            }
+            if (type === 'ordering') {
+                return (question.sequence || []).map((part, i) => `${i + 1}. ${part}`).join(' ');
+            }
+            if (type === 'cloze') {
+                const pieces = String(question.text || '').split(BLANK);
+                return pieces.map((piece, i) => {
+                    if (i === pieces.length - 1) return piece;
+                    const blank = (question.blanks || [])[i];
+                    return piece + ((blank && blank.answers && blank.answers[0]) || BLANK);
+                }).join('');
+            }
+            const option = (question.options || [])[question.correct];
+            return option == null ? '' : `${String.fromCharCode(65 + question.correct)}. ${option}`;
+        },
+
+        /**
+         * After checking: colour each part and stop further edits
+         * @param {Element} root - Element containing the .qt-input
+         */
+        markResult: function(root, question, response) {
+            const area = root && (root.matches && root.matches('.qt-input') ? root : root.querySelector('.qt-input'));
+            if (!area) return;
+            const results = this.partResults(question, response);
+            if (this.typeOf(question) === 'ordering') {
+                const items = Array.from(area.querySelectorAll('[data-qt-item]'));
+                items.forEach((item, i) => {
+                    const before = i === 0 || results[i - 1];
+                    const after = i === items.length - 1 || results[i];
+                    item.classList.remove('correct', 'incorrect');
+                    item.classList.add(before && after ? 'correct' : 'incorrect');
+                });
+            } else {
+                area.querySelectorAll('[data-qt-part]').forEach(part => {
+                    const ok = results[parseInt(part.getAttribute('data-qt-part'), 10)];
+                    part.classList.remove('correct', 'incorrect');
+                    part.classList.add(ok ? 'correct' : 'incorrect');
+                });
+            }
+            area.querySelectorAll('select, input, button').forEach(control => { control.disabled = true; });
+        },
+
+        /**
+         * Move an ordering item one place up or down (data-action="question-move")
+         * @param {Element} button - The clicked move button
+         * @param {string} direction - 'up' | 'down'
+         */
+        move: function(button, direction) {
+            const item = button && button.closest('[data-qt-item]');
+            const list = item && item.parentElement;
+            if (!list) return;
+            const sibling = direction === 'up' ? item.previousElementSibling : item.nextElementSibling;
+            if (!sibling) return;
+            if (direction === 'up') {
+                list.insertBefore(item, sibling);
+            } else {
+                list.insertBefore(sibling, item);
+            }
+            button.focus();
+
+            const items = Array.from(list.children);
+            const area = list.closest('.qt-input');
+            const status = area && area.querySelector('.qt-status');
+            if (status) {
+                const text = item.querySelector('.qt-item-text');
+                status.textContent = `Moved "${text ? text.textContent : ''}" to position ${items.indexOf(item) + 1} of ${items.length}.`;
+            }
+            list.dispatchEvent(new Event('change', { bubbles: true }));
+        },
+
+        /**
+         * "2 of 3 parts" style summary of partial credit
+         * @returns {string}
+         */
+        describeCredit: function(question, response) {
+            const results = this.partResults(question, response);
+            const label = { matching: 'pairs', ordering: 'links', cloze: 'blanks' }[this.typeOf(question)] || 'parts';
+            return `${results.filter(Boolean).length} of ${results.length} ${label} right`;
+        },
+
+        /**
+         * Answer area for a matching, ordering or cloze question on paper: matches are lettered
+         * A, B, C…, ordering parts a, b, c… (in initialOrder) and blanks numbered (1), (2)…
+         * @param {Object} question
+         * @returns {string} HTML ('' for single-choice questions, which each host renders itself)
+         */
+        renderPaper: function(question) {
+            const type = this.typeOf(question);
+
+            if (type === 'matching') {
+                const options = this.matchOptions(question);
+                const rows = (question.pairs || []).map((pair, i) =>
+                    `<tr><td>${i + 1}. ${escape(pair.prompt)}</td><td class="qt-paper-line">______</td></tr>`).join('');
+                const list = options.map((option, i) => `<li>${String.fromCharCode(65 + i)}. ${escape(option)}</li>`).join('');
+                return '<p class="qt-hint">Write the letter of the matching item next to each line.</p>' +
+                    `<table class="qt-paper-match"><tbody>${rows}</tbody></table><ul class="qt-paper-options">${list}</ul>`;
+            }
+
+            if (type === 'ordering') {
+                const count = (question.sequence || []).length;
+                const items = this.initialOrder(question).map((index, i) =>
+                    `<li><span class="qt-paper-line">____</span> ${String.fromCharCode(97 + i)}. ${escape(question.sequence[index])}</li>`).join('');
+                return `<p class="qt-hint">Number the ${count} parts from 1 to ${count} in the right order.</p><ul class="qt-paper-options">${items}</ul>`;
+            }
+
+            if (type === 'cloze') {
+                const pieces = String(question.text || '').split(BLANK);
+                let text = '';
+                const choices = [];
+                pieces.forEach((piece, i) => {
+                    text += escape(piece);
+                    if (i >= pieces.length - 1) return;
+                    const blank = (question.blanks || [])[i] || {};
+                    text += `<span class="qt-paper-line">(${i + 1}) __________</span>`;
+                    if (Array.isArray(blank.options) && blank.options.length) {
+                        choices.push(`<li>(${i + 1}) ${blank.options.map(escape).join(' / ')}</li>`);
+                    }
+                });
+                return `<p class="qt-hint">Fill in the missing word(s).</p><p class="qt-cloze-text">${text}</p>` +
+                    (choices.length ? `<ul class="qt-paper-options">${choices.join('')}</ul>` : '');
+            }
+
+            return '';
+        },
+
+        /**
+         * Answer key line matching renderPaper() (or the option letter for single-choice)
+         * @param {Object} question
+         * @returns {string} Plain text, e.g. '1 C · 2 A', 'a 3 · b 1 · c 2', '(1) tired / sleepy'
+         */
+        describePaperKey: function(question) {
+            const type = this.typeOf(question);
+            if (type === 'matching') {
+                const options = this.matchOptions(question);
+                return (question.pairs || []).map((pair, i) =>
+                    `${i + 1} ${String.fromCharCode(65 + options.indexOf(pair.match))}`).join(' · ');
+            }
+            if (type === 'ordering') {
+                return this.initialOrder(question).map((index, i) =>
+                    `${String.fromCharCode(97 + i)} ${index + 1}`).join(' · ');
+            }
+            if (type === 'cloze') {
+                return (question.blanks || []).map((blank, i) =>
+                    `(${i + 1}) ${((blank && blank.answers) || []).join(' / ')}`).join(' · ');
+            }
+            return this.describeCorrect(question);
+        }
+    };
+
+    window.QuestionTypes = QuestionTypes;
+
+})();
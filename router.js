@@ -49,7 +49,10 @@
             'module-6': 'Module 6: Analysing Humour: GTVH'
         },
 
-        stepNames: ['Theory', 'Examples', 'Practice', 'Post-Test', 'Reflection'],
+        // The open module's step names, as declared in modules.json (see ModuleLearning step types)
+        get stepNames() {
+            return window.ModuleLearning && Array.isArray(window.ModuleLearning.stepNames) ? window.ModuleLearning.stepNames : [];
+        },
 
         currentModule: null,
         currentStep: null,
@@ -57,7 +60,7 @@
         /**
          * Update breadcrumb for module navigation
          * @param {string} moduleId - Module ID (e.g., 'module-1')
-         * @param {number} stepIndex - Step index (0-4)
+         * @param {number} stepIndex - Index into the module's step list
          */
         updateForModule: function(moduleId, stepIndex, options = {}) {
             this.currentModule = moduleId;
@@ -203,6 +206,13 @@
          * @param {boolean} options.skipHash - Skip updating URL hash
          */
         showSection: function(sectionId, options = {}) {
+            // A running exam with locked navigation keeps the learner in the module
+            if (sectionId !== 'module-learning' && window.ExamMode && window.ExamMode.blocksNavigation()) {
+                window.ExamMode.explainLock();
+                history.replaceState(null, '', '#module-learning');
+                return;
+            }
+
             // Prevent race condition on rapid navigation
             if (RouterState.isNavigating) {
                 console.log('Navigation already in progress, skipping:', sectionId);
@@ -399,16 +409,9 @@
             const moduleData = window.State.moduleMastery.modules[moduleId];
             if (!moduleData) return 0;
 
-            const totalSections = 5;
-            let completedSections = 0;
-
-            if (moduleData.theory && moduleData.theory.completed) completedSections++;
-            if (moduleData.jokes && moduleData.jokes.analyzed && moduleData.jokes.analyzed.length > 0) completedSections++;
-            if (moduleData.activities && moduleData.activities.completed && moduleData.activities.completed.length > 0) completedSections++;
-            if (moduleData.postTest && moduleData.postTest.completed) completedSections++;
-            if (moduleData.reflection && moduleData.reflection.completed) completedSections++;
-
-            return Math.round((completedSections / totalSections) * 100);
+            // Each step counts as its step type says; ModuleLearning owns the step lists
+            if (!window.ModuleLearning || typeof window.ModuleLearning.getModuleStepProgress !== 'function') return 0;
+            return window.ModuleLearning.getModuleStepProgress(moduleId);
         },
 
         /**
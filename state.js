@@ -1,21 +1,26 @@
 /**
  * STATE MANAGEMENT MODULE
  *
- * Purpose: Manage application state and localStorage persistence
+ * Purpose: Manage application state and persistence
  *
  * Responsibilities:
  * - Track user progress (jokes read, activities completed, quiz scores)
  * - Manage current state (current joke, filters, etc.)
- * - Handle localStorage operations (save/load/reset)
+ * - Handle storage operations (save/load/reset) through StorageAdapter (IndexedDB or localStorage)
+ * - Version stored data and upgrade older shapes through an ordered migration registry
  * - Manage theme and preferences
  *
- * Dependencies: None
+ * Dependencies: StorageAdapter (storage-adapter.js)
  * Used by: All modules that need to track or modify state
  */
 
 (function() {
     'use strict';
 
+    // Learner data goes through the IndexedDB adapter (scoped to the active learner profile);
+    // device-wide preferences such as the theme stay in localStorage
+    const store = window.StorageAdapter || window.localStorage;
+
     // ========================================
     // STATE OBJECT
     // ========================================
@@ -39,9 +44,11 @@
         userProgress: {
             jokesRead: [],
             activitiesCompleted: [],
-            quizScores: [],
+            quizScores: [], // legacy bare scores; new attempts go to quizAttempts
+            quizAttempts: [], // attempt history: quizzes, module pre/post-tests and placement
             favoriteJokes: [],
             jokeNotes: {},
+            jokeAnalyses: {}, // learner's own GTVH analysis per joke id: { SO, LM, SI, TA, NS, LA, updatedAt }
             activityNotes: {},
             learningPath: null,
             onboardingComplete: false,
@@ -77,6 +84,7 @@
                             activities: { completed: [], notes: {} },
                             postTest: { completed: false, score: null, answers: [] },
                             reflection: { completed: false, responses: {} },
+                            steps: {},
                             masteryScore: 0,
                             masteryAchieved: false,
                             timeSpent: 0,
@@ -96,12 +104,31 @@
         STORAGE_KEY: 'pragmaticsProgress',
         MASTERY_KEY: 'pragmaticsMastery',
         lastSaveToast: 0,
-        IMPORT_MAX_BYTES: 50 * 1024,
+        IMPORT_MAX_BYTES: 512 * 1024,
+        ACTIVITY_ANSWERS_PREFIX: 'activity-answers-',
         IMPORT_MAX_ARRAY_ITEMS: 5000,
         IMPORT_MAX_NOTE_KEYS: 5000,
         IMPORT_MAX_NOTE_LENGTH: 2000,
         IMPORT_MAX_KEY_LENGTH: 200,
-        SUPPORTED_IMPORT_VERSIONS: new Set(['1', '1.0']),
+        IMPORT_MAX_QUIZ_ATTEMPTS: 500,
+        // Question ids across quizzes, module tests and the placement test (quiz-beginner-3, m1-post-6, pt-10)
+        ATTEMPT_ITEM_ID_PATTERN: /^[a-z0-9][a-z0-9-]{0,63}$/,
+        ATTEMPT_SOURCES: ['quiz', 'preTest', 'postTest', 'placement'],
+        ATTEMPT_MAX_DURATION_MS: 24 * 60 * 60 * 1000,
+        QUIZ_FORM_SEED_PATTERN: /^[0-9a-f]{8}$/,
+        // Backup `version` strings written before schema versioning; they all hold v1-shaped data
+        LEGACY_IMPORT_VERSIONS: new Set(['1', '1.0']),
+        // Shape version stamped into every saved progress/mastery blob as `schemaVersion`.
+        // Bump it together with a new entry in MIGRATIONS.
+        SCHEMA_VERSION: 2,
+        BACKUP_KEY_SUFFIX: '.backup-v',
+        // Keys holding data from a newer app version; never overwritten by this version
+        blockedKeys: new Set(),
+        JOKE_ID_PATTERN: /^joke-\d+$/,
+        // The six GTVH Knowledge Resources a joke analysis has one answer for
+        GTVH_RESOURCES: ['SO', 'LM', 'SI', 'TA', 'NS', 'LA'],
+        // Module activity answer keys used to embed the activities.json index: 'module-1-activity-3'
+        LEGACY_ACTIVITY_KEY_PATTERN: /^(module-\d+-activity-)(\d+)$/,
 
         isPlainObject: function(value) {
             if (!value || typeof value !== 'object') return false;
@@ -121,13 +148,370 @@
             }
         },
 
+        /**
+         * Map a legacy joke index to its stable id
+         * @param {number} index - Position in jokes.json when the progress was saved
+         * @returns {string} Joke id, e.g. 'joke-3'
+         */
+        jokeIdFromIndex: function(index) {
+            const jokes = window.DATA && Array.isArray(window.DATA.jokes) ? window.DATA.jokes : null;
+            if (jokes && jokes[index] && typeof jokes[index].id === 'string') {
+                return jokes[index].id;
+            }
+            return 'joke-' + (index + 1);
+        },
+
+        /**
+         * Map a legacy activity index to its stable id
+         * @param {number} index - Position in activities.json when the progress was saved
+         * @returns {string} Activity id, e.g. 'act-4'
+         */
+        activityIdFromIndex: function(index) {
+            const activities = window.DATA && Array.isArray(window.DATA.activities) ? window.DATA.activities : null;
+            if (activities && activities[index] && typeof activities[index].id === 'string') {
+                return activities[index].id;
+            }
+            return 'act-' + (index + 1);
+        },
+
+        /**
+         * Normalize a saved list of jokes (legacy indices or ids) to unique joke ids
+         * @param {Array} list - e.g. [0, 3] or ['joke-1', 'joke-4']
+         * @returns {string[]} Joke ids
+         */
+        toJokeIds: function(list) {
+            if (!Array.isArray(list)) return [];
+            const ids = [];
+            list.slice(0, this.IMPORT_MAX_ARRAY_ITEMS).forEach((value) => {
+                let id = null;
+                if (Number.isInteger(value) && value >= 0 && value <= 100000) {
+                    id = this.jokeIdFromIndex(value);
+                } else if (typeof value === 'string' && this.JOKE_ID_PATTERN.test(value)) {
+                    id = value;
+                }
+                if (id && !ids.includes(id)) {
+                    ids.push(id);
+                }
+            });
+            return ids;
+        },
+
+        /**
+         * Clean one saved module-test answer, keeping its position in the list
+         * @param {*} raw - Option index, or a matching/ordering/cloze response (array)
+         * @returns {number|Array|null} null when unanswered or malformed
+         */
+        validateTestAnswer: function(raw) {
+            if (Number.isFinite(raw) && raw >= 0 && raw <= 100) return raw;
+            if (!Array.isArray(raw) || raw.length > 20) return null;
+            const parts = raw.map(part => {
+                if (Number.isInteger(part) && part >= 0 && part <= 100) return part;
+                return typeof part === 'string' ? part.slice(0, this.IMPORT_MAX_KEY_LENGTH) : null;
+            });
+            return parts.includes(null) ? null : parts;
+        },
+
+        /**
+         * Clean one confidence rating (confidence-scoring.js), keeping its position in the list
+         * @param {*} raw - 1 (guessing), 2 (fairly sure) or 3 (certain)
+         * @returns {number|null} null when not rated or malformed
+         */
+        validateConfidence: function(raw) {
+            return Number.isInteger(raw) && raw >= 1 && raw <= 3 ? raw : null;
+        },
+
+        /**
+         * Keep a module's exam record (exam-mode.js) only if it has the expected shape
+         * @param {Object} raw - { examId, startedAt, deadline, submittedAt?, score?, answered?, total?, timedOut? }
+         * @returns {Object|null} Clean record or null
+         */
+        validateExamRecord: function(raw) {
+            if (!this.isPlainObject(raw) || typeof raw.examId !== 'string' || !this.ATTEMPT_ITEM_ID_PATTERN.test(raw.examId)) return null;
+            if (!Number.isFinite(raw.startedAt)) return null;
+            const record = {
+                examId: raw.examId,
+                startedAt: raw.startedAt,
+                deadline: Number.isFinite(raw.deadline) && raw.deadline > raw.startedAt ? raw.deadline : null
+            };
+            if (Number.isFinite(raw.submittedAt) && raw.submittedAt >= raw.startedAt) {
+                record.submittedAt = raw.submittedAt;
+                record.score = Number.isFinite(raw.score) ? Math.max(0, Math.min(100, Math.round(raw.score))) : null;
+                ['answered', 'total'].forEach(key => {
+                    if (Number.isInteger(raw[key]) && raw[key] >= 0 && raw[key] <= this.IMPORT_MAX_ARRAY_ITEMS) record[key] = raw[key];
+                });
+                record.timedOut = raw.timedOut === true;
+            }
+            return record;
+        },
+
+        /**
+         * Keep a stored attempt record (quiz, module pre/post-test or placement) only if it has the expected shape.
+         * Records written before attempt history kept option indexes as `choice`; they are read as `answer`.
+         * @param {Object} raw - { source, level?, moduleId?, at, durationMs?, seed?, score?, items: [{ id, answer, credit?, confidence? }] }
+         * @returns {Object|null} Clean attempt or null
+         */
+        validateQuizAttempt: function(raw) {
+            if (!this.isPlainObject(raw) || !Array.isArray(raw.items)) return null;
+            const source = raw.source === undefined ? 'quiz' : raw.source;
+            if (!this.ATTEMPT_SOURCES.includes(source)) return null;
+            if (!Number.isFinite(raw.at) || raw.at <= 0) return null;
+
+            const attempt = { source, at: raw.at };
+            if (typeof raw.level === 'string' && /^[a-z]{1,20}$/.test(raw.level)) {
+                attempt.level = raw.level;
+            } else if (source === 'quiz') {
+                return null;
+            }
+            if (typeof raw.moduleId === 'string' && /^module-\d+$/.test(raw.moduleId)) {
+                attempt.moduleId = raw.moduleId;
+            } else if (source === 'preTest' || source === 'postTest') {
+                return null;
+            }
+            if (Number.isInteger(raw.durationMs) && raw.durationMs >= 0) {
+                attempt.durationMs = Math.min(raw.durationMs, this.ATTEMPT_MAX_DURATION_MS);
+            }
+            if (typeof raw.seed === 'string' && this.QUIZ_FORM_SEED_PATTERN.test(raw.seed)) {
+                attempt.seed = raw.seed;
+            }
+            if (Number.isInteger(raw.score) && raw.score >= 0 && raw.score <= 100) {
+                attempt.score = raw.score;
+            }
+
+            attempt.items = raw.items.slice(0, 50)
+                .filter(item => this.isPlainObject(item) &&
+                    typeof item.id === 'string' && this.ATTEMPT_ITEM_ID_PATTERN.test(item.id))
+                .map(item => {
+                    const clean = {
+                        id: item.id,
+                        answer: this.validateTestAnswer(item.answer !== undefined ? item.answer : item.choice)
+                    };
+                    if (Number.isFinite(item.credit) && item.credit >= 0 && item.credit <= 1) {
+                        clean.credit = Math.round(item.credit * 100) / 100;
+                    }
+                    if (this.validateConfidence(item.confidence) !== null) {
+                        clean.confidence = item.confidence;
+                    }
+                    return clean;
+                });
+            return attempt.items.length || attempt.score !== undefined ? attempt : null;
+        },
+
+        /**
+         * Keep the learner's GTVH joke analyses that have the expected shape
+         * @param {Object} raw - { 'joke-25': { SO, LM, SI, TA, NS, LA, updatedAt } }
+         * @returns {Object} Clean map; answers are clamped like notes and empty analyses dropped
+         */
+        validateJokeAnalyses: function(raw) {
+            const analyses = {};
+            if (!this.isPlainObject(raw)) return analyses;
+            Object.keys(raw).slice(0, this.IMPORT_MAX_NOTE_KEYS).forEach(jokeId => {
+                const entry = raw[jokeId];
+                if (!this.JOKE_ID_PATTERN.test(jokeId) || !this.isPlainObject(entry)) return;
+                const clean = {};
+                this.GTVH_RESOURCES.forEach(kr => {
+                    if (typeof entry[kr] === 'string' && entry[kr].trim()) {
+                        clean[kr] = entry[kr].slice(0, this.IMPORT_MAX_NOTE_LENGTH);
+                    }
+                });
+                if (!Object.keys(clean).length) return;
+                if (Number.isFinite(entry.updatedAt) && entry.updatedAt > 0) {
+                    clean.updatedAt = entry.updatedAt;
+                }
+                analyses[jokeId] = clean;
+            });
+            return analyses;
+        },
+
+        /**
+         * Rewrite an index-based module activity key to use the activity id
+         * @param {string} key - e.g. 'module-1-activity-3'
+         * @returns {string} e.g. 'module-1-activity-act-4' (other keys are returned unchanged)
+         */
+        migrateActivityKey: function(key) {
+            if (typeof key !== 'string') return key;
+            const match = key.match(this.LEGACY_ACTIVITY_KEY_PATTERN);
+            return match ? match[1] + this.activityIdFromIndex(parseInt(match[2], 10)) : key;
+        },
+
+        /**
+         * Migrate index-based references in module mastery to stable ids (in place)
+         * @param {Object} mastery - Module mastery blob ({ placementTest, modules })
+         * @returns {Object} The same object
+         */
+        migrateMasteryRefs: function(mastery) {
+            if (!this.isPlainObject(mastery) || !this.isPlainObject(mastery.modules)) return mastery;
+
+            Object.keys(mastery.modules).forEach((moduleId) => {
+                const progress = mastery.modules[moduleId];
+                if (!this.isPlainObject(progress)) return;
+
+                if (this.isPlainObject(progress.jokes) && Array.isArray(progress.jokes.analyzed)) {
+                    progress.jokes.analyzed = progress.jokes.analyzed.map(entry => {
+                        return Number.isInteger(entry) && entry >= 0 ? this.jokeIdFromIndex(entry) : entry;
+                    });
+                }
+
+                if (this.isPlainObject(progress.activities) && Array.isArray(progress.activities.completed)) {
+                    progress.activities.completed = progress.activities.completed.map(key => this.migrateActivityKey(key));
+                }
+            });
+
+            return mastery;
+        },
+
+        /**
+         * Ordered upgrade steps for each stored blob. A step upgrades data saved at
+         * version `from` to `from + 1`; blobs without `schemaVersion` are version 1.
+         */
+        MIGRATIONS: {
+            userProgress: [
+                {
+                    from: 1,
+                    description: 'jokesRead/favoriteJokes store joke ids instead of array positions',
+                    migrate: function(data) {
+                        data.jokesRead = Storage.toJokeIds(data.jokesRead);
+                        data.favoriteJokes = Storage.toJokeIds(data.favoriteJokes);
+                        return data;
+                    }
+                }
+            ],
+            moduleMastery: [
+                {
+                    from: 1,
+                    description: 'analyzed jokes and completed activity keys use stable ids',
+                    migrate: function(data) {
+                        return Storage.migrateMasteryRefs(data);
+                    }
+                }
+            ]
+        },
+
+        /**
+         * Read the schema version of a stored blob
+         * @param {Object} data - Parsed blob
+         * @param {number} fallback - Version to assume when the blob is unstamped
+         * @returns {number}
+         */
+        getSchemaVersion: function(data, fallback = 1) {
+            if (this.isPlainObject(data) && Number.isInteger(data.schemaVersion) && data.schemaVersion >= 1) {
+                return data.schemaVersion;
+            }
+            return fallback;
+        },
+
+        /**
+         * Return a copy of a blob stamped with the current schema version
+         * @param {Object} data - userProgress or moduleMastery
+         * @returns {Object}
+         */
+        stampVersion: function(data) {
+            return Object.assign({}, data, { schemaVersion: this.SCHEMA_VERSION });
+        },
+
+        /**
+         * Upgrade a stored blob step by step to the current schema version
+         * @param {string} kind - 'userProgress' or 'moduleMastery'
+         * @param {Object} data - Parsed blob (not modified)
+         * @param {number} assumedVersion - Version to use when the blob is unstamped
+         * @returns {{ok: boolean, value?: Object, fromVersion?: number, migrated?: boolean, newerVersion?: boolean, error?: string}}
+         */
+        migrate: function(kind, data, assumedVersion = 1) {
+            const steps = this.MIGRATIONS[kind];
+            if (!steps) {
+                return { ok: false, error: `Unknown storage kind "${kind}".` };
+            }
+            if (!this.isPlainObject(data)) {
+                return { ok: false, error: 'Saved data is not a JSON object.' };
+            }
+
+            const fromVersion = this.getSchemaVersion(data, assumedVersion);
+            if (fromVersion > this.SCHEMA_VERSION) {
+                return {
+                    ok: false,
+                    newerVersion: true,
+                    fromVersion,
+                    error: `This progress was saved by a newer version of the app (data format v${fromVersion}, ` +
+                        `this version reads up to v${this.SCHEMA_VERSION}). Please reload to get the latest version.`
+                };
+            }
+
+            let value = JSON.parse(JSON.stringify(data));
+            let version = fromVersion;
+            while (version < this.SCHEMA_VERSION) {
+                const step = steps.find(candidate => candidate.from === version);
+                if (!step) {
+                    return { ok: false, fromVersion, error: `No ${kind} migration from data format v${version}.` };
+                }
+                value = step.migrate(value) || value;
+                version += 1;
+                console.log(`✓ Migrated ${kind} v${version - 1} → v${version}: ${step.description}`);
+            }
+
+            delete value.schemaVersion;
+            return { ok: true, value, fromVersion, migrated: fromVersion !== version };
+        },
+
+        /**
+         * Load and upgrade a versioned storage key. The raw blob is copied to
+         * `<key>.backup-v<N>` before a migrated copy replaces it.
+         * @param {string} key - Storage key
+         * @param {string} kind - Migration registry entry
+         * @returns {Object|null} Migrated data without `schemaVersion`, or null when nothing is saved
+         * @throws {Error} When the data is unreadable or from a newer app version
+         */
+        readVersioned: function(key, kind) {
+            const saved = store.getItem(key);
+            if (!saved) return null;
+
+            const result = this.migrate(kind, JSON.parse(saved));
+            if (!result.ok) {
+                if (result.newerVersion) {
+                    this.blockedKeys.add(key);
+                }
+                const error = new Error(result.error);
+                error.newerVersion = !!result.newerVersion;
+                throw error;
+            }
+
+            if (result.migrated) {
+                try {
+                    store.setItem(key + this.BACKUP_KEY_SUFFIX + result.fromVersion, saved);
+                    store.setItem(key, JSON.stringify(this.stampVersion(result.value)));
+                } catch (e) {
+                    console.warn(`Could not persist migrated ${key}; it will be migrated again next load.`, e);
+                }
+            }
+            return result.value;
+        },
+
+        /**
+         * Tell the learner their saved data can't be read by this version
+         * @param {Error} error - Error thrown by readVersioned
+         */
+        reportNewerVersion: function(error) {
+            console.error(error.message);
+            if (this.newerVersionReported) return;
+            this.newerVersionReported = true;
+            alert(error.message + '\n\nYour saved progress has not been changed.');
+        },
+
+        /**
+         * Allow saving again after the learner explicitly replaced their progress
+         * (import/restore), which supersedes the newer-format data on disk
+         */
+        clearBlockedKeys: function() {
+            this.blockedKeys.clear();
+        },
+
         validateUserProgress: function(raw) {
             const safe = {
                 jokesRead: [],
                 activitiesCompleted: [],
                 quizScores: [],
+                quizAttempts: [],
                 favoriteJokes: [],
                 jokeNotes: {},
+                jokeAnalyses: {},
                 activityNotes: {},
                 learningPath: null,
                 onboardingComplete: false,
@@ -143,9 +527,7 @@
                 return value.length <= maxLen ? value : value.slice(0, maxLen);
             };
 
-            const numbers = clampArray(raw.jokesRead, this.IMPORT_MAX_ARRAY_ITEMS)
-                .filter(n => Number.isFinite(n) && Number.isInteger(n) && n >= 0 && n <= 100000);
-            safe.jokesRead = numbers;
+            safe.jokesRead = this.toJokeIds(raw.jokesRead);
 
             safe.activitiesCompleted = clampArray(raw.activitiesCompleted, this.IMPORT_MAX_ARRAY_ITEMS)
                 .filter(v => typeof v === 'string')
@@ -155,8 +537,11 @@
                 .filter(n => Number.isFinite(n))
                 .map(n => Math.max(0, Math.min(100, Math.round(n))));
 
-            safe.favoriteJokes = clampArray(raw.favoriteJokes, this.IMPORT_MAX_ARRAY_ITEMS)
-                .filter(n => Number.isFinite(n) && Number.isInteger(n) && n >= 0 && n <= 100000);
+            safe.quizAttempts = clampArray(raw.quizAttempts, this.IMPORT_MAX_QUIZ_ATTEMPTS)
+                .map(attempt => this.validateQuizAttempt(attempt))
+                .filter(Boolean);
+
+            safe.favoriteJokes = this.toJokeIds(raw.favoriteJokes);
 
             const copyNotes = (source) => {
                 const notes = {};
@@ -174,6 +559,7 @@
             };
 
             safe.jokeNotes = copyNotes(raw.jokeNotes);
+            safe.jokeAnalyses = this.validateJokeAnalyses(raw.jokeAnalyses);
             safe.activityNotes = copyNotes(raw.activityNotes);
 
             const learningPath = clampString(raw.learningPath, 64);
@@ -212,6 +598,7 @@
                     activities: { completed: [], notes: {} },
                     postTest: { completed: false, score: null, answers: [] },
                     reflection: { completed: false, responses: {} },
+                    steps: {},
                     masteryScore: 0,
                     masteryAchieved: false,
                     timeSpent: 0,
@@ -239,6 +626,52 @@
                 safe.placementTest.dateTaken = Number.isFinite(placement.dateTaken)
                     ? placement.dateTaken
                     : null;
+
+                // Adaptive placement details (absent for fixed-order tests)
+                if (placement.mode === 'adaptive' || placement.mode === 'fixed') {
+                    safe.placementTest.mode = placement.mode;
+                }
+                if (Number.isInteger(placement.itemsAnswered) && placement.itemsAnswered >= 0) {
+                    safe.placementTest.itemsAnswered = placement.itemsAnswered;
+                }
+                ['ability', 'standardError'].forEach(key => {
+                    if (Number.isFinite(placement[key])) {
+                        safe.placementTest[key] = Math.max(-10, Math.min(10, placement[key]));
+                    }
+                });
+                if (Array.isArray(placement.levelRange)) {
+                    safe.placementTest.levelRange = placement.levelRange.slice(0, 2)
+                        .filter(level => typeof level === 'string')
+                        .map(level => level.slice(0, 16));
+                }
+                if (Array.isArray(placement.skipSubUnits)) {
+                    safe.placementTest.skipSubUnits = placement.skipSubUnits.slice(0, 50)
+                        .filter(id => typeof id === 'string')
+                        .map(id => id.slice(0, this.IMPORT_MAX_KEY_LENGTH));
+                }
+                if (Array.isArray(placement.path)) {
+                    safe.placementTest.path = placement.path.slice(0, 20)
+                        .filter(id => typeof id === 'string')
+                        .map(id => id.slice(0, this.IMPORT_MAX_KEY_LENGTH));
+                }
+                if (Array.isArray(placement.responses)) {
+                    safe.placementTest.responses = placement.responses.slice(0, 100)
+                        .filter(entry => this.isPlainObject(entry) && typeof entry.id === 'string')
+                        .map(entry => ({ id: entry.id.slice(0, this.IMPORT_MAX_KEY_LENGTH), choice: this.validateTestAnswer(entry.choice) }))
+                        .filter(entry => Number.isInteger(entry.choice) || Array.isArray(entry.choice));
+                }
+                if (this.isPlainObject(placement.skillProfile)) {
+                    safe.placementTest.skillProfile = {};
+                    Object.keys(placement.skillProfile).slice(0, 20).forEach(skill => {
+                        const entry = placement.skillProfile[skill];
+                        if (!this.isPlainObject(entry) || !Number.isInteger(entry.asked) || !Number.isInteger(entry.correct)) return;
+                        const asked = Math.max(0, Math.min(100, entry.asked));
+                        safe.placementTest.skillProfile[skill.slice(0, this.IMPORT_MAX_KEY_LENGTH)] = {
+                            asked,
+                            correct: Math.max(0, Math.min(asked, entry.correct))
+                        };
+                    });
+                }
             }
 
             if (!this.isPlainObject(raw.modules)) return safe;
@@ -267,12 +700,19 @@
                     ? source.lastAccessed.slice(0, 64)
                     : target.lastAccessed;
                 target.completionDate = Number.isFinite(source.completionDate) ? source.completionDate : target.completionDate;
+                if (Number.isFinite(source.lastReviewDate)) {
+                    target.lastReviewDate = source.lastReviewDate;
+                }
 
                 if (this.isPlainObject(source.preTest)) {
                     target.preTest.completed = source.preTest.completed === true;
                     target.preTest.score = clampScore(source.preTest.score);
                     target.preTest.answers = clampArray(source.preTest.answers, this.IMPORT_MAX_ARRAY_ITEMS)
-                        .filter(n => Number.isFinite(n) && n >= 0 && n <= 100);
+                        .map(answer => this.validateTestAnswer(answer));
+                    if (Array.isArray(source.preTest.confidence)) {
+                        target.preTest.confidence = clampArray(source.preTest.confidence, this.IMPORT_MAX_ARRAY_ITEMS)
+                            .map(level => this.validateConfidence(level));
+                    }
                 }
 
                 if (this.isPlainObject(source.theory)) {
@@ -301,7 +741,11 @@
                     target.postTest.completed = source.postTest.completed === true;
                     target.postTest.score = clampScore(source.postTest.score);
                     target.postTest.answers = clampArray(source.postTest.answers, this.IMPORT_MAX_ARRAY_ITEMS)
-                        .filter(n => Number.isFinite(n) && n >= 0 && n <= 100);
+                        .map(answer => this.validateTestAnswer(answer));
+                    if (Array.isArray(source.postTest.confidence)) {
+                        target.postTest.confidence = clampArray(source.postTest.confidence, this.IMPORT_MAX_ARRAY_ITEMS)
+                            .map(level => this.validateConfidence(level));
+                    }
                     target.postTest.completedAt = Number.isFinite(source.postTest.completedAt) ? source.postTest.completedAt : target.postTest.completedAt;
                 }
 
@@ -312,21 +756,161 @@
                     }
                 }
 
+                // Module step types without a field of their own (GTVH lab, role-play)
+                if (this.isPlainObject(source.steps)) {
+                    Object.keys(source.steps).slice(0, this.IMPORT_MAX_ARRAY_ITEMS).forEach(type => {
+                        const record = source.steps[type];
+                        if (!this.isPlainObject(record) || !/^[A-Za-z][\w-]*$/.test(type)) return;
+                        const entry = { completed: record.completed === true };
+                        if (Number.isFinite(record.completedAt)) entry.completedAt = record.completedAt;
+                        if (typeof record.notes === 'string') entry.notes = record.notes.slice(0, this.IMPORT_MAX_NOTE_LENGTH);
+                        target.steps[type.slice(0, this.IMPORT_MAX_KEY_LENGTH)] = entry;
+                    });
+                }
+
                 if (Array.isArray(source.reflectionData)) {
                     target.reflectionData = source.reflectionData.slice(0, 200);
                 }
+
+                const exam = this.validateExamRecord(source.exam);
+                if (exam) {
+                    target.exam = exam;
+                }
             });
 
             return safe;
         },
 
+        /**
+         * Sanitize module activity answers from a backup
+         * @param {Object} raw - { 'module-1': { 'module-1-activity-act-3': { answer, answerType, completed, timestamp } } }
+         * @returns {Object} Same shape with unknown or oversized entries dropped
+         */
+        validateActivityAnswers: function(raw) {
+            const safe = {};
+            if (!this.isPlainObject(raw)) return safe;
+
+            Object.keys(raw).slice(0, 100).forEach((moduleId) => {
+                if (!/^module-\d+$/.test(moduleId) || !this.isPlainObject(raw[moduleId])) return;
+                const answers = {};
+                Object.entries(raw[moduleId]).slice(0, this.IMPORT_MAX_NOTE_KEYS).forEach(([key, entry]) => {
+                    if (key.length > this.IMPORT_MAX_KEY_LENGTH || !this.isPlainObject(entry)) return;
+                    let answer = entry.answer;
+                    if (typeof answer === 'string') {
+                        answer = answer.slice(0, this.IMPORT_MAX_NOTE_LENGTH);
+                    } else if (Array.isArray(answer)) {
+                        answer = answer.filter(v => typeof v === 'string').slice(0, 50).map(v => v.slice(0, 500));
+                    } else {
+                        return;
+                    }
+                    answers[this.migrateActivityKey(key)] = {
+                        answer,
+                        answerType: typeof entry.answerType === 'string' ? entry.answerType.slice(0, 32) : 'text-long',
+                        completed: entry.completed === true,
+                        timestamp: typeof entry.timestamp === 'string' ? entry.timestamp.slice(0, 64) : null
+                    };
+                });
+                if (Object.keys(answers).length) {
+                    safe[moduleId] = answers;
+                }
+            });
+
+            return safe;
+        },
+
+        /**
+         * Read every module's saved activity answers for the active learner
+         * @returns {Object} Keyed by module id
+         */
+        collectActivityAnswers: function() {
+            const moduleIds = Array.isArray(window.LEARNING_SYSTEM && window.LEARNING_SYSTEM.modules)
+                ? window.LEARNING_SYSTEM.modules.map(module => module.id)
+                : Object.keys(State.moduleMastery.modules || {});
+            const answers = {};
+            moduleIds.forEach((moduleId) => {
+                try {
+                    const saved = JSON.parse(store.getItem(this.ACTIVITY_ANSWERS_PREFIX + moduleId) || 'null');
+                    if (this.isPlainObject(saved) && Object.keys(saved).length) {
+                        answers[moduleId] = saved;
+                    }
+                } catch (e) {
+                    console.warn(`Skipping unreadable activity answers for ${moduleId}`, e);
+                }
+            });
+            return answers;
+        },
+
+        /**
+         * Replace saved activity answers for the modules present in a backup
+         * @param {Object} answersByModule - Output of validateActivityAnswers
+         */
+        saveActivityAnswers: function(answersByModule) {
+            Object.keys(answersByModule || {}).forEach((moduleId) => {
+                try {
+                    store.setItem(this.ACTIVITY_ANSWERS_PREFIX + moduleId, JSON.stringify(answersByModule[moduleId]));
+                } catch (e) {
+                    console.error(`Failed to save activity answers for ${moduleId}:`, e);
+                }
+            });
+        },
+
+        activeProfileName: function() {
+            const profile = window.LearnerProfiles && window.LearnerProfiles.getActive();
+            return profile ? profile.name : 'this browser';
+        },
+
+        /**
+         * Download the active learner's progress as a JSON backup that
+         * importProgress (here or on another device) can read back.
+         * The file is signed (see integrity.js) so a teacher can check it was not edited.
+         * @returns {Promise<boolean>}
+         */
+        exportProgress: async function() {
+            const backup = {
+                version: String(this.SCHEMA_VERSION),
+                createdAt: new Date().toISOString(),
+                profileName: this.activeProfileName(),
+                userProgress: this.stampVersion(State.userProgress),
+                moduleMastery: this.stampVersion(State.moduleMastery),
+                activityAnswers: this.collectActivityAnswers()
+            };
+
+            try {
+                if (window.ProgressIntegrity) {
+                    await window.ProgressIntegrity.attachSignature(backup);
+                }
+                const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                const slug = backup.profileName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'learner';
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `pragmatics-progress-${slug}-${backup.createdAt.slice(0, 10)}.json`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                this.safeToast('Backup downloaded', 'success');
+                return true;
+            } catch (e) {
+                console.error('Export failed:', e);
+                this.safeToast('Could not create the backup file.', 'error');
+                return false;
+            }
+        },
+
         validateProgressImport: function(parsed) {
             if (!this.isPlainObject(parsed)) {
                 return { ok: false, error: 'Invalid file: expected a JSON object.' };
             }
 
             const version = typeof parsed.version === 'string' ? parsed.version : null;
-            if (!version || !this.SUPPORTED_IMPORT_VERSIONS.has(version)) {
+            let backupVersion = null;
+            if (version && this.LEGACY_IMPORT_VERSIONS.has(version)) {
+                backupVersion = 1;
+            } else if (version && /^\d+$/.test(version)) {
+                backupVersion = parseInt(version, 10);
+            }
+            if (!backupVersion) {
                 return { ok: false, error: 'Unsupported backup version. Please export a new backup from this site.' };
             }
 
@@ -334,20 +918,101 @@
                 return { ok: false, error: 'Invalid backup: missing userProgress.' };
             }
 
-            const userProgress = this.validateUserProgress(parsed.userProgress);
-            const moduleMastery = this.validateModuleMastery(parsed.moduleMastery || parsed.mastery);
-            return { ok: true, value: { version, userProgress, moduleMastery } };
+            const progressResult = this.migrate('userProgress', this.isPlainObject(parsed.userProgress) ? parsed.userProgress : {}, backupVersion);
+            if (!progressResult.ok) {
+                return { ok: false, error: progressResult.error };
+            }
+
+            const masteryRaw = parsed.moduleMastery || parsed.mastery;
+            let masteryValue = null;
+            if (this.isPlainObject(masteryRaw)) {
+                const masteryResult = this.migrate('moduleMastery', masteryRaw, backupVersion);
+                if (!masteryResult.ok) {
+                    return { ok: false, error: masteryResult.error };
+                }
+                masteryValue = masteryResult.value;
+            }
+
+            const userProgress = this.validateUserProgress(progressResult.value);
+            const moduleMastery = this.validateModuleMastery(masteryValue);
+            const activityAnswers = this.validateActivityAnswers(parsed.activityAnswers);
+            return { ok: true, value: { version, userProgress, moduleMastery, activityAnswers } };
+        },
+
+        // Let the optional sync client (sync.js) queue the change for other devices
+        notifySync: function() {
+            if (window.ProgressSync && typeof window.ProgressSync.noteLocalChange === 'function') {
+                window.ProgressSync.noteLocalChange();
+            }
+        },
+
+        /**
+         * Let the learner preview a restore and choose Merge or Replace, then save the result
+         * @param {{userProgress?: Object, moduleMastery?: Object, activityAnswers?: Object}} incoming - Validated backup parts
+         * @param {string} sourceLabel - Shown in the preview, e.g. 'QR code'
+         * @returns {Promise<boolean|null>} true once saved, null when the learner cancelled
+         */
+        confirmRestore: function(incoming, sourceLabel) {
+            if (!window.ProgressMerge) {
+                this.applyRestoredProgress(incoming);
+                return Promise.resolve(true);
+            }
+            return window.ProgressMerge.confirmRestore(incoming, { sourceLabel }).then((choice) => {
+                if (!choice) return null;
+                this.applyRestoredProgress(choice.result);
+                return true;
+            });
         },
 
         /**
-         * Save user progress to localStorage
+         * Replace in-memory progress with a restored snapshot, save it and refresh the views
+         * @param {{userProgress?: Object, moduleMastery?: Object, activityAnswers?: Object}} result - Missing parts are left unchanged
+         */
+        applyRestoredProgress: function(result) {
+            this.clearBlockedKeys();
+
+            if (result.userProgress) {
+                State.userProgress = this.validateUserProgress(result.userProgress);
+            }
+            if (result.moduleMastery) {
+                State.moduleMastery = this.validateModuleMastery(result.moduleMastery);
+            }
+            State.initModuleMastery();
+
+            this.save();
+            this.saveMastery();
+            if (result.activityAnswers) {
+                this.saveActivityAnswers(result.activityAnswers);
+            }
+
+            if (window.ProgressModule && typeof window.ProgressModule.update === 'function') {
+                window.ProgressModule.update();
+            }
+            if (window.ActivitiesModule && typeof window.ActivitiesModule.ensureRendered === 'function') {
+                window.ActivitiesModule.ensureRendered();
+            }
+            if (window.JokeModule && typeof window.JokeModule.ensureLoaded === 'function') {
+                window.JokeModule.ensureLoaded();
+            }
+            if (typeof updateModuleProgressUI === 'function') {
+                updateModuleProgressUI();
+            }
+        },
+
+        /**
+         * Save user progress
          * @returns {boolean} Success status
          */
         save: function() {
+            if (this.blockedKeys.has(this.STORAGE_KEY)) {
+                console.warn('Progress not saved: stored data is from a newer app version.');
+                return false;
+            }
             try {
-                const data = JSON.stringify(State.userProgress);
-                localStorage.setItem(this.STORAGE_KEY, data);
+                const data = JSON.stringify(this.stampVersion(State.userProgress));
+                store.setItem(this.STORAGE_KEY, data);
                 this.saveTeacherMode();
+                this.notifySync();
 
                 // Lightweight toast for saves (throttled)
                 const now = Date.now();
@@ -368,21 +1033,23 @@
         },
 
         /**
-         * Load user progress from localStorage
+         * Load user progress
          * @returns {boolean} Success status
          */
         load: function() {
             try {
-                const saved = localStorage.getItem(this.STORAGE_KEY);
-                if (saved) {
-                    const parsed = JSON.parse(saved);
-
+                const parsed = this.readVersioned(this.STORAGE_KEY, 'userProgress');
+                if (parsed) {
                     // Validate and merge data structure
-                    State.userProgress.jokesRead = Array.isArray(parsed.jokesRead) ? parsed.jokesRead : [];
+                    State.userProgress.jokesRead = this.toJokeIds(parsed.jokesRead);
                     State.userProgress.activitiesCompleted = Array.isArray(parsed.activitiesCompleted) ? parsed.activitiesCompleted : [];
                     State.userProgress.quizScores = Array.isArray(parsed.quizScores) ? parsed.quizScores : [];
-                    State.userProgress.favoriteJokes = Array.isArray(parsed.favoriteJokes) ? parsed.favoriteJokes : [];
+                    State.userProgress.quizAttempts = (Array.isArray(parsed.quizAttempts) ? parsed.quizAttempts : [])
+                        .map(attempt => this.validateQuizAttempt(attempt))
+                        .filter(Boolean);
+                    State.userProgress.favoriteJokes = this.toJokeIds(parsed.favoriteJokes);
                     State.userProgress.jokeNotes = (parsed.jokeNotes && typeof parsed.jokeNotes === 'object') ? parsed.jokeNotes : {};
+                    State.userProgress.jokeAnalyses = this.validateJokeAnalyses(parsed.jokeAnalyses);
                     State.userProgress.activityNotes = (parsed.activityNotes && typeof parsed.activityNotes === 'object') ? parsed.activityNotes : {};
                     State.userProgress.learningPath = parsed.learningPath || null;
                     State.userProgress.onboardingComplete = parsed.onboardingComplete === true;
@@ -394,6 +1061,11 @@
                     return true;
                 }
             } catch (e) {
+                if (e && e.newerVersion) {
+                    this.reportNewerVersion(e);
+                    this.loadTeacherMode();
+                    return false;
+                }
                 console.error('Load failed:', e);
                 alert('Failed to load saved progress. Starting fresh. Your old data may be corrupted.');
                 this.resetToDefaults();
@@ -406,12 +1078,22 @@
          * Save module mastery data
          */
         saveMastery: function() {
+            if (this.blockedKeys.has(this.MASTERY_KEY)) {
+                console.warn('Module mastery not saved: stored data is from a newer app version.');
+                return false;
+            }
             try {
-                const data = JSON.stringify(State.moduleMastery);
-                localStorage.setItem(this.MASTERY_KEY, data);
+                const data = JSON.stringify(this.stampVersion(State.moduleMastery));
+                store.setItem(this.MASTERY_KEY, data);
+                this.notifySync();
                 return true;
             } catch (e) {
-                console.error('Failed to save mastery data:', e);
+                if (e.name === 'QuotaExceededError') {
+                    console.error('Storage quota exceeded. Module progress may not be saved.');
+                    alert('Storage is full. Your recent progress might not be saved. Consider clearing browser data or using browser sync.');
+                } else {
+                    console.error('Failed to save mastery data:', e);
+                }
                 return false;
             }
         },
@@ -421,14 +1103,17 @@
          */
         loadMastery: function() {
             try {
-                const saved = localStorage.getItem(this.MASTERY_KEY);
-                if (saved) {
-                    const parsed = JSON.parse(saved);
+                const parsed = this.readVersioned(this.MASTERY_KEY, 'moduleMastery');
+                if (parsed) {
                     State.moduleMastery = parsed;
                     console.log('✓ Module mastery loaded');
                     return true;
                 }
             } catch (e) {
+                if (e && e.newerVersion) {
+                    this.reportNewerVersion(e);
+                    return false;
+                }
                 console.error('Failed to load mastery data:', e);
             }
             return false;
@@ -439,8 +1124,8 @@
          */
         loadTeacherMode: function() {
             try {
-                const stored = localStorage.getItem('teacherMode');
-                const legacy = localStorage.getItem('teacherModeEnabled');
+                const stored = store.getItem('teacherMode');
+                const legacy = store.getItem('teacherModeEnabled');
                 if (stored !== null || legacy !== null) {
                     const value = stored !== null ? stored : legacy;
                     State.teacherModeEnabled = value === 'true';
@@ -459,8 +1144,8 @@
         saveTeacherMode: function(enabled = State.teacherModeEnabled) {
             try {
                 const value = enabled ? 'true' : 'false';
-                localStorage.setItem('teacherMode', value);
-                localStorage.setItem('teacherModeEnabled', value); // legacy compatibility
+                store.setItem('teacherMode', value);
+                store.setItem('teacherModeEnabled', value); // legacy compatibility
                 return true;
             } catch (e) {
                 console.error('Failed to save teacher mode:', e);
@@ -476,8 +1161,10 @@
                 jokesRead: [],
                 activitiesCompleted: [],
                 quizScores: [],
+                quizAttempts: [],
                 favoriteJokes: [],
                 jokeNotes: {},
+                jokeAnalyses: {},
                 activityNotes: {},
                 learningPath: null,
                 onboardingComplete: false,
@@ -494,9 +1181,11 @@
         reset: function() {
             if (confirm('Reset all progress? This cannot be undone.')) {
                 try {
-                    localStorage.removeItem(this.STORAGE_KEY);
-                    localStorage.removeItem(this.MASTERY_KEY);
-                    location.reload();
+                    store.removeItem(this.STORAGE_KEY);
+                    store.removeItem(this.MASTERY_KEY);
+                    // Let IndexedDB commit the deletes before reloading
+                    const flushed = typeof store.flush === 'function' ? store.flush() : Promise.resolve();
+                    flushed.then(() => location.reload());
                 } catch (e) {
                     console.error('Reset failed:', e);
                     alert('Failed to reset progress. Please clear your browser data manually.');
@@ -538,27 +1227,15 @@
                         throw new Error(validated.error);
                     }
 
-                    State.userProgress = validated.value.userProgress;
-                    State.userProgress.hasVisitedBefore = true;
-                    State.moduleMastery = validated.value.moduleMastery;
-                    State.initModuleMastery();
-
-                    this.save();
-                    this.saveMastery();
-                    this.safeToast('Progress imported successfully', 'success');
-
-                    if (window.ProgressModule && typeof window.ProgressModule.update === 'function') {
-                        window.ProgressModule.update();
-                    }
-                    if (window.ActivitiesModule && typeof window.ActivitiesModule.ensureRendered === 'function') {
-                        window.ActivitiesModule.ensureRendered();
-                    }
-                    if (window.JokeModule && typeof window.JokeModule.ensureLoaded === 'function') {
-                        window.JokeModule.ensureLoaded();
-                    }
-                    if (typeof updateModuleProgressUI === 'function') {
-                        updateModuleProgressUI();
-                    }
+                    validated.value.userProgress.hasVisitedBefore = true;
+                    this.confirmRestore(validated.value, 'backup file').then((applied) => {
+                        if (applied) {
+                            this.safeToast(`Progress imported into ${this.activeProfileName()}`, 'success');
+                        }
+                    }).catch((err) => {
+                        console.error('Import failed:', err);
+                        this.safeToast(err && err.message ? err.message : 'Failed to import progress.', 'error');
+                    });
                 } catch (e) {
                     console.error('Import failed:', e);
                     this.safeToast(e && e.message ? e.message : 'Failed to import progress.', 'error');
@@ -566,7 +1243,7 @@
             };
             try {
                 if (file && typeof file.size === 'number' && file.size > this.IMPORT_MAX_BYTES) {
-                    this.safeToast('Backup file is too large to import (max 50 KB). Export a smaller backup and try again.', 'error');
+                    this.safeToast(`Backup file is too large to import (max ${Math.round(this.IMPORT_MAX_BYTES / 1024)} KB). Export a smaller backup and try again.`, 'error');
                     return;
                 }
             } catch (e) {
@@ -634,23 +1311,23 @@
     const ProgressHelper = {
         /**
          * Mark a joke as read
-         * @param {number} jokeIndex - Index of the joke
+         * @param {string} jokeId - Stable joke id, e.g. 'joke-3'
          */
-        markJokeRead: function(jokeIndex) {
-            if (!State.userProgress.jokesRead.includes(jokeIndex)) {
-                State.userProgress.jokesRead.push(jokeIndex);
+        markJokeRead: function(jokeId) {
+            if (!State.userProgress.jokesRead.includes(jokeId)) {
+                State.userProgress.jokesRead.push(jokeId);
                 Storage.save();
             }
         },
 
         /**
          * Toggle joke favorite status
-         * @param {number} jokeIndex - Index of the joke
+         * @param {string} jokeId - Stable joke id, e.g. 'joke-3'
          */
-        toggleFavorite: function(jokeIndex) {
-            const idx = State.userProgress.favoriteJokes.indexOf(jokeIndex);
+        toggleFavorite: function(jokeId) {
+            const idx = State.userProgress.favoriteJokes.indexOf(jokeId);
             if (idx === -1) {
-                State.userProgress.favoriteJokes.push(jokeIndex);
+                State.userProgress.favoriteJokes.push(jokeId);
             } else {
                 State.userProgress.favoriteJokes.splice(idx, 1);
             }
@@ -658,6 +1335,29 @@
             return idx === -1; // Returns true if now favorited
         },
 
+        /**
+         * Save (or, when every answer is empty, remove) the learner's GTVH analysis of a joke
+         * @param {string} jokeId - Stable joke id, e.g. 'joke-3'
+         * @param {Object} answers - { SO, LM, SI, TA, NS, LA } free text
+         * @returns {Object|null} The stored analysis, or null when it was removed
+         */
+        saveJokeAnalysis: function(jokeId, answers) {
+            if (!Storage.JOKE_ID_PATTERN.test(jokeId)) return null;
+            if (!Storage.isPlainObject(State.userProgress.jokeAnalyses)) {
+                State.userProgress.jokeAnalyses = {};
+            }
+            const entry = Storage.validateJokeAnalyses({
+                [jokeId]: Object.assign({}, answers, { updatedAt: Date.now() })
+            })[jokeId] || null;
+            if (entry) {
+                State.userProgress.jokeAnalyses[jokeId] = entry;
+            } else {
+                delete State.userProgress.jokeAnalyses[jokeId];
+            }
+            Storage.save();
+            return entry;
+        },
+
         /**
          * Mark activity as completed
          * @param {string} activityId - ID of the activity
@@ -670,11 +1370,32 @@
         },
 
         /**
-         * Add quiz score
-         * @param {number} score - Quiz score (0-100)
+         * Quiz scores (0-100) for stats and badges: scores saved before attempt history
+         * (bare numbers in quizScores) followed by the scores of recorded quiz attempts
+         * @param {Object} [progress] - userProgress (defaults to the current one)
+         * @returns {number[]}
          */
-        addQuizScore: function(score) {
-            State.userProgress.quizScores.push(score);
+        getQuizScores: function(progress) {
+            const source = progress || State.userProgress || {};
+            const recorded = (Array.isArray(source.quizAttempts) ? source.quizAttempts : [])
+                .filter(attempt => attempt && (attempt.source || 'quiz') === 'quiz' && Number.isInteger(attempt.score))
+                .map(attempt => attempt.score);
+            return (Array.isArray(source.quizScores) ? source.quizScores : []).concat(recorded);
+        },
+
+        /**
+         * Record a finished quiz, module test or placement test in the attempt history
+         * @param {Object} details - { source, level?, moduleId?, durationMs, seed?, score, items: [{ id, answer, credit, confidence? }] }
+         */
+        addAttempt: function(details) {
+            const attempt = Storage.validateQuizAttempt(Object.assign({}, details, { at: Date.now() }));
+            if (!attempt) return;
+            if (!Array.isArray(State.userProgress.quizAttempts)) {
+                State.userProgress.quizAttempts = [];
+            }
+            State.userProgress.quizAttempts.push(attempt);
+            const excess = State.userProgress.quizAttempts.length - Storage.IMPORT_MAX_QUIZ_ATTEMPTS;
+            if (excess > 0) State.userProgress.quizAttempts.splice(0, excess);
             Storage.save();
         }
     };
@@ -693,10 +1414,14 @@
         const badVersion = { version: '999', userProgress: {} };
         const badTypes = { version: '1', userProgress: { jokesRead: ['x'], quizScores: ['100'] } };
         const tooLongNote = { version: '1', userProgress: { jokeNotes: { a: 'x'.repeat(Storage.IMPORT_MAX_NOTE_LENGTH + 10) } } };
+        const current = { version: String(Storage.SCHEMA_VERSION), userProgress: { jokesRead: ['joke-2'] } };
+        const newerSchema = { version: '1', userProgress: { schemaVersion: Storage.SCHEMA_VERSION + 1 } };
 
         const cases = [
             ['good', true, good],
+            ['current', true, current],
             ['badVersion', false, badVersion],
+            ['newerSchema', false, newerSchema],
             ['badTypes', true, badTypes],
             ['tooLongNote', true, tooLongNote]
         ];
@@ -715,8 +1440,22 @@
         console.log(`Self-test complete: ${passed}/${cases.length} cases matched expected outcomes.`);
     };
 
-    // Auto-load on initialization
-    document.addEventListener('DOMContentLoaded', () => {
+    // Background IndexedDB writes fail asynchronously, after save() has returned
+    if (typeof store.onWriteError === 'function') {
+        let lastWriteErrorToast = 0;
+        store.onWriteError(() => {
+            const now = Date.now();
+            if (now - lastWriteErrorToast > 20000) {
+                lastWriteErrorToast = now;
+                Storage.safeToast('Your latest progress could not be saved on this device. Free up browser storage and try again.', 'error');
+            }
+        });
+    }
+
+    // Auto-load on initialization, once the DOM and the storage backend are both ready.
+    // App.init awaits Storage.ready before rendering anything that reads progress.
+    const domReady = new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve));
+    Storage.ready = Promise.all([store.ready, domReady]).then(() => {
         Storage.load();
         Storage.loadMastery();
         Storage.loadTeacherMode();
@@ -0,0 +1,477 @@
+/**
+ * STORAGE ADAPTER MODULE
+ *
+ * Purpose: Keep learner data (progress, mastery, reflections, activity answers)
+ * out of the small localStorage quota by persisting it in IndexedDB.
+ *
+ * Responsibilities:
+ * - Synchronous getItem/setItem/removeItem API backed by an in-memory cache
+ * - Write-ahead: writes land in the cache immediately and are flushed to IndexedDB in batches
+ * - Move existing localStorage data into IndexedDB on first open
+ * - Fall back to localStorage when IndexedDB is unavailable (old browsers, some private modes)
+ * - Namespace per-learner keys with the active LearnerProfiles prefix
+ *
+ * Keys that are not learner data (theme, language, last view, ...) always stay in
+ * localStorage so they can be read before the database opens.
+ *
+ * Dependencies: LearnerProfiles (profiles.js, optional)
+ * Used by: Storage (state.js), ModuleLearning activity answers, language/teacher-mode/confidence-mode preferences
+ */
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'pragmatics-learner-data';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'keyval';
+    const OPEN_TIMEOUT_MS = 3000;
+    const FLUSH_DELAY_MS = 50;
+
+    const StorageAdapter = {
+        // 'indexeddb' once the database is open, 'localstorage' when falling back
+        backend: 'localstorage',
+        // Keys persisted through IndexedDB (after profile scoping); everything else passes straight to localStorage
+        MANAGED_KEY_PATTERN: /^(profile\.[\w-]+\.)?(pragmaticsProgress|pragmaticsMastery|activity-answers-|syncBase$|testEventLog$)/,
+        // Keys that belong to one learner and get the active profile's prefix
+        PROFILE_SCOPED_KEY_PATTERN: /^(pragmaticsProgress|pragmaticsMastery|activity-answers-|preferredLanguage$|teacherMode|confidenceMode$|dismissedProgressNotice$|sync(Config|State|Base)$|testEventLog$)/,
+
+        db: null,
+        cache: new Map(),
+        // key -> string value, or null for a pending delete
+        pending: new Map(),
+        flushTimer: null,
+        flushPromise: null,
+        errorHandlers: [],
+        ready: null,
+
+        isManaged: function(key) {
+            return typeof key === 'string' && this.MANAGED_KEY_PATTERN.test(key);
+        },
+
+        /**
+         * Map a logical key to the key stored for the active learner
+         * @param {string} key - e.g. 'pragmaticsProgress'
+         * @returns {string} e.g. 'profile.p-abc.pragmaticsProgress' (unchanged for the default profile)
+         */
+        scopeKey: function(key) {
+            if (!window.LearnerProfiles || typeof key !== 'string' || !this.PROFILE_SCOPED_KEY_PATTERN.test(key)) {
+                return key;
+            }
+            return window.LearnerProfiles.keyPrefix() + key;
+        },
+
+        /**
+         * Read a value
+         * @param {string} key - Storage key
+         * @returns {string|null} Stored string, or null when missing
+         */
+        getItem: function(key) {
+            key = this.scopeKey(key);
+            if (this.backend === 'indexeddb' && this.isManaged(key)) {
+                return this.cache.has(key) ? this.cache.get(key) : null;
+            }
+            return localStorage.getItem(key);
+        },
+
+        /**
+         * Write a value. In IndexedDB mode the write is visible to getItem at once
+         * and reaches the database on the next flush.
+         * @param {string} key - Storage key
+         * @param {string} value - Serialized value
+         * @throws {Error} QuotaExceededError from localStorage in fallback mode
+         */
+        setItem: function(key, value) {
+            const text = String(value);
+            key = this.scopeKey(key);
+            if (this.backend === 'indexeddb' && this.isManaged(key)) {
+                this.cache.set(key, text);
+                this.pending.set(key, text);
+                this.scheduleFlush();
+                return;
+            }
+            localStorage.setItem(key, text);
+        },
+
+        /**
+         * Remove a value
+         * @param {string} key - Storage key
+         */
+        removeItem: function(key) {
+            key = this.scopeKey(key);
+            if (this.backend === 'indexeddb' && this.isManaged(key)) {
+                this.cache.delete(key);
+                this.pending.set(key, null);
+                this.scheduleFlush();
+                return;
+            }
+            localStorage.removeItem(key);
+        },
+
+        /**
+         * List every stored key (already scoped, across all profiles)
+         * @returns {string[]}
+         */
+        keys: function() {
+            const keys = new Set(this.backend === 'indexeddb' ? this.cache.keys() : []);
+            try {
+                for (let i = 0; i < localStorage.length; i++) {
+                    keys.add(localStorage.key(i));
+                }
+            } catch (e) {
+                // localStorage can be unavailable entirely (sandboxed iframes)
+            }
+            return Array.from(keys);
+        },
+
+        /**
+         * Delete every stored key starting with a prefix (used to remove a learner profile)
+         * @param {string} prefix - e.g. 'profile.p-abc.'
+         * @returns {number} Number of keys removed
+         */
+        removeKeysWithPrefix: function(prefix) {
+            if (!prefix) return 0;
+            const doomed = this.keys().filter(key => key.indexOf(prefix) === 0);
+            doomed.forEach(key => {
+                if (this.backend === 'indexeddb' && this.cache.has(key)) {
+                    this.cache.delete(key);
+                    this.pending.set(key, null);
+                }
+                localStorage.removeItem(key);
+            });
+            this.scheduleFlush();
+            return doomed.length;
+        },
+
+        /**
+         * Register a callback for failed background writes
+         * @param {Function} handler - Called with the error
+         */
+        onWriteError: function(handler) {
+            if (typeof handler === 'function') {
+                this.errorHandlers.push(handler);
+            }
+        },
+
+        reportError: function(error) {
+            console.error('IndexedDB write failed:', error);
+            this.errorHandlers.forEach(handler => {
+                try {
+                    handler(error);
+                } catch (e) {
+                    console.error('Storage error handler failed:', e);
+                }
+            });
+        },
+
+        scheduleFlush: function() {
+            if (this.flushTimer) return;
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush();
+            }, FLUSH_DELAY_MS);
+        },
+
+        /**
+         * Write all pending changes to IndexedDB in one transaction
+         * @returns {Promise<boolean>} Resolves true when everything pending was committed
+         */
+        flush: function() {
+            if (this.flushTimer) {
+                clearTimeout(this.flushTimer);
+                this.flushTimer = null;
+            }
+            if (this.pending.size === 0) {
+                return this.flushPromise || Promise.resolve(true);
+            }
+            if (!this.db) {
+                return Promise.resolve(false);
+            }
+
+            const batch = new Map(this.pending);
+            this.pending.clear();
+
+            const previous = this.flushPromise || Promise.resolve(true);
+            const current = previous.then(() => new Promise((resolve) => {
+                let tx;
+                try {
+                    tx = this.db.transaction(STORE_NAME, 'readwrite');
+                } catch (e) {
+                    this.requeue(batch);
+                    this.reportError(e);
+                    resolve(false);
+                    return;
+                }
+                const store = tx.objectStore(STORE_NAME);
+                batch.forEach((value, key) => {
+                    if (value === null) {
+                        store.delete(key);
+                    } else {
+                        store.put(value, key);
+                    }
+                });
+                tx.oncomplete = () => resolve(true);
+                // A failed request aborts the whole transaction, so onabort covers errors too
+                tx.onabort = () => {
+                    this.requeue(batch);
+                    this.reportError(tx.error);
+                    resolve(false);
+                };
+            }));
+
+            this.flushPromise = current;
+            current.then(() => {
+                if (this.flushPromise === current) {
+                    this.flushPromise = null;
+                }
+            });
+            return current;
+        },
+
+        // Put a failed batch back unless newer writes for the same keys arrived meanwhile
+        requeue: function(batch) {
+            batch.forEach((value, key) => {
+                if (!this.pending.has(key)) {
+                    this.pending.set(key, value);
+                }
+            });
+        },
+
+        openDatabase: function() {
+            return new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined' || !indexedDB) {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+
+                let settled = false;
+                const timer = setTimeout(() => {
+                    settled = true;
+                    reject(new Error('Timed out opening IndexedDB'));
+                }, OPEN_TIMEOUT_MS);
+
+                let request;
+                try {
+                    request = indexedDB.open(DB_NAME, DB_VERSION);
+                } catch (e) {
+                    clearTimeout(timer);
+                    reject(e);
+                    return;
+                }
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                        request.result.createObjectStore(STORE_NAME);
+                    }
+                };
+                request.onsuccess = () => {
+                    clearTimeout(timer);
+                    if (settled) {
+                        request.result.close();
+                        return;
+                    }
+                    resolve(request.result);
+                };
+                request.onerror = () => {
+                    clearTimeout(timer);
+                    if (!settled) reject(request.error);
+                };
+                request.onblocked = () => {
+                    console.warn('IndexedDB open is blocked by another tab');
+                };
+            });
+        },
+
+        readAll: function(db) {
+            return new Promise((resolve, reject) => {
+                const entries = new Map();
+                const tx = db.transaction(STORE_NAME, 'readonly');
+                const cursorRequest = tx.objectStore(STORE_NAME).openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor) {
+                        entries.set(cursor.key, cursor.value);
+                        cursor.continue();
+                    }
+                };
+                tx.oncomplete = () => resolve(entries);
+                tx.onerror = tx.onabort = () => reject(tx.error);
+            });
+        },
+
+        /**
+         * Copy learner data still in localStorage into IndexedDB, then free the
+         * localStorage copies. A localStorage copy can only exist if it was written
+         * after the last migration (IndexedDB was unavailable), so it wins.
+         */
+        migrateFromLocalStorage: function() {
+            const moved = [];
+            try {
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (this.isManaged(key)) {
+                        moved.push(key);
+                    }
+                }
+            } catch (e) {
+                return Promise.resolve(0);
+            }
+            if (moved.length === 0) return Promise.resolve(0);
+
+            moved.forEach(key => {
+                const value = localStorage.getItem(key);
+                this.cache.set(key, value);
+                this.pending.set(key, value);
+            });
+
+            return this.flush().then(committed => {
+                if (!committed) return 0;
+                moved.forEach(key => {
+                    // Only drop the copy we moved; another tab may have written since
+                    if (localStorage.getItem(key) === this.cache.get(key)) {
+                        localStorage.removeItem(key);
+                    }
+                });
+                console.log(`✓ Moved ${moved.length} learner data key(s) from localStorage to IndexedDB`);
+                return moved.length;
+            });
+        },
+
+        /**
+         * Another tab upgraded or deleted the database, so this connection must close.
+         * Writes keep collecting in `pending` while we reopen; if the database cannot
+         * be reopened, everything in the cache moves to localStorage so nothing is lost.
+         * @param {IDBDatabase} db - The connection being asked to close
+         */
+        handleVersionChange: function(db) {
+            db.close();
+            if (this.db !== db) return;
+            this.db = null;
+            this.reportError(new Error('IndexedDB connection was closed by another tab; reopening'));
+
+            this.openDatabase()
+                .then(reopened => {
+                    this.db = reopened;
+                    reopened.onversionchange = () => this.handleVersionChange(reopened);
+                    // The database may have been deleted, so write back the whole cache
+                    this.cache.forEach((value, key) => {
+                        if (!this.pending.has(key)) {
+                            this.pending.set(key, value);
+                        }
+                    });
+                    return this.flush();
+                })
+                .catch(error => {
+                    this.reportError(error);
+                    this.fallBackToLocalStorage();
+                });
+        },
+
+        // Leave IndexedDB mode for good, copying cached learner data into localStorage
+        fallBackToLocalStorage: function() {
+            this.db = null;
+            this.backend = 'localstorage';
+            this.pending.forEach((value, key) => {
+                if (value === null) {
+                    localStorage.removeItem(key);
+                }
+            });
+            this.cache.forEach((value, key) => {
+                try {
+                    localStorage.setItem(key, value);
+                } catch (e) {
+                    this.reportError(e);
+                }
+            });
+            this.cache = new Map();
+            this.pending.clear();
+            console.warn('IndexedDB closed, using localStorage for learner data');
+        },
+
+        /**
+         * Open IndexedDB, load it into the cache and migrate localStorage data.
+         * Resolves (never rejects) once the adapter is usable.
+         * @returns {Promise<string>} The active backend
+         */
+        init: function() {
+            // Kept out here so a failed load can close the connection it opened
+            let openedDb = null;
+            return this.openDatabase()
+                .then(db => {
+                    openedDb = db;
+                    return this.readAll(db);
+                })
+                .then(entries => {
+                    const db = openedDb;
+                    this.db = db;
+                    this.cache = entries;
+                    this.backend = 'indexeddb';
+                    db.onversionchange = () => this.handleVersionChange(db);
+                    return this.migrateFromLocalStorage();
+                })
+                .then(() => {
+                    console.log('✓ Learner data stored in IndexedDB');
+                    return this.backend;
+                })
+                .catch(error => {
+                    console.warn('IndexedDB unavailable, using localStorage for learner data:', error && error.message ? error.message : error);
+                    if (openedDb) {
+                        try {
+                            openedDb.close();
+                        } catch (e) {
+                            // Already closed
+                        }
+                    }
+                    this.db = null;
+                    this.cache = new Map();
+                    this.pending.clear();
+                    this.backend = 'localstorage';
+                    return this.backend;
+                });
+        }
+    };
+
+    // Flush write-ahead changes before the page goes away
+    window.addEventListener('pagehide', () => StorageAdapter.flush());
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            StorageAdapter.flush();
+        }
+    });
+
+    StorageAdapter.ready = StorageAdapter.init();
+
+    window.StorageAdapter = StorageAdapter;
+
+    // Profile-switch self-test for per-learner settings (run in console)
+    window.__profileScopeSelfTest = function() {
+        if (!window.LearnerProfiles) {
+            console.warn('Profile scope self-test needs LearnerProfiles (profiles.js).');
+            return;
+        }
+        const perLearner = ['pragmaticsProgress', 'pragmaticsMastery', 'preferredLanguage', 'teacherMode', 'confidenceMode', 'syncConfig'];
+        const deviceWide = ['learnerProfiles', 'theme'];
+        const registry = window.LearnerProfiles.registry;
+        const activeId = registry.activeId;
+
+        let passed = 0;
+        const total = perLearner.length + deviceWide.length;
+        try {
+            for (const key of perLearner.concat(deviceWide)) {
+                registry.activeId = window.LearnerProfiles.DEFAULT_PROFILE_ID;
+                const defaultKey = StorageAdapter.scopeKey(key);
+                registry.activeId = 'p-selftest';
+                const otherKey = StorageAdapter.scopeKey(key);
+                const expectScoped = perLearner.includes(key);
+                if ((defaultKey !== otherKey) === expectScoped) {
+                    passed++;
+                    console.log('[PASS]', key, otherKey);
+                } else {
+                    console.error('[FAIL]', key, { expectScoped, defaultKey, otherKey });
+                }
+            }
+        } finally {
+            registry.activeId = activeId;
+        }
+        console.log(`Self-test complete: ${passed}/${total} keys scoped as expected after a profile switch.`);
+    };
+
+})();
@@ -0,0 +1,286 @@
+/**
+ * REFERENCE SYNC SERVER
+ *
+ * Purpose: Minimal server for the optional progress sync in sync.js. A school can
+ * run it as-is or use it as the specification for its own implementation.
+ *
+ * Responsibilities:
+ * - Store one sync document per learner code as a JSON file
+ * - Reject stale writes (optimistic concurrency on a revision counter) so clients re-merge
+ * - Optionally protect each learner code with a bearer token (first writer sets it)
+ * - Answer CORS preflights so the app can be served from another origin
+ * - Publish anonymous per-module post-test score distributions for the class benchmarks
+ *   (modules with fewer than BENCHMARK_MIN_LEARNERS learners are left out)
+ *
+ * The server never merges anything itself; merging happens in the browser.
+ *
+ * Usage (Node 16+, no dependencies):
+ *   node sync-server/server.js
+ * Environment:
+ *   PORT          listen port (default 8787)
+ *   HOST          listen address (default 127.0.0.1)
+ *   SYNC_DATA_DIR where learner files are kept (default ./sync-data)
+ *   SYNC_ORIGIN   value for Access-Control-Allow-Origin (default *)
+ *   BENCHMARK_MIN_LEARNERS  smallest group published in /benchmarks (default 5, 0 turns it off)
+ * Put it behind an https reverse proxy for anything other than localhost; the
+ * app only talks to https sync servers (and http://localhost for testing).
+ *
+ * Endpoints:
+ *   GET  /health
+ *   GET  /benchmarks    -> 200 { source: 'sync-server', generatedAt, learners, modules: { id: { scores, gains? } } }
+ *   GET  /learners/:id  -> 200 { revision, updatedAt, document } | 404
+ *   PUT  /learners/:id  <- { baseRevision, document }
+ *                       -> 200 { revision, updatedAt } | 409 { revision } | 401
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || path.join(process.cwd(), 'sync-data'));
+const ALLOW_ORIGIN = process.env.SYNC_ORIGIN || '*';
+const MAX_BODY_BYTES = 1024 * 1024;
+const LEARNER_ID_PATTERN = /^[\w-]{3,64}$/;
+const BENCHMARK_MIN_LEARNERS = process.env.BENCHMARK_MIN_LEARNERS === undefined ? 5 : Number(process.env.BENCHMARK_MIN_LEARNERS);
+
+// Writes for one learner are serialized so the revision check and the write cannot interleave
+const locks = new Map();
+
+function withLock(learnerId, task) {
+    const previous = locks.get(learnerId) || Promise.resolve();
+    const current = previous.then(task, task);
+    const settled = current.catch(() => {});
+    locks.set(learnerId, settled);
+    // Forget the learner once the chain is idle, unless a newer write has queued behind this one
+    settled.then(() => {
+        if (locks.get(learnerId) === settled) locks.delete(learnerId);
+    });
+    return current;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update('pragmatics-sync:' + token).digest('hex');
+}
+
+function tokenMatches(record, token) {
+    if (!record.tokenHash) return true;
+    const expected = Buffer.from(record.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(token || ''), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function learnerFile(learnerId) {
+    return path.join(DATA_DIR, learnerId + '.json');
+}
+
+async function readRecord(learnerId) {
+    try {
+        return JSON.parse(await fs.promises.readFile(learnerFile(learnerId), 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a document behind
+async function writeRecord(learnerId, record) {
+    const file = learnerFile(learnerId);
+    const temp = file + '.' + process.pid + '.tmp';
+    await fs.promises.writeFile(temp, JSON.stringify(record), 'utf8');
+    await fs.promises.rename(temp, file);
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': ALLOW_ORIGIN,
+        'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Max-Age': '600'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+            } catch (e) {
+                reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function validScore(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+// Post-test scores (and post minus pre gains) of every stored learner, per module.
+// Only whole-class lists leave the server; learner codes and names never do.
+async function buildBenchmarks() {
+    const files = (await fs.promises.readdir(DATA_DIR)).filter(name => name.endsWith('.json'));
+    const modules = {};
+    let learners = 0;
+    for (const name of files) {
+        let record;
+        try {
+            record = JSON.parse(await fs.promises.readFile(path.join(DATA_DIR, name), 'utf8'));
+        } catch (e) {
+            continue;
+        }
+        const mastery = record && record.document && record.document.moduleMastery;
+        const stored = mastery && mastery.modules && typeof mastery.modules === 'object' ? mastery.modules : {};
+        let counted = false;
+        Object.keys(stored).forEach(moduleId => {
+            const module = stored[moduleId] || {};
+            const post = module.postTest || {};
+            if (post.completed !== true || !validScore(post.score)) return;
+            const entry = modules[moduleId] || (modules[moduleId] = { scores: [], gains: [] });
+            entry.scores.push(post.score);
+            const pre = module.preTest || {};
+            if (pre.completed === true && validScore(pre.score)) entry.gains.push(post.score - pre.score);
+            counted = true;
+        });
+        if (counted) learners++;
+    }
+
+    const published = {};
+    Object.keys(modules).sort().forEach(moduleId => {
+        const entry = modules[moduleId];
+        if (entry.scores.length < BENCHMARK_MIN_LEARNERS) return;
+        published[moduleId] = { scores: entry.scores.sort((a, b) => a - b) };
+        if (entry.gains.length >= BENCHMARK_MIN_LEARNERS) published[moduleId].gains = entry.gains.sort((a, b) => a - b);
+    });
+    return { source: 'sync-server', generatedAt: new Date().toISOString(), learners, modules: published };
+}
+
+function bearerToken(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1].trim() : '';
+}
+
+async function handleGet(res, learnerId, token) {
+    const record = await readRecord(learnerId);
+    if (!record) {
+        send(res, 404, { error: 'No progress stored for this learner code yet' });
+        return;
+    }
+    if (!tokenMatches(record, token)) {
+        send(res, 401, { error: 'Invalid access token' });
+        return;
+    }
+    send(res, 200, { revision: record.revision, updatedAt: record.updatedAt, document: record.document });
+}
+
+async function handlePut(req, res, learnerId, token) {
+    const body = await readBody(req);
+    if (!body || typeof body !== 'object' || !Number.isInteger(body.baseRevision) ||
+        !body.document || typeof body.document !== 'object' || Array.isArray(body.document)) {
+        send(res, 400, { error: 'Expected { baseRevision, document }' });
+        return;
+    }
+
+    await withLock(learnerId, async () => {
+        const record = await readRecord(learnerId);
+        if (record && !tokenMatches(record, token)) {
+            send(res, 401, { error: 'Invalid access token' });
+            return;
+        }
+        const currentRevision = record ? record.revision : 0;
+        if (body.baseRevision !== currentRevision) {
+            send(res, 409, { error: 'Stale revision, pull and merge again', revision: currentRevision });
+            return;
+        }
+
+        const next = {
+            revision: currentRevision + 1,
+            updatedAt: Date.now(),
+            tokenHash: record ? record.tokenHash : (token ? hashToken(token) : null),
+            document: body.document
+        };
+        await writeRecord(learnerId, next);
+        send(res, 200, { revision: next.revision, updatedAt: next.updatedAt });
+    });
+}
+
+async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+    if (req.method === 'GET' && url.pathname === '/health') {
+        send(res, 200, { ok: true });
+        return;
+    }
+    if (req.method === 'GET' && url.pathname === '/benchmarks') {
+        if (!(BENCHMARK_MIN_LEARNERS > 0)) {
+            send(res, 404, { error: 'Benchmarks are turned off on this server' });
+            return;
+        }
+        send(res, 200, await buildBenchmarks());
+        return;
+    }
+
+    const match = /^\/learners\/([^/]+)$/.exec(url.pathname);
+    if (!match) {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+    // A malformed escape such as "%E0%A4%A" is a bad learner code, not a server error
+    let learnerId = null;
+    try {
+        learnerId = decodeURIComponent(match[1]);
+    } catch (e) {
+        learnerId = null;
+    }
+    if (learnerId === null || !LEARNER_ID_PATTERN.test(learnerId)) {
+        send(res, 400, { error: 'Learner codes are 3-64 letters, digits, "-" or "_"' });
+        return;
+    }
+
+    const token = bearerToken(req);
+    if (req.method === 'GET') {
+        await handleGet(res, learnerId, token);
+    } else if (req.method === 'PUT') {
+        await handlePut(req, res, learnerId, token);
+    } else {
+        send(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+        console.error('Sync request failed:', error);
+        if (!res.headersSent) {
+            send(res, error.status || 500, { error: error.status ? error.message : 'Internal error' });
+        }
+    });
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`✓ Sync server listening on http://${HOST}:${PORT} (data in ${DATA_DIR})`);
+});
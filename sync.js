@@ -0,0 +1,691 @@
+/**
+ * PROGRESS SYNC MODULE
+ *
+ * Purpose: Optionally keep a learner's progress in step across devices through a
+ * small HTTP endpoint (see sync-server/server.js for the reference server).
+ *
+ * Responsibilities:
+ * - Push/pull userProgress and moduleMastery to a configurable endpoint
+ * - Three-way merge against the last synced copy using per-field rules
+ *   (set union for jokesRead/activitiesCompleted, OR for completion flags,
+ *   last-writer-wins for scores and reflection answers, ...)
+ * - Queue changes made offline and retry when the connection comes back
+ * - Report conflicting edits in the Progress section
+ *
+ * Protocol (JSON over HTTP, optional `Authorization: Bearer <token>`):
+ *   GET  {endpoint}/learners/{learnerId}  -> 200 { revision, updatedAt, document } | 404
+ *   PUT  {endpoint}/learners/{learnerId}  <- { baseRevision, document }
+ *                                          -> 200 { revision, updatedAt } | 409 { revision } when baseRevision is stale
+ *   GET  {endpoint}/benchmarks            -> 200 anonymous class score lists (read by class-benchmarks.js)
+ * A sync document is { schemaVersion, updatedAt, clock, userProgress, moduleMastery };
+ * `clock` maps field paths to the time their current value was written.
+ *
+ * Dependencies: Storage, State (state.js), StorageAdapter (per-profile keys)
+ * Used by: Storage.save/saveMastery (change notifications), actions.js (sync-* actions)
+ */
+
+(function() {
+    'use strict';
+
+    const CONFIG_KEY = 'syncConfig';
+    const STATE_KEY = 'syncState';
+    const BASE_KEY = 'syncBase';
+    const AUTO_SYNC_DELAY_MS = 5000;
+    const RETRY_INTERVAL_MS = 60000;
+    const REQUEST_TIMEOUT_MS = 15000;
+    const MAX_PUSH_ATTEMPTS = 3;
+    const MAX_CONFLICTS = 20;
+    const LEARNER_ID_PATTERN = /^[\w-]{3,64}$/;
+
+    const store = window.StorageAdapter || window.localStorage;
+
+    // ========================================
+    // MERGE RULES
+    // ========================================
+    // 'set'    union of array items; an item removed on one side since the last sync stays removed
+    // 'append' remote list plus items appended locally since the last sync (quiz score history)
+    // 'or'     true wins (completion and unlock flags never go back to false)
+    // 'max'    larger number wins
+    // 'lww'    last writer wins; edits on both sides are reported as a conflict
+    // 'record' per-key 'lww' for free-form maps (notes, reflection answers)
+    // Nested objects list their own fields; { each: spec } applies spec to every value of a map.
+    // Fields that are not listed merge as 'lww'.
+    const MERGE_RULES = {
+        userProgress: {
+            jokesRead: 'set',
+            activitiesCompleted: 'set',
+            favoriteJokes: 'set',
+            quizScores: 'append',
+            quizAttempts: 'set',
+            jokeNotes: 'record',
+            jokeAnalyses: 'record',
+            activityNotes: 'record',
+            learningPath: 'lww',
+            onboardingComplete: 'or',
+            hasVisitedBefore: 'or',
+            placementCompleted: 'or'
+        },
+        moduleMastery: {
+            placementTest: 'lww',
+            modules: {
+                each: {
+                    unlocked: 'or',
+                    started: 'or',
+                    completed: 'or',
+                    preTest: 'lww',
+                    theory: { completed: 'or', sectionsRead: 'set' },
+                    jokes: { analyzed: 'set', notes: 'record' },
+                    activities: { completed: 'set', notes: 'record', completedFlag: 'or' },
+                    postTest: 'lww',
+                    reflection: { completed: 'or', responses: 'record' },
+                    steps: { each: { completed: 'or', notes: 'lww' } },
+                    reflectionData: 'set',
+                    masteryScore: 'max',
+                    masteryAchieved: 'or',
+                    timeSpent: 'max',
+                    lastReviewDate: 'max',
+                    exam: 'lww'
+                }
+            }
+        }
+    };
+
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // JSON with sorted keys, so equal objects compare equal regardless of key order
+    function stableStringify(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(stableStringify).join(',') + ']';
+        }
+        if (isPlainObject(value)) {
+            return '{' + Object.keys(value).filter(key => value[key] !== undefined).sort().map(key => JSON.stringify(key) + ':' + stableStringify(value[key])).join(',') + '}';
+        }
+        return value === undefined ? 'undefined' : JSON.stringify(value);
+    }
+
+    function same(a, b) {
+        return stableStringify(a) === stableStringify(b);
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    // Default-looking values count as "never set" when there is no previous sync to compare with
+    function isBlank(value) {
+        return value === undefined || value === null || value === false || value === '' || value === 0 ||
+            (Array.isArray(value) && value.length === 0) ||
+            (isPlainObject(value) && Object.keys(value).every(key => isBlank(value[key])));
+    }
+
+    // ========================================
+    // THREE-WAY MERGE
+    // ========================================
+    const Merge = {
+        /**
+         * Merge one value
+         * @param {string|Object} spec - Rule name, nested field rules or { each }
+         * @param {*} base - Value at the last successful sync (undefined before the first sync)
+         * @param {*} local - Value on this device
+         * @param {*} remote - Value on the server
+         * @param {string} path - Dotted path, used for clocks and conflict reports
+         * @param {Object} ctx - { hasBase, localAt, remoteClock, remoteAt, clock, conflicts }
+         * @returns {*} Merged value (undefined drops the field)
+         */
+        value: function(spec, base, local, remote, path, ctx) {
+            if (typeof spec === 'string') {
+                return this[spec](base, local, remote, path, ctx);
+            }
+            if (spec && spec.each) {
+                return this.each(spec.each, base, local, remote, path, ctx);
+            }
+            return this.object(spec || {}, base, local, remote, path, ctx);
+        },
+
+        object: function(fields, base, local, remote, path, ctx) {
+            if (!isPlainObject(local) || !isPlainObject(remote)) {
+                return this.lww(base, local, remote, path, ctx);
+            }
+            const b = isPlainObject(base) ? base : {};
+            const out = {};
+            new Set(Object.keys(local).concat(Object.keys(remote))).forEach(key => {
+                const merged = this.value(fields[key] || 'lww', b[key], local[key], remote[key], path + '.' + key, ctx);
+                if (merged !== undefined) out[key] = merged;
+            });
+            return out;
+        },
+
+        each: function(spec, base, local, remote, path, ctx) {
+            return this.object(new Proxy({}, { get: () => spec }), base, local, remote, path, ctx);
+        },
+
+        set: function(base, local, remote) {
+            const toList = value => Array.isArray(value) ? value : [];
+            const keysOf = list => new Set(list.map(stableStringify));
+            const baseList = toList(base);
+            const localKeys = keysOf(toList(local));
+            const remoteKeys = keysOf(toList(remote));
+            const removed = new Set(baseList.map(stableStringify).filter(key => !localKeys.has(key) || !remoteKeys.has(key)));
+
+            const seen = new Set();
+            return toList(local).concat(toList(remote)).filter(item => {
+                const key = stableStringify(item);
+                if (seen.has(key) || removed.has(key)) return false;
+                seen.add(key);
+                return true;
+            }).map(clone);
+        },
+
+        append: function(base, local, remote) {
+            const baseList = Array.isArray(base) ? base : [];
+            const localList = Array.isArray(local) ? local : [];
+            const remoteList = Array.isArray(remote) ? remote : [];
+            const extendsBase = localList.length >= baseList.length && same(localList.slice(0, baseList.length), baseList);
+            const added = extendsBase ? localList.slice(baseList.length) : localList.slice(remoteList.length);
+            return clone(remoteList.concat(added));
+        },
+
+        or: function(base, local, remote) {
+            if (local === true || remote === true) return true;
+            return local !== undefined ? local : remote;
+        },
+
+        max: function(base, local, remote, path, ctx) {
+            if (Number.isFinite(local) && Number.isFinite(remote)) return Math.max(local, remote);
+            return this.lww(base, local, remote, path, ctx);
+        },
+
+        lww: function(base, local, remote, path, ctx) {
+            if (same(local, remote)) return clone(local);
+
+            const localChanged = ctx.hasBase ? !same(local, base) : !isBlank(local);
+            const remoteChanged = ctx.hasBase ? !same(remote, base) : !isBlank(remote);
+            if (!localChanged) return clone(remote);
+            if (!remoteChanged) {
+                ctx.clock[path] = ctx.localAt;
+                return clone(local);
+            }
+
+            const remoteAt = ctx.remoteClock[path] || ctx.remoteAt || 0;
+            const keepLocal = ctx.localAt >= remoteAt;
+            ctx.clock[path] = keepLocal ? ctx.localAt : remoteAt;
+            ctx.conflicts.push({
+                path: path,
+                local: clone(local),
+                remote: clone(remote),
+                kept: keepLocal ? 'local' : 'remote',
+                at: Date.now()
+            });
+            return clone(keepLocal ? local : remote);
+        },
+
+        record: function(base, local, remote, path, ctx) {
+            return this.each('lww', base, local, remote, path, ctx);
+        }
+    };
+
+    // ========================================
+    // SYNC CLIENT
+    // ========================================
+    const ProgressSync = {
+        MERGE_RULES: MERGE_RULES,
+        config: null,
+        state: null,
+        syncing: null,
+        applying: false,
+        autoTimer: null,
+        retryTimer: null,
+
+        readJSON: function(key, fallback) {
+            try {
+                const value = JSON.parse(store.getItem(key) || 'null');
+                return value === null ? fallback : value;
+            } catch (e) {
+                return fallback;
+            }
+        },
+
+        writeJSON: function(key, value) {
+            try {
+                store.setItem(key, JSON.stringify(value));
+            } catch (e) {
+                console.warn('Failed to save sync data:', e);
+            }
+        },
+
+        loadSettings: function() {
+            const config = this.readJSON(CONFIG_KEY, null);
+            this.config = isPlainObject(config) && config.endpoint && config.learnerId ? config : null;
+            const state = this.readJSON(STATE_KEY, {});
+            this.state = Object.assign({
+                revision: 0,
+                lastSyncedAt: null,
+                dirtySince: null,
+                lastChangeAt: null,
+                queued: false,
+                lastError: null,
+                conflicts: []
+            }, isPlainObject(state) ? state : {});
+        },
+
+        saveState: function() {
+            this.writeJSON(STATE_KEY, this.state);
+        },
+
+        isConfigured: function() {
+            return !!this.config;
+        },
+
+        /**
+         * Store endpoint settings
+         * @param {{endpoint: string, learnerId: string, token?: string}} settings
+         * @throws {Error} On an invalid URL or learner id
+         */
+        configure: function(settings) {
+            const endpoint = String(settings.endpoint || '').trim().replace(/\/+$/, '');
+            const learnerId = String(settings.learnerId || '').trim();
+            let url;
+            try {
+                url = new URL(endpoint);
+            } catch (e) {
+                throw new Error('Enter the full sync server address, e.g. https://sync.example.org');
+            }
+            if (url.protocol !== 'https:' && url.hostname !== 'localhost' && url.hostname !== '127.0.0.1') {
+                throw new Error('The sync server must use https (http is only allowed for localhost).');
+            }
+            if (!LEARNER_ID_PATTERN.test(learnerId)) {
+                throw new Error('The learner code must be 3-64 letters, digits, "-" or "_".');
+            }
+
+            const changedTarget = !this.config || this.config.endpoint !== endpoint || this.config.learnerId !== learnerId;
+            this.config = { endpoint, learnerId, token: String(settings.token || '').trim() };
+            this.writeJSON(CONFIG_KEY, this.config);
+
+            // A different server/learner has its own history; start from a fresh base
+            if (changedTarget) {
+                store.removeItem(BASE_KEY);
+                this.state.revision = 0;
+                this.state.lastSyncedAt = null;
+                this.state.dirtySince = this.state.dirtySince || Date.now();
+                this.saveState();
+            }
+        },
+
+        disconnect: function() {
+            this.config = null;
+            store.removeItem(CONFIG_KEY);
+            store.removeItem(BASE_KEY);
+            this.state = null;
+            store.removeItem(STATE_KEY);
+            this.loadSettings();
+            this.render();
+        },
+
+        /**
+         * Called by Storage after every local save
+         */
+        noteLocalChange: function() {
+            if (this.applying || !this.config) return;
+            const now = Date.now();
+            this.state.dirtySince = this.state.dirtySince || now;
+            this.state.lastChangeAt = now;
+            this.saveState();
+            clearTimeout(this.autoTimer);
+            this.autoTimer = setTimeout(() => this.sync(), AUTO_SYNC_DELAY_MS);
+        },
+
+        buildLocalDocument: function() {
+            return {
+                schemaVersion: Storage.SCHEMA_VERSION,
+                // Edits made before sync was set up have no known time and lose ties to the server
+                updatedAt: this.state.lastChangeAt || 0,
+                userProgress: clone(State.userProgress),
+                moduleMastery: clone(State.moduleMastery)
+            };
+        },
+
+        /**
+         * Bring a server document to the current schema
+         * @returns {{ok: boolean, value?: Object, error?: string}}
+         */
+        normalizeRemote: function(documentValue) {
+            if (!isPlainObject(documentValue)) {
+                return { ok: false, error: 'The sync server returned an unreadable document.' };
+            }
+            const version = Number.isInteger(documentValue.schemaVersion) ? documentValue.schemaVersion : 1;
+            const progress = Storage.migrate('userProgress', documentValue.userProgress || {}, version);
+            const mastery = Storage.migrate('moduleMastery', documentValue.moduleMastery || {}, version);
+            const failed = [progress, mastery].find(result => !result.ok);
+            if (failed) {
+                return { ok: false, error: failed.error };
+            }
+            return {
+                ok: true,
+                value: {
+                    updatedAt: Number.isFinite(documentValue.updatedAt) ? documentValue.updatedAt : 0,
+                    clock: isPlainObject(documentValue.clock) ? documentValue.clock : {},
+                    userProgress: Storage.validateUserProgress(progress.value),
+                    moduleMastery: Storage.validateModuleMastery(mastery.value)
+                }
+            };
+        },
+
+        /**
+         * Merge the local and remote documents against the last synced base
+         * @returns {{document: Object, conflicts: Array}}
+         */
+        mergeDocuments: function(base, local, remote) {
+            if (!remote) {
+                return { document: Object.assign({}, local, { clock: isPlainObject(base && base.clock) ? base.clock : {} }), conflicts: [] };
+            }
+
+            const ctx = {
+                hasBase: !!base,
+                localAt: local.updatedAt,
+                remoteAt: remote.updatedAt,
+                remoteClock: remote.clock,
+                clock: Object.assign({}, remote.clock),
+                conflicts: []
+            };
+            const b = base || {};
+            const merged = {
+                schemaVersion: Storage.SCHEMA_VERSION,
+                updatedAt: Math.max(local.updatedAt, remote.updatedAt),
+                userProgress: Merge.value(MERGE_RULES.userProgress, b.userProgress, local.userProgress, remote.userProgress, 'userProgress', ctx),
+                moduleMastery: Merge.value(MERGE_RULES.moduleMastery, b.moduleMastery, local.moduleMastery, remote.moduleMastery, 'moduleMastery', ctx)
+            };
+            merged.clock = ctx.clock;
+            return { document: merged, conflicts: ctx.conflicts };
+        },
+
+        request: async function(method, body) {
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS) : null;
+            const headers = { 'Accept': 'application/json' };
+            if (body) headers['Content-Type'] = 'application/json';
+            if (this.config.token) headers['Authorization'] = 'Bearer ' + this.config.token;
+
+            try {
+                const response = await fetch(this.config.endpoint + '/learners/' + encodeURIComponent(this.config.learnerId), {
+                    method,
+                    headers,
+                    body: body ? JSON.stringify(body) : undefined,
+                    signal: controller ? controller.signal : undefined,
+                    cache: 'no-store'
+                });
+                let payload = null;
+                try {
+                    payload = await response.json();
+                } catch (e) {
+                    payload = null;
+                }
+                return { status: response.status, payload };
+            } finally {
+                if (timer) clearTimeout(timer);
+            }
+        },
+
+        applyMerged: function(documentValue) {
+            this.applying = true;
+            try {
+                State.userProgress = Storage.validateUserProgress(documentValue.userProgress);
+                State.moduleMastery = Storage.validateModuleMastery(documentValue.moduleMastery);
+                State.initModuleMastery();
+                Storage.save();
+                Storage.saveMastery();
+            } finally {
+                this.applying = false;
+            }
+
+            if (window.ProgressModule && typeof window.ProgressModule.update === 'function') {
+                window.ProgressModule.update();
+            }
+            if (typeof window.updateModuleProgressUI === 'function') {
+                window.updateModuleProgressUI();
+            }
+        },
+
+        /**
+         * Pull, merge and push. Safe to call repeatedly; concurrent calls share one run.
+         * @returns {Promise<{ok: boolean, queued?: boolean, conflicts?: number, error?: string}>}
+         */
+        sync: function() {
+            if (!this.config) {
+                return Promise.resolve({ ok: false, error: 'Sync is not set up.' });
+            }
+            if (this.syncing) return this.syncing;
+
+            clearTimeout(this.autoTimer);
+            this.syncing = this.runSync().then(result => {
+                this.syncing = null;
+                this.render();
+                return result;
+            });
+            this.render();
+            return this.syncing;
+        },
+
+        runSync: async function() {
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                return this.queue('You are offline. Changes will sync when the connection returns.');
+            }
+
+            try {
+                for (let attempt = 1; attempt <= MAX_PUSH_ATTEMPTS; attempt++) {
+                    const pulled = await this.request('GET');
+                    let remote = null;
+                    let remoteRevision = 0;
+                    if (pulled.status === 200 && pulled.payload) {
+                        const normalized = this.normalizeRemote(pulled.payload.document);
+                        if (!normalized.ok) {
+                            return this.fail(normalized.error);
+                        }
+                        remote = normalized.value;
+                        remoteRevision = Number.isInteger(pulled.payload.revision) ? pulled.payload.revision : 0;
+                    } else if (pulled.status !== 404) {
+                        return this.failForStatus(pulled);
+                    }
+
+                    const base = this.readJSON(BASE_KEY, null);
+                    const local = this.buildLocalDocument();
+                    const merged = this.mergeDocuments(base, local, remote);
+
+                    const pushed = await this.request('PUT', { baseRevision: remoteRevision, document: merged.document });
+                    if (pushed.status === 409) {
+                        continue; // another device pushed in between; merge again
+                    }
+                    if (pushed.status !== 200 && pushed.status !== 201) {
+                        return this.failForStatus(pushed);
+                    }
+
+                    // The learner may have kept working while the request was in flight:
+                    // replay those edits on top of what the server now has
+                    const current = this.buildLocalDocument();
+                    const editedMeanwhile = !same(current.userProgress, local.userProgress) ||
+                        !same(current.moduleMastery, local.moduleMastery);
+                    this.applyMerged(editedMeanwhile ? this.mergeDocuments(local, current, merged.document).document : merged.document);
+                    this.writeJSON(BASE_KEY, merged.document);
+                    this.state.revision = pushed.payload && Number.isInteger(pushed.payload.revision) ? pushed.payload.revision : remoteRevision + 1;
+                    this.state.lastSyncedAt = Date.now();
+                    if (!editedMeanwhile) {
+                        this.state.dirtySince = null;
+                        this.state.lastChangeAt = null;
+                    }
+                    this.state.queued = false;
+                    this.state.lastError = null;
+                    if (merged.conflicts.length) {
+                        this.state.conflicts = merged.conflicts.concat(this.state.conflicts).slice(0, MAX_CONFLICTS);
+                    }
+                    this.saveState();
+                    if (editedMeanwhile) {
+                        this.autoTimer = setTimeout(() => this.sync(), AUTO_SYNC_DELAY_MS);
+                    }
+                    return { ok: true, conflicts: merged.conflicts.length };
+                }
+                return this.fail('Another device kept changing this progress. Please try again.');
+            } catch (e) {
+                // fetch rejects on network failures and timeouts: keep the change queued
+                console.warn('Progress sync failed:', e);
+                return this.queue('Could not reach the sync server. Changes will be retried.');
+            }
+        },
+
+        queue: function(message) {
+            this.state.queued = true;
+            this.state.dirtySince = this.state.dirtySince || Date.now();
+            this.state.lastError = message;
+            this.saveState();
+            this.scheduleRetry();
+            return { ok: false, queued: true, error: message };
+        },
+
+        fail: function(message) {
+            this.state.lastError = message;
+            this.saveState();
+            return { ok: false, error: message };
+        },
+
+        failForStatus: function(response) {
+            if (response.status === 401 || response.status === 403) {
+                return this.fail('The sync server rejected the access token for this learner code.');
+            }
+            const detail = response.payload && response.payload.error ? ': ' + response.payload.error : '';
+            if (response.status >= 500) {
+                return this.queue(`The sync server had a problem (HTTP ${response.status}${detail}). Changes will be retried.`);
+            }
+            return this.fail(`Sync failed (HTTP ${response.status}${detail}).`);
+        },
+
+        scheduleRetry: function() {
+            if (this.retryTimer) return;
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                if (this.state.queued) this.sync();
+            }, RETRY_INTERVAL_MS);
+        },
+
+        /**
+         * Sync on request and report the outcome
+         */
+        syncNow: async function() {
+            const result = await this.sync();
+            if (result.ok) {
+                this.toast(result.conflicts ? `Synced. ${result.conflicts} conflicting edit(s) listed below.` : 'Progress synced', 'success');
+            } else {
+                this.toast(result.error, result.queued ? 'info' : 'error');
+            }
+        },
+
+        clearConflicts: function() {
+            this.state.conflicts = [];
+            this.saveState();
+            this.render();
+        },
+
+        saveFromForm: function() {
+            const value = id => {
+                const input = document.getElementById(id);
+                return input ? input.value : '';
+            };
+            try {
+                this.configure({
+                    endpoint: value('sync-endpoint'),
+                    learnerId: value('sync-learner-id'),
+                    token: value('sync-token')
+                });
+                this.syncNow();
+            } catch (e) {
+                this.toast(e.message, 'error');
+            }
+        },
+
+        toast: function(message, type = 'info') {
+            if (window.UI && typeof window.UI.toast === 'function') {
+                window.UI.toast(message, type);
+            } else {
+                console.log(message);
+            }
+        },
+
+        formatValue: function(value) {
+            const text = value === undefined ? '(none)' : JSON.stringify(value);
+            return text.length > 80 ? text.slice(0, 77) + '...' : text;
+        },
+
+        /**
+         * Render settings, status and conflicts into #sync-panel (Progress section)
+         */
+        render: function() {
+            const container = document.getElementById('sync-panel');
+            if (!container) return;
+            const escape = window.escapeHTML || (value => String(value));
+            const config = this.config || { endpoint: '', learnerId: '', token: '' };
+            const state = this.state;
+
+            let status = 'Not set up. Progress stays on this device.';
+            if (this.config) {
+                if (this.syncing) {
+                    status = '🔄 Syncing...';
+                } else if (state.lastError) {
+                    status = (state.queued ? '⏳ ' : '⚠️ ') + state.lastError;
+                } else if (state.lastSyncedAt) {
+                    status = '✅ Last synced ' + new Date(state.lastSyncedAt).toLocaleString();
+                } else {
+                    status = 'Not synced yet.';
+                }
+                if (state.dirtySince && !this.syncing) {
+                    status += ' Unsynced changes since ' + new Date(state.dirtySince).toLocaleTimeString() + '.';
+                }
+            }
+
+            const conflicts = (state.conflicts || []).map(conflict => `
+                <li style="padding: 8px 0; border-bottom: 1px solid #e5e7eb; font-size: 0.9rem;">
+                    <code>${escape(conflict.path)}</code> changed on both devices; kept the <strong>${conflict.kept === 'local' ? 'this device' : 'other device'}</strong> version.
+                    <div style="color: var(--text-secondary);">This device: <code>${escape(this.formatValue(conflict.local))}</code> · Other device: <code>${escape(this.formatValue(conflict.remote))}</code></div>
+                </li>`).join('');
+
+            container.innerHTML = `
+                <div style="display: grid; gap: 8px; max-width: 520px;">
+                    <label for="sync-endpoint">Sync server address</label>
+                    <input type="url" id="sync-endpoint" value="${escape(config.endpoint)}" placeholder="https://sync.example.org" style="padding: 8px 10px; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <label for="sync-learner-id">Learner code (same on every device)</label>
+                    <input type="text" id="sync-learner-id" value="${escape(config.learnerId)}" placeholder="e.g. class-7b-aziza" style="padding: 8px 10px; border: 1px solid #d1d5db; border-radius: 6px;">
+                    <label for="sync-token">Access token (optional)</label>
+                    <input type="password" id="sync-token" value="${escape(config.token || '')}" autocomplete="off" style="padding: 8px 10px; border: 1px solid #d1d5db; border-radius: 6px;">
+                </div>
+                <div style="display: flex; gap: 12px; flex-wrap: wrap; margin-top: 12px;">
+                    <button type="button" class="nav-btn" data-action="sync-save-config" style="background: #6366f1; color: white;">Save &amp; Sync</button>
+                    ${this.config ? '<button type="button" class="nav-btn" data-action="sync-now">Sync Now</button>' : ''}
+                    ${this.config ? '<button type="button" class="nav-btn" data-action="sync-disconnect">Stop Syncing</button>' : ''}
+                </div>
+                <p id="sync-status" role="status" style="margin: 12px 0 0 0; color: var(--text-secondary);">${escape(status)}</p>
+                ${conflicts ? `
+                    <h4 style="margin: 16px 0 4px 0;">Sync conflicts</h4>
+                    <ul style="list-style: none; margin: 0; padding: 0;">${conflicts}</ul>
+                    <button type="button" class="nav-btn" data-action="sync-clear-conflicts" style="margin-top: 8px;">Clear conflict list</button>` : ''}`;
+        },
+
+        init: function() {
+            this.loadSettings();
+            this.render();
+
+            window.addEventListener('online', () => {
+                if (this.config && (this.state.queued || this.state.dirtySince)) this.sync();
+            });
+
+            // Pick up changes from other devices (and anything queued while offline) on startup
+            if (this.config) this.sync();
+        }
+    };
+
+    ProgressSync.Merge = Merge;
+    window.ProgressSync = ProgressSync;
+
+    // Storage.ready resolves after saved progress is loaded for the active profile
+    if (window.Storage && window.Storage.ready) {
+        window.Storage.ready.then(() => ProgressSync.init());
+    }
+
+})();
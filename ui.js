@@ -302,7 +302,7 @@
             // Consistent language logic: if a translation exists, always show a one-click switch;
             // if it doesn't (in UZB mode), say so explicitly instead of silently showing English.
             if (DOM.jokeAnalysis) {
-                const lang = localStorage.getItem('preferredLanguage') || 'en';
+                const lang = (window.StorageAdapter || localStorage).getItem('preferredLanguage') || 'en';
                 const useUz = lang === 'uz' && joke.analysisUz;
                 let analysisHtml = `
                     <h4>📚 ${useUz ? 'Tahlil' : 'Analysis'}</h4>
@@ -321,7 +321,7 @@
                 const langSwitchBtn = document.getElementById('joke-lang-switch');
                 if (langSwitchBtn) {
                     langSwitchBtn.addEventListener('click', function() {
-                        const target = (localStorage.getItem('preferredLanguage') || 'en') === 'uz' ? 'en' : 'uz';
+                        const target = ((window.StorageAdapter || localStorage).getItem('preferredLanguage') || 'en') === 'uz' ? 'en' : 'uz';
                         const globalBtn = document.querySelector('.lang-btn[data-lang="' + target + '"]');
                         if (globalBtn) globalBtn.click();
                     });
@@ -355,16 +355,28 @@
                 );
             }
 
+            // Learner's own GTVH analysis of this joke
+            const gtvhContainer = document.getElementById('joke-gtvh-container');
+            if (gtvhContainer && window.GTVHJokeAnalysis) {
+                window.GTVHJokeAnalysis.render(gtvhContainer, joke);
+            }
+
+            // GTVH explorer: jokes most like this one
+            const explorerContainer = document.getElementById('gtvh-explorer-container');
+            if (explorerContainer && window.GTVHExplorer) {
+                window.GTVHExplorer.render(explorerContainer, joke);
+            }
+
             // Update favorite button
             if (DOM.jokeFavoriteBtn && window.State) {
-                const isFavorite = window.State.userProgress.favoriteJokes.includes(index);
+                const isFavorite = window.State.userProgress.favoriteJokes.includes(joke.id);
                 DOM.jokeFavoriteBtn.textContent = isFavorite ? '★' : '☆';
                 DOM.jokeFavoriteBtn.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
             }
 
             // Mark as read
             if (window.ProgressHelper) {
-                window.ProgressHelper.markJokeRead(index);
+                window.ProgressHelper.markJokeRead(joke.id);
             }
         },
 
@@ -408,9 +420,12 @@
         },
 
         toggleFavorite: function() {
-            if (!window.ProgressHelper) return;
+            if (!window.ProgressHelper || !window.DATA) return;
+
+            const joke = window.DATA.jokes[this.currentIndex];
+            if (!joke) return;
 
-            const isFavorite = window.ProgressHelper.toggleFavorite(this.currentIndex);
+            const isFavorite = window.ProgressHelper.toggleFavorite(joke.id);
             if (DOM.jokeFavoriteBtn) {
                 DOM.jokeFavoriteBtn.textContent = isFavorite ? '★' : '☆';
                 DOM.jokeFavoriteBtn.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
@@ -594,6 +609,8 @@
             this.updateLevelProgress();
             this.updateAchievements();
             this.updateInsights();
+            if (window.ConfidenceScoring) window.ConfidenceScoring.renderChart();
+            if (window.MistakeReview) window.MistakeReview.render();
         },
 
         updateStats: function() {
@@ -669,13 +686,14 @@
 
             const badges = [];
             const progress = window.State.userProgress;
+            const quizScores = window.ProgressHelper ? window.ProgressHelper.getQuizScores() : [];
 
             if (progress.jokesRead.length >= 5) badges.push('Joke Explorer');
             if (progress.jokesRead.length >= 20) badges.push('Humor Master');
             if (progress.activitiesCompleted.length >= 5) badges.push('Active Learner');
             if (progress.activitiesCompleted.length >= 15) badges.push('Dedicated Student');
-            if (progress.quizScores.length >= 3) badges.push('Quiz Taker');
-            if (progress.quizScores.some(score => score === 100)) badges.push('Perfect Score');
+            if (quizScores.length >= 3) badges.push('Quiz Taker');
+            if (quizScores.some(score => score === 100)) badges.push('Perfect Score');
             if (progress.favoriteJokes.length >= 10) badges.push('Humor Collector');
 
             DOM.achievementContainer.innerHTML = badges.length > 0
@@ -688,17 +706,18 @@
 
             const insights = [];
             const progress = window.State.userProgress;
+            const quizScores = window.ProgressHelper ? window.ProgressHelper.getQuizScores() : [];
 
             if (progress.jokesRead.length > 0) {
-                const avgScore = progress.quizScores.length > 0
-                    ? Math.round(progress.quizScores.reduce((a, b) => a + b, 0) / progress.quizScores.length)
+                const avgScore = quizScores.length > 0
+                    ? Math.round(quizScores.reduce((a, b) => a + b, 0) / quizScores.length)
                     : 0;
 
                 if (avgScore >= 80) {
                     insights.push(`🎉 <strong>Excellent work!</strong> Your average quiz score of ${avgScore}% shows strong pragmatic competence.`);
                 } else if (avgScore >= 60) {
                     insights.push(`📈 <strong>Good progress!</strong> Your ${avgScore}% average shows you're developing pragmatic awareness.`);
-                } else if (progress.quizScores.length > 0) {
+                } else if (quizScores.length > 0) {
                     insights.push('💪 <strong>Keep going!</strong> Review the theory section and analyze more examples.');
                 }
 